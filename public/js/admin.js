@@ -0,0 +1,252 @@
+const SPEAKER_LABELS = { user: 'User', assistant: 'Assistant', supervisor: 'Supervisor' };
+
+// Supervisor dashboard: renders the admin feed's `sessions` snapshots, force-ends sessions,
+// and listens in on one session at a time with whispers to its agent
+class AdminDashboard {
+    constructor() {
+        this.ws = null;
+        this.sessions = [];
+        // Same token the voice client uses (?token=..., kept in sessionStorage)
+        this.accessToken = this.loadAccessToken();
+        this.reconnectTimer = null;
+        // Connection being listened to, and the player for its mixed audio
+        this.listeningTo = null;
+        this.player = null;
+
+        this.elements = {
+            feedStatus: document.getElementById('feed-status'),
+            sessionCount: document.getElementById('session-count'),
+            sessionsBody: document.getElementById('sessions-body'),
+            listenPanel: document.getElementById('listen-panel'),
+            listenTitle: document.getElementById('listen-title'),
+            listenTranscript: document.getElementById('listen-transcript'),
+            stopListeningBtn: document.getElementById('stop-listening-btn'),
+            whisperForm: document.getElementById('whisper-form'),
+            whisperInput: document.getElementById('whisper-input')
+        };
+
+        this.elements.sessionsBody.addEventListener('click', (event) => {
+            const endButton = event.target.closest('[data-end-session]');
+            if (endButton) {
+                this.endSession(endButton.dataset.endSession);
+            }
+            const listenButton = event.target.closest('[data-listen]');
+            if (listenButton) {
+                this.listen(listenButton.dataset.listen);
+            }
+        });
+        this.elements.stopListeningBtn.addEventListener('click', () => this.send('unlisten'));
+        this.elements.whisperForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.whisper();
+        });
+
+        this.connect();
+        // Durations keep ticking between snapshots
+        setInterval(() => this.render(), 1000);
+    }
+
+    loadAccessToken() {
+        const url = new URL(window.location.href);
+        const token = url.searchParams.get('token');
+        if (token) {
+            sessionStorage.setItem('voiceAgentToken', token);
+            url.searchParams.delete('token');
+            window.history.replaceState(null, '', url);
+        }
+        return sessionStorage.getItem('voiceAgentToken');
+    }
+
+    connect() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const query = this.accessToken ? `?access_token=${encodeURIComponent(this.accessToken)}` : '';
+        this.ws = new WebSocket(`${protocol}//${window.location.host}/admin/feed${query}`);
+
+        this.ws.onopen = () => this.setFeedStatus('online', 'Live');
+        this.ws.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+        this.ws.onclose = () => {
+            // A refused upgrade (no token, or not an admin) closes before ever opening
+            this.setFeedStatus('offline', 'Disconnected (admin token required)');
+            this.stopListening();
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = setTimeout(() => this.connect(), 5000);
+        };
+    }
+
+    handleMessage({ type, payload }) {
+        switch (type) {
+            case 'sessions':
+                this.sessions = payload.sessions;
+                this.receivedAt = Date.now();
+                this.render();
+                break;
+
+            case 'session_force_ended':
+                console.log('⏹️ Session ended:', payload.connection_id);
+                break;
+
+            case 'listen_started':
+                this.listeningTo = payload.connection_id;
+                this.elements.listenTranscript.replaceChildren();
+                this.elements.listenPanel.hidden = false;
+                this.updateListenTitle();
+                this.render();
+                break;
+
+            case 'listen_audio':
+                if (payload.connection_id === this.listeningTo) {
+                    this.player?.enqueue(payload.audio);
+                }
+                break;
+
+            case 'listen_transcript':
+                this.addListenLine(payload);
+                break;
+
+            case 'listen_stopped':
+                console.log('🔇 Stopped listening:', payload.connection_id, payload.reason);
+                this.stopListening();
+                break;
+
+            case 'whisper_sent':
+                this.elements.whisperInput.value = '';
+                break;
+
+            case 'error':
+                console.error('❌ Admin feed error:', payload);
+                window.alert(payload.message);
+                break;
+        }
+    }
+
+    // Matches ADMIN_MESSAGES in protocol.js: unlisten has no payload, and JSON drops an undefined one
+    send(type, payload) {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type, payload }));
+        }
+    }
+
+    listen(connectionId) {
+        // Created on the click so the browser lets it play
+        if (!this.player) {
+            this.player = new Pcm16Player(new AudioContext());
+        }
+        this.send('listen', { connection_id: connectionId });
+    }
+
+    stopListening() {
+        this.listeningTo = null;
+        this.elements.listenPanel.hidden = true;
+        if (this.player) {
+            this.player.close();
+            this.player = null;
+        }
+        this.render();
+    }
+
+    whisper() {
+        const text = this.elements.whisperInput.value.trim();
+        if (!text || !this.listeningTo) return;
+        this.send('whisper', { connection_id: this.listeningTo, text });
+    }
+
+    updateListenTitle() {
+        const session = this.sessions.find(entry => entry.connection_id === this.listeningTo);
+        const who = session?.user?.name || session?.user?.id || 'session';
+        this.elements.listenTitle.textContent = `🎧 Listening to ${who}`;
+    }
+
+    addListenLine({ speaker, text }) {
+        const entry = document.createElement('div');
+        entry.className = `transcript-line ${speaker}`;
+        entry.textContent = `${SPEAKER_LABELS[speaker] || speaker}: ${text}`;
+        this.elements.listenTranscript.appendChild(entry);
+        this.elements.listenTranscript.scrollTop = this.elements.listenTranscript.scrollHeight;
+    }
+
+    endSession(connectionId) {
+        const session = this.sessions.find(entry => entry.connection_id === connectionId);
+        if (!session || !window.confirm(`End the session of ${session.user?.id || 'this user'}?`)) {
+            return;
+        }
+        this.send('end_session', { connection_id: connectionId });
+    }
+
+    setFeedStatus(state, text) {
+        this.elements.feedStatus.querySelector('.status-dot').className = `status-dot ${state}`;
+        this.elements.feedStatus.querySelector('span:last-child').textContent = text;
+    }
+
+    render() {
+        const count = this.sessions.length;
+        this.elements.sessionCount.textContent = `${count} connection${count === 1 ? '' : 's'}`;
+
+        const body = this.elements.sessionsBody;
+        body.replaceChildren();
+        if (count === 0) {
+            const row = body.insertRow();
+            row.className = 'empty-row';
+            const cell = row.insertCell();
+            cell.colSpan = 8;
+            cell.textContent = 'No live connections';
+            return;
+        }
+
+        const elapsed = this.receivedAt ? Date.now() - this.receivedAt : 0;
+        this.sessions.forEach((session) => {
+            const row = body.insertRow();
+            const active = session.state === 'active';
+
+            this.addCell(row, session.user?.name || session.user?.id || 'unknown', session.remote_address);
+            this.addCell(row, active && session.recording ? `${session.state} ● REC` : session.state);
+            this.addCell(row, session.persona ? `${session.persona.id} v${session.persona.version}` : '—');
+            this.addCell(row, active ? this.formatDuration(session.duration_ms + elapsed) : '—');
+            this.addCell(row, session.upstream, null, `upstream ${session.upstream}`);
+            this.addCell(row, session.usage
+                ? `$${session.usage.cost_usd.toFixed(4)} (${session.usage.responses} responses)`
+                : '—');
+
+            const transcript = row.insertCell();
+            transcript.className = 'transcript-cell';
+            session.transcript.forEach((line) => {
+                const entry = document.createElement('div');
+                entry.className = `transcript-line ${line.speaker}`;
+                entry.textContent = `${SPEAKER_LABELS[line.speaker] || line.speaker}: ${line.text}`;
+                transcript.appendChild(entry);
+            });
+
+            const actions = row.insertCell();
+            if (active) {
+                const listenButton = document.createElement('button');
+                listenButton.className = 'clear-btn';
+                listenButton.dataset.listen = session.connection_id;
+                listenButton.disabled = session.connection_id === this.listeningTo;
+                listenButton.textContent = listenButton.disabled ? 'Listening' : 'Listen';
+                actions.appendChild(listenButton);
+
+                const button = document.createElement('button');
+                button.className = 'clear-btn';
+                button.dataset.endSession = session.connection_id;
+                button.textContent = 'End session';
+                actions.appendChild(button);
+            }
+        });
+    }
+
+    addCell(row, text, title, className) {
+        const cell = row.insertCell();
+        cell.textContent = text;
+        if (title) cell.title = title;
+        if (className) cell.className = className;
+        return cell;
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.adminDashboard = new AdminDashboard();
+});
@@ -7,6 +7,27 @@ class VoiceAgentApp {
         
         this.isInitialized = false;
         this.isSessionActive = false;
+        // request_id of the start_session still waiting for session_started
+        this.startRequestId = null;
+        this.isPushToTalkHeld = false;
+        // False when the microphone can't be used; the app then works as a text chat
+        this.audioAvailable = false;
+        
+        // Push-to-talk turns awaiting their item id, oldest first
+        this.pendingPushToTalk = [];
+        this.pushToTalkCount = 0;
+        
+        // Items the user talked over; late audio deltas for them are dropped
+        this.interruptedItems = new Set();
+        
+        // Session options sent with start_session (voice, persona, temperature, turn_detection)
+        this.sessionConfig = {};
+        
+        // Access token for the WebSocket and /api routes when the server requires auth
+        this.accessToken = null;
+        
+        // Stored record of the current (or last) session, for export
+        this.conversationId = null;
         
         this.bindEvents();
         this.initialize();
@@ -17,6 +38,15 @@ class VoiceAgentApp {
         this.ui.onStartConversation = () => this.startConversation();
         this.ui.onStopConversation = () => this.stopConversation();
         this.ui.onToggleMute = () => this.toggleMute();
+        this.ui.onPersonaChange = (personaId) => this.configureSession({ persona: personaId });
+        this.ui.onOutputModeChange = (modalities) => this.configureSession({ modalities });
+        this.ui.onSendText = (text) => this.sendText(text);
+        this.ui.onTurnModeChange = (mode) => this.setTurnMode(mode);
+        this.ui.onPushToTalkStart = () => this.startPushToTalk();
+        this.ui.onPushToTalkEnd = () => this.endPushToTalk();
+        this.ui.onPlaybackRateChange = (rate) => this.audio.setPlaybackRate(rate);
+        this.ui.onTogglePlaybackPause = () => this.togglePlaybackPause();
+        this.ui.onExport = (format) => this.exportConversation(format);
         
         // WebSocket event handlers
         this.ws.onConnect = () => this.handleWebSocketConnect();
@@ -40,21 +70,34 @@ class VoiceAgentApp {
             console.log('🚀 Initializing Voice Agent App...');
             
             // Check browser support
-            this.checkBrowserSupport();
+            const audioSupported = this.checkBrowserSupport();
             
-            // Initialize audio processor
-            await this.initializeAudio();
+            // Initialize audio processor; without it the app falls back to text chat
+            if (audioSupported) {
+                await this.initializeAudio();
+            } else {
+                this.ui.updateAudioStatus(false);
+            }
+            
+            // Check API status (including whether a token is required) before connecting
+            this.loadAccessToken();
+            await this.checkAPIStatus();
             
             // Connect to WebSocket
+            this.ws.accessToken = this.accessToken;
             this.ws.connect();
             
-            // Check API status
-            await this.checkAPIStatus();
+            // Populate the persona picker
+            await this.loadPersonas();
             
             this.isInitialized = true;
             console.log('✅ Voice Agent App initialized successfully');
             
-            this.ui.showNotification('Voice Agent ready! Click "Start Conversation" to begin.', 'success');
+            if (this.audioAvailable) {
+                this.ui.showNotification('Voice Agent ready! Click "Start Conversation" to begin.', 'success');
+            } else {
+                this.ui.showNotification('Microphone unavailable. You can still start a conversation and type your messages.', 'warning');
+            }
             
         } catch (error) {
             console.error('❌ Failed to initialize Voice Agent App:', error);
@@ -62,33 +105,85 @@ class VoiceAgentApp {
         }
     }
 
+    // WebSocket is required; returns false when voice features are missing
     checkBrowserSupport() {
-        const features = {
-            webSocket: WebSocketClient.isSupported(),
+        if (!WebSocketClient.isSupported()) {
+            throw new Error('Browser does not support: webSocket');
+        }
+        
+        const audioFeatures = {
             webRTC: WebRTCClient.isSupported(),
             getUserMedia: !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
             audioContext: !!(window.AudioContext || window.webkitAudioContext)
         };
         
-        const unsupported = Object.entries(features)
+        const unsupported = Object.entries(audioFeatures)
             .filter(([feature, supported]) => !supported)
             .map(([feature]) => feature);
         
         if (unsupported.length > 0) {
-            throw new Error(`Browser does not support: ${unsupported.join(', ')}`);
+            console.warn(`⚠️ Voice disabled, browser does not support: ${unsupported.join(', ')}`);
+            return false;
         }
         
         console.log('✅ Browser support check passed');
+        return true;
     }
 
     async initializeAudio() {
         try {
             await this.audio.initialize();
+            this.audioAvailable = true;
             this.ui.updateAudioStatus(true);
             console.log('✅ Audio initialized');
         } catch (error) {
+            this.audioAvailable = false;
             this.ui.updateAudioStatus(false);
-            throw new Error('Microphone access denied or not available');
+            console.warn('⚠️ Microphone access denied or not available, text chat only:', error);
+        }
+    }
+
+    // The embedding page passes a token as ?token=...; kept for the tab's lifetime and removed from the URL
+    loadAccessToken() {
+        const url = new URL(window.location.href);
+        const token = url.searchParams.get('token');
+        if (token) {
+            sessionStorage.setItem('voiceAgentToken', token);
+            url.searchParams.delete('token');
+            window.history.replaceState(null, '', url);
+        }
+        this.accessToken = sessionStorage.getItem('voiceAgentToken');
+    }
+
+    apiFetch(path, options = {}) {
+        const headers = { ...options.headers };
+        if (this.accessToken) {
+            headers.Authorization = `Bearer ${this.accessToken}`;
+        }
+        return fetch(path, { ...options, headers });
+    }
+
+    // Download the stored conversation via /api/conversations/:id/export
+    async exportConversation(format) {
+        if (!this.conversationId) return;
+        
+        try {
+            const response = await this.apiFetch(`/api/conversations/${this.conversationId}/export?format=${format}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `conversation-${this.conversationId}`;
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            this.ui.showNotification('Export failed: ' + error.message, 'error');
         }
     }
 
@@ -103,12 +198,28 @@ class VoiceAgentApp {
                 this.ui.showNotification('OpenAI API key not configured', 'warning');
             }
             
+            if (status.auth && !this.accessToken) {
+                this.ui.showNotification('Sign-in required: open this page with a valid ?token=', 'error');
+            }
+            
             console.log('📊 API Status:', status);
         } catch (error) {
             console.error('Failed to check API status:', error);
         }
     }
 
+    async loadPersonas() {
+        try {
+            const response = await this.apiFetch('/api/personas');
+            const { personas, default: defaultId } = await response.json();
+            
+            this.ui.setPersonas(personas, this.sessionConfig.persona || defaultId);
+            console.log('🎭 Personas loaded:', personas.map(persona => persona.id));
+        } catch (error) {
+            console.error('Failed to load personas:', error);
+        }
+    }
+
     // WebSocket event handlers
     handleWebSocketConnect() {
         console.log('🔌 WebSocket connected');
@@ -129,11 +240,15 @@ class VoiceAgentApp {
         
         switch (type) {
             case 'session_started':
-                this.handleSessionStarted();
+                this.handleSessionStarted(payload);
+                break;
+                
+            case 'session_updated':
+                this.handleSessionUpdated(payload);
                 break;
                 
             case 'session_ended':
-                this.handleSessionEnded();
+                this.handleSessionEnded(payload);
                 break;
                 
             case 'audio_response':
@@ -144,12 +259,56 @@ class VoiceAgentApp {
                 this.handleTextResponse(payload);
                 break;
                 
+            case 'audio_complete':
+                this.handleAudioComplete(payload);
+                break;
+                
+            case 'response_complete':
+                this.handleResponseComplete(payload);
+                break;
+                
+            case 'response_interrupted':
+                this.handleResponseInterrupted(payload);
+                break;
+                
+            case 'ptt_committed':
+                this.handlePushToTalkCommitted(payload);
+                break;
+                
+            case 'ptt_discarded':
+                this.handlePushToTalkDiscarded(payload);
+                break;
+                
+            case 'tool_call':
+                this.handleToolCall(payload);
+                break;
+                
+            case 'tool_result':
+                this.handleToolResult(payload);
+                break;
+                
+            case 'upstream_reconnecting':
+                this.handleUpstreamReconnecting(payload);
+                break;
+                
+            case 'upstream_restored':
+                this.handleUpstreamRestored(payload);
+                break;
+                
+            case 'upstream_failed':
+                this.handleUpstreamFailed(payload);
+                break;
+                
             case 'speech_started':
-                this.handleSpeechStarted();
+                this.handleSpeechStarted(payload);
                 break;
                 
             case 'speech_stopped':
-                this.handleSpeechStopped();
+                this.handleSpeechStopped(payload);
+                break;
+                
+            case 'user_transcript':
+                this.handleUserTranscript(payload);
                 break;
                 
             case 'webrtc_offer':
@@ -164,8 +323,12 @@ class VoiceAgentApp {
                 this.webrtc.handleIceCandidate(payload);
                 break;
                 
+            case 'usage_update':
+                this.ui.updateUsage(payload.session);
+                break;
+                
             case 'error':
-                this.handleServerError(payload);
+                this.handleServerError(payload || { message: data.message }, data.request_id);
                 break;
                 
             case 'n8n_response':
@@ -189,19 +352,23 @@ class VoiceAgentApp {
             console.log('🎤 Starting conversation...');
             
             // Initialize WebRTC if needed
-            if (!this.webrtc.isConnected) {
+            if (this.audioAvailable && !this.webrtc.isConnected) {
                 await this.webrtc.initialize(this.audio.mediaStream);
             }
             
             // Start OpenAI session
-            this.ws.startSession();
+            this.startRequestId = this.ws.startSession(this.sessionConfig);
             
             // Start recording
-            this.audio.startRecording();
+            if (this.audioAvailable) {
+                this.audio.startRecording();
+            }
             
             this.isSessionActive = true;
-            this.ui.setConversationActive(true);
-            this.ui.addMessage('system', 'Conversation started. Speak now...');
+            this.ui.setConversationActive(true, this.audioAvailable);
+            this.ui.addMessage('system', this.audioAvailable
+                ? 'Conversation started. Speak now or type a message...'
+                : 'Conversation started. Type a message...');
             
             console.log('✅ Conversation started');
             
@@ -219,14 +386,17 @@ class VoiceAgentApp {
         try {
             console.log('⏹️ Stopping conversation...');
             
-            // Stop recording
+            // Stop recording and silence any reply still playing
             this.audio.stopRecording();
+            this.audio.interruptPlayback();
             
             // End OpenAI session
             this.ws.endSession();
             
             this.isSessionActive = false;
+            this.startRequestId = null;
             this.ui.setConversationActive(false);
+            this.pendingPushToTalk = [];
             this.ui.addMessage('system', 'Conversation ended.');
             
             console.log('✅ Conversation stopped');
@@ -237,8 +407,82 @@ class VoiceAgentApp {
         }
     }
 
-    toggleMute() {
+    // Change voice, persona or turn detection; applied live when a session is running
+    configureSession(config) {
+        this.sessionConfig = { ...this.sessionConfig, ...config };
+        
+        if (this.isSessionActive) {
+            this.ws.updateSession(config);
+        }
+    }
+
+    // 'vad' lets the server detect turns; 'ptt' turns VAD off and the user holds a button to talk
+    setTurnMode(mode) {
+        const pushToTalk = mode === 'ptt';
+        this.configureSession({ turn_detection: pushToTalk ? null : { type: 'server_vad' } });
+        this.ui.setPushToTalkMode(pushToTalk);
+    }
+
+    isPushToTalk() {
+        return this.sessionConfig.turn_detection === null;
+    }
+
+    startPushToTalk() {
+        if (!this.isSessionActive || !this.isPushToTalk() || !this.audioAvailable) {
+            return;
+        }
+        
+        this.isPushToTalkHeld = true;
+        this.interruptAssistant();
+        this.ws.pttStart();
+        
+        const placeholderId = `ptt-${++this.pushToTalkCount}`;
+        this.pendingPushToTalk.push(placeholderId);
+        this.ui.addUserPlaceholder(placeholderId, 'Listening...');
+    }
+
+    endPushToTalk() {
+        if (!this.isPushToTalkHeld) {
+            return;
+        }
+        
+        this.isPushToTalkHeld = false;
+        this.ws.pttEnd();
+        this.ui.updateUserPlaceholder(this.pendingPushToTalk[this.pendingPushToTalk.length - 1], 'Processing...');
+    }
+
+    handlePushToTalkCommitted(payload) {
+        console.log(`🎙️ Push-to-talk turn committed (${payload.audio_ms}ms)`);
+        const placeholderId = this.pendingPushToTalk.shift();
+        this.ui.renameUserPlaceholder(placeholderId, payload.item_id);
+    }
+
+    handlePushToTalkDiscarded(payload) {
+        console.log(`🎙️ Push-to-talk turn discarded (${payload.audio_ms}ms)`);
+        this.ui.removeUserPlaceholder(this.pendingPushToTalk.shift());
+        this.ui.showNotification('Hold the talk button while you speak', 'info', 3000);
+    }
+
+    // Typed user turn; the reply streams back like a spoken one
+    sendText(text) {
         if (!this.isSessionActive) {
+            this.ui.showNotification('Start a conversation before sending messages', 'warning');
+            return;
+        }
+        
+        this.interruptAssistant();
+        this.ui.addMessage('user', text);
+        this.ws.sendText(text);
+    }
+
+    async togglePlaybackPause() {
+        await this.audio.togglePlaybackPaused();
+        const paused = this.audio.getStatus().playbackPaused;
+        this.ui.showNotification(paused ? 'Assistant voice paused (press P to resume)' : 'Assistant voice resumed', 'info', 2000);
+    }
+
+    toggleMute() {
+        if (!this.isSessionActive || !this.audioAvailable) {
             return;
         }
         
@@ -250,16 +494,25 @@ class VoiceAgentApp {
 
     // Audio handling
     handleAudioData(audioData) {
+        // In push-to-talk mode the microphone is only sent while the button is held
+        if (this.isPushToTalk() && !this.isPushToTalkHeld) {
+            return;
+        }
+        
         if (this.isSessionActive && this.ws.isConnected) {
             this.ws.sendAudioData(audioData);
         }
     }
 
     handleAudioResponse(payload) {
+        if (this.interruptedItems.has(payload.item_id)) {
+            return;
+        }
+        
         console.log('🔊 Received audio response');
         
         if (payload.audio) {
-            this.audio.playAudioResponse(payload.audio);
+            this.audio.playAudioResponse(payload.audio, payload.item_id);
         }
     }
 
@@ -267,31 +520,128 @@ class VoiceAgentApp {
         console.log('📝 Received text response:', payload.text);
         
         if (payload.text) {
-            this.ui.addMessage('assistant', payload.text);
+            this.ui.appendAssistantText(payload.item_id, payload.text);
+        }
+    }
+
+    handleAudioComplete(payload) {
+        console.log('🔊 Audio response completed:', payload.item_id);
+    }
+
+    handleResponseComplete(payload) {
+        console.log('✅ Response completed:', payload.response_id, payload.status);
+        
+        if (payload.status === 'failed') {
+            this.ui.showNotification('The assistant could not complete its response', 'warning');
+        }
+    }
+
+    // Tool calls
+    handleToolCall(payload) {
+        console.log('🛠️ Tool call:', payload.name);
+        this.ui.addToolCall(payload);
+    }
+
+    handleToolResult(payload) {
+        console.log('🛠️ Tool result:', payload.name, payload.success ? 'succeeded' : 'failed');
+        this.ui.updateToolResult(payload);
+    }
+
+    // Upstream OpenAI connection recovery
+    handleUpstreamReconnecting(payload) {
+        console.warn(`🔄 Assistant reconnecting (${payload.attempt}/${payload.max_attempts})`);
+        this.ui.setUpstreamState('reconnecting', payload);
+        
+        if (payload.attempt === 1) {
+            this.ui.showNotification('Connection to the assistant lost, reconnecting...', 'warning');
         }
     }
 
+    handleUpstreamRestored(payload) {
+        console.log(`♻️ Assistant reconnected after ${payload.attempts} attempt(s)`);
+        this.ui.setUpstreamState('restored', payload);
+        this.ui.showNotification('Assistant reconnected', 'success');
+        this.ui.addMessage('system', 'Connection restored. You can keep talking.');
+    }
+
+    handleUpstreamFailed(payload) {
+        console.error(`❌ Assistant reconnection failed after ${payload.attempts} attempts`);
+        this.ui.setUpstreamState('failed', payload);
+        this.ui.showNotification('Could not reconnect to the assistant', 'error');
+        this.stopConversation();
+    }
+
     // Speech detection
-    handleSpeechStarted() {
+    handleSpeechStarted(payload = {}) {
         console.log('🗣️ User speech detected');
-        this.ui.addMessage('system', 'Listening...');
+        this.interruptAssistant();
+        this.ui.addUserPlaceholder(payload.item_id, 'Listening...');
+    }
+
+    // Barge-in: stop assistant playback and tell the server how much was heard
+    interruptAssistant() {
+        const interruption = this.audio.interruptPlayback();
+        if (!interruption || !interruption.itemId) {
+            return;
+        }
+        
+        this.interruptedItems.add(interruption.itemId);
+        this.ws.interruptResponse(interruption.itemId, interruption.playedMs);
+    }
+
+    handleResponseInterrupted(payload) {
+        console.log(`✂️ Assistant interrupted at ${payload.audio_end_ms}ms of ${payload.generated_ms}ms`);
     }
 
-    handleSpeechStopped() {
+    handleSpeechStopped(payload = {}) {
         console.log('🤐 User speech ended');
-        this.ui.addMessage('system', 'Processing...');
+        this.ui.updateUserPlaceholder(payload.item_id, 'Processing...');
+    }
+
+    handleUserTranscript(payload) {
+        console.log('📝 User transcript:', payload.status, payload.transcript);
+        this.ui.resolveUserMessage(payload.item_id, payload.transcript, payload.status === 'failed');
     }
 
     // Session events
-    handleSessionStarted() {
-        console.log('🤖 OpenAI session started');
+    handleSessionStarted(payload = {}) {
+        this.startRequestId = null;
+        console.log('🤖 OpenAI session started', payload.persona ? `(persona ${payload.persona.id} v${payload.persona.version})` : '');
         this.ui.showNotification('AI assistant is ready', 'success');
+        this.conversationId = payload.conversationId || null;
+        this.ui.setExportAvailable(!!this.conversationId);
+
+        // Recorded personas announce it out loud too; this keeps it on screen for the whole call
+        const recording = payload.recording || {};
+        this.ui.setRecording(!!recording.enabled, recording.notice);
+        if (recording.enabled) {
+            this.ui.addMessage('system', recording.notice);
+        }
     }
 
-    handleSessionEnded() {
+    handleSessionUpdated(payload) {
+        console.log('🔄 OpenAI session updated:', payload.config, payload.persona);
+        this.ui.showNotification('Assistant settings updated', 'success');
+    }
+
+    handleSessionEnded(payload = {}) {
         console.log('🔚 OpenAI session ended');
+        // A supervisor or the idle timeout ended the session on the server: stop the microphone here too
+        if (payload.reason !== 'ended_by_user' && this.isSessionActive) {
+            this.audio.stopRecording();
+            this.audio.interruptPlayback();
+            this.pendingPushToTalk = [];
+            if (payload.reason === 'idle_timeout') {
+                this.ui.addMessage('system', payload.notice || 'This conversation was ended for inactivity.');
+                this.ui.showNotification('Conversation ended for inactivity', 'warning');
+            } else {
+                this.ui.addMessage('system', 'This conversation was ended by a supervisor.');
+                this.ui.showNotification('Conversation ended by a supervisor', 'warning');
+            }
+        }
         this.isSessionActive = false;
         this.ui.setConversationActive(false);
+        this.ui.setRecording(false);
     }
 
     // WebRTC handling
@@ -320,9 +670,36 @@ class VoiceAgentApp {
     }
 
     // Error handling
-    handleServerError(payload) {
+    handleServerError(payload = {}, requestId) {
         console.error('Server error:', payload);
-        this.ui.showNotification(payload.message || 'Server error occurred', 'error');
+        
+        if (payload.code === 'rate_limited') {
+            this.handleRateLimited(payload);
+        } else {
+            const details = Array.isArray(payload.details) && payload.details.length > 0
+                ? `: ${payload.details.join('; ')}`
+                : '';
+            this.ui.showNotification((payload.message || 'Server error occurred') + details, 'error');
+        }
+        
+        // Any error answering start_session means the conversation never started: stop the microphone
+        if (requestId !== undefined && requestId === this.startRequestId) {
+            this.startRequestId = null;
+            this.stopConversation();
+        }
+    }
+
+    // Explain which limit was hit
+    handleRateLimited({ limit, retry_after_ms: retryAfterMs = 0 }) {
+        const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        const explanations = {
+            messages_per_second: 'Too many messages at once. Please slow down.',
+            audio_bytes_per_minute: `Audio limit reached; your microphone is ignored for about ${seconds}s.`,
+            n8n_per_minute: `Too many workflow requests. Try again in ${seconds}s.`,
+            sessions_per_day: 'You have reached your conversation limit for today. Please try again tomorrow.',
+            concurrent_sessions: 'The assistant is busy right now. Please try again in a minute.'
+        };
+        this.ui.showNotification(explanations[limit] || 'Rate limit reached. Please wait a moment.', 'warning');
     }
 
     // N8N integration
@@ -1,15 +1,25 @@
+// Worklet module for PCM16 capture, relative to the page
+const PCM16_CAPTURE_MODULE = 'js/pcm16-capture.js';
+// Frames of 40ms at 24 kHz sent to onAudioData
+const CAPTURE_FRAME_SAMPLES = 960;
+
 class AudioProcessor {
     constructor() {
         this.audioContext = null;
         this.mediaStream = null;
-        this.mediaRecorder = null;
-        this.audioChunks = [];
+        this.mediaSource = null;
+        this.captureNode = null;
+        this.captureSink = null;
+        this.captureMode = null; // 'worklet' or 'script-processor'
         this.isRecording = false;
         this.isMuted = false;
         this.analyser = null;
         this.dataArray = null;
         this.animationId = null;
         
+        // Response playback, created on first use (see Pcm16Player)
+        this.player = null;
+        
         this.onAudioData = null;
         this.onVolumeChange = null;
     }
@@ -24,45 +34,20 @@ class AudioProcessor {
                     echoCancellation: true,
                     noiseSuppression: true,
                     autoGainControl: true,
-                    sampleRate: 16000,
                     channelCount: 1
                 }
             });
 
-            // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 16000
-            });
+            // Create audio context at the device rate; capture resamples to 24 kHz
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
             // Create analyser for visualization
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
             this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
 
-            // Connect media stream to analyser
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
-            source.connect(this.analyser);
-
-            // Setup media recorder for audio capture
-            this.mediaRecorder = new MediaRecorder(this.mediaStream, {
-                mimeType: 'audio/webm;codecs=opus'
-            });
-
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.audioChunks.push(event.data);
-                    
-                    // Convert to base64 and send to server
-                    if (this.onAudioData) {
-                        const reader = new FileReader();
-                        reader.onload = () => {
-                            const base64Audio = reader.result.split(',')[1];
-                            this.onAudioData(base64Audio);
-                        };
-                        reader.readAsDataURL(event.data);
-                    }
-                }
-            };
+            await this.createCaptureNode();
+            this.connectSource();
 
             console.log('✅ Audio processor initialized successfully');
             return true;
@@ -72,15 +57,78 @@ class AudioProcessor {
         }
     }
 
+    // PCM16 capture runs on an AudioWorklet, or a ScriptProcessor on browsers without one
+    async createCaptureNode() {
+        if (this.audioContext.audioWorklet && window.AudioWorkletNode) {
+            try {
+                await this.audioContext.audioWorklet.addModule(PCM16_CAPTURE_MODULE);
+                this.captureNode = new AudioWorkletNode(this.audioContext, 'pcm16-capture', {
+                    numberOfOutputs: 0,
+                    channelCount: 1,
+                    channelCountMode: 'explicit',
+                    processorOptions: { frameSamples: CAPTURE_FRAME_SAMPLES }
+                });
+                this.captureNode.port.onmessage = (event) => this.handleCapturedFrame(event.data);
+                this.captureMode = 'worklet';
+                return;
+            } catch (error) {
+                console.warn('⚠️ AudioWorklet capture unavailable, falling back to ScriptProcessor:', error);
+            }
+        }
+
+        const encoder = new Pcm16Encoder(this.audioContext.sampleRate, { frameSamples: CAPTURE_FRAME_SAMPLES });
+        this.captureNode = this.audioContext.createScriptProcessor(4096, 1, 1);
+        this.captureNode.onaudioprocess = (event) => {
+            encoder.push(event.inputBuffer.getChannelData(0)).forEach(frame => this.handleCapturedFrame(frame));
+        };
+
+        // A ScriptProcessor only runs when it leads to the destination; the silent gain keeps the mic out of the speakers
+        this.captureSink = this.audioContext.createGain();
+        this.captureSink.gain.value = 0;
+        this.captureNode.connect(this.captureSink);
+        this.captureSink.connect(this.audioContext.destination);
+        this.captureMode = 'script-processor';
+    }
+
+    // Feed the current microphone stream to the analyser and the capture node
+    connectSource() {
+        if (this.mediaSource) {
+            this.mediaSource.disconnect();
+        }
+
+        this.mediaSource = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.mediaSource.connect(this.analyser);
+        this.mediaSource.connect(this.captureNode);
+    }
+
+    handleCapturedFrame(frame) {
+        if (!this.isRecording || !this.onAudioData) {
+            return;
+        }
+
+        this.onAudioData(AudioProcessor.toBase64(frame));
+    }
+
+    static toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
     startRecording() {
-        if (!this.mediaRecorder || this.isRecording) {
-            console.warn('Cannot start recording: MediaRecorder not ready or already recording');
+        if (!this.captureNode || this.isRecording) {
+            console.warn('Cannot start recording: audio capture not ready or already recording');
             return false;
         }
 
         try {
-            this.audioChunks = [];
-            this.mediaRecorder.start(100); // Capture in 100ms chunks for real-time processing
+            // Contexts created before a user gesture start suspended
+            if (this.audioContext.state === 'suspended') {
+                this.audioContext.resume();
+            }
             this.isRecording = true;
             this.startVisualization();
             
@@ -93,13 +141,12 @@ class AudioProcessor {
     }
 
     stopRecording() {
-        if (!this.mediaRecorder || !this.isRecording) {
+        if (!this.isRecording) {
             console.warn('Cannot stop recording: not currently recording');
             return false;
         }
 
         try {
-            this.mediaRecorder.stop();
             this.isRecording = false;
             this.stopVisualization();
             
@@ -160,57 +207,56 @@ class AudioProcessor {
         }
     }
 
-    // Convert audio to PCM16 format for OpenAI
-    async convertToPCM16(audioBlob) {
-        try {
-            const arrayBuffer = await audioBlob.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            // Get the first channel (mono)
-            const channelData = audioBuffer.getChannelData(0);
-            
-            // Convert to 16-bit PCM
-            const pcm16 = new Int16Array(channelData.length);
-            for (let i = 0; i < channelData.length; i++) {
-                // Convert from [-1, 1] to [-32768, 32767]
-                pcm16[i] = Math.max(-32768, Math.min(32767, channelData[i] * 32768));
-            }
-            
-            return pcm16.buffer;
-        } catch (error) {
-            console.error('Error converting audio to PCM16:', error);
-            throw error;
+    // Playback runs on its own 24 kHz context so pausing it never stops capture
+    getPlayer() {
+        if (!this.player) {
+            const context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 24000 });
+            this.player = new Pcm16Player(context);
         }
+        return this.player;
     }
 
-    // Play audio response from OpenAI
-    async playAudioResponse(base64Audio) {
+    // Schedule a PCM16 response delta from OpenAI right after the audio already queued
+    playAudioResponse(base64Audio, itemId = null) {
         try {
-            // Convert base64 to blob
-            const binaryString = atob(base64Audio);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
+            const player = this.getPlayer();
+            if (player.audioContext.state === 'suspended' && !player.isPaused) {
+                player.audioContext.resume();
             }
-            
-            const audioBlob = new Blob([bytes], { type: 'audio/wav' });
-            const audioUrl = URL.createObjectURL(audioBlob);
-            
-            // Play the audio
-            const audio = new Audio(audioUrl);
-            audio.play();
-            
-            // Clean up URL after playing
-            audio.onended = () => {
-                URL.revokeObjectURL(audioUrl);
-            };
-            
-            console.log('🔊 Playing AI response');
+            player.enqueue(base64Audio, itemId);
         } catch (error) {
             console.error('❌ Failed to play audio response:', error);
         }
     }
 
+    // Stop and flush playback; returns the interrupted item and how much of it was heard
+    interruptPlayback() {
+        const interruption = this.player ? this.player.flush() : null;
+        if (!interruption) {
+            return null;
+        }
+        
+        console.log(`✂️ Playback interrupted after ${interruption.playedMs}ms`);
+        return interruption;
+    }
+
+    pausePlayback() {
+        return this.getPlayer().pause();
+    }
+
+    resumePlayback() {
+        return this.getPlayer().resume();
+    }
+
+    togglePlaybackPaused() {
+        const player = this.getPlayer();
+        return player.isPaused ? player.resume() : player.pause();
+    }
+
+    setPlaybackRate(rate) {
+        return this.getPlayer().setPlaybackRate(rate);
+    }
+
     // Get audio devices
     async getAudioDevices() {
         try {
@@ -238,22 +284,15 @@ class AudioProcessor {
                     echoCancellation: true,
                     noiseSuppression: true,
                     autoGainControl: true,
-                    sampleRate: 16000,
                     channelCount: 1
                 }
             });
 
-            // Reconnect to analyser
-            if (this.audioContext && this.analyser) {
-                const source = this.audioContext.createMediaStreamSource(this.mediaStream);
-                source.connect(this.analyser);
+            // Reconnect analyser and capture
+            if (this.audioContext && this.captureNode) {
+                this.connectSource();
             }
 
-            // Update media recorder
-            this.mediaRecorder = new MediaRecorder(this.mediaStream, {
-                mimeType: 'audio/webm;codecs=opus'
-            });
-
             console.log('🎤 Audio input device switched');
             return true;
         } catch (error) {
@@ -268,6 +307,11 @@ class AudioProcessor {
         this.stopRecording();
         this.stopVisualization();
         
+        if (this.player) {
+            this.player.close();
+            this.player = null;
+        }
+        
         if (this.mediaStream) {
             this.mediaStream.getTracks().forEach(track => track.stop());
             this.mediaStream = null;
@@ -278,10 +322,11 @@ class AudioProcessor {
             this.audioContext = null;
         }
         
-        this.mediaRecorder = null;
+        this.mediaSource = null;
+        this.captureNode = null;
+        this.captureSink = null;
         this.analyser = null;
         this.dataArray = null;
-        this.audioChunks = [];
     }
 
     // Get current status
@@ -291,6 +336,10 @@ class AudioProcessor {
             recording: this.isRecording,
             muted: this.isMuted,
             sampleRate: this.audioContext?.sampleRate,
+            captureMode: this.captureMode,
+            playing: this.player?.isPlaying || false,
+            playbackPaused: this.player?.isPaused || false,
+            playbackRate: this.player?.playbackRate || 1,
             state: this.audioContext?.state
         };
     }
@@ -0,0 +1,97 @@
+// Microphone capture as 24 kHz mono little-endian PCM16, the `pcm16` input format the Realtime API expects.
+// Loaded twice: as a page script (for the ScriptProcessor fallback) and as an AudioWorklet module.
+
+class Pcm16Encoder {
+    constructor(inputSampleRate, options = {}) {
+        this.outputSampleRate = options.outputSampleRate || 24000;
+        this.frameSamples = options.frameSamples || 960; // 40ms at 24 kHz
+        this.ratio = inputSampleRate / this.outputSampleRate;
+
+        // Read position relative to the start of the next input block; -1..0 falls between
+        // the last sample of the previous block and the first of the next
+        this.position = 0;
+        this.lastSample = 0;
+
+        this.startFrame();
+    }
+
+    startFrame() {
+        this.frame = new ArrayBuffer(this.frameSamples * 2);
+        this.frameView = new DataView(this.frame);
+        this.frameLength = 0;
+    }
+
+    // Average all input channels into one
+    static mixDown(channels) {
+        if (channels.length === 1) {
+            return channels[0];
+        }
+
+        const mono = new Float32Array(channels[0].length);
+        channels.forEach(channel => {
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += channel[i] / channels.length;
+            }
+        });
+        return mono;
+    }
+
+    // Resample a block of float samples and return any frames it completed
+    push(samples) {
+        const frames = [];
+        let position = this.position;
+
+        // Linear interpolation between the two input samples around each output sample
+        while (position < samples.length - 1) {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const before = index < 0 ? this.lastSample : samples[index];
+            const after = samples[index + 1];
+
+            this.write(before + (after - before) * fraction, frames);
+            position += this.ratio;
+        }
+
+        if (samples.length > 0) {
+            this.lastSample = samples[samples.length - 1];
+            this.position = position - samples.length;
+        }
+        return frames;
+    }
+
+    write(sample, frames) {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        const value = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+        this.frameView.setInt16(this.frameLength * 2, value, true);
+        this.frameLength++;
+
+        if (this.frameLength === this.frameSamples) {
+            frames.push(this.frame);
+            this.startFrame();
+        }
+    }
+}
+
+if (typeof AudioWorkletProcessor !== 'undefined') {
+    // Posts each completed PCM16 frame (an ArrayBuffer) to the main thread
+    class Pcm16CaptureProcessor extends AudioWorkletProcessor {
+        constructor(options) {
+            super();
+            this.encoder = new Pcm16Encoder(sampleRate, options.processorOptions);
+        }
+
+        process(inputs) {
+            const channels = inputs[0];
+            if (channels && channels.length > 0) {
+                this.encoder.push(Pcm16Encoder.mixDown(channels)).forEach(frame => {
+                    this.port.postMessage(frame, [frame]);
+                });
+            }
+            return true;
+        }
+    }
+
+    registerProcessor('pcm16-capture', Pcm16CaptureProcessor);
+}
+
+globalThis.Pcm16Encoder = Pcm16Encoder;
@@ -0,0 +1,169 @@
+// Gapless playback of streamed 24 kHz PCM16 response deltas. Each delta becomes an AudioBuffer
+// scheduled to start exactly where the previous one ends on the AudioContext timeline.
+
+const PLAYBACK_SAMPLE_RATE = 24000;
+// Head start given to the first chunk after the queue runs dry, to absorb scheduling jitter
+const PLAYBACK_LEAD_SECONDS = 0.05;
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+// Finished items whose played time is remembered, oldest dropped first
+const MAX_TRACKED_ITEMS = 20;
+
+class Pcm16Player {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.output.connect(audioContext.destination);
+
+        this.chunks = []; // scheduled { source, buffer, itemId, startAt, offsetMs, durationMs }
+        this.nextStartTime = 0;
+        this.playbackRate = 1;
+        this.isPaused = false;
+        // Milliseconds of each item already played by chunks that have finished
+        this.finishedMs = new Map();
+    }
+
+    static decode(base64Audio) {
+        const binary = atob(base64Audio);
+        const view = new DataView(new ArrayBuffer(binary.length));
+        for (let i = 0; i < binary.length; i++) {
+            view.setUint8(i, binary.charCodeAt(i));
+        }
+
+        const samples = new Float32Array(Math.floor(binary.length / 2));
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = view.getInt16(i * 2, true) / 0x8000;
+        }
+        return samples;
+    }
+
+    get isPlaying() {
+        return this.chunks.length > 0;
+    }
+
+    enqueue(base64Audio, itemId = null) {
+        const samples = Pcm16Player.decode(base64Audio);
+        if (samples.length === 0) return;
+
+        const buffer = this.audioContext.createBuffer(1, samples.length, PLAYBACK_SAMPLE_RATE);
+        buffer.getChannelData(0).set(samples);
+
+        this.schedule(buffer, itemId, 0);
+    }
+
+    // Start a buffer (from offsetMs into it) right after everything already scheduled
+    schedule(buffer, itemId, offsetMs) {
+        const durationMs = buffer.length / PLAYBACK_SAMPLE_RATE * 1000;
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = this.playbackRate;
+        source.connect(this.output);
+
+        const startAt = Math.max(this.nextStartTime, this.audioContext.currentTime + PLAYBACK_LEAD_SECONDS);
+        const chunk = { source, buffer, itemId, startAt, offsetMs, durationMs };
+        source.onended = () => this.handleChunkEnded(chunk);
+        source.start(startAt, offsetMs / 1000);
+
+        this.nextStartTime = startAt + (durationMs - offsetMs) / 1000 / this.playbackRate;
+        this.chunks.push(chunk);
+    }
+
+    handleChunkEnded(chunk) {
+        const index = this.chunks.indexOf(chunk);
+        if (index === -1) return; // flushed or rescheduled
+
+        this.chunks.splice(index, 1);
+        this.finishedMs.set(chunk.itemId, (this.finishedMs.get(chunk.itemId) || 0) + chunk.durationMs - chunk.offsetMs);
+
+        if (this.finishedMs.size > MAX_TRACKED_ITEMS) {
+            this.finishedMs.delete(this.finishedMs.keys().next().value);
+        }
+    }
+
+    // How far into a chunk playback is, in milliseconds of item audio
+    chunkPlayedMs(chunk) {
+        const elapsedMs = (this.audioContext.currentTime - chunk.startAt) * 1000 * this.playbackRate;
+        return Math.max(0, Math.min(chunk.durationMs - chunk.offsetMs, elapsedMs));
+    }
+
+    // Milliseconds of an item's audio the user has heard so far
+    playedMs(itemId) {
+        return this.chunks
+            .filter(chunk => chunk.itemId === itemId)
+            .reduce((total, chunk) => total + this.chunkPlayedMs(chunk), this.finishedMs.get(itemId) || 0);
+    }
+
+    // Stop everything; returns the item that was audible and how much of it was heard
+    flush() {
+        if (this.chunks.length === 0) {
+            return null;
+        }
+
+        const now = this.audioContext.currentTime;
+        const started = this.chunks.filter(chunk => chunk.startAt <= now);
+        const current = started.length > 0 ? started[started.length - 1] : this.chunks[0];
+        const interrupted = { itemId: current.itemId, playedMs: Math.round(this.playedMs(current.itemId)) };
+
+        this.stopSources();
+        this.finishedMs.clear();
+        return interrupted;
+    }
+
+    stopSources() {
+        const chunks = this.chunks;
+        this.chunks = [];
+        this.nextStartTime = 0;
+
+        chunks.forEach(chunk => {
+            chunk.source.onended = null;
+            try {
+                chunk.source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            chunk.source.disconnect();
+        });
+    }
+
+    // Suspending the context freezes currentTime, so scheduled chunks and played-ms stay in step
+    async pause() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        await this.audioContext.suspend();
+    }
+
+    async resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        await this.audioContext.resume();
+    }
+
+    // Re-times the queue: unplayed audio is rescheduled from the current position at the new rate
+    setPlaybackRate(rate) {
+        const clamped = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+        if (clamped === this.playbackRate) return clamped;
+
+        // What was heard so far moves into finishedMs; the rescheduled chunks cover the rest
+        const remaining = this.chunks.map(chunk => {
+            const heardMs = this.chunkPlayedMs(chunk);
+            this.finishedMs.set(chunk.itemId, (this.finishedMs.get(chunk.itemId) || 0) + heardMs);
+            return { buffer: chunk.buffer, itemId: chunk.itemId, offsetMs: chunk.offsetMs + heardMs, durationMs: chunk.durationMs };
+        });
+
+        this.stopSources();
+        this.playbackRate = clamped;
+        remaining
+            .filter(chunk => chunk.offsetMs < chunk.durationMs)
+            .forEach(chunk => this.schedule(chunk.buffer, chunk.itemId, chunk.offsetMs));
+
+        return clamped;
+    }
+
+    close() {
+        this.stopSources();
+        this.output.disconnect();
+        return this.audioContext.close();
+    }
+}
+
+globalThis.Pcm16Player = Pcm16Player;
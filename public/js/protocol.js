@@ -0,0 +1,333 @@
+// Client/server WebSocket protocol, shared by the browser client and the server.
+//
+// Every message is a JSON object { type, payload, request_id, message }:
+//   - `type` picks the JSON Schema the whole message must match (CLIENT_MESSAGES, SERVER_MESSAGES,
+//     and ADMIN_MESSAGES on the admin feed)
+//   - `payload` carries the data; some types have none
+//   - `request_id` is chosen by the client and echoed on the server's direct replies to that message
+//   - `message` is a human-readable note, server messages only
+// A client opens with `hello` naming the protocol version it speaks and the server answers with
+// `welcome`. A client that skips hello is taken to speak version 1. Failures are `error` messages
+// whose payload.code is one of ERROR_CODES, or the Realtime API's own code when source is 'openai'.
+// `ping` is answered with `pong` carrying the same request_id, and doesn't count as activity for the
+// idle timeouts.
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+// Spoken by clients that never send hello
+const IMPLICIT_PROTOCOL_VERSION = 1;
+
+const MAX_TEXT_LENGTH = 4000;
+// Base64 characters in one audio_data chunk, about 16s of 24 kHz PCM16
+const MAX_AUDIO_CHUNK_LENGTH = 1024 * 1024;
+
+const SESSION_END_REASONS = ['ended_by_user', 'ended_by_admin', 'idle_timeout'];
+
+const ERROR_CODES = {
+    invalid_json: 'The message is not valid JSON',
+    invalid_message: 'The message does not match the schema for its type; details lists why',
+    unknown_message_type: 'The message type is not part of the protocol',
+    unsupported_protocol_version: 'hello asked for a protocol version the server does not speak',
+    unexpected_hello: 'hello was sent more than once, or after other messages',
+    invalid_session_config: 'start_session or update_session asked for settings outside the allow-list',
+    unsupported_audio_format: 'start_session asked for audio formats the server cannot convert',
+    invalid_audio_data: 'An audio_data chunk could not be decoded in the negotiated format',
+    invalid_text: 'send_text needs text of 1 to MAX_TEXT_LENGTH characters',
+    session_not_active: 'The message needs an active session',
+    session_already_active: 'start_session was sent while a session is running; end it first or use update_session',
+    upstream_unavailable: 'start_session could not reach the OpenAI Realtime API',
+    push_to_talk_unavailable: 'ptt_start needs an active session with turn_detection set to null',
+    rate_limited: 'A server-wide limit was hit; payload.limit names it and retry_after_ms says when to retry',
+    webrtc_error: 'WebRTC signaling failed',
+    internal_error: 'The server failed while handling the message'
+};
+
+// --- Schemas ---------------------------------------------------------------
+
+const nullableType = type => ({ type: [type, 'null'] });
+
+function objectSchema(properties, required = []) {
+    return { type: 'object', properties, required, additionalProperties: false };
+}
+
+const REQUEST_ID = { type: ['string', 'integer'], minLength: 1, maxLength: 64 };
+
+// Keys and values are checked by the session allow-list (invalid_session_config)
+const SESSION_CONFIG = { type: 'object' };
+
+const SESSION_INFO = objectSchema({
+    config: { type: 'object' },
+    persona: objectSchema({ id: { type: 'string' }, version: { type: 'string' } }, ['id', 'version'])
+}, ['config', 'persona']);
+
+const SESSION_DESCRIPTION = objectSchema({
+    type: { enum: ['offer', 'answer'] },
+    sdp: { type: 'string' }
+}, ['type', 'sdp']);
+
+const ICE_CANDIDATE = objectSchema({
+    candidate: { type: 'string' },
+    sdpMid: nullableType('string'),
+    sdpMLineIndex: nullableType('integer'),
+    usernameFragment: nullableType('string')
+}, ['candidate']);
+
+const ITEM_REF = {
+    response_id: nullableType('string'),
+    item_id: nullableType('string')
+};
+
+// Schema of a whole message of `type`; `payload` is the payload schema, or null for none
+function messageSchema(type, payload, { payloadRequired = true, server = false } = {}) {
+    const properties = { type: { const: type }, request_id: REQUEST_ID };
+    const required = ['type'];
+    if (payload) {
+        properties.payload = payload;
+        if (payloadRequired) required.push('payload');
+    }
+    if (server) {
+        properties.message = { type: 'string' };
+    }
+    return objectSchema(properties, required);
+}
+
+const CLIENT_PAYLOADS = {
+    hello: [objectSchema({
+        protocol_version: { type: 'integer', minimum: 1 },
+        client: objectSchema({ name: { type: 'string', maxLength: 100 }, version: { type: 'string', maxLength: 50 } })
+    }, ['protocol_version'])],
+    // `audio` negotiates the wire formats (checked by the transcoder); the rest is session config
+    start_session: [{ type: 'object', properties: { audio: nullableType('object') } }, { payloadRequired: false }],
+    update_session: [SESSION_CONFIG],
+    webrtc_offer: [SESSION_DESCRIPTION],
+    webrtc_answer: [SESSION_DESCRIPTION],
+    webrtc_ice_candidate: [ICE_CANDIDATE],
+    // Base64 in the input format negotiated by start_session
+    audio_data: [{ type: 'string', maxLength: MAX_AUDIO_CHUNK_LENGTH }],
+    send_text: [objectSchema({ text: { type: 'string', minLength: 1, maxLength: MAX_TEXT_LENGTH } }, ['text'])],
+    ptt_start: [null],
+    ptt_end: [null],
+    interrupt_response: [objectSchema({
+        item_id: nullableType('string'),
+        audio_end_ms: { type: ['number', 'null'], minimum: 0 }
+    }), { payloadRequired: false }],
+    // Passed to the n8n workflow as-is
+    trigger_n8n: [{ type: 'object' }],
+    end_session: [null],
+    ping: [null]
+};
+
+const CONNECTION_REF = objectSchema({ connection_id: { type: 'string', minLength: 1 } }, ['connection_id']);
+
+// Sent by the admin dashboard on /admin/feed; replies and pushed updates are not part of SERVER_MESSAGES
+const ADMIN_PAYLOADS = {
+    end_session: [CONNECTION_REF],
+    listen: [CONNECTION_REF],
+    unlisten: [null],
+    // The text's length is checked by the server, which answers invalid_whisper as the REST route does
+    whisper: [objectSchema({ connection_id: { type: 'string', minLength: 1 }, text: { type: 'string' } }, ['connection_id', 'text'])]
+};
+
+const SERVER_PAYLOADS = {
+    connected: [objectSchema({
+        protocol_version: { type: 'integer' },
+        supported_versions: { type: 'array', items: { type: 'integer' } }
+    }, ['protocol_version', 'supported_versions'])],
+    welcome: [objectSchema({
+        protocol_version: { type: 'integer' },
+        connection_id: { type: 'string' }
+    }, ['protocol_version', 'connection_id'])],
+    session_started: [objectSchema({
+        ...SESSION_INFO.properties,
+        conversationId: nullableType('string'),
+        audio: { type: 'object' },
+        user: { type: 'object' },
+        recording: objectSchema({ enabled: { type: 'boolean' }, notice: nullableType('string') }, ['enabled', 'notice'])
+    }, ['config', 'persona', 'conversationId', 'audio', 'recording'])],
+    session_updated: [SESSION_INFO],
+    // `notice` explains a session the server ended, for the caller to see
+    session_ended: [objectSchema({ reason: { enum: SESSION_END_REASONS }, notice: { type: 'string' } }, ['reason'])],
+    pong: [null],
+    usage_update: [objectSchema({
+        response_id: nullableType('string'),
+        currency: { const: 'USD' },
+        response: { type: 'object' },
+        session: { type: 'object' },
+        rate_limits: { type: ['array', 'null'] }
+    }, ['currency', 'response', 'session'])],
+    // The workflow's result: { success, data | error | message }
+    n8n_response: [{ type: 'object', properties: { success: { type: 'boolean' } }, required: ['success'] }],
+    error: [objectSchema({
+        code: nullableType('string'),
+        message: { type: 'string' },
+        details: { type: 'array', items: { type: 'string' } },
+        source: { enum: ['openai'] },
+        limit: { type: 'string' },
+        retry_after_ms: { type: 'integer', minimum: 0 }
+    }, ['code', 'message'])],
+    audio_response: [objectSchema({ audio: { type: 'string' }, ...ITEM_REF }, ['audio'])],
+    text_response: [objectSchema({ text: { type: 'string' }, ...ITEM_REF }, ['text'])],
+    audio_complete: [objectSchema(ITEM_REF)],
+    response_complete: [objectSchema({
+        response_id: nullableType('string'),
+        status: nullableType('string'),
+        status_details: nullableType('object')
+    })],
+    speech_started: [objectSchema({ item_id: nullableType('string'), audio_start_ms: nullableType('number') })],
+    speech_stopped: [objectSchema({ item_id: nullableType('string'), audio_end_ms: nullableType('number') })],
+    user_transcript: [objectSchema({
+        item_id: nullableType('string'),
+        status: { enum: ['completed', 'failed'] },
+        transcript: nullableType('string'),
+        error: nullableType('string')
+    }, ['status'])],
+    response_interrupted: [objectSchema({
+        item_id: { type: 'string' },
+        audio_end_ms: { type: 'number' },
+        generated_ms: { type: 'number' }
+    }, ['item_id', 'audio_end_ms', 'generated_ms'])],
+    ptt_committed: [objectSchema({ item_id: nullableType('string'), audio_ms: { type: 'number' } }, ['audio_ms'])],
+    ptt_discarded: [objectSchema({ audio_ms: { type: 'number' } }, ['audio_ms'])],
+    tool_call: [objectSchema({
+        call_id: { type: 'string' },
+        name: { type: 'string' },
+        arguments: { type: 'string' }
+    }, ['call_id', 'name'])],
+    tool_result: [objectSchema({
+        call_id: { type: 'string' },
+        name: { type: 'string' },
+        success: { type: 'boolean' },
+        output: {}
+    }, ['call_id', 'name', 'success'])],
+    upstream_reconnecting: [objectSchema({
+        attempt: { type: 'integer' },
+        max_attempts: { type: 'integer' },
+        delay_ms: { type: 'number' }
+    }, ['attempt', 'max_attempts', 'delay_ms'])],
+    upstream_restored: [objectSchema({ attempts: { type: 'integer' }, replayed_items: { type: 'integer' } }, ['attempts'])],
+    upstream_failed: [objectSchema({ attempts: { type: 'integer' } }, ['attempts'])],
+    webrtc_offer: [SESSION_DESCRIPTION],
+    webrtc_answer: [SESSION_DESCRIPTION],
+    webrtc_ice_candidate: [ICE_CANDIDATE],
+    connection_state: [objectSchema({ state: { type: 'string' } }, ['state'])],
+    audio_stream_received: [objectSchema({ streamId: { type: 'string' } }, ['streamId'])]
+};
+
+function buildMessageSchemas(payloads, options = {}) {
+    return Object.fromEntries(Object.entries(payloads).map(([type, [payload, extra]]) => [
+        type,
+        messageSchema(type, payload, { ...options, ...extra })
+    ]));
+}
+
+// type -> JSON Schema of the whole message
+const CLIENT_MESSAGES = buildMessageSchemas(CLIENT_PAYLOADS);
+const ADMIN_MESSAGES = buildMessageSchemas(ADMIN_PAYLOADS);
+const SERVER_MESSAGES = buildMessageSchemas(SERVER_PAYLOADS, { server: true });
+
+// --- Validation ------------------------------------------------------------
+
+function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+function matchesSchemaType(value, type) {
+    const actual = schemaTypeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Checks `value` against the JSON Schema subset used above: type, const, enum, properties,
+// required, additionalProperties, items, minLength/maxLength and minimum/maximum.
+// Returns the problems found, an empty list when it matches.
+function validateSchema(schema, value, path = 'message') {
+    const types = schema.type === undefined ? null : [].concat(schema.type);
+    if (types && !types.some(type => matchesSchemaType(value, type))) {
+        return [`${path} must be ${types.join(' or ')}`];
+    }
+
+    const errors = [];
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (schemaTypeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        });
+        Object.keys(value).forEach((key) => {
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                errors.push(...validateSchema(properties[key], value[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// null when `message` is a valid message of a known type, else { code, message, details }
+function checkProtocolMessage(schemas, message) {
+    if (schemaTypeOf(message) !== 'object' || typeof message.type !== 'string') {
+        return { code: 'invalid_message', message: 'Messages must be objects with a string type', details: [] };
+    }
+    if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+        return { code: 'unknown_message_type', message: `Unknown message type: ${message.type}`, details: [] };
+    }
+
+    const details = validateSchema(schemas[message.type], message);
+    return details.length > 0
+        ? { code: 'invalid_message', message: `Invalid ${message.type} message`, details }
+        : null;
+}
+
+const VoiceProtocol = {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    IMPLICIT_PROTOCOL_VERSION,
+    REQUEST_ID,
+    MAX_TEXT_LENGTH,
+    MAX_AUDIO_CHUNK_LENGTH,
+    SESSION_END_REASONS,
+    ERROR_CODES,
+    CLIENT_MESSAGES,
+    ADMIN_MESSAGES,
+    SERVER_MESSAGES,
+    validate: validateSchema,
+    checkClientMessage: message => checkProtocolMessage(CLIENT_MESSAGES, message),
+    checkAdminMessage: message => checkProtocolMessage(ADMIN_MESSAGES, message),
+    checkServerMessage: message => checkProtocolMessage(SERVER_MESSAGES, message)
+};
+
+globalThis.VoiceProtocol = VoiceProtocol;
+if (typeof module !== 'undefined') {
+    module.exports = VoiceProtocol;
+}
@@ -2,7 +2,12 @@ class UIController {
     constructor() {
         this.elements = {};
         this.isConversationActive = false;
+        this.isPushToTalk = false;
+        this.isPushToTalkHeld = false;
         this.conversationHistory = [];
+        this.toolCards = new Map();
+        this.pendingUserMessages = new Map();
+        this.assistantMessages = new Map();
         
         this.initializeElements();
         this.bindEvents();
@@ -13,17 +18,30 @@ class UIController {
         this.elements.connectionStatus = document.getElementById('connection-status');
         this.elements.openaiStatus = document.getElementById('openai-status');
         this.elements.audioStatus = document.getElementById('audio-status');
+        this.elements.usageStatus = document.getElementById('usage-status');
+        this.elements.recordingStatus = document.getElementById('recording-status');
         
         // Controls
         this.elements.startBtn = document.getElementById('start-btn');
         this.elements.stopBtn = document.getElementById('stop-btn');
         this.elements.muteBtn = document.getElementById('mute-btn');
+        this.elements.pttBtn = document.getElementById('ptt-btn');
+        this.elements.turnSelect = document.getElementById('turn-select');
+        this.elements.speedSelect = document.getElementById('speed-select');
+        this.elements.personaSelect = document.getElementById('persona-select');
+        this.elements.outputSelect = document.getElementById('output-select');
+        
+        // Typed messages
+        this.elements.textInputForm = document.getElementById('text-input-form');
+        this.elements.textInput = document.getElementById('text-input');
+        this.elements.sendTextBtn = document.getElementById('send-text-btn');
         
         // Visual elements
         this.elements.audioVisualizer = document.getElementById('audio-visualizer');
         this.elements.conversationStatus = document.getElementById('conversation-status');
         this.elements.conversationHistory = document.getElementById('conversation-history');
         this.elements.clearHistory = document.getElementById('clear-history');
+        this.elements.exportSelect = document.getElementById('export-select');
         
         // Audio output
         this.elements.audioOutput = document.getElementById('audio-output');
@@ -43,13 +61,65 @@ class UIController {
             this.onToggleMute?.();
         });
         
+        this.elements.personaSelect.addEventListener('change', (event) => {
+            this.onPersonaChange?.(event.target.value);
+        });
+        
+        this.elements.outputSelect.addEventListener('change', (event) => {
+            this.onOutputModeChange?.(event.target.value.split(','));
+        });
+        
+        this.elements.turnSelect.addEventListener('change', (event) => {
+            this.onTurnModeChange?.(event.target.value);
+        });
+        
+        this.elements.speedSelect.addEventListener('change', (event) => {
+            this.onPlaybackRateChange?.(parseFloat(event.target.value));
+        });
+        
+        // Hold-to-talk button
+        this.elements.pttBtn.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            this.pressPushToTalk();
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => {
+            this.elements.pttBtn.addEventListener(type, () => this.releasePushToTalk());
+        });
+        
+        this.elements.textInputForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const text = this.elements.textInput.value.trim();
+            if (text) {
+                this.elements.textInput.value = '';
+                this.onSendText?.(text);
+            }
+        });
+        
         // Clear history
         this.elements.clearHistory.addEventListener('click', () => {
             this.clearConversationHistory();
         });
         
+        // Export menu: acts on the pick, then resets to its "Export…" label
+        this.elements.exportSelect.addEventListener('change', (event) => {
+            const format = event.target.value;
+            event.target.value = '';
+            if (format) {
+                this.onExport?.(format);
+            }
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (event) => {
+            // In push-to-talk mode, hold spacebar to talk once the conversation is running
+            if (event.code === 'Space' && this.isPushToTalk && this.isConversationActive && !this.isInputFocused()) {
+                event.preventDefault();
+                if (!event.repeat) {
+                    this.pressPushToTalk();
+                }
+                return;
+            }
+            
             // Spacebar to start/stop (when not typing in input fields)
             if (event.code === 'Space' && !this.isInputFocused()) {
                 event.preventDefault();
@@ -70,6 +140,18 @@ class UIController {
                 event.preventDefault();
                 this.onToggleMute?.();
             }
+            
+            // P to pause/resume the assistant's voice
+            if (event.code === 'KeyP' && !this.isInputFocused()) {
+                event.preventDefault();
+                this.onTogglePlaybackPause?.();
+            }
+        });
+        
+        document.addEventListener('keyup', (event) => {
+            if (event.code === 'Space') {
+                this.releasePushToTalk();
+            }
         });
     }
 
@@ -108,6 +190,51 @@ class UIController {
         statusElement.classList.add(isConnected ? 'online' : 'offline');
     }
 
+    // Running estimate for the current conversation, from usage_update
+    updateUsage(totals = {}) {
+        const tokens = Object.values(totals.tokens || {}).reduce((sum, count) => sum + count, 0);
+        this.elements.usageStatus.hidden = false;
+        this.elements.usageStatus.querySelector('.usage-cost').textContent = `$${(totals.cost_usd || 0).toFixed(4)}`;
+        this.elements.usageStatus.title = `Estimated cost of this conversation: ${totals.responses} responses, ${tokens} tokens`;
+    }
+
+    // Export needs a conversation stored on the server
+    setExportAvailable(isAvailable) {
+        this.elements.exportSelect.disabled = !isAvailable;
+    }
+
+    // REC indicator while the session is being recorded
+    setRecording(isRecording, notice) {
+        this.elements.recordingStatus.hidden = !isRecording;
+        if (notice) {
+            this.elements.recordingStatus.title = notice;
+        }
+    }
+
+    // Upstream OpenAI connection state during a session: 'reconnecting', 'restored' or 'failed'
+    setUpstreamState(state, detail = {}) {
+        const statusElement = this.elements.openaiStatus.querySelector('.status-dot');
+        statusElement.className = 'status-dot';
+        
+        switch (state) {
+            case 'reconnecting':
+                statusElement.classList.add('connecting');
+                this.elements.conversationStatus.textContent =
+                    `Connection to the assistant lost. Reconnecting (attempt ${detail.attempt} of ${detail.max_attempts})...`;
+                break;
+            case 'restored':
+                statusElement.classList.add('online');
+                if (this.isConversationActive) {
+                    this.elements.conversationStatus.textContent = 'Listening... Speak now or press spacebar to stop';
+                }
+                break;
+            case 'failed':
+                statusElement.classList.add('offline');
+                this.elements.conversationStatus.textContent = 'Could not reconnect to the assistant. Please start a new conversation.';
+                break;
+        }
+    }
+
     updateAudioStatus(hasPermission) {
         const statusElement = this.elements.audioStatus.querySelector('.status-dot');
         
@@ -116,14 +243,27 @@ class UIController {
     }
 
     // Control states
-    setConversationActive(active) {
+    setConversationActive(active, audioEnabled = true) {
         this.isConversationActive = active;
         
         this.elements.startBtn.disabled = active;
         this.elements.stopBtn.disabled = !active;
-        this.elements.muteBtn.disabled = !active;
+        this.elements.muteBtn.disabled = !active || !audioEnabled;
+        this.elements.pttBtn.disabled = !active || !audioEnabled;
+        this.setTextInputEnabled(active);
         
-        if (active) {
+        if (!active) {
+            this.releasePushToTalk();
+        }
+        
+        if (active && !audioEnabled) {
+            this.elements.conversationStatus.textContent = 'Microphone unavailable. Type your messages below';
+            this.elements.startBtn.querySelector('.btn-text').textContent = 'Chatting...';
+        } else if (active && this.isPushToTalk) {
+            this.elements.audioVisualizer.classList.add('active');
+            this.elements.conversationStatus.textContent = 'Hold the talk button or spacebar while you speak';
+            this.elements.startBtn.querySelector('.btn-text').textContent = 'Push-to-talk';
+        } else if (active) {
             this.elements.audioVisualizer.classList.add('active');
             this.elements.conversationStatus.textContent = 'Listening... Speak now or press spacebar to stop';
             this.elements.startBtn.querySelector('.btn-text').textContent = 'Listening...';
@@ -134,6 +274,45 @@ class UIController {
         }
     }
 
+    // Push-to-talk shows the hold button and repurposes the spacebar
+    setPushToTalkMode(enabled) {
+        this.isPushToTalk = enabled;
+        this.elements.pttBtn.hidden = !enabled;
+        this.elements.turnSelect.value = enabled ? 'ptt' : 'vad';
+        
+        if (!enabled) {
+            this.releasePushToTalk();
+        }
+        if (this.isConversationActive) {
+            this.elements.conversationStatus.textContent = enabled
+                ? 'Hold the talk button or spacebar while you speak'
+                : 'Listening... Speak now or press spacebar to stop';
+        }
+    }
+
+    pressPushToTalk() {
+        if (this.isPushToTalkHeld || this.elements.pttBtn.disabled) return;
+        
+        this.isPushToTalkHeld = true;
+        this.elements.pttBtn.classList.add('holding');
+        this.elements.pttBtn.querySelector('.btn-text').textContent = 'Release to Send';
+        this.onPushToTalkStart?.();
+    }
+
+    releasePushToTalk() {
+        if (!this.isPushToTalkHeld) return;
+        
+        this.isPushToTalkHeld = false;
+        this.elements.pttBtn.classList.remove('holding');
+        this.elements.pttBtn.querySelector('.btn-text').textContent = 'Hold to Talk';
+        this.onPushToTalkEnd?.();
+    }
+
+    setTextInputEnabled(enabled) {
+        this.elements.textInput.disabled = !enabled;
+        this.elements.sendTextBtn.disabled = !enabled;
+    }
+
     setMuteState(isMuted) {
         const muteIcon = this.elements.muteBtn.querySelector('.btn-icon');
         const muteText = this.elements.muteBtn.querySelector('.btn-text');
@@ -149,6 +328,23 @@ class UIController {
         }
     }
 
+    // Persona picker
+    setPersonas(personas, selectedId) {
+        const select = this.elements.personaSelect;
+        select.innerHTML = '';
+        
+        personas.forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            option.textContent = persona.name;
+            option.title = persona.description;
+            option.selected = persona.id === selectedId;
+            select.appendChild(option);
+        });
+        
+        select.disabled = personas.length === 0;
+    }
+
     // Audio visualization
     updateAudioVisualization(volume) {
         const waves = this.elements.audioVisualizer.querySelectorAll('.wave');
@@ -191,10 +387,171 @@ class UIController {
         messageElement.appendChild(timeElement);
         
         this.elements.conversationHistory.appendChild(messageElement);
+        return messageElement;
+    }
+
+    // User turns are placed when speech starts and filled in once the transcript
+    // arrives, so they stay ahead of the assistant reply they triggered
+    addUserPlaceholder(itemId, status = 'Listening...') {
+        const message = {
+            type: 'user',
+            content: status,
+            timestamp: new Date(),
+            itemId
+        };
+        
+        this.conversationHistory.push(message);
+        const element = this.renderMessage(message);
+        element.classList.add('pending');
+        
+        this.pendingUserMessages.set(itemId, { message, element });
+        this.scrollToBottom();
+    }
+
+    updateUserPlaceholder(itemId, status) {
+        const entry = this.pendingUserMessages.get(itemId);
+        if (!entry) return;
+        
+        entry.message.content = status;
+        entry.element.querySelector('.message-content p').textContent = status;
+    }
+
+    // Push-to-talk placeholders get their item id once the server commits the turn
+    renameUserPlaceholder(oldId, newId) {
+        const entry = this.pendingUserMessages.get(oldId);
+        if (!entry) return;
+        
+        entry.message.itemId = newId;
+        this.pendingUserMessages.delete(oldId);
+        this.pendingUserMessages.set(newId, entry);
+    }
+
+    removeUserPlaceholder(itemId) {
+        const entry = this.pendingUserMessages.get(itemId);
+        if (!entry) return;
+        
+        entry.element.remove();
+        this.conversationHistory = this.conversationHistory.filter(message => message !== entry.message);
+        this.pendingUserMessages.delete(itemId);
+    }
+
+    resolveUserMessage(itemId, transcript, failed = false) {
+        const content = failed ? "(Couldn't transcribe what you said)" : transcript;
+        const entry = this.pendingUserMessages.get(itemId);
+        
+        if (!entry) {
+            this.addMessage('user', content);
+            return;
+        }
+        
+        entry.message.content = content;
+        entry.element.querySelector('.message-content p').textContent = content;
+        entry.element.classList.remove('pending');
+        entry.element.classList.toggle('failed', failed);
+        this.pendingUserMessages.delete(itemId);
+    }
+
+    // Assistant text arrives as deltas; each output item streams into one message
+    appendAssistantText(itemId, delta) {
+        const entry = this.assistantMessages.get(itemId);
+        
+        if (!entry) {
+            const message = {
+                type: 'assistant',
+                content: delta,
+                timestamp: new Date()
+            };
+            this.conversationHistory.push(message);
+            this.assistantMessages.set(itemId, { message, element: this.renderMessage(message) });
+        } else {
+            entry.message.content += delta;
+            entry.element.querySelector('.message-content p').textContent = entry.message.content;
+        }
+        
+        this.scrollToBottom();
+    }
+
+    // Tool call cards
+    addToolCall(payload) {
+        const card = document.createElement('div');
+        card.className = 'tool-card pending';
+        
+        const header = document.createElement('div');
+        header.className = 'tool-card-header';
+        
+        const nameElement = document.createElement('span');
+        nameElement.textContent = `🛠️ ${this.formatToolName(payload.name)}`;
+        
+        const statusElement = document.createElement('span');
+        statusElement.className = 'tool-card-status';
+        statusElement.textContent = 'Running...';
+        
+        header.appendChild(nameElement);
+        header.appendChild(statusElement);
+        
+        const details = document.createElement('pre');
+        details.className = 'tool-card-details';
+        details.textContent = this.formatToolData(payload.arguments);
+        
+        card.appendChild(header);
+        card.appendChild(details);
+        
+        this.toolCards.set(payload.call_id, card);
+        this.conversationHistory.push({
+            type: 'tool',
+            content: payload.name,
+            timestamp: new Date()
+        });
+        
+        this.elements.conversationHistory.appendChild(card);
+        this.scrollToBottom();
+    }
+
+    updateToolResult(payload) {
+        let card = this.toolCards.get(payload.call_id);
+        if (!card) {
+            this.addToolCall(payload);
+            card = this.toolCards.get(payload.call_id);
+        }
+        
+        card.classList.remove('pending');
+        card.classList.add(payload.success ? 'success' : 'failed');
+        card.querySelector('.tool-card-status').textContent = payload.success ? 'Completed' : 'Failed';
+        
+        const result = document.createElement('pre');
+        result.className = 'tool-card-details';
+        result.textContent = this.formatToolData(payload.output);
+        card.appendChild(result);
+        
+        this.scrollToBottom();
+    }
+
+    formatToolName(name = '') {
+        return name
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    formatToolData(data) {
+        if (data === undefined || data === null) return '';
+        
+        if (typeof data === 'string') {
+            try {
+                return JSON.stringify(JSON.parse(data), null, 2);
+            } catch (error) {
+                return data;
+            }
+        }
+        
+        return JSON.stringify(data, null, 2);
     }
 
     clearConversationHistory() {
         this.conversationHistory = [];
+        this.toolCards.clear();
+        this.pendingUserMessages.clear();
+        this.assistantMessages.clear();
         
         // Keep only the welcome message
         const welcomeMessage = this.elements.conversationHistory.querySelector('.message.system');
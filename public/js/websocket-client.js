@@ -6,6 +6,15 @@ class WebSocketClient {
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
         this.heartbeatInterval = null;
+        // The ping still waiting for its pong: its request_id and when it was sent
+        this.pendingPing = null;
+        // Bearer token from /api/auth/token; browsers can't set upgrade headers, so it goes in the URL
+        this.accessToken = null;
+        // Protocol version the server agreed to in `welcome`
+        this.protocolVersion = null;
+        // Set when the server refuses our protocol version; reconnecting would not help
+        this.protocolRejected = false;
+        this.nextRequestId = 1;
         
         // Event handlers
         this.onConnect = null;
@@ -22,12 +31,16 @@ class WebSocketClient {
             
             console.log('🔌 Connecting to WebSocket:', wsUrl);
             
-            this.ws = new WebSocket(wsUrl);
+            this.ws = new WebSocket(this.accessToken
+                ? `${wsUrl}/?access_token=${encodeURIComponent(this.accessToken)}`
+                : wsUrl);
             
             this.ws.onopen = () => {
                 console.log('✅ WebSocket connected');
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
+                this.protocolVersion = null;
+                this.sendHello();
                 this.startHeartbeat();
                 
                 if (this.onConnect) {
@@ -58,7 +71,7 @@ class WebSocketClient {
                 this.updateStatus('disconnected');
                 
                 // Attempt to reconnect if not a clean close
-                if (event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
+                if (event.code !== 1000 && !this.protocolRejected && this.reconnectAttempts < this.maxReconnectAttempts) {
                     this.scheduleReconnect();
                 }
             };
@@ -83,16 +96,30 @@ class WebSocketClient {
         const { type, payload, message } = data;
         
         console.log('📨 Received message:', type);
+
+        const problem = VoiceProtocol.checkServerMessage(data);
+        if (problem) {
+            console.warn('⚠️ Server message does not match the protocol:', problem.message, problem.details);
+        }
         
         switch (type) {
             case 'connected':
                 console.log('🎯 Server confirmed connection');
                 break;
                 
+            case 'welcome':
+                this.protocolVersion = payload.protocol_version;
+                console.log('🤝 Protocol version agreed:', this.protocolVersion);
+                break;
+                
             case 'session_started':
                 console.log('🤖 OpenAI session started');
                 break;
                 
+            case 'session_updated':
+                console.log('🔄 OpenAI session updated');
+                break;
+                
             case 'session_ended':
                 console.log('🔚 OpenAI session ended');
                 break;
@@ -105,6 +132,46 @@ class WebSocketClient {
                 console.log('📝 Received text response');
                 break;
                 
+            case 'audio_complete':
+                console.log('🔊 Audio response completed');
+                break;
+                
+            case 'response_complete':
+                console.log('✅ Response completed');
+                break;
+                
+            case 'response_interrupted':
+                console.log('✂️ Response interrupted');
+                break;
+                
+            case 'ptt_committed':
+                console.log('🎙️ Push-to-talk turn committed');
+                break;
+                
+            case 'ptt_discarded':
+                console.log('🎙️ Push-to-talk turn too short, discarded');
+                break;
+                
+            case 'tool_call':
+                console.log('🛠️ Tool call requested:', payload?.name);
+                break;
+                
+            case 'tool_result':
+                console.log('🛠️ Tool call finished:', payload?.name);
+                break;
+                
+            case 'upstream_reconnecting':
+                console.warn('🔄 Assistant connection lost, reconnecting');
+                break;
+                
+            case 'upstream_restored':
+                console.log('♻️ Assistant connection restored');
+                break;
+                
+            case 'upstream_failed':
+                console.error('❌ Assistant connection could not be restored');
+                break;
+                
             case 'speech_started':
                 console.log('🗣️ User speech detected');
                 break;
@@ -113,8 +180,19 @@ class WebSocketClient {
                 console.log('🤐 User speech ended');
                 break;
                 
+            case 'user_transcript':
+                console.log('📝 Received user transcript');
+                break;
+                
+            case 'usage_update':
+                console.log('💰 Session cost so far: $' + payload?.session?.cost_usd);
+                break;
+                
             case 'error':
                 console.error('❌ Server error:', payload?.message || message);
+                if (payload?.code === 'unsupported_protocol_version') {
+                    this.protocolRejected = true;
+                }
                 break;
                 
             case 'n8n_response':
@@ -122,7 +200,10 @@ class WebSocketClient {
                 break;
                 
             case 'pong':
-                console.log('💓 Heartbeat response received');
+                if (this.pendingPing && data.request_id === this.pendingPing.id) {
+                    console.log(`💓 Heartbeat response received in ${Date.now() - this.pendingPing.sentAt}ms`);
+                    this.pendingPing = null;
+                }
                 break;
                 
             default:
@@ -135,11 +216,21 @@ class WebSocketClient {
         }
     }
 
+    // Every message gets a request_id so errors and replies can be matched to it
     send(data) {
         if (!this.isConnected || !this.ws) {
             console.warn('⚠️ Cannot send message: WebSocket not connected');
             return false;
         }
+
+        if (data.request_id === undefined) {
+            data = { ...data, request_id: this.nextRequestId++ };
+        }
+        const problem = VoiceProtocol.checkClientMessage(data);
+        if (problem) {
+            console.error('❌ Refusing to send invalid message:', problem.message, problem.details);
+            return false;
+        }
         
         try {
             this.ws.send(JSON.stringify(data));
@@ -151,9 +242,31 @@ class WebSocketClient {
     }
 
     // Specific message types
-    startSession() {
+    sendHello() {
+        return this.send({
+            type: 'hello',
+            payload: {
+                protocol_version: VoiceProtocol.PROTOCOL_VERSION,
+                client: { name: 'voice-agent-web' }
+            }
+        });
+    }
+
+    // Returns the request_id the server will echo on session_started or on an error, or null if not sent
+    startSession(config = {}) {
+        const requestId = this.nextRequestId++;
+        const sent = this.send({
+            type: 'start_session',
+            payload: config,
+            request_id: requestId
+        });
+        return sent ? requestId : null;
+    }
+
+    updateSession(config) {
         return this.send({
-            type: 'start_session'
+            type: 'update_session',
+            payload: config
         });
     }
 
@@ -170,6 +283,31 @@ class WebSocketClient {
         });
     }
 
+    sendText(text) {
+        return this.send({
+            type: 'send_text',
+            payload: { text }
+        });
+    }
+
+    pttStart() {
+        return this.send({ type: 'ptt_start' });
+    }
+
+    pttEnd() {
+        return this.send({ type: 'ptt_end' });
+    }
+
+    interruptResponse(itemId, audioEndMs) {
+        return this.send({
+            type: 'interrupt_response',
+            payload: {
+                item_id: itemId,
+                audio_end_ms: audioEndMs
+            }
+        });
+    }
+
     sendWebRTCOffer(offer) {
         return this.send({
             type: 'webrtc_offer',
@@ -198,11 +336,20 @@ class WebSocketClient {
         });
     }
 
-    // Heartbeat mechanism
+    // Heartbeat mechanism: a ping still unanswered when the next is due means the connection
+    // is dead, so close it and let the usual reconnect take over
     startHeartbeat() {
+        this.pendingPing = null;
         this.heartbeatInterval = setInterval(() => {
-            if (this.isConnected) {
-                this.send({ type: 'ping' });
+            if (!this.isConnected) return;
+            if (this.pendingPing) {
+                console.warn('💔 No heartbeat response, reconnecting');
+                this.ws.close(4000, 'Heartbeat timeout');
+                return;
+            }
+            const id = `ping-${this.nextRequestId++}`;
+            if (this.send({ type: 'ping', request_id: id })) {
+                this.pendingPing = { id, sentAt: Date.now() };
             }
         }, 30000); // Send ping every 30 seconds
     }
@@ -212,6 +359,7 @@ class WebSocketClient {
             clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
         }
+        this.pendingPing = null;
     }
 
     // Reconnection logic
@@ -265,6 +413,7 @@ class WebSocketClient {
     getConnectionInfo() {
         return {
             connected: this.isConnected,
+            protocolVersion: this.protocolVersion,
             readyState: this.ws?.readyState,
             reconnectAttempts: this.reconnectAttempts,
             url: this.ws?.url
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const WebSocket = require('ws');
 const http = require('http');
@@ -10,13 +11,83 @@ const compression = require('compression');
 const OpenAIRealtimeService = require('./services/openai-realtime');
 const WebRTCSignaling = require('./services/webrtc-signaling');
 const N8NIntegration = require('./services/n8n-integration');
+const RealtimeEventBridge = require('./services/realtime-event-bridge');
+const { createDefaultToolRegistry } = require('./services/tool-registry');
+const { SessionConfigError, SessionStateError } = require('./services/session-config');
+const { AudioTranscoder, AudioFormatError, negotiateAudioFormats } = require('./services/audio-transcoder');
+const PersonaLibrary = require('./services/persona-library');
+const ConversationRecorder = require('./services/conversation-recorder');
+const SessionActivity = require('./services/session-activity');
+const LiveMonitor = require('./services/live-monitor');
+const { CallRecordingStore } = require('./services/call-recording');
+const { createConversationStore } = require('./services/conversation-store');
+const { EXPORT_FORMATS, exportConversation } = require('./services/conversation-export');
+const { AuthService, AuthError } = require('./services/auth');
+const { RateLimiter, RateLimitError } = require('./services/rate-limiter');
+const { UsageMeter } = require('./services/usage-meter');
+const { IdleTimer, idleNotice } = require('./services/idle-timer');
+const Metrics = require('./services/metrics');
+const { logger } = require('./services/logger');
+const protocol = require('./services/protocol');
+
+const { ProtocolError, parseClientMessage, assertClientMessage, requestIdOf } = protocol;
+const MAX_TEXT_MESSAGE_LENGTH = protocol.MAX_TEXT_LENGTH;
+
+// Message types handled by handleWebSocketMessage; others are counted as `unknown`
+const CLIENT_MESSAGE_TYPES = new Set(Object.keys(protocol.CLIENT_MESSAGES));
+
+// WebSocket path of the admin dashboard's live feed (admin role only)
+const ADMIN_FEED_PATH = '/admin/feed';
+
+// Why a supervisor action (force-end, listen-in, whisper) could not happen, as HTTP status and error code
+const ADMIN_ACTION_ERRORS = {
+    not_found: { status: 404, code: 'connection_not_found', message: 'No live connection with that id' },
+    not_active: { status: 409, code: 'session_not_active', message: 'The connection has no active session' },
+    not_connected: { status: 409, code: 'upstream_not_connected', message: 'The session is not connected to OpenAI right now' }
+};
+
+function isAdminFeed(req) {
+    return new URL(req.url, 'http://localhost').pathname === ADMIN_FEED_PATH;
+}
+
+const WHISPER_ERROR = `A whisper needs text of 1 to ${MAX_TEXT_MESSAGE_LENGTH} characters`;
+
+function isValidWhisper(text) {
+    return typeof text === 'string' && text.trim().length > 0 && text.length <= MAX_TEXT_MESSAGE_LENGTH;
+}
+
+// Audio arrives as a Buffer or a base64 string
+function audioByteLength(audio) {
+    return Buffer.isBuffer(audio) ? audio.length : Buffer.byteLength(String(audio ?? ''), 'base64');
+}
 
 class VoiceAgentServer {
-    constructor() {
+    constructor(options = {}) {
         this.app = express();
+        this.logger = options.logger || logger;
         this.server = http.createServer(this.app);
-        this.wss = new WebSocket.Server({ server: this.server });
-        this.port = process.env.PORT || 3000;
+        this.auth = options.auth || new AuthService();
+        if (!this.auth.enabled && process.env.NODE_ENV === 'production') {
+            throw new Error('AUTH_SECRET must be set in production');
+        }
+        // Upgrades without a valid token are refused with 401 before a connection exists
+        this.wss = new WebSocket.Server({ server: this.server, verifyClient: this.verifyClient() });
+        this.port = options.port ?? (process.env.PORT || 3000);
+        this.personaLibrary = options.personaLibrary || new PersonaLibrary().load();
+        this.conversationStore = options.conversationStore || createConversationStore();
+        this.callRecordings = options.callRecordings || new CallRecordingStore();
+        this.rateLimiter = options.rateLimiter || new RateLimiter();
+        this.usageMeter = options.usageMeter || new UsageMeter();
+        this.metrics = options.metrics || new Metrics({ activeSessions: () => this.rateLimiter.concurrentSessions });
+        // Admin dashboards subscribed to the live session feed, and the timer that refreshes them
+        this.adminFeeds = new Set();
+        this.adminFeedTimer = null;
+        this.adminFeedIntervalMs = options.adminFeedIntervalMs ?? (parseInt(process.env.ADMIN_FEED_INTERVAL_MS, 10) || 2000);
+        // Every socket is pinged this often and terminated if the previous ping went unanswered; 0 disables
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10);
+        this.heartbeatTimer = null;
+        // Passed to each connection's IdleTimer; unset limits come from the environment
+        this.idleTimeouts = options.idleTimeouts || {};
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -62,82 +133,442 @@ class VoiceAgentServer {
             res.json({
                 openai: !!process.env.OPENAI_API_KEY,
                 n8n: !!process.env.N8N_WEBHOOK_URL,
+                auth: this.auth.enabled,
                 environment: process.env.NODE_ENV || 'development'
             });
         });
 
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', async (req, res) => {
+            if (!this.metrics.isAuthorized(req)) {
+                return res.status(401).json({ success: false, error: 'Invalid metrics token', code: 'unauthorized' });
+            }
+            try {
+                res.set('Content-Type', this.metrics.contentType);
+                res.send(await this.metrics.render());
+            } catch (error) {
+                this.logger.error('Metrics error', { error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Exchange credentials (e.g. { api_key }) for a short-lived access token
+        this.app.post('/api/auth/token', async (req, res) => {
+            if (!this.auth.enabled) {
+                return res.status(404).json({ success: false, error: 'Authentication is not enabled' });
+            }
+
+            try {
+                const issued = await this.auth.issueToken(req.body || {});
+                if (!issued) {
+                    return res.status(401).json({ success: false, error: 'Invalid credentials', code: 'unauthorized' });
+                }
+                res.json({
+                    token: issued.token,
+                    token_type: 'Bearer',
+                    expires_in: issued.expiresIn,
+                    user: issued.identity
+                });
+            } catch (error) {
+                this.logger.error('Token issue error', { error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Everything else under /api needs a valid token
+        this.app.use('/api', this.auth.middleware());
+
+        // Persona picker data (instructions are not exposed)
+        this.app.get('/api/personas', (req, res) => {
+            res.json({
+                personas: this.personaLibrary.list(),
+                default: this.personaLibrary.defaultId
+            });
+        });
+
+        // Token usage and estimated cost for the caller (admins may pass ?user=)
+        this.app.get('/api/usage', (req, res) => {
+            const userId = req.query.user || req.identity.id;
+            if (userId !== req.identity.id && req.identity.role !== 'admin') {
+                return AuthService.sendError(res, new AuthError('Requires the admin role', 403));
+            }
+            res.json({
+                currency: 'USD',
+                user_id: userId,
+                totals: this.usageMeter.getUser(userId),
+                sessions: this.usageMeter.sessionsForUser(userId)
+            });
+        });
+
+        // Usage of every user since the server started
+        this.app.get('/api/usage/users', this.auth.requireRole('admin'), (req, res) => {
+            res.json({ currency: 'USD', ...this.usageMeter.summary() });
+        });
+
+        // Live connections for the supervisor dashboard
+        this.app.get('/api/admin/sessions', this.auth.requireRole('admin'), (req, res) => {
+            const sessions = this.listSessions();
+            res.json({ sessions, total: sessions.length });
+        });
+
+        this.app.post('/api/admin/sessions/:connectionId/end', this.auth.requireRole('admin'), async (req, res) => {
+            try {
+                const outcome = await this.forceEndSession(req.params.connectionId, req.identity);
+                if (outcome !== 'ended') {
+                    const { status, code, message } = ADMIN_ACTION_ERRORS[outcome];
+                    return res.status(status).json({ success: false, error: message, code });
+                }
+                res.json({ success: true, connection_id: req.params.connectionId });
+            } catch (error) {
+                this.logger.error('Force end error', { connection_id: req.params.connectionId, error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Guidance for the agent that the caller never hears
+        this.app.post('/api/admin/sessions/:connectionId/whisper', this.auth.requireRole('admin'), (req, res) => {
+            const text = req.body?.text;
+            if (!isValidWhisper(text)) {
+                return res.status(400).json({ success: false, error: WHISPER_ERROR, code: 'invalid_whisper' });
+            }
+
+            const outcome = this.whisper(req.params.connectionId, text.trim(), req.identity);
+            if (outcome !== 'sent') {
+                const { status, code, message } = ADMIN_ACTION_ERRORS[outcome];
+                return res.status(status).json({ success: false, error: message, code });
+            }
+            res.json({ success: true, connection_id: req.params.connectionId });
+        });
+
+        // Stored conversation transcripts: the caller's own (admins see everyone's, or one user's with ?user=)
+        this.app.get('/api/conversations', async (req, res) => {
+            const isAdmin = req.identity.role === 'admin';
+            if (req.query.user && !isAdmin) {
+                return AuthService.sendError(res, new AuthError('Requires the admin role', 403));
+            }
+
+            try {
+                const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+                const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+                const userId = isAdmin ? req.query.user : req.identity.id;
+                res.json(await this.conversationStore.list({ limit, offset, userId }));
+            } catch (error) {
+                this.logger.error('Conversation list error', { error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.get('/api/conversations/:id', async (req, res) => {
+            try {
+                const conversation = await this.findConversation(req.params.id, req.identity);
+                if (!conversation) {
+                    return res.status(404).json({ success: false, error: 'Conversation not found' });
+                }
+                res.json(conversation);
+            } catch (error) {
+                this.logger.error('Conversation fetch error', { conversation_id: req.params.id, error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Download as json, markdown, srt or vtt (captions are timed like the call recording)
+        this.app.get('/api/conversations/:id/export', async (req, res) => {
+            const format = req.query.format || 'json';
+            if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+                    code: 'invalid_export_format'
+                });
+            }
+
+            try {
+                const conversation = await this.findConversation(req.params.id, req.identity);
+                if (!conversation) {
+                    return res.status(404).json({ success: false, error: 'Conversation not found' });
+                }
+                const exported = exportConversation(conversation, format);
+                res.set('Content-Type', exported.contentType);
+                res.attachment(exported.filename);
+                res.send(exported.body);
+            } catch (error) {
+                this.logger.error('Conversation export error', { conversation_id: req.params.id, format, error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Stereo WAV of a recorded session: caller on the left channel, agent on the right
+        this.app.get('/api/conversations/:id/recording', async (req, res) => {
+            try {
+                const conversation = await this.findConversation(req.params.id, req.identity);
+                const file = conversation?.recording ? await this.callRecordings.find(conversation.recording.id) : null;
+                if (!file) {
+                    return res.status(404).json({ success: false, error: 'Recording not found' });
+                }
+                res.download(file, `conversation-${conversation.id}.wav`);
+            } catch (error) {
+                this.logger.error('Recording fetch error', { conversation_id: req.params.id, error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/conversations/:id', async (req, res) => {
+            try {
+                const conversation = await this.findConversation(req.params.id, req.identity);
+                const deleted = conversation && await this.conversationStore.delete(req.params.id);
+                if (!deleted) {
+                    return res.status(404).json({ success: false, error: 'Conversation not found' });
+                }
+                if (conversation.recording) {
+                    await this.callRecordings.delete(conversation.recording.id);
+                }
+                res.status(204).end();
+            } catch (error) {
+                this.logger.error('Conversation delete error', { conversation_id: req.params.id, error });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
         // Serve the main application
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
         });
 
+        // Supervisor dashboard; its data comes from the admin-only API and feed
+        this.app.get('/admin', (req, res) => {
+            res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+        });
+
         // n8n webhook integration endpoint
         this.app.post('/api/n8n/trigger', async (req, res) => {
             try {
-                const n8nService = new N8NIntegration();
+                this.rateLimiter.checkN8N(RateLimiter.userKey(req.identity, req.ip));
+            } catch (error) {
+                res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+                return res.status(429).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    limit: error.limit,
+                    retry_after_ms: error.retryAfterMs
+                });
+            }
+
+            try {
+                const n8nService = new N8NIntegration({
+                    identity: req.identity,
+                    metrics: this.metrics,
+                    logger: this.logger.child({ user_id: req.identity.id })
+                });
                 const result = await n8nService.triggerWorkflow(req.body);
                 res.json({ success: true, data: result });
             } catch (error) {
-                console.error('N8N trigger error:', error);
+                this.logger.error('N8N trigger error', { user_id: req.identity.id, error });
                 res.status(500).json({ success: false, error: error.message });
             }
         });
     }
 
     setupWebSocket() {
+        this.startHeartbeat();
+        this.wss.on('close', () => this.stopHeartbeat());
+
         this.wss.on('connection', (ws, req) => {
-            console.log('New WebSocket connection established');
+            // Identity from the token checked during the upgrade
+            ws.identity = req.identity;
+            // Cleared by each heartbeat ping; a pong or any message shows the peer is still there
+            ws.isAlive = true;
+            ws.on('pong', () => { ws.isAlive = true; });
+            ws.on('message', () => { ws.isAlive = true; });
+            if (isAdminFeed(req)) {
+                this.handleAdminFeed(ws);
+                return;
+            }
+
+            // Every line about this connection carries its ids; the session ids fill in as they are known
+            ws.connectionId = crypto.randomUUID();
+            const logger = this.logger.child({
+                connection_id: ws.connectionId,
+                session_id: null,
+                openai_session_id: null,
+                user_id: ws.identity.id
+            });
+            ws.logger = logger;
+            logger.info('WebSocket connection established', { remote_address: req.socket.remoteAddress });
+            this.metrics.connectionOpened();
+
+            // Rate limit state: per-socket message bucket, per-user quotas keyed by userKey
+            ws.userKey = RateLimiter.userKey(ws.identity, req.socket.remoteAddress);
+            ws.messageBucket = this.rateLimiter.createMessageBucket();
+            ws.rateLimitNotices = new Map();
             
             // Create services for this connection
-            const openaiService = new OpenAIRealtimeService();
-            const webrtcSignaling = new WebRTCSignaling(ws);
-            const n8nService = new N8NIntegration();
+            const n8nService = new N8NIntegration({ identity: ws.identity, metrics: this.metrics, logger });
+            const openaiService = new OpenAIRealtimeService({
+                toolRegistry: createDefaultToolRegistry(n8nService, { logger }),
+                personaLibrary: this.personaLibrary,
+                logger
+            });
+            const webrtcSignaling = new WebRTCSignaling(ws, { logger });
+
+            // Relay OpenAI Realtime events back to the browser
+            const eventBridge = new RealtimeEventBridge(openaiService, ws);
+            eventBridge.attach();
+
+            // Persist the transcript of each session
+            const recorder = new ConversationRecorder(openaiService, this.conversationStore, { logger });
+            recorder.attach();
+
+            // Live state for the admin dashboard
+            const activity = new SessionActivity(openaiService, {
+                connectionId: ws.connectionId,
+                user: ws.identity,
+                remoteAddress: req.socket.remoteAddress
+            });
+            activity.attach();
+
+            // Meter each response and push the running totals to the client
+            openaiService.on('response_usage', (data) => this.handleResponseUsage(ws, data));
+
+            // Audio out, turn latency and upstream errors
+            this.metrics.instrumentSession(openaiService);
+
+            // Armed while a session runs; ends it when the caller goes quiet
+            const idleTimer = new IdleTimer({
+                timeouts: this.idleTimeouts,
+                onIdle: (kind, timeoutMs) => this.endIdleSession(ws, kind, timeoutMs)
+            });
+
+            // A session whose upstream retries ran out no longer holds a slot
+            openaiService.on('upstream_failed', () => {
+                this.rateLimiter.releaseSession(ws);
+                idleTimer.stop();
+            });
 
             // Store services on the WebSocket for cleanup
-            ws.services = { openaiService, webrtcSignaling, n8nService };
+            // `monitor` is the supervisor listen-in, created while someone listens
+            ws.services = { openaiService, webrtcSignaling, n8nService, eventBridge, recorder, activity, idleTimer, monitor: null };
+
+            // Version agreed in the hello handshake; null until hello or the first other message
+            ws.protocolVersion = null;
 
             // Handle incoming messages
             ws.on('message', async (message) => {
+                let data;
                 try {
-                    const data = JSON.parse(message);
+                    data = parseClientMessage(message);
                     await this.handleWebSocketMessage(ws, data);
                 } catch (error) {
-                    console.error('WebSocket message error:', error);
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: 'Invalid message format'
-                    }));
+                    this.handleMessageError(ws, error, requestIdOf(data));
                 }
             });
 
             // Handle connection close
             ws.on('close', () => {
-                console.log('WebSocket connection closed');
+                logger.info('WebSocket connection closed');
+                this.metrics.connectionClosed();
+                this.rateLimiter.releaseSession(ws);
                 if (ws.services) {
+                    const { recorder } = ws.services;
+                    ws.services.idleTimer.stop();
+                    this.finishCallRecording(ws)
+                        .then(() => recorder.finish())
+                        .catch(error => ws.logger.error('Conversation finish error', { error }));
+                    ws.services.recorder.detach();
+                    ws.services.activity.detach();
+                    this.stopMonitor(ws, 'disconnected');
+                    ws.services.eventBridge.detach();
+                    ws.services.transcoder?.close();
                     ws.services.openaiService.cleanup();
                     ws.services.webrtcSignaling.cleanup();
                 }
+                this.broadcastSessions();
             });
 
-            // Send initial connection confirmation
-            ws.send(JSON.stringify({
-                type: 'connected',
-                message: 'Voice agent ready'
-            }));
+            // Send initial connection confirmation, with the versions hello may ask for
+            this.sendMessage(ws, 'connected', {
+                protocol_version: protocol.PROTOCOL_VERSION,
+                supported_versions: protocol.SUPPORTED_VERSIONS
+            }, { message: 'Voice agent ready' });
         });
     }
 
+    // `data` is any parsed JSON; it is checked against the protocol schemas before anything acts on it
     async handleWebSocketMessage(ws, data) {
-        const { type, payload } = data;
-        const { openaiService, webrtcSignaling, n8nService } = ws.services;
+        const type = data?.type;
+        this.metrics.recordMessage(CLIENT_MESSAGE_TYPES.has(type) ? type : 'unknown');
+        this.rateLimiter.checkMessage(ws.messageBucket);
+        assertClientMessage(data);
+
+        const { payload } = data;
+        const { openaiService, webrtcSignaling, n8nService, recorder, activity, idleTimer } = ws.services;
+        // Direct replies carry the request_id of the message they answer
+        const requestId = requestIdOf(data);
+        const reply = (replyType, replyPayload, options = {}) => this.sendMessage(ws, replyType, replyPayload, { ...options, requestId });
+
+        if (type !== 'hello' && ws.protocolVersion === null) {
+            ws.protocolVersion = protocol.IMPLICIT_PROTOCOL_VERSION;
+        }
+        // Heartbeats alone don't keep a session alive
+        if (type !== 'ping') {
+            idleTimer.touch('messages');
+        }
 
         switch (type) {
+            case 'hello':
+                this.handleHello(ws, payload, requestId);
+                break;
+
+            case 'ping':
+                reply('pong');
+                break;
+
             case 'start_session':
-                await openaiService.startSession();
-                ws.send(JSON.stringify({
-                    type: 'session_started',
-                    message: 'OpenAI Realtime session started'
-                }));
+                // `audio` negotiates the client's wire formats; the rest is session config
+                const { audio, ...sessionConfig } = payload || {};
+                // Refused before anything is counted against the quota
+                openaiService.checkSessionStart(sessionConfig);
+                negotiateAudioFormats(audio);
+                this.rateLimiter.acquireSession(ws, ws.userKey);
+                await this.finishCallRecording(ws);
+                try {
+                    await openaiService.startSession(sessionConfig);
+                } catch (error) {
+                    // An upstream failure doesn't use up one of the user's sessions for the day
+                    this.rateLimiter.cancelSession(ws, ws.userKey);
+                    throw error;
+                }
+                // Built only now: an Opus input holds a wasm decoder until the transcoder is closed
+                const transcoder = new AudioTranscoder(audio);
+                this.setTranscoder(ws, transcoder);
+                // Started in the same tick the upstream socket opened, before any greeting audio can arrive
+                const callRecording = this.startCallRecording(ws);
+                const conversationId = await recorder.start({ ...openaiService.getSessionInfo(), user: ws.identity });
+                ws.logger.context({ session_id: conversationId });
+                if (callRecording) {
+                    recorder.recordCallRecording(this.describeCallRecording(conversationId, callRecording.describe()));
+                }
+                activity.sessionStarted({ conversationId, recording: !!callRecording });
+                this.startIdleTimer(ws);
+                reply('session_started', {
+                    ...openaiService.getSessionInfo(),
+                    conversationId,
+                    audio: transcoder.describe(),
+                    user: ws.identity,
+                    recording: {
+                        enabled: !!callRecording,
+                        notice: callRecording ? openaiService.persona.recordingNotice : null
+                    }
+                }, { message: 'OpenAI Realtime session started' });
+                this.broadcastSessions();
+                break;
+
+            case 'update_session':
+                // Validated against the allow-list and sent upstream as session.update
+                openaiService.updateSession(payload);
+                recorder.recordSessionUpdate(openaiService.getSessionInfo());
+                this.startIdleTimer(ws);
+                reply('session_updated', openaiService.getSessionInfo());
                 break;
 
             case 'webrtc_offer':
@@ -153,60 +584,494 @@ class VoiceAgentServer {
                 break;
 
             case 'audio_data':
-                // Forward audio data to OpenAI Realtime API
-                await openaiService.sendAudioData(payload);
+                // Counted as received, before transcoding
+                this.rateLimiter.checkAudio(ws.userKey, audioByteLength(payload));
+                idleTimer.touch('audio');
+                // Normalize to 24 kHz PCM16 and forward to OpenAI Realtime API
+                const pcm16 = ws.services.transcoder ? ws.services.transcoder.decodeInput(payload) : payload;
+                if (pcm16?.length > 0) {
+                    this.metrics.recordAudioIn(audioByteLength(pcm16));
+                    await openaiService.sendAudioData(pcm16);
+                }
+                break;
+
+            case 'send_text':
+                // Typed user turn; the reply arrives through the usual response events
+                const text = payload.text.trim();
+                if (!text) {
+                    throw new ProtocolError('invalid_text', `send_text requires text of 1 to ${MAX_TEXT_MESSAGE_LENGTH} characters`);
+                }
+                if (!openaiService.sendText(text)) {
+                    throw new ProtocolError('session_not_active', 'Start a session before sending messages');
+                }
+                // A typing caller is still there
+                idleTimer.touch('audio');
+                break;
+
+            case 'ptt_start':
+                // Push-to-talk: the user pressed the talk button
+                if (!openaiService.startUserTurn()) {
+                    throw new ProtocolError('push_to_talk_unavailable', 'Push-to-talk needs an active session with turn_detection set to null');
+                }
+                break;
+
+            case 'ptt_end':
+                // Commit the held turn and request a reply (answered with ptt_committed or ptt_discarded)
+                openaiService.endUserTurn();
+                break;
+
+            case 'interrupt_response':
+                // Client stopped playback because the user started talking
+                openaiService.interruptResponse(payload || {});
                 break;
 
             case 'trigger_n8n':
                 // Trigger n8n workflow with conversation context
+                this.rateLimiter.checkN8N(ws.userKey);
                 const workflowResult = await n8nService.triggerWorkflow({
                     ...payload,
                     timestamp: new Date().toISOString()
                 });
-                ws.send(JSON.stringify({
-                    type: 'n8n_response',
-                    data: workflowResult
-                }));
+                recorder.recordN8NResult(payload, workflowResult);
+                reply('n8n_response', workflowResult);
                 break;
 
             case 'end_session':
-                await openaiService.endSession();
-                ws.send(JSON.stringify({
-                    type: 'session_ended',
-                    message: 'Session ended successfully'
-                }));
+                await this.endSession(ws, 'ended_by_user', { requestId });
                 break;
+        }
+    }
+
+    // Version handshake: the first message, sent once. An unsupported version closes the socket
+    handleHello(ws, { protocol_version: version, client }, requestId) {
+        if (ws.protocolVersion !== null) {
+            throw new ProtocolError('unexpected_hello', 'hello must be the first message and sent only once');
+        }
+        if (!protocol.SUPPORTED_VERSIONS.includes(version)) {
+            this.sendError(ws, 'unsupported_protocol_version', `Protocol version ${version} is not supported`, {
+                requestId,
+                details: [`supported versions: ${protocol.SUPPORTED_VERSIONS.join(', ')}`]
+            });
+            ws.close(1002, 'Unsupported protocol version');
+            return;
+        }
+
+        ws.protocolVersion = version;
+        ws.logger.info('Client hello', { protocol_version: version, client: client || null });
+        this.sendMessage(ws, 'welcome', { protocol_version: version, connection_id: ws.connectionId }, { requestId });
+    }
+
+    // Typed errors go back as they are; anything else is logged and reported as internal_error
+    handleMessageError(ws, error, requestId) {
+        if (error instanceof RateLimitError) {
+            this.sendRateLimited(ws, error, requestId);
+            return;
+        }
 
-            default:
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: `Unknown message type: ${type}`
-                }));
+        if (error instanceof ProtocolError || error instanceof SessionConfigError || error instanceof SessionStateError
+            || error instanceof AudioFormatError) {
+            this.sendError(ws, error.code, error.message, { requestId, details: error.details });
+            return;
         }
+
+        ws.logger.error('WebSocket message error', { error });
+        this.sendError(ws, 'internal_error', 'Internal server error', { requestId });
+    }
+
+    // Shared by end_session, an admin force-end and the idle timeouts; `reason` tells the client which
+    // and `notice` explains an end the caller didn't ask for
+    async endSession(ws, reason, { requestId, notice } = {}) {
+        const { openaiService, recorder, activity, idleTimer } = ws.services;
+        idleTimer.stop();
+        await openaiService.endSession();
+        this.rateLimiter.releaseSession(ws);
+        this.setTranscoder(ws, null);
+        activity.sessionEnded();
+        this.stopMonitor(ws, 'session_ended');
+        await this.finishCallRecording(ws);
+        await recorder.finish();
+        this.sendMessage(ws, 'session_ended', notice ? { reason, notice } : { reason }, { message: 'Session ended successfully', requestId });
+        this.broadcastSessions();
+    }
+
+    // Re-armed when the modalities may have changed; a text-only session never sends audio
+    startIdleTimer(ws) {
+        const { openaiService, activity, idleTimer } = ws.services;
+        if (!activity.session) return;
+        idleTimer.start(openaiService.sessionConfig.modalities.includes('audio') ? ['audio', 'messages'] : ['messages']);
+    }
+
+    async endIdleSession(ws, kind, timeoutMs) {
+        if (!ws.services.activity.session) return;
+
+        ws.logger.info('Session ended for inactivity', { idle: kind, timeout_ms: timeoutMs });
+        this.metrics.recordIdleTimeout(kind);
+        try {
+            await this.endSession(ws, 'idle_timeout', { notice: idleNotice(kind, timeoutMs) });
+        } catch (error) {
+            ws.logger.error('Idle session end error', { error });
+        }
+    }
+
+    startHeartbeat() {
+        if (!this.heartbeatIntervalMs || this.heartbeatTimer) return;
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), this.heartbeatIntervalMs);
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    // Reaps half-open sockets: a peer that vanished without a close frame never answers the ping.
+    // Terminating runs the usual close handling, which ends its upstream session.
+    checkHeartbeats() {
+        this.wss.clients.forEach((ws) => {
+            if (!ws.isAlive) {
+                (ws.logger || this.logger).warn('Reaping unresponsive WebSocket', { heartbeat_interval_ms: this.heartbeatIntervalMs });
+                this.metrics.connectionReaped();
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }
+
+    // Token check for every upgrade; the admin feed also requires the admin role
+    verifyClient() {
+        const verifyToken = this.auth.verifyClient();
+        return (info, done) => verifyToken(info, (verified, code, message) => {
+            if (verified && isAdminFeed(info.req) && info.req.identity.role !== 'admin') {
+                return done(false, 403, 'Requires the admin role');
+            }
+            done(verified, code, message);
+        });
+    }
+
+    // Snapshot of every voice connection (admin feeds are not listed)
+    listSessions() {
+        return Array.from(this.wss.clients)
+            .filter(client => client.services)
+            .map((client) => {
+                const { activity } = client.services;
+                const conversationId = activity.session?.conversationId;
+                return activity.snapshot(conversationId ? this.usageMeter.getSession(conversationId) : null);
+            });
+    }
+
+    findConnection(connectionId) {
+        return Array.from(this.wss.clients).find(client => client.services && client.connectionId === connectionId) || null;
+    }
+
+    // A stored conversation the identity may see: its own, or any for admins. Others look missing (404)
+    async findConversation(id, identity) {
+        const conversation = await this.conversationStore.get(id);
+        if (!conversation || (conversation.user?.id !== identity.id && identity.role !== 'admin')) {
+            return null;
+        }
+        return conversation;
+    }
+
+    // Returns 'ended', or why not: 'not_found' or 'not_active'
+    async forceEndSession(connectionId, admin) {
+        const ws = this.findConnection(connectionId);
+        if (!ws) {
+            return 'not_found';
+        }
+        if (!ws.services.activity.session) {
+            return 'not_active';
+        }
+
+        ws.logger.warn('Session ended by an administrator', { admin_id: admin.id });
+        await this.endSession(ws, 'ended_by_admin');
+        return 'ended';
+    }
+
+    // Admin dashboard feed: a `sessions` snapshot now, on every session change and every adminFeedIntervalMs
+    handleAdminFeed(ws) {
+        const logger = this.logger.child({ admin_id: ws.identity.id });
+        logger.info('Admin feed connected');
+        this.adminFeeds.add(ws);
+        this.sendSessions(ws);
+        if (!this.adminFeedTimer) {
+            this.adminFeedTimer = setInterval(() => this.broadcastSessions(), this.adminFeedIntervalMs);
+            this.adminFeedTimer.unref();
+        }
+
+        ws.on('message', async (message) => {
+            try {
+                const data = parseClientMessage(message);
+                assertClientMessage(data, protocol.checkAdminMessage);
+                await this.handleAdminMessage(ws, data, logger);
+            } catch (error) {
+                if (error instanceof ProtocolError) {
+                    this.sendError(ws, error.code, error.message, { details: error.details });
+                    return;
+                }
+                logger.error('Admin feed message error', { error });
+                this.sendError(ws, 'internal_error', 'Internal server error');
+            }
+        });
+
+        ws.on('close', () => {
+            logger.info('Admin feed disconnected');
+            this.stopListening(ws);
+            this.adminFeeds.delete(ws);
+            if (this.adminFeeds.size === 0) {
+                clearInterval(this.adminFeedTimer);
+                this.adminFeedTimer = null;
+            }
+        });
+    }
+
+    // end_session, listen, unlisten and whisper (ADMIN_MESSAGES, already validated); all but unlisten name a connection_id
+    async handleAdminMessage(ws, { type, payload }, logger) {
+        const connectionId = payload?.connection_id;
+        const text = payload?.text;
+        let outcome;
+
+        switch (type) {
+            case 'end_session':
+                try {
+                    outcome = await this.forceEndSession(connectionId, ws.identity);
+                } catch (error) {
+                    logger.error('Force end error', { connection_id: connectionId, error });
+                    this.sendError(ws, 'force_end_failed', error.message);
+                    return;
+                }
+                if (outcome === 'ended') {
+                    ws.send(JSON.stringify({ type: 'session_force_ended', payload: { connection_id: connectionId } }));
+                    return;
+                }
+                break;
+
+            case 'listen':
+                // listen_started comes from the monitor
+                outcome = this.startListening(ws, connectionId);
+                if (outcome === 'listening') return;
+                break;
+
+            case 'unlisten': {
+                const stopped = this.stopListening(ws);
+                if (stopped) {
+                    ws.send(JSON.stringify({ type: 'listen_stopped', payload: { connection_id: stopped, reason: 'stopped' } }));
+                } else {
+                    this.sendError(ws, 'not_listening', 'Not listening to any session');
+                }
+                return;
+            }
+
+            case 'whisper':
+                if (!isValidWhisper(text)) {
+                    this.sendError(ws, 'invalid_whisper', WHISPER_ERROR);
+                    return;
+                }
+                outcome = this.whisper(connectionId, text.trim(), ws.identity);
+                if (outcome === 'sent') {
+                    ws.send(JSON.stringify({ type: 'whisper_sent', payload: { connection_id: connectionId } }));
+                    return;
+                }
+                break;
+        }
+
+        this.sendError(ws, ADMIN_ACTION_ERRORS[outcome].code, ADMIN_ACTION_ERRORS[outcome].message);
+    }
+
+    // Streams a session's mixed audio and transcript to an admin feed, one session per feed.
+    // Returns 'listening', or why not: 'not_found' or 'not_active'
+    startListening(admin, connectionId) {
+        const ws = this.findConnection(connectionId);
+        if (!ws) {
+            return 'not_found';
+        }
+        if (!ws.services.activity.session) {
+            return 'not_active';
+        }
+
+        this.stopListening(admin);
+        if (!ws.services.monitor) {
+            ws.services.monitor = new LiveMonitor({ connectionId });
+            ws.services.monitor.start(ws.services.openaiService);
+        }
+        ws.services.monitor.addListener(admin);
+        ws.logger.info('Supervisor listening in', { admin_id: admin.identity.id });
+        return 'listening';
+    }
+
+    // Returns the connection the feed was listening to, or null
+    stopListening(admin) {
+        const ws = Array.from(this.wss.clients).find(client => client.services?.monitor?.listeners.has(admin));
+        if (!ws) {
+            return null;
+        }
+
+        ws.logger.info('Supervisor stopped listening', { admin_id: admin.identity.id });
+        if (ws.services.monitor.removeListener(admin) === 0) {
+            this.stopMonitor(ws, 'stopped');
+        }
+        return ws.connectionId;
+    }
+
+    // Ends the listen-in of a session, telling any remaining listeners why
+    stopMonitor(ws, reason) {
+        const { monitor } = ws.services;
+        if (!monitor) return;
+        monitor.stop(reason);
+        ws.services.monitor = null;
+    }
+
+    // Returns 'sent', or why not: 'not_found', 'not_active' or 'not_connected'
+    whisper(connectionId, text, admin) {
+        const ws = this.findConnection(connectionId);
+        if (!ws) {
+            return 'not_found';
+        }
+        if (!ws.services.activity.session) {
+            return 'not_active';
+        }
+        if (!ws.services.openaiService.whisper(text, { id: admin.id })) {
+            return 'not_connected';
+        }
+
+        ws.logger.info('Supervisor whisper sent', { admin_id: admin.id, length: text.length });
+        return 'sent';
+    }
+
+    sendSessions(ws) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        const sessions = this.listSessions();
+        ws.send(JSON.stringify({ type: 'sessions', payload: { sessions, total: sessions.length } }));
+    }
+
+    broadcastSessions() {
+        this.adminFeeds.forEach(ws => this.sendSessions(ws));
+    }
+
+    handleResponseUsage(ws, { response_id, model, usage }) {
+        const { openaiService, recorder } = ws.services;
+        const metered = this.usageMeter.record({
+            sessionId: recorder.conversationId || openaiService.openaiSessionId,
+            userId: ws.identity.id,
+            model,
+            usage
+        });
+        recorder.recordUsage(metered.session);
+
+        const { user_id, ...session } = metered.session;
+        this.sendMessage(ws, 'usage_update', {
+            response_id,
+            currency: 'USD',
+            response: metered.response,
+            session,
+            rate_limits: openaiService.rateLimits
+        });
+    }
+
+    // Record the session if its persona asks for it
+    startCallRecording(ws) {
+        const { openaiService } = ws.services;
+        if (!openaiService.persona?.recording) {
+            return null;
+        }
+        const callRecording = this.callRecordings.create({ logger: ws.logger });
+        callRecording.attach(openaiService);
+        ws.services.callRecording = callRecording;
+        ws.logger.info('Call recording started', { recording_id: callRecording.id });
+        return callRecording;
+    }
+
+    // Write out the session's WAV and link it from the conversation record
+    async finishCallRecording(ws) {
+        const { callRecording, recorder } = ws.services;
+        if (!callRecording) return;
+
+        ws.services.callRecording = null;
+        const recording = await callRecording.finish();
+        if (recording && recorder.conversationId) {
+            recorder.recordCallRecording(this.describeCallRecording(recorder.conversationId, recording));
+            ws.logger.info('Call recording saved', { recording_id: recording.id, duration_ms: recording.durationMs });
+        }
+    }
+
+    describeCallRecording(conversationId, recording) {
+        return { ...recording, url: `/api/conversations/${conversationId}/recording` };
+    }
+
+    // Swap the connection's transcoder, releasing the old one's decoder state
+    setTranscoder(ws, transcoder) {
+        ws.services.transcoder?.close();
+        ws.services.transcoder = transcoder;
+        ws.services.eventBridge.setAudioTranscoder(transcoder);
+    }
+
+    // One notice per limit until its retry time has passed, so a flood isn't answered with a flood
+    sendRateLimited(ws, error, requestId) {
+        const now = Date.now();
+        if ((ws.rateLimitNotices.get(error.limit) || 0) > now) {
+            return;
+        }
+        ws.rateLimitNotices.set(error.limit, now + error.retryAfterMs);
+        this.sendMessage(ws, 'error', {
+            message: error.message,
+            code: error.code,
+            limit: error.limit,
+            retry_after_ms: error.retryAfterMs
+        }, { requestId });
+    }
+
+    // `details` lists what was wrong, for validation errors
+    sendError(ws, code, message, { requestId, details } = {}) {
+        this.sendMessage(ws, 'error', details ? { message, code, details } : { message, code }, { requestId });
+    }
+
+    // Shape of every server message: { type, message?, payload, request_id? }
+    sendMessage(ws, type, payload, { message, requestId } = {}) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({
+            type,
+            ...(message ? { message } : {}),
+            payload,
+            ...(requestId !== undefined ? { request_id: requestId } : {})
+        }));
     }
 
     start() {
         this.server.listen(this.port, () => {
-            console.log(`🚀 Voice Agent Server running on port ${this.port}`);
-            console.log(`📱 Web interface: http://localhost:${this.port}`);
-            console.log(`🔌 WebSocket endpoint: ws://localhost:${this.port}`);
-            console.log(`🤖 OpenAI API: ${process.env.OPENAI_API_KEY ? '✅ Configured' : '❌ Missing'}`);
-            console.log(`🔗 N8N Integration: ${process.env.N8N_WEBHOOK_URL ? '✅ Configured' : '⚠️ Optional'}`);
+            this.logger.info('Voice Agent Server running', {
+                port: this.port,
+                web_interface: `http://localhost:${this.port}`,
+                websocket: `ws://localhost:${this.port}`,
+                openai_configured: !!process.env.OPENAI_API_KEY,
+                openai_realtime_url: process.env.OPENAI_REALTIME_URL || null,
+                n8n_configured: !!process.env.N8N_WEBHOOK_URL,
+                auth_enabled: this.auth.enabled
+            });
+            if (!process.env.OPENAI_API_KEY) {
+                this.logger.error('OPENAI_API_KEY is missing');
+            }
+            if (!this.auth.enabled) {
+                this.logger.warn('Auth is disabled; set AUTH_SECRET to require access tokens');
+            }
         });
     }
 }
 
-// Start the server
-const server = new VoiceAgentServer();
-server.start();
+// Start the server when run directly (tests require the class without listening)
+if (require.main === module) {
+    const server = new VoiceAgentServer();
+    server.start();
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('Received SIGTERM, shutting down gracefully');
-    server.server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        logger.info('Received SIGTERM, shutting down gracefully');
+        server.server.close(async () => {
+            logger.info('Server closed');
+            await logger.close();
+            process.exit(0);
+        });
     });
-});
+}
 
 module.exports = VoiceAgentServer;
@@ -0,0 +1,379 @@
+/**
+ * Building blocks for the audio transcoder: G.711 companding, PCM16 helpers,
+ * a streaming resampler and incremental WAV / Ogg / WebM parsers. Everything
+ * here is synchronous and keeps its own carry-over state, so network chunks can
+ * be fed in as they arrive regardless of where they split the stream.
+ */
+
+// --- G.711 (ITU-T) ------------------------------------------------------------
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+function linearToUlaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), ULAW_CLIP) + ULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function ulawToLinear(byte) {
+    const value = ~byte & 0xff;
+    const exponent = (value >> 4) & 0x07;
+    const magnitude = ((((value & 0x0f) << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+    return value & 0x80 ? -magnitude : magnitude;
+}
+
+function linearToAlaw(sample) {
+    const sign = sample >= 0 ? 0x80 : 0;
+    const magnitude = Math.min(sample >= 0 ? sample : -sample - 1, 32767) >> 3;
+
+    // Segment 0 covers 0..31 and each later segment doubles the range
+    let exponent = 0;
+    while (exponent < 7 && magnitude >= (32 << exponent)) {
+        exponent++;
+    }
+    const mantissa = (magnitude >> (exponent < 2 ? 1 : exponent)) & 0x0f;
+    return (sign | (exponent << 4) | mantissa) ^ 0x55;
+}
+
+function alawToLinear(byte) {
+    const value = byte ^ 0x55;
+    const exponent = (value >> 4) & 0x07;
+    const mantissa = value & 0x0f;
+    const magnitude = exponent === 0
+        ? (mantissa << 4) + 8
+        : ((mantissa << 4) + 0x108) << (exponent - 1);
+    return value & 0x80 ? magnitude : -magnitude;
+}
+
+function decodeG711(bytes, law) {
+    const toLinear = law === 'alaw' ? alawToLinear : ulawToLinear;
+    const samples = new Int16Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        samples[i] = toLinear(bytes[i]);
+    }
+    return samples;
+}
+
+function encodeG711(samples, law) {
+    const fromLinear = law === 'alaw' ? linearToAlaw : linearToUlaw;
+    const bytes = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        bytes[i] = fromLinear(samples[i]);
+    }
+    return bytes;
+}
+
+// --- PCM16 ------------------------------------------------------------------
+
+function pcm16ToSamples(buffer) {
+    const samples = new Int16Array(Math.floor(buffer.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = buffer.readInt16LE(i * 2);
+    }
+    return samples;
+}
+
+function samplesToPcm16(samples) {
+    const buffer = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16LE(samples[i], i * 2);
+    }
+    return buffer;
+}
+
+// Average interleaved channels down to mono
+function downmix(samples, channels) {
+    if (channels === 1) {
+        return samples;
+    }
+
+    const mono = new Int16Array(Math.floor(samples.length / channels));
+    for (let i = 0; i < mono.length; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += samples[i * channels + channel];
+        }
+        mono[i] = Math.round(sum / channels);
+    }
+    return mono;
+}
+
+// Streaming linear-interpolation resampler; state carries across calls so block edges are seamless
+class PcmResampler {
+    constructor(fromRate, toRate) {
+        this.ratio = fromRate / toRate;
+        this.passthrough = fromRate === toRate;
+        // Read position relative to the next block; -1..0 falls after the previous block's last sample
+        this.position = 0;
+        this.lastSample = 0;
+    }
+
+    process(samples) {
+        if (this.passthrough || samples.length === 0) {
+            return samples;
+        }
+
+        const output = [];
+        let position = this.position;
+        while (position < samples.length - 1) {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const before = index < 0 ? this.lastSample : samples[index];
+            const after = samples[index + 1];
+            output.push(Math.round(before + (after - before) * fraction));
+            position += this.ratio;
+        }
+
+        this.lastSample = samples[samples.length - 1];
+        this.position = position - samples.length;
+        return Int16Array.from(output);
+    }
+}
+
+// --- Containers ---------------------------------------------------------------
+
+// Buffers bytes until a caller-defined unit is complete
+class ByteQueue {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    }
+
+    take(length) {
+        const bytes = this.buffer.subarray(0, length);
+        this.buffer = this.buffer.subarray(length);
+        return bytes;
+    }
+}
+
+const WAV_FORMATS = { 1: 'pcm16', 6: 'g711_alaw', 7: 'g711_ulaw' };
+
+// Parses the RIFF header once, then passes the data chunk through as it streams in
+class WavParser {
+    constructor() {
+        this.queue = new ByteQueue();
+        this.format = null;
+        this.inData = false;
+    }
+
+    // Returns { format, data } where format is null until the header has been read
+    push(chunk) {
+        if (this.inData) {
+            return { format: this.format, data: chunk };
+        }
+
+        this.queue.push(chunk);
+        const buffer = this.queue.buffer;
+        if (buffer.length < 12) {
+            return { format: null, data: Buffer.alloc(0) };
+        }
+        if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+            throw new Error('not a RIFF/WAVE stream');
+        }
+
+        let offset = 12;
+        while (offset + 8 <= buffer.length) {
+            const id = buffer.toString('ascii', offset, offset + 4);
+            const size = buffer.readUInt32LE(offset + 4);
+
+            if (id === 'data') {
+                if (!this.format) {
+                    throw new Error('WAV data chunk before fmt chunk');
+                }
+                this.inData = true;
+                this.queue.take(offset + 8);
+                return { format: this.format, data: this.queue.take(this.queue.buffer.length) };
+            }
+
+            if (offset + 8 + size > buffer.length) {
+                break;
+            }
+            if (id === 'fmt ') {
+                this.format = WavParser.parseFormat(buffer.subarray(offset + 8, offset + 8 + size));
+            }
+            offset += 8 + size + (size % 2);
+        }
+
+        return { format: null, data: Buffer.alloc(0) };
+    }
+
+    static parseFormat(fmt) {
+        const audioFormat = fmt.readUInt16LE(0);
+        const channels = fmt.readUInt16LE(2);
+        const sampleRate = fmt.readUInt32LE(4);
+        const bitsPerSample = fmt.readUInt16LE(14);
+        const format = WAV_FORMATS[audioFormat];
+
+        if (!format || (format === 'pcm16' && bitsPerSample !== 16) || (format !== 'pcm16' && bitsPerSample !== 8)) {
+            throw new Error(`unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit)`);
+        }
+        return { format, sampleRate, channels };
+    }
+}
+
+// 44-byte PCM16 WAV header for `dataBytes` of sample data
+function wavHeader(dataBytes, sampleRate, channels = 1) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+function buildWav(pcm, sampleRate, channels = 1) {
+    return Buffer.concat([wavHeader(pcm.length, sampleRate, channels), pcm]);
+}
+
+// Reassembles packets from Ogg pages (RFC 3533); packets may span pages
+class OggDemuxer {
+    constructor() {
+        this.queue = new ByteQueue();
+        this.partial = [];
+    }
+
+    push(chunk) {
+        this.queue.push(chunk);
+        const packets = [];
+
+        for (;;) {
+            const buffer = this.queue.buffer;
+            if (buffer.length < 27) break;
+            if (buffer.toString('ascii', 0, 4) !== 'OggS') {
+                throw new Error('lost Ogg page sync');
+            }
+
+            const segmentCount = buffer[26];
+            const headerLength = 27 + segmentCount;
+            if (buffer.length < headerLength) break;
+
+            const lacing = buffer.subarray(27, headerLength);
+            const bodyLength = lacing.reduce((total, value) => total + value, 0);
+            if (buffer.length < headerLength + bodyLength) break;
+
+            const page = this.queue.take(headerLength + bodyLength);
+            let offset = headerLength;
+            lacing.forEach((value) => {
+                this.partial.push(page.subarray(offset, offset + value));
+                offset += value;
+                // A lacing value under 255 ends the packet
+                if (value < 255) {
+                    packets.push(Buffer.concat(this.partial));
+                    this.partial = [];
+                }
+            });
+        }
+
+        return packets;
+    }
+}
+
+const EBML_UNKNOWN_SIZE = -1;
+// Segment, Cluster and BlockGroup are entered rather than skipped; they are often unknown-sized when streamed
+const WEBM_CONTAINERS = new Set([0x18538067, 0x1f43b675, 0xa0]);
+const WEBM_BLOCKS = new Set([0xa3, 0xa1]); // SimpleBlock, Block
+
+function readVint(buffer, offset, keepMarker) {
+    if (offset >= buffer.length) return null;
+
+    const first = buffer[offset];
+    let length = 1;
+    while (length <= 8 && (first & (0x80 >> (length - 1))) === 0) {
+        length++;
+    }
+    if (length > 8) {
+        throw new Error('invalid EBML variable-length integer');
+    }
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        allOnes = allOnes && buffer[offset + i] === 0xff;
+    }
+    return { value: !keepMarker && allOnes ? EBML_UNKNOWN_SIZE : value, length };
+}
+
+// Pulls audio frames out of the (single-track) WebM / Matroska blocks
+class WebmDemuxer {
+    constructor() {
+        this.queue = new ByteQueue();
+    }
+
+    push(chunk) {
+        this.queue.push(chunk);
+        const frames = [];
+
+        for (;;) {
+            const buffer = this.queue.buffer;
+            const id = readVint(buffer, 0, true);
+            if (!id) break;
+            const size = readVint(buffer, id.length, false);
+            if (!size) break;
+
+            const headerLength = id.length + size.length;
+            if (WEBM_CONTAINERS.has(id.value)) {
+                this.queue.take(headerLength);
+                continue;
+            }
+            if (size.value === EBML_UNKNOWN_SIZE) {
+                throw new Error(`unknown-sized WebM element 0x${id.value.toString(16)}`);
+            }
+            if (buffer.length < headerLength + size.value) break;
+
+            const body = this.queue.take(headerLength + size.value).subarray(headerLength);
+            if (WEBM_BLOCKS.has(id.value)) {
+                frames.push(WebmDemuxer.blockFrame(body));
+            }
+        }
+
+        return frames;
+    }
+
+    static blockFrame(block) {
+        const track = readVint(block, 0, false);
+        const flags = block[track.length + 2];
+        if (flags & 0x06) {
+            throw new Error('laced WebM blocks are not supported');
+        }
+        return block.subarray(track.length + 3);
+    }
+}
+
+module.exports = {
+    linearToUlaw,
+    ulawToLinear,
+    linearToAlaw,
+    alawToLinear,
+    decodeG711,
+    encodeG711,
+    pcm16ToSamples,
+    samplesToPcm16,
+    downmix,
+    PcmResampler,
+    WavParser,
+    wavHeader,
+    buildWav,
+    OggDemuxer,
+    WebmDemuxer
+};
@@ -0,0 +1,267 @@
+const OpusScript = require('opusscript');
+const {
+    decodeG711,
+    encodeG711,
+    pcm16ToSamples,
+    samplesToPcm16,
+    downmix,
+    PcmResampler,
+    WavParser,
+    buildWav,
+    OggDemuxer,
+    WebmDemuxer
+} = require('./audio-codecs');
+
+// What the Realtime API speaks: 24 kHz mono PCM16
+const REALTIME_SAMPLE_RATE = 24000;
+const G711_SAMPLE_RATE = 8000;
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+const INPUT_FORMATS = ['pcm16', 'g711_ulaw', 'g711_alaw', 'wav', 'ogg_opus', 'webm_opus'];
+const OUTPUT_FORMATS = ['pcm16', 'g711_ulaw', 'g711_alaw', 'wav'];
+// Self-describing containers; the stream itself carries rate and channel count
+const CONTAINER_FORMATS = ['wav', 'ogg_opus', 'webm_opus'];
+
+const DEFAULT_AUDIO_FORMAT = { format: 'pcm16', sample_rate: REALTIME_SAMPLE_RATE, channels: 1 };
+
+class AudioFormatError extends Error {
+    constructor(message, details = [], code = 'unsupported_audio_format') {
+        super(message);
+        this.name = 'AudioFormatError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Normalize one direction of the `audio` option; a bare string is shorthand for { format }
+function normalizeFormat(spec, direction, errors) {
+    if (spec === undefined || spec === null) {
+        return { ...DEFAULT_AUDIO_FORMAT };
+    }
+
+    const input = typeof spec === 'string' ? { format: spec } : spec;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        errors.push(`audio.${direction} must be a format name or an object`);
+        return null;
+    }
+
+    const formats = direction === 'input' ? INPUT_FORMATS : OUTPUT_FORMATS;
+    const { format, sample_rate: sampleRate, channels, ...rest } = input;
+    Object.keys(rest).forEach(key => errors.push(`audio.${direction}.${key} is not a configurable setting`));
+
+    if (!formats.includes(format)) {
+        const note = direction === 'output' && INPUT_FORMATS.includes(format) ? ` (${format} is only accepted as input)` : '';
+        errors.push(`audio.${direction}.format must be one of: ${formats.join(', ')}${note}`);
+        return null;
+    }
+
+    if (direction === 'input' && CONTAINER_FORMATS.includes(format)) {
+        if (sampleRate !== undefined || channels !== undefined) {
+            errors.push(`audio.input: ${format} streams describe their own sample_rate and channels`);
+        }
+        return { format };
+    }
+
+    const normalized = { format, sample_rate: REALTIME_SAMPLE_RATE, channels: 1 };
+    if (format.startsWith('g711')) {
+        normalized.sample_rate = G711_SAMPLE_RATE;
+        if (sampleRate !== undefined && sampleRate !== G711_SAMPLE_RATE) {
+            errors.push(`audio.${direction}.sample_rate must be ${G711_SAMPLE_RATE} for ${format}`);
+        }
+    } else if (sampleRate !== undefined) {
+        if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+            errors.push(`audio.${direction}.sample_rate must be an integer between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE}`);
+        } else {
+            normalized.sample_rate = sampleRate;
+        }
+    }
+
+    if (channels !== undefined) {
+        // Output is always mono; input may be interleaved stereo and is mixed down
+        const allowed = direction === 'input' ? [1, 2] : [1];
+        if (!allowed.includes(channels)) {
+            errors.push(`audio.${direction}.channels must be ${allowed.join(' or ')}`);
+        } else {
+            normalized.channels = channels;
+        }
+    }
+    return normalized;
+}
+
+// Validate the `audio` option of start_session; throws AudioFormatError listing every problem.
+// Omitted and null (which the start_session schema allows) both ask for the defaults
+function negotiateAudioFormats(requested) {
+    const audio = requested ?? {};
+    if (typeof audio !== 'object' || Array.isArray(audio)) {
+        throw new AudioFormatError('Invalid audio formats', ['audio must be an object with input and/or output']);
+    }
+
+    const errors = [];
+    Object.keys(audio)
+        .filter(key => key !== 'input' && key !== 'output')
+        .forEach(key => errors.push(`audio.${key} is not a configurable setting`));
+
+    const input = normalizeFormat(audio.input, 'input', errors);
+    const output = normalizeFormat(audio.output, 'output', errors);
+    if (errors.length > 0) {
+        throw new AudioFormatError('Invalid audio formats', errors);
+    }
+    return { input, output };
+}
+
+function isRealtimeFormat(format) {
+    return format.format === 'pcm16' && format.sample_rate === REALTIME_SAMPLE_RATE && format.channels === 1;
+}
+
+function concatSamples(blocks) {
+    if (blocks.length === 1) {
+        return blocks[0];
+    }
+    const samples = new Int16Array(blocks.reduce((total, block) => total + block.length, 0));
+    let offset = 0;
+    blocks.forEach(block => {
+        samples.set(block, offset);
+        offset += block.length;
+    });
+    return samples;
+}
+
+// Raw PCM16 or G.711 bytes -> 24 kHz mono samples; partial frames wait for the next chunk
+function createRawDecoder(format, sampleRate, channels) {
+    const frameBytes = (format === 'pcm16' ? 2 : 1) * channels;
+    const resampler = new PcmResampler(sampleRate, REALTIME_SAMPLE_RATE);
+    let carry = Buffer.alloc(0);
+
+    return (bytes) => {
+        const data = carry.length > 0 ? Buffer.concat([carry, bytes]) : bytes;
+        const usable = data.length - (data.length % frameBytes);
+        carry = data.subarray(usable);
+
+        const block = data.subarray(0, usable);
+        const samples = format === 'pcm16'
+            ? pcm16ToSamples(block)
+            : decodeG711(block, format === 'g711_alaw' ? 'alaw' : 'ulaw');
+        return resampler.process(downmix(samples, channels));
+    };
+}
+
+function createWavDecoder() {
+    const parser = new WavParser();
+    let decode = null;
+
+    return (bytes) => {
+        const { format, data } = parser.push(bytes);
+        if (!format) {
+            return new Int16Array(0);
+        }
+        decode = decode || createRawDecoder(format.format, format.sampleRate, format.channels);
+        return decode(data);
+    };
+}
+
+// Opus packets from an Ogg or WebM demuxer, decoded straight to 24 kHz
+function createOpusDecoder(demuxer) {
+    // Decoding to stereo handles both mono and stereo streams without reading the OpusHead
+    const decoder = new OpusScript(REALTIME_SAMPLE_RATE, 2);
+
+    const decode = (bytes) => concatSamples(demuxer.push(bytes)
+        .filter(packet => !isOpusHeader(packet))
+        .map(packet => downmix(pcm16ToSamples(decoder.decode(packet)), 2)));
+    decode.close = () => decoder.delete();
+    return decode;
+}
+
+// Ogg Opus streams start with OpusHead and OpusTags packets rather than audio
+function isOpusHeader(packet) {
+    const magic = packet.toString('ascii', 0, 8);
+    return magic === 'OpusHead' || magic === 'OpusTags';
+}
+
+function createInputDecoder(input) {
+    switch (input.format) {
+        case 'wav':
+            return createWavDecoder();
+        case 'ogg_opus':
+            return createOpusDecoder(new OggDemuxer());
+        case 'webm_opus':
+            return createOpusDecoder(new WebmDemuxer());
+        default:
+            return createRawDecoder(input.format, input.sample_rate, input.channels);
+    }
+}
+
+// 24 kHz mono samples -> bytes in the client's output format
+function createOutputEncoder(output) {
+    const resampler = new PcmResampler(REALTIME_SAMPLE_RATE, output.sample_rate);
+
+    return (samples) => {
+        const resampled = resampler.process(samples);
+        switch (output.format) {
+            case 'g711_ulaw':
+                return encodeG711(resampled, 'ulaw');
+            case 'g711_alaw':
+                return encodeG711(resampled, 'alaw');
+            case 'wav':
+                // Every delta is a complete file so clients can play chunks independently
+                return buildWav(samplesToPcm16(resampled), output.sample_rate);
+            default:
+                return samplesToPcm16(resampled);
+        }
+    };
+}
+
+/**
+ * Per-connection bridge between the client's audio formats and the Realtime API's
+ * 24 kHz mono PCM16. Input and output are independent streams with their own state.
+ */
+class AudioTranscoder {
+    constructor(audio = {}) {
+        const { input, output } = negotiateAudioFormats(audio);
+        this.input = input;
+        this.output = output;
+        this.decodeStream = isRealtimeFormat(input) ? null : createInputDecoder(input);
+        this.encodeStream = isRealtimeFormat(output) ? null : createOutputEncoder(output);
+    }
+
+    // Client audio (base64 or Buffer) -> PCM16 for input_audio_buffer.append; may be empty while a container header is buffering
+    decodeInput(audio) {
+        if (!this.decodeStream) {
+            return audio;
+        }
+
+        const bytes = Buffer.isBuffer(audio) ? audio : Buffer.from(audio, 'base64');
+        try {
+            return samplesToPcm16(this.decodeStream(bytes));
+        } catch (error) {
+            throw new AudioFormatError(`Could not decode ${this.input.format} audio: ${error.message}`, [], 'invalid_audio_data');
+        }
+    }
+
+    // Base64 PCM16 delta from the Realtime API -> base64 in the negotiated output format
+    encodeOutput(base64Audio) {
+        if (!this.encodeStream) {
+            return base64Audio;
+        }
+        return this.encodeStream(pcm16ToSamples(Buffer.from(base64Audio, 'base64'))).toString('base64');
+    }
+
+    describe() {
+        return { input: { ...this.input }, output: { ...this.output } };
+    }
+
+    close() {
+        this.decodeStream?.close?.();
+        this.decodeStream = null;
+        this.encodeStream = null;
+    }
+}
+
+module.exports = {
+    REALTIME_SAMPLE_RATE,
+    INPUT_FORMATS,
+    OUTPUT_FORMATS,
+    AudioFormatError,
+    AudioTranscoder,
+    negotiateAudioFormats
+};
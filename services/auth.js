@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+/**
+ * Token-based access control for the WebSocket and REST API.
+ *
+ * Clients exchange credentials for a short-lived HS256 JWT at POST /api/auth/token,
+ * then present it as `Authorization: Bearer <token>` (or `?access_token=` on the
+ * WebSocket URL, since browsers cannot set upgrade headers).
+ *
+ * Credential verifiers are pluggable (AUTH_VERIFIER=api_key, or pass your own):
+ *   verify(credentials)   identity { id, name, role } or null for bad credentials
+ */
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const ROLES = ['user', 'admin'];
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.code = status === 403 ? 'forbidden' : 'unauthorized';
+    }
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+class TokenService {
+    constructor(secret, options = {}) {
+        if (!secret) {
+            throw new Error('TokenService requires a signing secret');
+        }
+        this.secret = secret;
+        this.ttlSeconds = options.ttlSeconds || DEFAULT_TOKEN_TTL_SECONDS;
+        this.issuer = options.issuer || 'priyo-voice-agent';
+    }
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    issue(identity) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const claims = base64url(JSON.stringify({
+            sub: identity.id,
+            name: identity.name || null,
+            role: identity.role || 'user',
+            iss: this.issuer,
+            iat: now,
+            exp: now + this.ttlSeconds
+        }));
+
+        return {
+            token: `${header}.${claims}.${this.sign(`${header}.${claims}`)}`,
+            expiresIn: this.ttlSeconds
+        };
+    }
+
+    // Returns the identity in a valid token; throws AuthError otherwise
+    verify(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            throw new AuthError('Malformed token');
+        }
+
+        const [header, claims, signature] = parts;
+        const expected = Buffer.from(this.sign(`${header}.${claims}`));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new AuthError('Invalid token signature');
+        }
+
+        let payload;
+        try {
+            const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+            payload = JSON.parse(Buffer.from(claims, 'base64url').toString());
+            if (alg !== 'HS256') throw new Error(alg);
+        } catch (error) {
+            throw new AuthError('Malformed token');
+        }
+
+        if (payload.iss !== this.issuer || typeof payload.sub !== 'string') {
+            throw new AuthError('Token was not issued by this server');
+        }
+        if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+            throw new AuthError('Token expired');
+        }
+
+        return { id: payload.sub, name: payload.name, role: payload.role };
+    }
+}
+
+// Static API keys from AUTH_API_KEYS: comma-separated `key:userId[:role]` entries
+class ApiKeyVerifier {
+    constructor(spec = process.env.AUTH_API_KEYS || '') {
+        this.keys = new Map();
+        spec.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+            const [key, id, role = 'user'] = entry.split(':');
+            if (!key || !id || !ROLES.includes(role)) {
+                throw new Error(`Invalid AUTH_API_KEYS entry for user "${id || '?'}"`);
+            }
+            this.keys.set(key, { id, name: id, role });
+        });
+    }
+
+    async verify(credentials = {}) {
+        const key = credentials.api_key;
+        if (typeof key !== 'string') {
+            return null;
+        }
+
+        // Compare digests so lookup time does not depend on how much of a key matches
+        const digest = crypto.createHash('sha256').update(key).digest();
+        for (const [candidate, identity] of this.keys) {
+            if (crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(candidate).digest())) {
+                return { ...identity };
+            }
+        }
+        return null;
+    }
+}
+
+function createCredentialVerifier(type = process.env.AUTH_VERIFIER || 'api_key') {
+    switch (type) {
+        case 'api_key':
+            return new ApiKeyVerifier();
+        default:
+            throw new Error(`Unknown credential verifier: ${type}`);
+    }
+}
+
+// Bearer header first, then the access_token query parameter
+function extractToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('access_token');
+}
+
+// Used for every request when auth is disabled (no AUTH_SECRET outside production)
+const ANONYMOUS_IDENTITY = Object.freeze({ id: 'anonymous', name: null, role: 'user' });
+
+class AuthService {
+    constructor(options = {}) {
+        const secret = options.secret ?? process.env.AUTH_SECRET;
+        this.enabled = !!secret;
+        this.tokens = this.enabled
+            ? new TokenService(secret, { ttlSeconds: options.ttlSeconds || parseInt(process.env.AUTH_TOKEN_TTL, 10) || undefined })
+            : null;
+        this.verifier = options.verifier || (this.enabled ? createCredentialVerifier() : null);
+    }
+
+    // Exchange credentials for a token; null when the verifier rejects them
+    async issueToken(credentials) {
+        const identity = await this.verifier.verify(credentials);
+        return identity ? { identity, ...this.tokens.issue(identity) } : null;
+    }
+
+    // Identity for an incoming HTTP request or WebSocket upgrade; throws AuthError
+    authenticate(req) {
+        if (!this.enabled) {
+            return ANONYMOUS_IDENTITY;
+        }
+
+        const token = extractToken(req);
+        if (!token) {
+            throw new AuthError('Missing access token');
+        }
+        return this.tokens.verify(token);
+    }
+
+    // Express middleware: sets req.identity or answers 401
+    middleware() {
+        return (req, res, next) => {
+            try {
+                req.identity = this.authenticate(req);
+                next();
+            } catch (error) {
+                if (!(error instanceof AuthError)) {
+                    return next(error);
+                }
+                AuthService.sendError(res, error);
+            }
+        };
+    }
+
+    // For routes behind middleware(): answers 403 unless the caller has `role`
+    requireRole(role) {
+        return (req, res, next) => {
+            if (req.identity?.role === role) {
+                return next();
+            }
+            AuthService.sendError(res, new AuthError(`Requires the ${role} role`, 403));
+        };
+    }
+
+    static sendError(res, error) {
+        res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+
+    // ws.Server verifyClient hook; stores the identity on the upgrade request
+    verifyClient() {
+        return (info, done) => {
+            try {
+                info.req.identity = this.authenticate(info.req);
+                done(true);
+            } catch (error) {
+                done(false, 401, error instanceof AuthError ? error.message : 'Unauthorized');
+            }
+        };
+    }
+}
+
+module.exports = {
+    ROLES,
+    ANONYMOUS_IDENTITY,
+    AuthError,
+    TokenService,
+    ApiKeyVerifier,
+    AuthService,
+    createCredentialVerifier
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { wavHeader } = require('./audio-codecs');
+const { SAMPLE_RATE, BYTES_PER_SAMPLE, SAMPLES_PER_MS, CallTimeline } = require('./call-timeline');
+const { logger } = require('./logger');
+
+/**
+ * Per-session call recordings: one stereo 24 kHz PCM16 WAV per session, the
+ * caller on the left channel and the agent on the right.
+ *
+ * While the call runs each side is written to its own raw mono file at the
+ * sample offset the call timeline places it at, measured from the start of
+ * the recording. finish() interleaves the two sides into `<id>.wav`.
+ */
+// Samples per side read at a time while interleaving
+const INTERLEAVE_BLOCK_SAMPLES = SAMPLE_RATE;
+
+class CallRecording extends CallTimeline {
+    constructor(options = {}) {
+        super(options);
+        this.id = options.id;
+        this.file = path.join(options.directory, `${this.id}.wav`);
+        this.logger = options.logger || logger;
+        this.failed = false;
+        this.finishing = null;
+        this.result = null;
+
+        const base = path.join(options.directory, this.id);
+        this.rawFiles = { user: `${base}.user.raw`, agent: `${base}.agent.raw` };
+        this.handles = {};
+        this.queue = Promise.all(Object.entries(this.rawFiles).map(async ([side, file]) => {
+            this.handles[side] = await fs.promises.open(file, 'w+');
+        })).catch(error => this.fail(error));
+    }
+
+    // Writes are queued so they land in order; the first disk error stops the recording
+    write(side, pcm, position) {
+        this.queue = this.queue.then(async () => {
+            if (this.failed) return;
+            await this.handles[side].write(pcm, 0, pcm.length, position * BYTES_PER_SAMPLE);
+        }).catch(error => this.fail(error));
+    }
+
+    fail(error) {
+        if (!this.failed) {
+            this.failed = true;
+            this.logger.error('Call recording write failed', { recording_id: this.id, error: error.message });
+        }
+    }
+
+    // Summary stored on the conversation record; duration and size are known once finished
+    describe() {
+        return {
+            id: this.id,
+            format: 'wav',
+            sampleRate: SAMPLE_RATE,
+            channels: { left: 'user', right: 'assistant' },
+            durationMs: this.result ? this.result.durationMs : null,
+            bytes: this.result ? this.result.bytes : null
+        };
+    }
+
+    // Interleave both sides into the WAV and remove the raw files; resolves to describe(), or null on failure
+    finish() {
+        if (!this.finishing) {
+            this.detach();
+            const totalSamples = Math.max(this.elapsedSamples(), this.cursors.user, this.cursors.agent);
+            this.finishing = this.queue
+                .then(async () => {
+                    if (this.failed) return null;
+                    this.result = await this.writeWav(totalSamples);
+                    return this.describe();
+                })
+                .catch((error) => {
+                    this.fail(error);
+                    return null;
+                })
+                .finally(() => this.removeRawFiles());
+        }
+        return this.finishing;
+    }
+
+    // Written to a temp file and renamed, so a half-written WAV is never served
+    async writeWav(totalSamples) {
+        const dataBytes = totalSamples * BYTES_PER_SAMPLE * 2;
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        const output = await fs.promises.open(tmpFile, 'w');
+        try {
+            await output.write(wavHeader(dataBytes, SAMPLE_RATE, 2));
+
+            for (let start = 0; start < totalSamples; start += INTERLEAVE_BLOCK_SAMPLES) {
+                const samples = Math.min(INTERLEAVE_BLOCK_SAMPLES, totalSamples - start);
+                // Past the end of a side's file (or in a gap never written) is silence
+                const user = Buffer.alloc(samples * BYTES_PER_SAMPLE);
+                const agent = Buffer.alloc(samples * BYTES_PER_SAMPLE);
+                await this.handles.user.read(user, 0, user.length, start * BYTES_PER_SAMPLE);
+                await this.handles.agent.read(agent, 0, agent.length, start * BYTES_PER_SAMPLE);
+
+                const frames = Buffer.alloc(samples * BYTES_PER_SAMPLE * 2);
+                for (let i = 0; i < samples; i++) {
+                    frames.writeInt16LE(user.readInt16LE(i * BYTES_PER_SAMPLE), i * 4);
+                    frames.writeInt16LE(agent.readInt16LE(i * BYTES_PER_SAMPLE), i * 4 + 2);
+                }
+                await output.write(frames);
+            }
+        } finally {
+            await output.close();
+        }
+        await fs.promises.rename(tmpFile, this.file);
+
+        return { durationMs: Math.round(totalSamples / SAMPLES_PER_MS), bytes: dataBytes + 44 };
+    }
+
+    async removeRawFiles() {
+        await Promise.all(Object.entries(this.rawFiles).map(async ([side, file]) => {
+            await this.handles[side]?.close().catch(() => {});
+            await fs.promises.unlink(file).catch(() => {});
+        }));
+    }
+}
+
+// Where recordings live; ids are generated here and validated before touching the disk
+class CallRecordingStore {
+    constructor(options = {}) {
+        this.directory = options.directory
+            || process.env.CALL_RECORDINGS_DIR
+            || path.join(__dirname, '..', 'data', 'recordings');
+        this.logger = options.logger || logger;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    filePath(id) {
+        if (typeof id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            return null;
+        }
+        return path.join(this.directory, `${id}.wav`);
+    }
+
+    create(options = {}) {
+        return new CallRecording({
+            ...options,
+            id: crypto.randomUUID(),
+            directory: this.directory,
+            logger: options.logger || this.logger
+        });
+    }
+
+    // Path of a finished recording, or null
+    async find(id) {
+        const file = this.filePath(id);
+        if (!file) return null;
+
+        try {
+            await fs.promises.access(file);
+            return file;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async delete(id) {
+        const file = this.filePath(id);
+        if (!file) return false;
+
+        try {
+            await fs.promises.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    CallRecording,
+    CallRecordingStore
+};
@@ -0,0 +1,106 @@
+/**
+ * Places both sides of a live call on one 24 kHz PCM16 sample timeline,
+ * measured from when the timeline was created: user audio as it is forwarded
+ * to the model, agent audio as each delta arrives (queued behind the previous
+ * one, as the client plays it). A barge-in silences whatever the caller never
+ * heard.
+ *
+ * Subclasses decide what to do with the samples by implementing
+ * write(side, pcm, position); `side` is 'user' or 'agent' and `position` the
+ * first sample, and a later write to the same samples replaces them.
+ */
+const SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+class CallTimeline {
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        this.startTime = this.now();
+
+        // Next free sample on each side
+        this.cursors = { user: 0, agent: 0 };
+        // Agent items by id: the sample they started at, and whether a barge-in cut them off
+        this.agentItems = new Map();
+        this.handlers = new Map();
+        this.openaiService = null;
+    }
+
+    // Events followed while attached; subclasses may add their own
+    eventHandlers() {
+        return {
+            user_audio: ({ audio }) => this.addUserAudio(Buffer.from(audio, 'base64')),
+            audio_response: ({ audio, item_id }) => this.addAgentAudio(Buffer.from(audio || '', 'base64'), item_id),
+            response_interrupted: ({ item_id, audio_end_ms }) => this.truncateAgentItem(item_id, audio_end_ms)
+        };
+    }
+
+    attach(openaiService) {
+        if (this.openaiService) return;
+        this.openaiService = openaiService;
+
+        Object.entries(this.eventHandlers()).forEach(([event, handler]) => {
+            this.handlers.set(event, handler);
+            openaiService.on(event, handler);
+        });
+    }
+
+    detach() {
+        if (!this.openaiService) return;
+        this.handlers.forEach((handler, event) => this.openaiService.off(event, handler));
+        this.handlers.clear();
+        this.openaiService = null;
+    }
+
+    elapsedSamples() {
+        return Math.round((this.now() - this.startTime) * SAMPLES_PER_MS);
+    }
+
+    // A user chunk has just finished arriving, so it began one chunk-length ago
+    addUserAudio(pcm) {
+        const samples = Math.floor(pcm.length / BYTES_PER_SAMPLE);
+        if (samples === 0) return;
+
+        const position = Math.max(this.cursors.user, this.elapsedSamples() - samples);
+        this.cursors.user = position + samples;
+        this.write('user', pcm.subarray(0, samples * BYTES_PER_SAMPLE), position);
+    }
+
+    addAgentAudio(pcm, itemId) {
+        const samples = Math.floor(pcm.length / BYTES_PER_SAMPLE);
+        const item = this.agentItems.get(itemId);
+        // Deltas still in flight when the caller barged in were never played
+        if (samples === 0 || item?.truncated) return;
+
+        const position = Math.max(this.cursors.agent, this.elapsedSamples());
+        if (itemId && !item) {
+            this.agentItems.set(itemId, { start: position, truncated: false });
+        }
+        this.cursors.agent = position + samples;
+        this.write('agent', pcm.subarray(0, samples * BYTES_PER_SAMPLE), position);
+    }
+
+    // Silence the part of an interrupted item that was generated but never played
+    truncateAgentItem(itemId, audioEndMs) {
+        const item = this.agentItems.get(itemId);
+        if (!item) return;
+
+        item.truncated = true;
+        const end = item.start + Math.round((audioEndMs || 0) * SAMPLES_PER_MS);
+        if (end < this.cursors.agent) {
+            this.write('agent', Buffer.alloc((this.cursors.agent - end) * BYTES_PER_SAMPLE), end);
+            this.cursors.agent = end;
+        }
+    }
+
+    write() {
+        throw new Error('CallTimeline subclasses must implement write()');
+    }
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    BYTES_PER_SAMPLE,
+    SAMPLES_PER_MS,
+    CallTimeline
+};
@@ -0,0 +1,163 @@
+/**
+ * Renders a stored conversation record for download:
+ *   json       the full record, tool calls and n8n results included
+ *   markdown   a readable transcript
+ *   srt, vtt   captions of what was said, timed from session start, so they
+ *              line up with the session's call recording
+ *
+ * Caption cues start when the user started speaking (speechOffsetMs) or the
+ * assistant's audio started playing (audioOffsetMs), and end when the speech
+ * stopped or the audio ran out. Typed messages and text-only replies have no
+ * duration, so theirs is estimated from the text length.
+ */
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 7000;
+const MS_PER_CHARACTER = 60;
+
+const SPEAKERS = { user: 'User', assistant: 'Assistant' };
+
+function estimateDuration(text) {
+    return Math.min(MAX_CUE_MS, Math.max(MIN_CUE_MS, text.length * MS_PER_CHARACTER));
+}
+
+// Spoken and typed turns as { speaker, start, end, text }, in order of start
+function captionCues(record) {
+    const cues = [];
+    record.events.forEach((event) => {
+        const text = typeof event.text === 'string' ? event.text.trim() : '';
+        if (!text) return;
+
+        let speaker;
+        let start;
+        let end = null;
+        if (event.type === 'user_transcript') {
+            speaker = 'user';
+            start = event.speechOffsetMs ?? event.offsetMs;
+            end = event.speechEndOffsetMs;
+        } else if (event.type === 'user_text') {
+            speaker = 'user';
+            start = event.offsetMs;
+        } else if (event.type === 'assistant_text') {
+            speaker = 'assistant';
+            start = event.audioOffsetMs ?? event.offsetMs;
+            end = event.audioDurationMs ? start + event.audioDurationMs : null;
+        } else {
+            return;
+        }
+
+        cues.push({ speaker, start, end: end > start ? end : start + estimateDuration(text), text });
+    });
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// HH:MM:SS plus milliseconds after `separator` ("," for SRT, "." for WebVTT)
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+// MM:SS offset for the Markdown transcript
+function formatOffset(ms) {
+    const seconds = Math.floor(Math.max(0, ms) / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function toSRT(record) {
+    return captionCues(record).map((cue, index) => [
+        index + 1,
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        `${SPEAKERS[cue.speaker]}: ${cue.text.replace(/\n\s*\n/g, '\n')}`
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+// A blank line ends a WebVTT cue and "-->" starts a timing line, so neither may appear in the text
+function escapeVTT(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n\s*\n/g, '\n');
+}
+
+function toWebVTT(record) {
+    const cues = captionCues(record).map(cue => [
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        `<v ${SPEAKERS[cue.speaker]}>${escapeVTT(cue.text)}`
+    ].join('\n'));
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function markdownEvent(event) {
+    const at = `\`${formatOffset(event.speechOffsetMs ?? event.audioOffsetMs ?? event.offsetMs)}\``;
+    switch (event.type) {
+        case 'user_transcript':
+            return event.failed
+                ? `${at} **User:** _(inaudible)_`
+                : `${at} **User:** ${event.text}`;
+        case 'user_text':
+            return `${at} **User** _(typed)_: ${event.text}`;
+        case 'assistant_text':
+            return `${at} **Assistant:** ${event.text}${event.interrupted ? ' _(interrupted)_' : ''}`;
+        case 'tool_call':
+            return `${at} _Tool call \`${event.name}\`_ \`${event.arguments}\``;
+        case 'tool_result':
+            return `${at} _Tool \`${event.name}\` ${event.success ? 'succeeded' : 'failed'}_`;
+        case 'supervisor_whisper':
+            return `${at} _Supervisor whisper (not heard by the caller):_ ${event.text}`;
+        case 'n8n_result':
+            return `${at} _n8n workflow \`${event.request?.type || 'unknown'}\` ${event.result?.success ? 'succeeded' : 'failed'}_`;
+        case 'session_updated':
+            return `${at} _Session updated (persona \`${event.persona?.id}\`)_`;
+        default:
+            return null;
+    }
+}
+
+function toMarkdown(record) {
+    const details = [
+        record.persona && `- **Persona:** ${record.persona.id} v${record.persona.version}`,
+        record.user && `- **User:** ${record.user.id}`,
+        `- **Started:** ${record.startedAt}`,
+        record.endedAt && `- **Ended:** ${record.endedAt}`,
+        record.usage && `- **Estimated cost:** $${record.usage.cost_usd.toFixed(4)}`,
+        record.recording && `- **Recording:** [${record.recording.format.toUpperCase()}](${record.recording.url})`
+    ].filter(Boolean);
+    const lines = record.events.map(markdownEvent).filter(Boolean);
+
+    return [
+        `# Conversation ${record.id}`,
+        details.join('\n'),
+        '## Transcript',
+        lines.length > 0 ? lines.join('\n\n') : '_No messages._'
+    ].join('\n\n') + '\n';
+}
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json', render: record => `${JSON.stringify(record, null, 2)}\n` },
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: toMarkdown },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', render: toSRT },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', render: toWebVTT }
+};
+
+// { contentType, filename, body }, or null for an unknown format
+function exportConversation(record, format) {
+    const exporter = Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+    if (!exporter) {
+        return null;
+    }
+    return {
+        contentType: exporter.contentType,
+        filename: `conversation-${record.id}.${exporter.extension}`,
+        body: exporter.render(record)
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    captionCues,
+    formatTimestamp,
+    toMarkdown,
+    toSRT,
+    toWebVTT,
+    exportConversation
+};
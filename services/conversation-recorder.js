@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const OpenAIRealtimeService = require('./openai-realtime');
+const { logger } = require('./logger');
+
+// 24 kHz mono PCM16
+const PCM16_BYTES_PER_MS = 48;
+
+// Builds a conversation record from OpenAIRealtimeService events and persists it to a store
+class ConversationRecorder {
+    constructor(openaiService, store, options = {}) {
+        this.openaiService = openaiService;
+        this.store = store;
+        this.logger = options.logger || logger;
+        this.record = null;
+        this.startTime = null;
+        this.handlers = new Map();
+        // Offset at which each user turn began and ended, so late transcripts keep their place
+        this.speechOffsets = new Map();
+        this.speechEndOffsets = new Map();
+        // When each assistant item was heard, { offsetMs, durationMs }, played back to back
+        // as the client does; the same timeline the call recording uses
+        this.assistantAudio = new Map();
+        this.playbackEndMs = 0;
+    }
+
+    attach() {
+        if (this.handlers.size > 0) {
+            return;
+        }
+
+        const handlers = {
+            session_created: (data) => {
+                if (!this.record) return;
+                this.record.sessionId = data.id;
+                this.persist();
+            },
+            speech_started: (data = {}) => {
+                if (!this.record || !data.item_id) return;
+                this.speechOffsets.set(data.item_id, Date.now() - this.startTime);
+            },
+            speech_stopped: (data = {}) => {
+                if (!this.record || !data.item_id) return;
+                this.speechEndOffsets.set(data.item_id, Date.now() - this.startTime);
+            },
+            user_transcript: (data) => this.addEvent('user_transcript', {
+                itemId: data.item_id,
+                ...this.takeSpeechOffsets(data.item_id),
+                text: data.transcript
+            }),
+            user_transcript_failed: (data) => this.addEvent('user_transcript', {
+                itemId: data.item_id,
+                ...this.takeSpeechOffsets(data.item_id),
+                text: null,
+                failed: true
+            }),
+            audio_response: (data) => this.trackAssistantAudio(data),
+            response_interrupted: (data) => this.recordInterruption(data),
+            user_text: (data) => this.addEvent('user_text', { text: data.text }),
+            response_complete: (response) => {
+                OpenAIRealtimeService.extractResponseText(response).forEach(({ item_id, text }) => {
+                    const audio = this.assistantAudio.get(item_id);
+                    this.addEvent('assistant_text', {
+                        responseId: response.id,
+                        itemId: item_id,
+                        audioOffsetMs: audio ? audio.offsetMs : null,
+                        audioDurationMs: audio ? Math.round(audio.durationMs) : null,
+                        text
+                    });
+                });
+            },
+            tool_call: (data) => this.addEvent('tool_call', {
+                callId: data.call_id,
+                name: data.name,
+                arguments: data.arguments
+            }),
+            tool_result: (data) => this.addEvent('tool_result', {
+                callId: data.call_id,
+                name: data.name,
+                success: data.success,
+                output: data.output
+            }),
+            supervisor_whisper: (data) => this.addEvent('supervisor_whisper', {
+                supervisorId: data.supervisor ? data.supervisor.id : null,
+                text: data.text
+            })
+        };
+
+        Object.entries(handlers).forEach(([event, handler]) => {
+            this.handlers.set(event, handler);
+            this.openaiService.on(event, handler);
+        });
+    }
+
+    detach() {
+        this.handlers.forEach((handler, event) => {
+            this.openaiService.off(event, handler);
+        });
+        this.handlers.clear();
+    }
+
+    takeSpeechOffsets(itemId) {
+        const speechOffsetMs = this.speechOffsets.get(itemId) ?? null;
+        const speechEndOffsetMs = this.speechEndOffsets.get(itemId) ?? null;
+        this.speechOffsets.delete(itemId);
+        this.speechEndOffsets.delete(itemId);
+        return { speechOffsetMs, speechEndOffsetMs };
+    }
+
+    trackAssistantAudio({ audio, item_id: itemId }) {
+        if (!this.record || !itemId || !audio) return;
+
+        const nowMs = Date.now() - this.startTime;
+        const ms = Buffer.byteLength(audio, 'base64') / PCM16_BYTES_PER_MS;
+        let entry = this.assistantAudio.get(itemId);
+        if (!entry) {
+            entry = { offsetMs: Math.max(nowMs, this.playbackEndMs), durationMs: 0, interrupted: false };
+            this.assistantAudio.set(itemId, entry);
+        }
+        if (entry.interrupted) return;
+
+        entry.durationMs += ms;
+        this.playbackEndMs = Math.max(this.playbackEndMs, nowMs) + ms;
+    }
+
+    // A barge-in cuts the item to what was heard; the reply may already be recorded
+    recordInterruption({ item_id: itemId, audio_end_ms: audioEndMs }) {
+        const entry = this.assistantAudio.get(itemId);
+        if (!this.record || !entry) return;
+
+        entry.interrupted = true;
+        entry.durationMs = Math.min(entry.durationMs, audioEndMs || 0);
+        this.playbackEndMs = entry.offsetMs + entry.durationMs;
+
+        const event = this.record.events.find(item => item.type === 'assistant_text' && item.itemId === itemId);
+        if (event) {
+            event.audioDurationMs = Math.round(entry.durationMs);
+            event.interrupted = true;
+            this.persist();
+        }
+    }
+
+    async start(sessionInfo = {}) {
+        if (this.record) {
+            await this.finish();
+        }
+
+        this.startTime = Date.now();
+        this.speechOffsets.clear();
+        this.speechEndOffsets.clear();
+        this.assistantAudio.clear();
+        this.playbackEndMs = 0;
+        this.record = {
+            id: crypto.randomUUID(),
+            sessionId: this.openaiService.openaiSessionId,
+            persona: sessionInfo.persona || null,
+            user: sessionInfo.user || null,
+            config: sessionInfo.config || null,
+            startedAt: new Date(this.startTime).toISOString(),
+            endedAt: null,
+            events: []
+        };
+
+        await this.persist();
+        return this.record.id;
+    }
+
+    get conversationId() {
+        return this.record ? this.record.id : null;
+    }
+
+    addEvent(type, data = {}) {
+        if (!this.record) return;
+
+        const now = Date.now();
+        this.record.events.push({
+            type,
+            timestamp: new Date(now).toISOString(),
+            offsetMs: now - this.startTime,
+            ...data
+        });
+        this.persist();
+    }
+
+    recordSessionUpdate(sessionInfo) {
+        if (!this.record) return;
+
+        this.record.persona = sessionInfo.persona;
+        this.record.config = sessionInfo.config;
+        this.addEvent('session_updated', { persona: sessionInfo.persona, config: sessionInfo.config });
+    }
+
+    // Running token and cost totals for the conversation, from the usage meter
+    recordUsage(totals) {
+        if (!this.record) return;
+        this.record.usage = { responses: totals.responses, tokens: { ...totals.tokens }, cost_usd: totals.cost_usd };
+    }
+
+    // Link to the session's call recording (see call-recording.js)
+    recordCallRecording(recording) {
+        if (!this.record) return;
+        this.record.recording = recording;
+        this.persist();
+    }
+
+    recordN8NResult(request, result) {
+        this.addEvent('n8n_result', { request, result });
+    }
+
+    async finish() {
+        if (!this.record) return;
+
+        this.record.endedAt = new Date().toISOString();
+        const saved = this.persist();
+        this.record = null;
+        await saved;
+    }
+
+    persist() {
+        const { id } = this.record;
+        return this.store.save(this.record).catch((error) => {
+            this.logger.error('Failed to persist conversation', { conversation_id: id, error: error.message });
+        });
+    }
+}
+
+module.exports = ConversationRecorder;
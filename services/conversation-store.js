@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Conversation stores persist one record per voice session:
+ *   { id, sessionId, persona, user, usage, recording, startedAt, endedAt, events: [...] }
+ *
+ * Every store implements the same async interface so the backend can be
+ * swapped (CONVERSATION_STORE=file|memory):
+ *   save(record)              create or replace a record
+ *   get(id)                   record or null
+ *   list({ limit, offset, userId })
+ *                             { conversations: [summary], total }, newest first;
+ *                             only records whose user.id is userId when given
+ *   delete(id)                true if a record was removed
+ */
+function summarize(record) {
+    return {
+        id: record.id,
+        sessionId: record.sessionId,
+        persona: record.persona,
+        user: record.user || null,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        costUsd: record.usage ? record.usage.cost_usd : null,
+        hasRecording: !!record.recording,
+        eventCount: record.events.length
+    };
+}
+
+function paginate(records, { limit = 50, offset = 0, userId } = {}) {
+    const owned = userId === undefined ? records : records.filter(record => record.user?.id === userId);
+    const sorted = owned.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    return {
+        conversations: sorted.slice(offset, offset + limit).map(summarize),
+        total: sorted.length
+    };
+}
+
+class MemoryConversationStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async save(record) {
+        this.records.set(record.id, JSON.parse(JSON.stringify(record)));
+        return record;
+    }
+
+    async get(id) {
+        const record = this.records.get(id);
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    async list(options) {
+        return paginate(Array.from(this.records.values()), options);
+    }
+
+    async delete(id) {
+        return this.records.delete(id);
+    }
+}
+
+// One JSON file per conversation
+class FileConversationStore {
+    constructor(directory = process.env.CONVERSATION_STORE_DIR || path.join(__dirname, '..', 'data', 'conversations')) {
+        this.directory = directory;
+        this.writeQueues = new Map();
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    filePath(id) {
+        if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+            return null;
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    // Writes for the same record are serialized and go through a temp file + rename
+    async save(record) {
+        const file = this.filePath(record.id);
+        if (!file) {
+            throw new Error(`Invalid conversation id: ${record.id}`);
+        }
+
+        const data = JSON.stringify(record, null, 2);
+        const previous = this.writeQueues.get(record.id) || Promise.resolve();
+        const write = previous
+            .catch(() => {})
+            .then(async () => {
+                const tmpFile = `${file}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tmpFile, data);
+                await fs.promises.rename(tmpFile, file);
+            });
+
+        this.writeQueues.set(record.id, write);
+        try {
+            await write;
+        } finally {
+            if (this.writeQueues.get(record.id) === write) {
+                this.writeQueues.delete(record.id);
+            }
+        }
+        return record;
+    }
+
+    async get(id) {
+        const file = this.filePath(id);
+        if (!file) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(options) {
+        const files = (await fs.promises.readdir(this.directory)).filter(file => file.endsWith('.json'));
+        const records = [];
+
+        for (const file of files) {
+            try {
+                records.push(JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8')));
+            } catch (error) {
+                logger.error('Skipping unreadable conversation file', { file, error: error.message });
+            }
+        }
+
+        return paginate(records, options);
+    }
+
+    async delete(id) {
+        const file = this.filePath(id);
+        if (!file) return false;
+
+        await (this.writeQueues.get(id) || Promise.resolve()).catch(() => {});
+        try {
+            await fs.promises.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+function createConversationStore(type = process.env.CONVERSATION_STORE || 'file') {
+    switch (type) {
+        case 'file':
+            return new FileConversationStore();
+        case 'memory':
+            return new MemoryConversationStore();
+        default:
+            throw new Error(`Unknown conversation store: ${type}`);
+    }
+}
+
+module.exports = {
+    MemoryConversationStore,
+    FileConversationStore,
+    createConversationStore
+};
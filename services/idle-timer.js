@@ -0,0 +1,97 @@
+/**
+ * Ends Realtime sessions nobody is using, so an abandoned tab doesn't hold an
+ * upstream connection and a concurrent-session slot. Each kind of activity has
+ * its own limit:
+ *
+ *   audio      no audio_data or send_text from the caller   IDLE_AUDIO_TIMEOUT_MS (300000)
+ *   messages   no client message other than ping            IDLE_MESSAGE_TIMEOUT_MS (600000)
+ *
+ * The browser streams microphone audio continuously, silence included (in
+ * push-to-talk, while the button is held), so the audio limit catches a muted
+ * or stopped microphone. A limit of 0 disables it.
+ */
+const IDLE_KINDS = ['audio', 'messages'];
+
+function envTimeout(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+function defaultTimeouts() {
+    return {
+        audio: envTimeout('IDLE_AUDIO_TIMEOUT_MS', 5 * 60 * 1000),
+        messages: envTimeout('IDLE_MESSAGE_TIMEOUT_MS', 10 * 60 * 1000)
+    };
+}
+
+// Shown to the caller when a session is ended for inactivity
+function idleNotice(kind, timeoutMs) {
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+    const minutes = Math.round(timeoutMs / 60000);
+    const duration = timeoutMs >= 60000
+        ? plural(minutes, 'minute')
+        : plural(Math.max(1, Math.round(timeoutMs / 1000)), 'second');
+    return kind === 'audio'
+        ? `The conversation was ended after ${duration} without hearing from you.`
+        : `The conversation was ended after ${duration} of inactivity.`;
+}
+
+class IdleTimer {
+    constructor(options = {}) {
+        this.timeouts = { ...defaultTimeouts(), ...options.timeouts };
+        // Called once with (kind, timeoutMs) when a limit is reached; the timer is stopped by then
+        this.onIdle = options.onIdle || (() => {});
+        this.now = options.now || Date.now;
+        this.lastActivity = {};
+        this.timers = {};
+    }
+
+    // Arms `kinds` from now; a session without audio only passes ['messages']
+    start(kinds = IDLE_KINDS) {
+        this.stop();
+        kinds.filter(kind => this.timeouts[kind] > 0).forEach((kind) => {
+            this.lastActivity[kind] = this.now();
+            this.schedule(kind, this.timeouts[kind]);
+        });
+    }
+
+    stop() {
+        Object.values(this.timers).forEach(timer => clearTimeout(timer));
+        this.timers = {};
+        this.lastActivity = {};
+    }
+
+    get active() {
+        return Object.keys(this.timers).length > 0;
+    }
+
+    // Cheap enough for every audio chunk: only a timestamp, the timer re-arms itself when it fires
+    touch(kind) {
+        if (this.timers[kind]) {
+            this.lastActivity[kind] = this.now();
+        }
+    }
+
+    schedule(kind, delayMs) {
+        this.timers[kind] = setTimeout(() => this.check(kind), delayMs);
+        this.timers[kind].unref();
+    }
+
+    check(kind) {
+        const idleMs = this.now() - this.lastActivity[kind];
+        const timeoutMs = this.timeouts[kind];
+        if (idleMs < timeoutMs) {
+            this.schedule(kind, timeoutMs - idleMs);
+            return;
+        }
+
+        this.stop();
+        this.onIdle(kind, timeoutMs);
+    }
+}
+
+module.exports = {
+    IDLE_KINDS,
+    IdleTimer,
+    idleNotice
+};
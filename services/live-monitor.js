@@ -0,0 +1,126 @@
+const WebSocket = require('ws');
+const OpenAIRealtimeService = require('./openai-realtime');
+const { SAMPLE_RATE, BYTES_PER_SAMPLE, SAMPLES_PER_MS, CallTimeline } = require('./call-timeline');
+
+/**
+ * Supervisor listen-in on one live session. Both sides of the call are placed
+ * on the call timeline and mixed to mono 24 kHz PCM16. Every flushIntervalMs
+ * the next stretch of the mix goes to each listening admin socket as
+ * `listen_audio`. The mix runs delayMs behind real time because a user chunk
+ * lands one chunk-length in the past. Transcript lines and supervisor whispers
+ * go out as `listen_transcript` as they happen.
+ */
+const FLUSH_INTERVAL_MS = 100;
+const MIX_DELAY_MS = 300;
+const PCM16_MAX = 32767;
+const PCM16_MIN = -32768;
+
+class LiveMonitor extends CallTimeline {
+    constructor(options = {}) {
+        super(options);
+        this.connectionId = options.connectionId;
+        this.flushIntervalMs = options.flushIntervalMs || FLUSH_INTERVAL_MS;
+        this.delaySamples = Math.round((options.delayMs ?? MIX_DELAY_MS) * SAMPLES_PER_MS);
+        this.listeners = new Set();
+        // Everything before `flushed` has been sent; pending holds each side from there on
+        this.flushed = 0;
+        this.pending = { user: Buffer.alloc(0), agent: Buffer.alloc(0) };
+        this.timer = null;
+    }
+
+    eventHandlers() {
+        return {
+            ...super.eventHandlers(),
+            user_transcript: (data) => this.sendLine('user', data.transcript),
+            user_text: (data) => this.sendLine('user', data.text),
+            response_complete: (response) => {
+                OpenAIRealtimeService.extractResponseText(response).forEach(({ text }) => this.sendLine('assistant', text));
+            },
+            supervisor_whisper: (data) => this.sendLine('supervisor', data.text)
+        };
+    }
+
+    start(openaiService) {
+        this.attach(openaiService);
+        if (!this.timer) {
+            this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    // Tells whoever is still listening why the stream ended
+    stop(reason) {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.detach();
+        this.broadcast({ type: 'listen_stopped', payload: { connection_id: this.connectionId, reason } });
+        this.listeners.clear();
+    }
+
+    addListener(ws) {
+        this.listeners.add(ws);
+        ws.send(JSON.stringify({
+            type: 'listen_started',
+            payload: { connection_id: this.connectionId, sample_rate: SAMPLE_RATE, format: 'pcm16' }
+        }));
+    }
+
+    // Returns how many listeners remain
+    removeListener(ws) {
+        this.listeners.delete(ws);
+        return this.listeners.size;
+    }
+
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        this.listeners.forEach((ws) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+            }
+        });
+    }
+
+    sendLine(speaker, text) {
+        if (typeof text !== 'string' || !text.trim()) return;
+        this.broadcast({
+            type: 'listen_transcript',
+            payload: { connection_id: this.connectionId, speaker, text: text.trim(), at: new Date(this.now()).toISOString() }
+        });
+    }
+
+    // Audio for samples already sent is dropped; the rest waits in `pending`
+    write(side, pcm, position) {
+        let offset = (position - this.flushed) * BYTES_PER_SAMPLE;
+        if (offset < 0) {
+            pcm = pcm.subarray(-offset);
+            offset = 0;
+        }
+        if (pcm.length === 0) return;
+
+        const needed = offset + pcm.length;
+        if (this.pending[side].length < needed) {
+            this.pending[side] = Buffer.concat([this.pending[side], Buffer.alloc(needed - this.pending[side].length)]);
+        }
+        pcm.copy(this.pending[side], offset);
+    }
+
+    // Mix and send everything up to delayMs ago; gaps on either side are silence
+    flush() {
+        const end = this.elapsedSamples() - this.delaySamples;
+        const samples = end - this.flushed;
+        if (samples <= 0) return;
+
+        const { user, agent } = this.pending;
+        const mixed = Buffer.alloc(samples * BYTES_PER_SAMPLE);
+        for (let at = 0; at < mixed.length; at += BYTES_PER_SAMPLE) {
+            const sum = (at < user.length ? user.readInt16LE(at) : 0) + (at < agent.length ? agent.readInt16LE(at) : 0);
+            mixed.writeInt16LE(Math.max(PCM16_MIN, Math.min(PCM16_MAX, sum)), at);
+        }
+
+        this.pending = { user: user.subarray(mixed.length), agent: agent.subarray(mixed.length) };
+        this.flushed = end;
+        this.broadcast({ type: 'listen_audio', payload: { connection_id: this.connectionId, audio: mixed.toString('base64') } });
+    }
+}
+
+module.exports = LiveMonitor;
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Structured logger: one JSON object per line,
+ *   { time, level, msg, connection_id, session_id, openai_session_id, ...fields }
+ *
+ *   LOG_LEVEL    debug | info (default) | warn | error | silent
+ *   LOG_FORMAT   json (default), or pretty for reading in a terminal
+ *   LOG_DIR      also append JSON lines to LOG_DIR/app.log, warnings and errors to error.log
+ *   LOG_REDACT   extra field names to redact, comma-separated
+ *
+ * child() derives a logger with extra context that shares its parent's output;
+ * context() updates a logger in place, so ids learned mid-connection (the
+ * conversation id, the OpenAI session id) tag every later line.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Matched case-insensitively against field names at any depth
+const DEFAULT_REDACT_FIELDS = [
+    'authorization', 'access_token', 'refresh_token', 'token', 'api_key', 'apikey', 'password', 'secret',
+    'card_number', 'cardnumber', 'cvv', 'cvc', 'expiry', 'iban', 'account_number', 'ssn',
+    'verification_code', 'pin', 'otp'
+];
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+function parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+// JSON-safe copy of `value` with sensitive fields replaced
+function redact(value, fields, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'bigint' ? value.toString() : value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, fields, depth + 1);
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, fields, depth + 1));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, entry]) => {
+        copy[key] = fields.has(key.toLowerCase()) ? REDACTED : redact(entry, fields, depth + 1);
+    });
+    return copy;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...rest } = entry;
+    const fields = Object.entries(rest)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time, level.toUpperCase().padEnd(5), msg, ...fields].join(' ');
+}
+
+// Appends to app.log and error.log; a failing disk is reported once, not per line
+function createFileWriter(directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    let reported = false;
+    const open = (name) => fs.createWriteStream(path.join(directory, name), { flags: 'a' }).on('error', (error) => {
+        if (!reported) {
+            reported = true;
+            console.error(`Log file write failed: ${error.message}`);
+        }
+    });
+    const app = open('app.log');
+    const errors = open('error.log');
+
+    return {
+        write(level, line) {
+            app.write(`${line}\n`);
+            if (LEVELS[level] >= LEVELS.warn) {
+                errors.write(`${line}\n`);
+            }
+        },
+        close() {
+            return Promise.all([app, errors].map(stream => new Promise(resolve => stream.end(resolve))));
+        }
+    };
+}
+
+class Logger {
+    constructor(options = {}) {
+        const level = options.level || process.env.LOG_LEVEL || 'info';
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown LOG_LEVEL "${level}"; expected one of ${Object.keys(LEVELS).join(', ')}`);
+        }
+
+        const dir = options.dir ?? process.env.LOG_DIR;
+        this.output = options.output || {
+            threshold: LEVELS[level],
+            format: options.format || process.env.LOG_FORMAT || 'json',
+            redactFields: new Set([...DEFAULT_REDACT_FIELDS, ...parseList(options.redact ?? process.env.LOG_REDACT)]),
+            file: dir ? createFileWriter(dir) : null
+        };
+        this.fields = { ...options.context };
+    }
+
+    // A logger with extra context, writing to the same place
+    child(context = {}) {
+        return new Logger({ output: this.output, context: { ...this.fields, ...context } });
+    }
+
+    // Add or replace context on this logger and every line it writes from now on
+    context(fields) {
+        Object.assign(this.fields, fields);
+        return this;
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= this.output.threshold;
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    write(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...this.fields,
+            ...fields
+        }, this.output.redactFields);
+
+        const json = JSON.stringify(entry);
+        const line = this.output.format === 'pretty' ? formatPretty(entry) : json;
+        if (LEVELS[level] >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+        if (this.output.file) {
+            this.output.file.write(level, json);
+        }
+    }
+
+    // Flush and close the log files (shared with every child); later lines only reach the console
+    async close() {
+        const { file } = this.output;
+        this.output.file = null;
+        if (file) {
+            await file.close();
+        }
+    }
+}
+
+// Process-wide root logger; per-connection loggers are children of it
+const logger = new Logger();
+
+module.exports = {
+    LEVELS,
+    REDACTED,
+    Logger,
+    logger
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics served at GET /metrics (Bearer METRICS_TOKEN when set).
+ *
+ * Each server owns its own registry, so several instances in one process
+ * (as in the tests) do not collide. Audio is counted in the 24 kHz PCM16 the
+ * Realtime API sees, whatever format the client negotiated.
+ */
+const PREFIX = 'voice_agent_';
+
+// Speech-to-first-audio is usually well under a few seconds; n8n calls time out at 10s
+const TURN_LATENCY_BUCKETS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+const N8N_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function secondsSince(started) {
+    return Number(process.hrtime.bigint() - started) / 1e9;
+}
+
+class Metrics {
+    // `activeSessions` is read on every scrape
+    constructor(options = {}) {
+        this.token = options.token ?? process.env.METRICS_TOKEN;
+        this.register = new client.Registry();
+        if (options.defaultMetrics !== false) {
+            client.collectDefaultMetrics({ register: this.register, prefix: PREFIX });
+        }
+        const registers = [this.register];
+        const activeSessions = options.activeSessions || (() => 0);
+
+        this.connectionsTotal = new client.Counter({
+            name: `${PREFIX}websocket_connections_total`,
+            help: 'WebSocket connections accepted',
+            registers
+        });
+        this.connectionsActive = new client.Gauge({
+            name: `${PREFIX}websocket_connections_active`,
+            help: 'WebSocket connections currently open',
+            registers
+        });
+        this.connectionsReapedTotal = new client.Counter({
+            name: `${PREFIX}websocket_connections_reaped_total`,
+            help: 'WebSocket connections terminated for not answering a heartbeat ping',
+            registers
+        });
+        this.idleTimeoutsTotal = new client.Counter({
+            name: `${PREFIX}idle_timeouts_total`,
+            help: 'Realtime sessions ended for inactivity, by the limit reached (audio or messages)',
+            labelNames: ['kind'],
+            registers
+        });
+        this.sessionsActive = new client.Gauge({
+            name: `${PREFIX}realtime_sessions_active`,
+            help: 'OpenAI Realtime sessions currently running',
+            registers,
+            collect() {
+                this.set(activeSessions());
+            }
+        });
+        this.messagesTotal = new client.Counter({
+            name: `${PREFIX}websocket_messages_total`,
+            help: 'Client WebSocket messages received, by type',
+            labelNames: ['type'],
+            registers
+        });
+        this.upstreamErrorsTotal = new client.Counter({
+            name: `${PREFIX}upstream_errors_total`,
+            help: 'Error events from the OpenAI Realtime API, by code',
+            labelNames: ['code'],
+            registers
+        });
+        this.n8nDuration = new client.Histogram({
+            name: `${PREFIX}n8n_trigger_duration_seconds`,
+            help: 'n8n workflow trigger latency, by outcome',
+            labelNames: ['outcome'],
+            buckets: N8N_DURATION_BUCKETS,
+            registers
+        });
+        this.audioBytesTotal = new client.Counter({
+            name: `${PREFIX}audio_bytes_total`,
+            help: 'PCM16 audio bytes sent to (in) and received from (out) the Realtime API',
+            labelNames: ['direction'],
+            registers
+        });
+        this.turnLatency = new client.Histogram({
+            name: `${PREFIX}turn_latency_seconds`,
+            help: 'Time from the end of user speech to the first audio of the reply',
+            buckets: TURN_LATENCY_BUCKETS,
+            registers
+        });
+    }
+
+    connectionOpened() {
+        this.connectionsTotal.inc();
+        this.connectionsActive.inc();
+    }
+
+    connectionClosed() {
+        this.connectionsActive.dec();
+    }
+
+    connectionReaped() {
+        this.connectionsReapedTotal.inc();
+    }
+
+    recordIdleTimeout(kind) {
+        this.idleTimeoutsTotal.inc({ kind });
+    }
+
+    // `type` must come from a fixed set; anything else is counted as `unknown`
+    recordMessage(type) {
+        this.messagesTotal.inc({ type });
+    }
+
+    recordAudioIn(bytes) {
+        this.audioBytesTotal.inc({ direction: 'in' }, bytes);
+    }
+
+    // Returns a callback taking the outcome once the trigger has settled
+    startN8NTrigger() {
+        const started = process.hrtime.bigint();
+        return (outcome) => this.n8nDuration.observe({ outcome }, secondsSince(started));
+    }
+
+    // Audio out, turn latency and upstream errors for one connection's OpenAI service
+    instrumentSession(openaiService) {
+        let speechStoppedAt = null;
+
+        openaiService.on('speech_stopped', () => {
+            speechStoppedAt = process.hrtime.bigint();
+        });
+        openaiService.on('audio_response', ({ audio }) => {
+            this.audioBytesTotal.inc({ direction: 'out' }, Buffer.byteLength(audio || '', 'base64'));
+            if (speechStoppedAt !== null) {
+                this.turnLatency.observe(secondsSince(speechStoppedAt));
+                speechStoppedAt = null;
+            }
+        });
+        openaiService.on('error', (error) => {
+            this.upstreamErrorsTotal.inc({ code: error?.code || error?.type || 'unknown' });
+        });
+    }
+
+    // Open when no METRICS_TOKEN is set, otherwise `Authorization: Bearer <METRICS_TOKEN>`
+    isAuthorized(req) {
+        if (!this.token) {
+            return true;
+        }
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(req.headers.authorization || ''), digest(`Bearer ${this.token}`));
+    }
+
+    get contentType() {
+        return this.register.contentType;
+    }
+
+    render() {
+        return this.register.metrics();
+    }
+}
+
+module.exports = Metrics;
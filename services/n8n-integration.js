@@ -1,23 +1,33 @@
 const axios = require('axios');
+const { logger } = require('./logger');
 
 class N8NIntegration {
-    constructor() {
+    // `identity` is the authenticated user the workflows run on behalf of
+    constructor(options = {}) {
         this.webhookUrl = process.env.N8N_WEBHOOK_URL;
         this.isConfigured = !!this.webhookUrl;
+        this.identity = options.identity || null;
+        this.metrics = options.metrics || null;
+        this.logger = options.logger || logger;
     }
 
     async triggerWorkflow(data) {
         if (!this.isConfigured) {
-            console.warn('N8N webhook URL not configured');
+            this.logger.warn('N8N webhook URL not configured');
             return { success: false, message: 'N8N not configured' };
         }
 
+        // Outcome is one of success, http_error, no_response or error
+        const finish = this.metrics ? this.metrics.startN8NTrigger() : () => {};
         try {
-            console.log('🔗 Triggering N8N workflow with data:', JSON.stringify(data, null, 2));
-            
+            // Payloads carry payment and account details; only debug logs them, and redacted
+            this.logger.info('Triggering N8N workflow', { workflow_type: data?.type });
+            this.logger.debug('N8N workflow payload', { data });
+
             const response = await axios.post(this.webhookUrl, {
                 source: 'voice-agent',
                 timestamp: new Date().toISOString(),
+                user: this.identity,
                 data: data
             }, {
                 headers: {
@@ -27,7 +37,8 @@ class N8NIntegration {
                 timeout: 10000 // 10 second timeout
             });
 
-            console.log('✅ N8N workflow triggered successfully');
+            this.logger.info('N8N workflow triggered', { workflow_type: data?.type, status: response.status });
+            finish('success');
             return {
                 success: true,
                 data: response.data,
@@ -35,21 +46,24 @@ class N8NIntegration {
             };
 
         } catch (error) {
-            console.error('❌ N8N workflow trigger failed:', error.message);
+            this.logger.error('N8N workflow trigger failed', { workflow_type: data?.type, status: error.response?.status, error: error.message });
             
             if (error.response) {
+                finish('http_error');
                 return {
                     success: false,
                     error: error.response.data,
                     status: error.response.status
                 };
             } else if (error.request) {
+                finish('no_response');
                 return {
                     success: false,
                     error: 'No response from N8N webhook',
                     message: 'Network or timeout error'
                 };
             } else {
+                finish('error');
                 return {
                     success: false,
                     error: error.message
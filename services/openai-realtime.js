@@ -1,134 +1,370 @@
 const WebSocket = require('ws');
+const {
+    DEFAULT_SESSION_CONFIG,
+    SessionStateError,
+    validateSessionConfig,
+    mergeSessionConfig,
+    isPushToTalk,
+    upstreamModalities,
+    buildSessionPayload
+} = require('./session-config');
+const PersonaLibrary = require('./persona-library');
+const { logger } = require('./logger');
+
+// PCM16 at 24 kHz mono is 48 bytes per millisecond
+const PCM16_BYTES_PER_MS = 48;
+// The API rejects commits of less than 100ms of audio
+const MIN_PUSH_TO_TALK_MS = 100;
+// Frames a supervisor whisper for the model
+const WHISPER_PREFIX = 'Guidance from your human supervisor. The caller cannot see or hear this; follow it without mentioning it: ';
 
 class OpenAIRealtimeService {
-    constructor() {
+    constructor(options = {}) {
         this.ws = null;
         this.isConnected = false;
+        this.openaiSessionId = null;
         this.apiKey = process.env.OPENAI_API_KEY;
         this.model = 'gpt-4o-realtime-preview-2024-10-01';
+        // Point at a local mock (npm run mock:realtime) for offline development
+        this.baseUrl = options.baseUrl || process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime';
         this.eventHandlers = new Map();
+        // Shared with the rest of the connection; the OpenAI session id is added once known
+        this.logger = options.logger || logger;
+        this.toolRegistry = options.toolRegistry || null;
+        this.personaLibrary = options.personaLibrary || new PersonaLibrary().load();
+        this.applyPersona(this.personaLibrary.getDefault());
+
+        // Upstream reconnection (bounded exponential backoff)
+        this.isSessionActive = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? parseInt(process.env.OPENAI_RECONNECT_ATTEMPTS || '5', 10);
+        this.reconnectDelay = options.reconnectDelay ?? 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay ?? 10000;
+        this.reconnectTimer = null;
+        // { resolve, reject } of startSession until the first upstream connection opens
+        this.pendingStart = null;
+
+        // Text of the conversation so far, replayed after a reconnect
+        this.conversationItems = [];
+
+        // Barge-in bookkeeping: the in-flight response and how much audio each item has produced
+        this.activeResponseId = null;
+        this.audioItemDurations = new Map();
+        // Push-to-talk turn in progress ({ audioMs }) and the length of the last commit
+        this.pushToTalkTurn = null;
+        this.pendingCommitMs = null;
+        // Latest upstream rate_limits.updated payload (remaining requests and tokens)
+        this.rateLimits = null;
         
         if (!this.apiKey) {
             throw new Error('OpenAI API key is required');
         }
     }
 
-    async startSession() {
-        if (this.isConnected) {
-            console.log('OpenAI Realtime session already active');
-            return;
+    // Throws SessionConfigError for bad client config, then SessionStateError if a session is running.
+    // Returns the validated config; nothing is changed
+    checkSessionStart(config = {}) {
+        const update = validateSessionConfig(config, this.personaLibrary);
+        if (this.isConnected || this.isSessionActive) {
+            throw new SessionStateError('session_already_active', 'A session is already active; end it first or use update_session');
         }
+        return update;
+    }
 
+    // Resolves once the upstream socket is open and session.update has been sent, so text, audio and
+    // push-to-talk work as soon as it returns. Rejects if reconnects run out or the session is ended first
+    async startSession(config = {}) {
+        // Reject bad client config before opening an upstream connection
+        const update = this.checkSessionStart(config);
+        this.applyPersona(this.personaLibrary.get(update.persona) || this.personaLibrary.getDefault(), update);
+
+        this.isSessionActive = true;
+        this.reconnectAttempts = 0;
+        this.conversationItems = [];
+        this.logger.context({ openai_session_id: null });
+        this.activeResponseId = null;
+        this.audioItemDurations.clear();
+        this.pushToTalkTurn = null;
+        this.pendingCommitMs = null;
+
+        const opened = new Promise((resolve, reject) => {
+            this.pendingStart = { resolve, reject };
+        });
         try {
-            // Connect to OpenAI Realtime API
-            this.ws = new WebSocket('wss://api.openai.com/v1/realtime?model=' + this.model, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'OpenAI-Beta': 'realtime=v1'
-                }
-            });
+            this.connect();
+        } catch (error) {
+            this.isSessionActive = false;
+            this.pendingStart = null;
+            this.logger.error('Failed to start OpenAI session', { error });
+            throw error;
+        }
+        await opened;
+    }
 
-            this.ws.on('open', () => {
-                console.log('✅ Connected to OpenAI Realtime API');
-                this.isConnected = true;
-                this.initializeSession();
-            });
+    settleStart(error) {
+        if (!this.pendingStart) return;
+        const { resolve, reject } = this.pendingStart;
+        this.pendingStart = null;
+        if (error) {
+            reject(error);
+        } else {
+            resolve();
+        }
+    }
 
-            this.ws.on('message', (data) => {
-                this.handleOpenAIMessage(JSON.parse(data.toString()));
-            });
+    createSocket() {
+        return new WebSocket(`${this.baseUrl}?model=${this.model}`, {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'OpenAI-Beta': 'realtime=v1'
+            }
+        });
+    }
 
-            this.ws.on('error', (error) => {
-                console.error('❌ OpenAI WebSocket error:', error);
-                this.isConnected = false;
-            });
+    connect() {
+        // Connect to OpenAI Realtime API
+        const socket = this.createSocket();
+        this.ws = socket;
+
+        socket.on('open', () => {
+            this.logger.info('Connected to OpenAI Realtime API');
+            this.isConnected = true;
+            this.initializeSession();
+
+            if (this.reconnectAttempts > 0) {
+                const attempts = this.reconnectAttempts;
+                const replayedItems = this.replayConversation();
+                this.reconnectAttempts = 0;
+                this.logger.info('OpenAI session restored', { attempts, replayed_items: replayedItems });
+                this.emit('upstream_restored', { attempts, replayed_items: replayedItems });
+            } else {
+                this.sendGreeting();
+            }
+            this.settleStart();
+        });
 
-            this.ws.on('close', () => {
-                console.log('🔌 OpenAI WebSocket connection closed');
-                this.isConnected = false;
-            });
+        socket.on('message', (data) => {
+            this.handleOpenAIMessage(JSON.parse(data.toString()));
+        });
 
-        } catch (error) {
-            console.error('Failed to start OpenAI session:', error);
-            throw error;
+        socket.on('error', (error) => {
+            this.logger.error('OpenAI WebSocket error', { error });
+            this.isConnected = false;
+        });
+
+        socket.on('close', () => {
+            // Ignore late events from a socket that has already been replaced
+            if (socket !== this.ws) return;
+
+            this.logger.info('OpenAI WebSocket connection closed');
+            this.isConnected = false;
+            this.ws = null;
+
+            if (this.isSessionActive) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.logger.error('Giving up on OpenAI reconnection', { attempts: this.reconnectAttempts });
+            this.isSessionActive = false;
+            this.settleStart(new SessionStateError('upstream_unavailable', 'Could not connect to the OpenAI Realtime API'));
+            this.emit('upstream_failed', { attempts: this.reconnectAttempts });
+            return;
         }
+
+        this.reconnectAttempts++;
+        const delay = Math.min(
+            this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
+            this.maxReconnectDelay
+        );
+
+        this.logger.warn('Reconnecting to OpenAI', {
+            attempt: this.reconnectAttempts,
+            max_attempts: this.maxReconnectAttempts,
+            delay_ms: delay
+        });
+        this.emit('upstream_reconnecting', {
+            attempt: this.reconnectAttempts,
+            max_attempts: this.maxReconnectAttempts,
+            delay_ms: delay
+        });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.isSessionActive) return;
+
+            try {
+                this.connect();
+            } catch (error) {
+                this.logger.error('Failed to reconnect to OpenAI', { error });
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    recordConversationItem(role, text) {
+        if (!text || !text.trim()) return;
+        this.conversationItems.push({ role, text: text.trim() });
+    }
+
+    // Recreate the text of the conversation on a fresh upstream session
+    replayConversation() {
+        this.conversationItems.forEach(({ role, text }) => {
+            this.sendToOpenAI({
+                type: 'conversation.item.create',
+                item: {
+                    type: 'message',
+                    role,
+                    content: [{
+                        type: role === 'assistant' ? 'text' : 'input_text',
+                        text
+                    }]
+                }
+            });
+        });
+
+        return this.conversationItems.length;
     }
 
     initializeSession() {
         // Configure the session for voice-to-voice interaction
         const sessionConfig = {
             type: 'session.update',
-            session: {
-                modalities: ['text', 'audio'],
-                instructions: `You are a helpful AI voice assistant. You should:
-                - Respond naturally and conversationally
-                - Keep responses concise but informative
-                - Be friendly and professional
-                - Handle interruptions gracefully
-                - Adapt to the user's language and tone`,
-                voice: 'alloy', // Options: alloy, echo, fable, onyx, nova, shimmer
-                input_audio_format: 'pcm16',
-                output_audio_format: 'pcm16',
-                input_audio_transcription: {
-                    model: 'whisper-1'
-                },
-                turn_detection: {
-                    type: 'server_vad',
-                    threshold: 0.5,
-                    prefix_padding_ms: 300,
-                    silence_duration_ms: 500
-                },
-                tools: [],
-                tool_choice: 'auto',
-                temperature: 0.8,
-                max_response_output_tokens: 4096
-            }
+            session: buildSessionPayload(
+                this.sessionConfig,
+                this.persona,
+                this.toolRegistry ? this.toolRegistry.getDefinitions(this.persona.tools) : []
+            )
         };
 
         this.sendToOpenAI(sessionConfig);
     }
 
+    // Reset the session config to a persona's defaults plus any client overrides
+    applyPersona(persona, overrides = {}) {
+        this.persona = persona;
+        this.sessionConfig = mergeSessionConfig(DEFAULT_SESSION_CONFIG, {
+            persona: persona.id,
+            voice: persona.voice,
+            ...overrides
+        });
+    }
+
+    // Recorded personas announce the recording as part of the opening turn
+    sendGreeting() {
+        const { greeting, recording, recordingNotice } = this.persona;
+        const lines = [];
+        if (greeting) {
+            lines.push(`Greet the user by saying: "${greeting}"`);
+        }
+        if (recording && recordingNotice) {
+            lines.push(`${greeting ? 'Then tell' : 'Tell'} the user: "${recordingNotice}"`);
+        }
+        if (lines.length === 0) return;
+
+        this.sendToOpenAI({
+            type: 'response.create',
+            response: {
+                instructions: lines.join(' ')
+            }
+        });
+    }
+
+    // Persona id and version recorded against the session
+    getSessionInfo() {
+        return {
+            config: this.sessionConfig,
+            persona: {
+                id: this.persona.id,
+                version: this.persona.version
+            }
+        };
+    }
+
+    // Apply a validated partial config, pushing it upstream if the session is live
+    updateSession(config = {}) {
+        const update = validateSessionConfig(config, this.personaLibrary);
+        if (update.persona && update.persona !== this.persona.id) {
+            this.persona = this.personaLibrary.get(update.persona);
+        }
+        this.sessionConfig = mergeSessionConfig(this.sessionConfig, update);
+        if (!isPushToTalk(this.sessionConfig)) {
+            this.pushToTalkTurn = null;
+        }
+
+        if (this.isConnected) {
+            this.initializeSession();
+        }
+
+        return this.sessionConfig;
+    }
+
     handleOpenAIMessage(message) {
         const { type } = message;
 
         switch (type) {
             case 'session.created':
-                console.log('🎯 OpenAI session created:', message.session.id);
+                this.openaiSessionId = message.session.id;
+                this.logger.context({ openai_session_id: this.openaiSessionId });
+                this.logger.info('OpenAI session created');
+                this.emit('session_created', { id: message.session.id });
                 break;
 
             case 'session.updated':
-                console.log('🔄 OpenAI session updated');
+                this.logger.debug('OpenAI session updated');
                 break;
 
             case 'input_audio_buffer.committed':
-                console.log('🎤 Audio input committed');
+                this.logger.debug('Audio input committed', { item_id: message.item_id });
+                if (this.pendingCommitMs !== null) {
+                    this.emit('ptt_committed', {
+                        item_id: message.item_id,
+                        audio_ms: this.pendingCommitMs
+                    });
+                    this.pendingCommitMs = null;
+                }
                 break;
 
             case 'input_audio_buffer.speech_started':
-                console.log('🗣️ Speech started');
-                this.emit('speech_started');
+                this.logger.debug('Speech started', { item_id: message.item_id });
+                // The user is talking over the assistant: stop generating right away
+                if (this.activeResponseId) {
+                    this.cancelResponse(this.activeResponseId);
+                }
+                this.emit('speech_started', {
+                    item_id: message.item_id,
+                    audio_start_ms: message.audio_start_ms
+                });
                 break;
 
             case 'input_audio_buffer.speech_stopped':
-                console.log('🤐 Speech stopped');
-                this.emit('speech_stopped');
+                this.logger.debug('Speech stopped', { item_id: message.item_id });
+                this.emit('speech_stopped', {
+                    item_id: message.item_id,
+                    audio_end_ms: message.audio_end_ms
+                });
                 break;
 
             case 'conversation.item.created':
-                console.log('💬 Conversation item created:', message.item.type);
+                this.logger.debug('Conversation item created', { item_id: message.item.id, item_type: message.item.type });
                 break;
 
             case 'response.created':
-                console.log('🤖 AI response created:', message.response.id);
+                this.logger.debug('Response created', { response_id: message.response.id });
+                this.activeResponseId = message.response.id;
                 break;
 
             case 'response.output_item.added':
                 if (message.item.type === 'message') {
-                    console.log('📝 AI message added');
+                    this.logger.debug('Assistant message added', { item_id: message.item.id });
                 }
                 break;
 
             case 'response.audio.delta':
+                this.trackAudioDuration(message.item_id, message.delta);
                 // Forward audio data to client
                 this.emit('audio_response', {
                     audio: message.delta,
@@ -138,7 +374,7 @@ class OpenAIRealtimeService {
                 break;
 
             case 'response.audio.done':
-                console.log('🔊 Audio response completed');
+                this.logger.debug('Audio response completed', { item_id: message.item_id });
                 this.emit('audio_complete', {
                     response_id: message.response_id,
                     item_id: message.item_id
@@ -154,28 +390,195 @@ class OpenAIRealtimeService {
                 });
                 break;
 
+            case 'response.audio_transcript.delta':
+                // Spoken replies are shown as text too unless the session is audio-only
+                if (this.sessionConfig.modalities.includes('text')) {
+                    this.emit('text_response', {
+                        text: message.delta,
+                        response_id: message.response_id,
+                        item_id: message.item_id
+                    });
+                }
+                break;
+
+            case 'response.function_call_arguments.done':
+                this.handleFunctionCall(message);
+                break;
+
+            case 'conversation.item.input_audio_transcription.completed':
+                this.recordConversationItem('user', message.transcript);
+                this.emit('user_transcript', {
+                    item_id: message.item_id,
+                    transcript: message.transcript
+                });
+                break;
+
+            case 'conversation.item.input_audio_transcription.failed':
+                this.logger.warn('User audio transcription failed', { item_id: message.item_id, error: message.error });
+                this.emit('user_transcript_failed', {
+                    item_id: message.item_id,
+                    error: message.error
+                });
+                break;
+
             case 'response.done':
-                console.log('✅ Response completed');
+                this.logger.info('Response completed', { response_id: message.response.id, status: message.response.status });
+                if (this.activeResponseId === message.response.id) {
+                    this.activeResponseId = null;
+                }
+                this.recordResponseText(message.response);
+                if (message.response.usage) {
+                    this.emit('response_usage', {
+                        response_id: message.response.id,
+                        model: this.model,
+                        usage: message.response.usage
+                    });
+                }
                 this.emit('response_complete', message.response);
                 break;
 
             case 'error':
-                console.error('❌ OpenAI API error:', message.error);
+                this.logger.error('OpenAI API error', { error: message.error });
                 this.emit('error', message.error);
                 break;
 
             case 'rate_limits.updated':
-                console.log('⚡ Rate limits updated:', message.rate_limits);
+                this.rateLimits = message.rate_limits;
                 break;
 
             default:
-                console.log('📦 Unknown OpenAI message type:', type);
+                this.logger.debug('Unhandled OpenAI message type', { type });
+        }
+    }
+
+    recordResponseText(response) {
+        OpenAIRealtimeService.extractResponseText(response).forEach(({ text }) => {
+            this.recordConversationItem('assistant', text);
+        });
+    }
+
+    // Text (or audio transcript) of each assistant message in a response.done payload
+    static extractResponseText(response = {}) {
+        return (response.output || [])
+            .filter(item => item.type === 'message')
+            .map(item => ({
+                item_id: item.id,
+                text: (item.content || [])
+                    .map(part => part.text || part.transcript || '')
+                    .join('')
+            }))
+            .filter(({ text }) => text.trim());
+    }
+
+    async handleFunctionCall({ call_id, name, arguments: args }) {
+        this.logger.info('Function call requested', { call_id, name });
+        this.emit('tool_call', { call_id, name, arguments: args });
+
+        const result = this.toolRegistry
+            ? await this.toolRegistry.execute(name, args, { callId: call_id })
+            : { success: false, error: 'No tools are configured' };
+
+        this.emit('tool_result', {
+            call_id,
+            name,
+            success: result?.success !== false,
+            output: result
+        });
+
+        // Feed the result back to the model and let it continue the turn
+        this.sendToOpenAI({
+            type: 'conversation.item.create',
+            item: {
+                type: 'function_call_output',
+                call_id,
+                output: JSON.stringify(result ?? null)
+            }
+        });
+        this.sendToOpenAI({ type: 'response.create' });
+    }
+
+    // Typed user turn: add it to the conversation and ask the model to reply
+    sendText(text) {
+        if (!this.isConnected) return false;
+
+        if (this.activeResponseId) {
+            this.cancelResponse(this.activeResponseId);
         }
+
+        this.sendToOpenAI({
+            type: 'conversation.item.create',
+            item: {
+                type: 'message',
+                role: 'user',
+                content: [{ type: 'input_text', text }]
+            }
+        });
+        this.sendToOpenAI({ type: 'response.create' });
+
+        this.recordConversationItem('user', text);
+        this.emit('user_text', { text });
+        return true;
+    }
+
+    // Supervisor guidance: a system item the model follows from its next turn on. No
+    // response is requested and nothing reaches the caller, so it is never spoken
+    whisper(text, supervisor = null) {
+        if (!this.isConnected) return false;
+
+        const guidance = `${WHISPER_PREFIX}${text}`;
+        this.sendToOpenAI({
+            type: 'conversation.item.create',
+            item: {
+                type: 'message',
+                role: 'system',
+                content: [{ type: 'input_text', text: guidance }]
+            }
+        });
+
+        this.recordConversationItem('system', guidance);
+        this.emit('supervisor_whisper', { text, supervisor });
+        return true;
+    }
+
+    // Push-to-talk: clear the input buffer and start collecting a user turn
+    startUserTurn() {
+        if (!this.isConnected || !isPushToTalk(this.sessionConfig)) return false;
+
+        if (this.activeResponseId) {
+            this.cancelResponse(this.activeResponseId);
+        }
+        this.sendToOpenAI({ type: 'input_audio_buffer.clear' });
+        this.pushToTalkTurn = { audioMs: 0 };
+        return true;
+    }
+
+    // Push-to-talk: commit the turn and ask for a reply; taps too short to commit are dropped
+    endUserTurn() {
+        if (!this.isConnected || !this.pushToTalkTurn) return false;
+
+        const audioMs = Math.round(this.pushToTalkTurn.audioMs);
+        this.pushToTalkTurn = null;
+
+        if (audioMs < MIN_PUSH_TO_TALK_MS) {
+            this.sendToOpenAI({ type: 'input_audio_buffer.clear' });
+            this.emit('ptt_discarded', { audio_ms: audioMs });
+            return false;
+        }
+
+        this.pendingCommitMs = audioMs;
+        this.commitAudioBuffer();
+        this.createResponse();
+        return true;
     }
 
     async sendAudioData(audioData) {
         if (!this.isConnected || !this.ws) {
-            console.warn('Cannot send audio: OpenAI not connected');
+            this.logger.warn('Cannot send audio: OpenAI not connected');
+            return;
+        }
+
+        // Between push-to-talk turns the microphone is not forwarded
+        if (isPushToTalk(this.sessionConfig) && !this.pushToTalkTurn) {
             return;
         }
 
@@ -185,14 +588,20 @@ class OpenAIRealtimeService {
                 ? audioData.toString('base64')
                 : audioData;
 
+            if (this.pushToTalkTurn) {
+                this.pushToTalkTurn.audioMs += Buffer.byteLength(base64Audio, 'base64') / PCM16_BYTES_PER_MS;
+            }
+
             const message = {
                 type: 'input_audio_buffer.append',
                 audio: base64Audio
             };
 
             this.sendToOpenAI(message);
+            // Tapped after sending, so call recordings hold exactly what the model heard
+            this.emit('user_audio', { audio: base64Audio });
         } catch (error) {
-            console.error('Error sending audio data:', error);
+            this.logger.error('Error sending audio data', { error });
         }
     }
 
@@ -210,8 +619,7 @@ class OpenAIRealtimeService {
         this.sendToOpenAI({
             type: 'response.create',
             response: {
-                modalities: ['text', 'audio'],
-                instructions: 'Please respond to the user naturally and conversationally.'
+                modalities: upstreamModalities(this.sessionConfig)
             }
         });
     }
@@ -219,17 +627,61 @@ class OpenAIRealtimeService {
     cancelResponse(responseId) {
         if (!this.isConnected) return;
 
+        if (this.activeResponseId === responseId) {
+            this.activeResponseId = null;
+        }
         this.sendToOpenAI({
             type: 'response.cancel',
             response_id: responseId
         });
     }
 
+    trackAudioDuration(itemId, base64Delta) {
+        if (!itemId || !base64Delta) return;
+
+        const ms = Buffer.byteLength(base64Delta, 'base64') / PCM16_BYTES_PER_MS;
+        this.audioItemDurations.set(itemId, (this.audioItemDurations.get(itemId) || 0) + ms);
+    }
+
+    /**
+     * Handle a client barge-in: stop any in-flight response and truncate the
+     * interrupted item to what the user actually heard, so the model's memory
+     * of the conversation matches the caller's.
+     */
+    interruptResponse({ item_id: itemId, audio_end_ms: audioEndMs } = {}) {
+        if (!this.isConnected) return null;
+
+        if (this.activeResponseId) {
+            this.cancelResponse(this.activeResponseId);
+        }
+
+        const generatedMs = this.audioItemDurations.get(itemId);
+        if (!itemId || generatedMs === undefined) {
+            return null;
+        }
+
+        const playedMs = Math.max(0, Math.min(Math.floor(audioEndMs || 0), Math.floor(generatedMs)));
+        // Nothing to forget if the user heard the whole item
+        if (playedMs < Math.floor(generatedMs)) {
+            this.sendToOpenAI({
+                type: 'conversation.item.truncate',
+                item_id: itemId,
+                content_index: 0,
+                audio_end_ms: playedMs
+            });
+        }
+
+        const interruption = { item_id: itemId, audio_end_ms: playedMs, generated_ms: Math.floor(generatedMs) };
+        this.logger.info('Response interrupted', interruption);
+        this.emit('response_interrupted', interruption);
+        return interruption;
+    }
+
     sendToOpenAI(message) {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
             this.ws.send(JSON.stringify(message));
         } else {
-            console.warn('Cannot send to OpenAI: WebSocket not ready');
+            this.logger.warn('Cannot send to OpenAI: WebSocket not ready', { type: message.type });
         }
     }
 
@@ -241,25 +693,43 @@ class OpenAIRealtimeService {
         this.eventHandlers.get(event).push(handler);
     }
 
+    off(event, handler) {
+        if (!this.eventHandlers.has(event)) return;
+
+        const handlers = this.eventHandlers.get(event).filter(h => h !== handler);
+        if (handlers.length > 0) {
+            this.eventHandlers.set(event, handlers);
+        } else {
+            this.eventHandlers.delete(event);
+        }
+    }
+
     emit(event, data) {
         if (this.eventHandlers.has(event)) {
             this.eventHandlers.get(event).forEach(handler => {
                 try {
                     handler(data);
                 } catch (error) {
-                    console.error(`Error in event handler for ${event}:`, error);
+                    this.logger.error('Error in event handler', { event, error });
                 }
             });
         }
     }
 
     async endSession() {
+        this.isSessionActive = false;
+        this.settleStart(new SessionStateError('session_not_active', 'The session was ended before it started'));
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
         if (this.ws) {
             this.ws.close();
             this.ws = null;
         }
         this.isConnected = false;
-        console.log('🔚 OpenAI Realtime session ended');
+        this.logger.info('OpenAI Realtime session ended');
     }
 
     cleanup() {
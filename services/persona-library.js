@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { VOICES } = require('./session-config');
+const { logger } = require('./logger');
+
+const PERSONA_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const DEFAULT_RECORDING_NOTICE = 'This call is being recorded for quality and training purposes.';
+
+class PersonaLibrary {
+    constructor(options = {}) {
+        this.directory = options.directory
+            || process.env.PERSONAS_DIR
+            || path.join(__dirname, '..', 'personas');
+        this.defaultId = options.defaultId || process.env.DEFAULT_PERSONA || 'default';
+        this.personas = new Map();
+        this.logger = options.logger || logger;
+    }
+
+    // Read every persona file in the directory, skipping ones that fail validation
+    load() {
+        const personas = new Map();
+        const files = fs.readdirSync(this.directory)
+            .filter(file => PERSONA_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        files.forEach((file) => {
+            try {
+                const persona = this.parseFile(path.join(this.directory, file));
+                if (personas.has(persona.id)) {
+                    throw new Error(`duplicate persona id "${persona.id}"`);
+                }
+                personas.set(persona.id, persona);
+            } catch (error) {
+                this.logger.error('Skipping persona file', { file, error: error.message });
+            }
+        });
+
+        if (personas.size === 0) {
+            throw new Error(`No valid personas found in ${this.directory}`);
+        }
+
+        this.personas = personas;
+        if (!this.personas.has(this.defaultId)) {
+            this.defaultId = this.personas.keys().next().value;
+        }
+
+        this.logger.info('Loaded personas', { count: personas.size, directory: this.directory });
+        return this;
+    }
+
+    parseFile(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const data = path.extname(filePath).toLowerCase() === '.json'
+            ? JSON.parse(raw)
+            : yaml.load(raw);
+
+        return PersonaLibrary.validate(data, path.basename(filePath, path.extname(filePath)));
+    }
+
+    static validate(data, fallbackId) {
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            throw new Error('persona must be an object');
+        }
+
+        const persona = {
+            id: data.id || fallbackId,
+            version: data.version !== undefined ? String(data.version) : undefined,
+            name: data.name || data.id || fallbackId,
+            description: data.description || '',
+            instructions: data.instructions,
+            voice: data.voice || 'alloy',
+            tools: data.tools,
+            greeting: data.greeting || null,
+            language: data.language || null,
+            recording: data.recording === undefined ? false : data.recording,
+            recordingNotice: data.recording_notice || DEFAULT_RECORDING_NOTICE
+        };
+
+        if (!/^[a-z0-9][a-z0-9_-]*$/.test(persona.id)) {
+            throw new Error('id must contain only lowercase letters, digits, "-" and "_"');
+        }
+        if (!persona.version) {
+            throw new Error('version is required');
+        }
+        if (typeof persona.instructions !== 'string' || !persona.instructions.trim()) {
+            throw new Error('instructions are required');
+        }
+        if (!VOICES.includes(persona.voice)) {
+            throw new Error(`voice must be one of: ${VOICES.join(', ')}`);
+        }
+        if (persona.tools !== undefined && (!Array.isArray(persona.tools) || persona.tools.some(tool => typeof tool !== 'string'))) {
+            throw new Error('tools must be a list of tool names');
+        }
+        if (typeof persona.recording !== 'boolean') {
+            throw new Error('recording must be true or false');
+        }
+        if (typeof persona.recordingNotice !== 'string') {
+            throw new Error('recording_notice must be a string');
+        }
+
+        return persona;
+    }
+
+    has(id) {
+        return this.personas.has(id);
+    }
+
+    get(id) {
+        return this.personas.get(id) || null;
+    }
+
+    getDefault() {
+        return this.get(this.defaultId);
+    }
+
+    ids() {
+        return Array.from(this.personas.keys());
+    }
+
+    // Public summary for persona pickers (instructions stay server-side)
+    list() {
+        return Array.from(this.personas.values()).map(persona => ({
+            id: persona.id,
+            version: persona.version,
+            name: persona.name,
+            description: persona.description,
+            voice: persona.voice,
+            language: persona.language,
+            tools: persona.tools || null,
+            recording: persona.recording,
+            isDefault: persona.id === this.defaultId
+        }));
+    }
+}
+
+module.exports = PersonaLibrary;
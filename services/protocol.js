@@ -0,0 +1,46 @@
+/**
+ * Server side of the client/server WebSocket protocol. The schemas, versions
+ * and error codes live in public/js/protocol.js so the browser client checks
+ * messages against the same definitions.
+ */
+const VoiceProtocol = require('../public/js/protocol');
+
+class ProtocolError extends Error {
+    constructor(code, message, details = []) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Raw WebSocket data to a client message; throws ProtocolError if it isn't JSON
+function parseClientMessage(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new ProtocolError('invalid_json', 'Message is not valid JSON');
+    }
+}
+
+// Throws ProtocolError unless `data` matches the schema for its type; the admin feed passes checkAdminMessage
+function assertClientMessage(data, check = VoiceProtocol.checkClientMessage) {
+    const problem = check(data);
+    if (problem) {
+        throw new ProtocolError(problem.code, problem.message, problem.details);
+    }
+}
+
+// Echoed on direct replies; only a well-formed request_id is echoed
+function requestIdOf(data) {
+    const id = data?.request_id;
+    return id !== undefined && VoiceProtocol.validate(VoiceProtocol.REQUEST_ID, id).length === 0 ? id : undefined;
+}
+
+module.exports = {
+    ...VoiceProtocol,
+    ProtocolError,
+    parseClientMessage,
+    assertClientMessage,
+    requestIdOf
+};
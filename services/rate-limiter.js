@@ -0,0 +1,187 @@
+/**
+ * Server-wide abuse limits. Each check throws RateLimitError (code `rate_limited`)
+ * naming the limit that was hit and how long to wait before retrying.
+ *
+ *   messages_per_second   per WebSocket        RATE_LIMIT_MESSAGES_PER_SECOND (50)
+ *   audio_bytes_per_minute per user            RATE_LIMIT_AUDIO_BYTES_PER_MINUTE (6000000)
+ *   n8n_per_minute        per user             RATE_LIMIT_N8N_PER_MINUTE (30)
+ *   sessions_per_day      per user, UTC day    RATE_LIMIT_SESSIONS_PER_DAY (200)
+ *   concurrent_sessions   whole server         MAX_CONCURRENT_SESSIONS (50)
+ *
+ * Users are keyed by their authenticated id, or by IP address when auth is off.
+ * A limit of 0 disables it.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Idle per-user buckets are dropped once this many are tracked
+const MAX_TRACKED_USERS = 10000;
+
+function envLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+function defaultLimits() {
+    return {
+        messagesPerSecond: envLimit('RATE_LIMIT_MESSAGES_PER_SECOND', 50),
+        // 24 kHz PCM16 is 2.88 MB a minute; the default leaves room for twice real time
+        audioBytesPerMinute: envLimit('RATE_LIMIT_AUDIO_BYTES_PER_MINUTE', 6000000),
+        n8nPerMinute: envLimit('RATE_LIMIT_N8N_PER_MINUTE', 30),
+        sessionsPerDay: envLimit('RATE_LIMIT_SESSIONS_PER_DAY', 200),
+        maxConcurrentSessions: envLimit('MAX_CONCURRENT_SESSIONS', 50)
+    };
+}
+
+class RateLimitError extends Error {
+    constructor(limit, message, retryAfterMs) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.code = 'rate_limited';
+        this.limit = limit;
+        this.retryAfterMs = Math.max(0, Math.ceil(retryAfterMs));
+    }
+}
+
+// Classic token bucket: holds up to `capacity`, refilled continuously over `periodMs`
+class TokenBucket {
+    constructor(capacity, periodMs) {
+        this.capacity = capacity;
+        this.refillPerMs = capacity / periodMs;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    // Returns 0 when the tokens were taken, otherwise the ms until they would be available
+    take(amount = 1, now = Date.now()) {
+        this.refill(now);
+        // A single request larger than the bucket waits for it to be full, then is charged in full:
+        // the bucket goes negative and later requests wait until the deficit has refilled
+        const needed = Math.min(amount, this.capacity);
+        if (this.tokens >= needed) {
+            this.tokens -= amount;
+            return 0;
+        }
+        return (needed - this.tokens) / this.refillPerMs;
+    }
+
+    isFull(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= this.capacity;
+    }
+}
+
+class RateLimiter {
+    constructor(limits = {}) {
+        this.limits = { ...defaultLimits(), ...limits };
+        this.audioBuckets = new Map();
+        this.n8nBuckets = new Map();
+        this.dailySessions = new Map(); // userKey -> { day, count }
+        this.activeSessions = new Set();
+    }
+
+    // Stable per-user key: the token's subject, or the client IP for anonymous users
+    static userKey(identity, remoteAddress) {
+        return identity && identity.id !== 'anonymous' ? `user:${identity.id}` : `ip:${remoteAddress || 'unknown'}`;
+    }
+
+    createMessageBucket() {
+        return this.limits.messagesPerSecond > 0 ? new TokenBucket(this.limits.messagesPerSecond, 1000) : null;
+    }
+
+    // Every WebSocket message; `bucket` comes from createMessageBucket() for that socket
+    checkMessage(bucket) {
+        const wait = bucket ? bucket.take() : 0;
+        if (wait > 0) {
+            throw new RateLimitError('messages_per_second', `More than ${this.limits.messagesPerSecond} messages per second`, wait);
+        }
+    }
+
+    checkAudio(userKey, bytes) {
+        this.takeFromUserBucket(this.audioBuckets, userKey, bytes, this.limits.audioBytesPerMinute, 'audio_bytes_per_minute',
+            `More than ${this.limits.audioBytesPerMinute} bytes of audio per minute`);
+    }
+
+    checkN8N(userKey) {
+        this.takeFromUserBucket(this.n8nBuckets, userKey, 1, this.limits.n8nPerMinute, 'n8n_per_minute',
+            `More than ${this.limits.n8nPerMinute} workflow triggers per minute`);
+    }
+
+    takeFromUserBucket(buckets, userKey, amount, perMinute, limit, message) {
+        if (!perMinute) return;
+
+        if (!buckets.has(userKey)) {
+            this.prune(buckets);
+            buckets.set(userKey, new TokenBucket(perMinute, 60 * 1000));
+        }
+        const wait = buckets.get(userKey).take(amount);
+        if (wait > 0) {
+            throw new RateLimitError(limit, message, wait);
+        }
+    }
+
+    prune(buckets) {
+        if (buckets.size < MAX_TRACKED_USERS) return;
+        const now = Date.now();
+        buckets.forEach((bucket, key) => {
+            if (bucket.isFull(now)) buckets.delete(key);
+        });
+    }
+
+    // Reserve a concurrent session slot for `owner` (one per socket) and count it against the daily quota
+    acquireSession(owner, userKey) {
+        const { maxConcurrentSessions, sessionsPerDay } = this.limits;
+        const restarting = this.activeSessions.has(owner);
+
+        if (!restarting && maxConcurrentSessions > 0 && this.activeSessions.size >= maxConcurrentSessions) {
+            throw new RateLimitError('concurrent_sessions', 'The server is at its concurrent session limit', 60 * 1000);
+        }
+
+        if (sessionsPerDay > 0) {
+            const now = Date.now();
+            const day = Math.floor(now / DAY_MS);
+            let usage = this.dailySessions.get(userKey);
+            if (!usage || usage.day !== day) {
+                if (!usage && this.dailySessions.size >= MAX_TRACKED_USERS) {
+                    this.dailySessions.forEach((entry, key) => {
+                        if (entry.day !== day) this.dailySessions.delete(key);
+                    });
+                }
+                usage = { day, count: 0 };
+                this.dailySessions.set(userKey, usage);
+            }
+            if (usage.count >= sessionsPerDay) {
+                throw new RateLimitError('sessions_per_day', `Daily limit of ${sessionsPerDay} sessions reached`, (day + 1) * DAY_MS - now);
+            }
+            usage.count++;
+        }
+
+        this.activeSessions.add(owner);
+    }
+
+    releaseSession(owner) {
+        this.activeSessions.delete(owner);
+    }
+
+    // For a session that never started: frees its slot and gives back today's count from acquireSession
+    cancelSession(owner, userKey) {
+        this.releaseSession(owner);
+        const usage = this.dailySessions.get(userKey);
+        if (usage && usage.day === Math.floor(Date.now() / DAY_MS) && usage.count > 0) {
+            usage.count--;
+        }
+    }
+
+    get concurrentSessions() {
+        return this.activeSessions.size;
+    }
+}
+
+module.exports = {
+    RateLimitError,
+    TokenBucket,
+    RateLimiter
+};
@@ -0,0 +1,221 @@
+/**
+ * Relays OpenAIRealtimeService events to the browser over the session WebSocket.
+ *
+ * Client messages (all shaped as `{ type, payload }`):
+ *   audio_response    { audio, response_id, item_id }   base64 delta in the negotiated output format
+ *   text_response     { text, response_id, item_id }    text delta
+ *   audio_complete    { response_id, item_id }          audio for an item finished
+ *   response_complete { response_id, status, status_details }
+ *   speech_started    { item_id, audio_start_ms }       server VAD detected speech
+ *   speech_stopped    { item_id, audio_end_ms }         server VAD detected silence
+ *   user_transcript   { item_id, status, transcript, error }  status is 'completed' or 'failed'
+ *   response_interrupted { item_id, audio_end_ms, generated_ms }  barge-in truncated an item
+ *   ptt_committed     { item_id, audio_ms }             push-to-talk turn committed upstream
+ *   ptt_discarded     { audio_ms }                      push-to-talk turn too short to commit
+ *   tool_call         { call_id, name, arguments }      model invoked a registered tool
+ *   tool_result       { call_id, name, success, output } tool finished executing
+ *   upstream_reconnecting { attempt, max_attempts, delay_ms }  OpenAI socket dropped, retrying
+ *   upstream_restored { attempts, replayed_items }     OpenAI session re-established
+ *   upstream_failed   { attempts }                     retries exhausted, session is over
+ *   error             { message, code, source }         upstream Realtime API error
+ */
+const EVENT_MAPPERS = {
+    audio_response: (data) => ({
+        type: 'audio_response',
+        payload: {
+            audio: data.audio,
+            response_id: data.response_id,
+            item_id: data.item_id
+        }
+    }),
+
+    text_response: (data) => ({
+        type: 'text_response',
+        payload: {
+            text: data.text,
+            response_id: data.response_id,
+            item_id: data.item_id
+        }
+    }),
+
+    audio_complete: (data) => ({
+        type: 'audio_complete',
+        payload: {
+            response_id: data.response_id,
+            item_id: data.item_id
+        }
+    }),
+
+    response_complete: (response = {}) => ({
+        type: 'response_complete',
+        payload: {
+            response_id: response.id,
+            status: response.status,
+            status_details: response.status_details || null
+        }
+    }),
+
+    speech_started: (data = {}) => ({
+        type: 'speech_started',
+        payload: {
+            item_id: data.item_id,
+            audio_start_ms: data.audio_start_ms
+        }
+    }),
+
+    speech_stopped: (data = {}) => ({
+        type: 'speech_stopped',
+        payload: {
+            item_id: data.item_id,
+            audio_end_ms: data.audio_end_ms
+        }
+    }),
+
+    user_transcript: (data) => ({
+        type: 'user_transcript',
+        payload: {
+            item_id: data.item_id,
+            status: 'completed',
+            transcript: data.transcript,
+            error: null
+        }
+    }),
+
+    user_transcript_failed: (data) => ({
+        type: 'user_transcript',
+        payload: {
+            item_id: data.item_id,
+            status: 'failed',
+            transcript: null,
+            error: data.error?.message || 'Transcription failed'
+        }
+    }),
+
+    response_interrupted: (data) => ({
+        type: 'response_interrupted',
+        payload: {
+            item_id: data.item_id,
+            audio_end_ms: data.audio_end_ms,
+            generated_ms: data.generated_ms
+        }
+    }),
+
+    ptt_committed: (data) => ({
+        type: 'ptt_committed',
+        payload: {
+            item_id: data.item_id,
+            audio_ms: data.audio_ms
+        }
+    }),
+
+    ptt_discarded: (data) => ({
+        type: 'ptt_discarded',
+        payload: {
+            audio_ms: data.audio_ms
+        }
+    }),
+
+    tool_call: (data) => ({
+        type: 'tool_call',
+        payload: {
+            call_id: data.call_id,
+            name: data.name,
+            arguments: data.arguments
+        }
+    }),
+
+    tool_result: (data) => ({
+        type: 'tool_result',
+        payload: {
+            call_id: data.call_id,
+            name: data.name,
+            success: data.success,
+            output: data.output
+        }
+    }),
+
+    upstream_reconnecting: (data) => ({
+        type: 'upstream_reconnecting',
+        payload: {
+            attempt: data.attempt,
+            max_attempts: data.max_attempts,
+            delay_ms: data.delay_ms
+        }
+    }),
+
+    upstream_restored: (data) => ({
+        type: 'upstream_restored',
+        payload: {
+            attempts: data.attempts,
+            replayed_items: data.replayed_items
+        }
+    }),
+
+    upstream_failed: (data) => ({
+        type: 'upstream_failed',
+        payload: {
+            attempts: data.attempts
+        }
+    }),
+
+    error: (error = {}) => ({
+        type: 'error',
+        payload: {
+            message: error.message || 'OpenAI Realtime API error',
+            code: error.code || null,
+            source: 'openai'
+        }
+    })
+};
+
+class RealtimeEventBridge {
+    constructor(openaiService, websocket) {
+        this.openaiService = openaiService;
+        this.ws = websocket;
+        this.handlers = new Map();
+        // Converts audio_response deltas to the client's output format; null sends PCM16 as-is
+        this.audioTranscoder = null;
+    }
+
+    setAudioTranscoder(transcoder) {
+        this.audioTranscoder = transcoder;
+    }
+
+    attach() {
+        if (this.handlers.size > 0) {
+            return;
+        }
+
+        Object.entries(EVENT_MAPPERS).forEach(([event, mapper]) => {
+            const handler = (data) => this.sendToClient(this.encodeAudio(mapper(data)));
+            this.handlers.set(event, handler);
+            this.openaiService.on(event, handler);
+        });
+    }
+
+    detach() {
+        this.handlers.forEach((handler, event) => {
+            this.openaiService.off(event, handler);
+        });
+        this.handlers.clear();
+    }
+
+    encodeAudio(message) {
+        if (message.type === 'audio_response' && this.audioTranscoder) {
+            message.payload.audio = this.audioTranscoder.encodeOutput(message.payload.audio);
+        }
+        return message;
+    }
+
+    sendToClient(message) {
+        if (this.ws && this.ws.readyState === 1) { // WebSocket.OPEN
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    static get events() {
+        return Object.keys(EVENT_MAPPERS);
+    }
+}
+
+module.exports = RealtimeEventBridge;
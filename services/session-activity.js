@@ -0,0 +1,104 @@
+const OpenAIRealtimeService = require('./openai-realtime');
+
+/**
+ * Live state of one WebSocket connection for the admin dashboard: who is
+ * connected, the session they are in, its upstream status and the last few
+ * lines said. Kept in memory only; the conversation record is the history.
+ */
+const TRANSCRIPT_LINES = 6;
+
+class SessionActivity {
+    constructor(openaiService, options = {}) {
+        this.openaiService = openaiService;
+        this.connectionId = options.connectionId;
+        this.user = options.user || null;
+        this.remoteAddress = options.remoteAddress || null;
+        this.now = options.now || Date.now;
+        this.connectedAt = this.now();
+        this.session = null;
+        this.upstreamFailed = false;
+        this.transcript = [];
+        this.handlers = new Map();
+    }
+
+    attach() {
+        if (this.handlers.size > 0) {
+            return;
+        }
+
+        const handlers = {
+            user_transcript: (data) => this.addLine('user', data.transcript),
+            user_text: (data) => this.addLine('user', data.text),
+            response_complete: (response) => {
+                OpenAIRealtimeService.extractResponseText(response).forEach(({ text }) => this.addLine('assistant', text));
+            },
+            supervisor_whisper: (data) => this.addLine('supervisor', data.text),
+            upstream_failed: () => {
+                this.upstreamFailed = true;
+            }
+        };
+
+        Object.entries(handlers).forEach(([event, handler]) => {
+            this.handlers.set(event, handler);
+            this.openaiService.on(event, handler);
+        });
+    }
+
+    detach() {
+        this.handlers.forEach((handler, event) => {
+            this.openaiService.off(event, handler);
+        });
+        this.handlers.clear();
+    }
+
+    sessionStarted({ conversationId, recording = false }) {
+        this.session = { conversationId, recording, startedAt: this.now() };
+        this.upstreamFailed = false;
+        this.transcript = [];
+    }
+
+    sessionEnded() {
+        this.session = null;
+    }
+
+    addLine(speaker, text) {
+        if (!this.session || typeof text !== 'string' || !text.trim()) return;
+
+        this.transcript.push({ speaker, text: text.trim(), at: new Date(this.now()).toISOString() });
+        if (this.transcript.length > TRANSCRIPT_LINES) {
+            this.transcript.shift();
+        }
+    }
+
+    // none | connecting | connected | reconnecting | failed
+    upstreamStatus() {
+        if (!this.session) return 'none';
+        if (this.upstreamFailed) return 'failed';
+        if (this.openaiService.isConnected) return 'connected';
+        return this.openaiService.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
+    }
+
+    // `usage` is the session's metered totals, if any
+    snapshot(usage = null) {
+        const { session } = this;
+        const info = session ? this.openaiService.getSessionInfo() : null;
+        return {
+            connection_id: this.connectionId,
+            user: this.user,
+            remote_address: this.remoteAddress,
+            connected_at: new Date(this.connectedAt).toISOString(),
+            state: session ? 'active' : 'idle',
+            conversation_id: session ? session.conversationId : null,
+            openai_session_id: session ? this.openaiService.openaiSessionId : null,
+            persona: info ? info.persona : null,
+            started_at: session ? new Date(session.startedAt).toISOString() : null,
+            duration_ms: session ? this.now() - session.startedAt : null,
+            upstream: this.upstreamStatus(),
+            recording: session ? session.recording : false,
+            usage,
+            transcript: session ? [...this.transcript] : []
+        };
+    }
+}
+
+module.exports = SessionActivity;
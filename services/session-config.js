@@ -0,0 +1,205 @@
+// Voices supported by the Realtime API
+const VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+// Output modalities a session can ask for: text only, audio only, or both
+const MODALITIES = ['text', 'audio'];
+
+// Persona-independent defaults; the persona supplies instructions and its own voice
+const DEFAULT_SESSION_CONFIG = {
+    voice: 'alloy',
+    modalities: ['text', 'audio'],
+    temperature: 0.8,
+    max_response_output_tokens: 4096,
+    turn_detection: {
+        type: 'server_vad',
+        threshold: 0.5,
+        prefix_padding_ms: 300,
+        silence_duration_ms: 500
+    }
+};
+
+class SessionConfigError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'SessionConfigError';
+        this.code = 'invalid_session_config';
+        this.details = details;
+    }
+}
+
+// A valid request the session can't take in its current state, e.g. start_session while one runs
+class SessionStateError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'SessionStateError';
+        this.code = code;
+    }
+}
+
+function checkNumber(errors, field, value, min, max) {
+    if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+        errors.push(`${field} must be a number between ${min} and ${max}`);
+        return false;
+    }
+    return true;
+}
+
+function validateTurnDetection(input, errors) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        errors.push('turn_detection must be an object');
+        return undefined;
+    }
+
+    const turnDetection = {};
+    Object.entries(input).forEach(([key, value]) => {
+        switch (key) {
+            case 'type':
+                if (value !== 'server_vad') {
+                    errors.push('turn_detection.type must be "server_vad"');
+                } else {
+                    turnDetection.type = value;
+                }
+                break;
+            case 'threshold':
+                if (checkNumber(errors, 'turn_detection.threshold', value, 0, 1)) turnDetection.threshold = value;
+                break;
+            case 'prefix_padding_ms':
+                if (checkNumber(errors, 'turn_detection.prefix_padding_ms', value, 0, 2000)) turnDetection.prefix_padding_ms = value;
+                break;
+            case 'silence_duration_ms':
+                if (checkNumber(errors, 'turn_detection.silence_duration_ms', value, 100, 5000)) turnDetection.silence_duration_ms = value;
+                break;
+            default:
+                errors.push(`turn_detection.${key} is not a configurable setting`);
+        }
+    });
+    return turnDetection;
+}
+
+function validateModalities(input, errors) {
+    if (!Array.isArray(input) || input.length === 0 || input.some(modality => !MODALITIES.includes(modality))) {
+        errors.push('modalities must be a non-empty list of: text, audio');
+        return undefined;
+    }
+    return MODALITIES.filter(modality => input.includes(modality));
+}
+
+// Validate a client-supplied partial config against the allow-list;
+// `personas` is the PersonaLibrary used to check persona ids
+function validateSessionConfig(input = {}, personas = null) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new SessionConfigError('Session config must be an object');
+    }
+
+    const errors = [];
+    const config = {};
+
+    Object.entries(input).forEach(([key, value]) => {
+        switch (key) {
+            case 'persona':
+                if (!personas || !personas.has(value)) {
+                    errors.push(`persona must be one of: ${personas ? personas.ids().join(', ') : '(none loaded)'}`);
+                } else {
+                    config.persona = value;
+                }
+                break;
+            case 'voice':
+                if (!VOICES.includes(value)) {
+                    errors.push(`voice must be one of: ${VOICES.join(', ')}`);
+                } else {
+                    config.voice = value;
+                }
+                break;
+            case 'modalities':
+                config.modalities = validateModalities(value, errors);
+                break;
+            case 'temperature':
+                if (checkNumber(errors, 'temperature', value, 0.6, 1.2)) config.temperature = value;
+                break;
+            case 'max_response_output_tokens':
+                if (value === 'inf' || (Number.isInteger(value) && value >= 1 && value <= 4096)) {
+                    config.max_response_output_tokens = value;
+                } else {
+                    errors.push('max_response_output_tokens must be an integer between 1 and 4096 or "inf"');
+                }
+                break;
+            case 'turn_detection':
+                // null turns server VAD off for push-to-talk
+                config.turn_detection = value === null ? null : validateTurnDetection(value, errors);
+                break;
+            default:
+                errors.push(`${key} is not a configurable setting`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new SessionConfigError('Invalid session configuration', errors);
+    }
+
+    return config;
+}
+
+function mergeTurnDetection(base, update) {
+    if (update === undefined) return base;
+    if (update === null) return null;
+    // Leaving push-to-talk starts again from the VAD defaults
+    return { ...(base || DEFAULT_SESSION_CONFIG.turn_detection), ...update };
+}
+
+function mergeSessionConfig(base, update = {}) {
+    return {
+        ...base,
+        ...update,
+        turn_detection: mergeTurnDetection(base.turn_detection, update.turn_detection)
+    };
+}
+
+// Push-to-talk sessions have server VAD off; the client marks each turn
+function isPushToTalk(config) {
+    return config.turn_detection === null;
+}
+
+function buildInstructions(persona) {
+    const instructions = persona.instructions.trim();
+    return persona.language
+        ? `${instructions}\n\nSpeak ${persona.language} by default unless the user switches language.`
+        : instructions;
+}
+
+// The API can't produce audio without text, so audio-only sessions still
+// ask for both and the transcript is simply not shown to the user
+function upstreamModalities(config) {
+    return config.modalities.includes('audio') ? ['text', 'audio'] : ['text'];
+}
+
+// Build the `session` object sent with session.update
+function buildSessionPayload(config, persona, tools = []) {
+    return {
+        modalities: upstreamModalities(config),
+        instructions: buildInstructions(persona),
+        voice: config.voice,
+        input_audio_format: 'pcm16',
+        output_audio_format: 'pcm16',
+        input_audio_transcription: {
+            model: 'whisper-1'
+        },
+        turn_detection: config.turn_detection,
+        tools,
+        tool_choice: 'auto',
+        temperature: config.temperature,
+        max_response_output_tokens: config.max_response_output_tokens
+    };
+}
+
+module.exports = {
+    VOICES,
+    MODALITIES,
+    DEFAULT_SESSION_CONFIG,
+    SessionConfigError,
+    SessionStateError,
+    validateSessionConfig,
+    mergeSessionConfig,
+    isPushToTalk,
+    upstreamModalities,
+    buildSessionPayload
+};
@@ -0,0 +1,128 @@
+const { logger } = require('./logger');
+
+class ToolRegistry {
+    constructor(options = {}) {
+        this.tools = new Map();
+        this.logger = options.logger || logger;
+    }
+
+    register(name, { description, parameters, handler }) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Tool ${name} requires a handler function`);
+        }
+
+        this.tools.set(name, {
+            name,
+            description,
+            parameters: parameters || { type: 'object', properties: {} },
+            handler
+        });
+        return this;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    // Tool definitions in the shape expected by session.update
+    getDefinitions(names) {
+        return Array.from(this.tools.values())
+            .filter(tool => !names || names.includes(tool.name))
+            .map(({ name, description, parameters }) => ({
+                type: 'function',
+                name,
+                description,
+                parameters
+            }));
+    }
+
+    async execute(name, args, context = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return { success: false, error: `Unknown tool: ${name}` };
+        }
+
+        let parsedArgs = args;
+        if (typeof args === 'string') {
+            try {
+                parsedArgs = args ? JSON.parse(args) : {};
+            } catch (error) {
+                return { success: false, error: `Invalid arguments for ${name}: ${error.message}` };
+            }
+        }
+
+        try {
+            return await tool.handler(parsedArgs || {}, context);
+        } catch (error) {
+            this.logger.error('Tool failed', { tool: name, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Tools backed by the N8NIntegration workflow triggers
+function createDefaultToolRegistry(n8nService, options = {}) {
+    const registry = new ToolRegistry(options);
+
+    registry.register('create_ticket', {
+        description: 'Create a customer support ticket when the user reports a problem that needs follow-up by a human agent.',
+        parameters: {
+            type: 'object',
+            properties: {
+                subject: { type: 'string', description: 'Short summary of the issue' },
+                description: { type: 'string', description: 'Detailed description of the issue in the user\'s words' },
+                priority: { type: 'string', enum: ['low', 'normal', 'high', 'urgent'] },
+                customer_email: { type: 'string', description: 'Email address to contact the customer' }
+            },
+            required: ['subject', 'description']
+        },
+        handler: (args) => n8nService.triggerTicketCreation(args)
+    });
+
+    registry.register('authenticate_user', {
+        description: 'Verify the caller\'s identity before discussing account details or making changes.',
+        parameters: {
+            type: 'object',
+            properties: {
+                phone_number: { type: 'string', description: 'Phone number registered on the account' },
+                account_id: { type: 'string', description: 'Account or customer identifier' },
+                verification_code: { type: 'string', description: 'One-time code or PIN provided by the user' }
+            },
+            required: ['phone_number']
+        },
+        handler: (args) => n8nService.triggerUserAuthentication(args)
+    });
+
+    registry.register('process_payment', {
+        description: 'Initiate a payment on behalf of an authenticated user after they have explicitly confirmed the amount and recipient.',
+        parameters: {
+            type: 'object',
+            properties: {
+                amount: { type: 'number', description: 'Amount to pay' },
+                currency: { type: 'string', description: 'ISO 4217 currency code, e.g. BDT' },
+                recipient: { type: 'string', description: 'Recipient account, phone number or merchant id' },
+                description: { type: 'string', description: 'Purpose of the payment' }
+            },
+            required: ['amount', 'currency', 'recipient']
+        },
+        handler: (args) => n8nService.triggerPaymentProcessing(args)
+    });
+
+    registry.register('send_notification', {
+        description: 'Send the user a follow-up message such as a summary, link or confirmation.',
+        parameters: {
+            type: 'object',
+            properties: {
+                channel: { type: 'string', enum: ['sms', 'email', 'push'] },
+                recipient: { type: 'string', description: 'Phone number, email address or user id' },
+                message: { type: 'string', description: 'Message body to send' }
+            },
+            required: ['channel', 'recipient', 'message']
+        },
+        handler: (args) => n8nService.triggerNotification(args)
+    });
+
+    return registry;
+}
+
+module.exports = { ToolRegistry, createDefaultToolRegistry };
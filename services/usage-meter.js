@@ -0,0 +1,164 @@
+const fs = require('fs');
+
+/**
+ * Token usage and estimated cost, from the `usage` block of each response.done.
+ *
+ * Prices are USD per million tokens, per model, with a `default` entry for
+ * models not listed. Override the table with USAGE_PRICES_FILE (same JSON shape).
+ * Totals live in memory and start from zero when the server restarts; the
+ * per-conversation totals are also saved on the conversation record.
+ */
+const DEFAULT_PRICES = {
+    'gpt-4o-realtime-preview-2024-10-01': {
+        text_input: 5,
+        text_cached_input: 2.5,
+        text_output: 20,
+        audio_input: 100,
+        audio_cached_input: 20,
+        audio_output: 200
+    },
+    default: {
+        text_input: 5,
+        text_cached_input: 2.5,
+        text_output: 20,
+        audio_input: 40,
+        audio_cached_input: 2.5,
+        audio_output: 80
+    }
+};
+
+const PRICE_FIELDS = ['text_input', 'text_cached_input', 'text_output', 'audio_input', 'audio_cached_input', 'audio_output'];
+// Finished conversations whose totals stay queryable, oldest dropped first
+const MAX_TRACKED_SESSIONS = 1000;
+
+function loadPriceTable(file = process.env.USAGE_PRICES_FILE) {
+    if (!file) {
+        return DEFAULT_PRICES;
+    }
+
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(table).forEach(([model, prices]) => {
+        PRICE_FIELDS.forEach((field) => {
+            if (typeof prices[field] !== 'number' || prices[field] < 0) {
+                throw new Error(`${file}: ${model}.${field} must be a non-negative number`);
+            }
+        });
+    });
+    if (!table.default) {
+        throw new Error(`${file}: a "default" price entry is required`);
+    }
+    return table;
+}
+
+function emptyTokens() {
+    return Object.fromEntries(PRICE_FIELDS.map(field => [field, 0]));
+}
+
+// Split a Realtime `usage` block into the billable buckets of the price table
+function normalizeUsage(usage = {}) {
+    const input = usage.input_token_details || {};
+    const output = usage.output_token_details || {};
+    const inputText = input.text_tokens || 0;
+    const inputAudio = input.audio_tokens || 0;
+
+    // Cached tokens are a subset of input; older payloads only give the total, counted as text first
+    const cachedTotal = input.cached_tokens || 0;
+    const cachedText = input.cached_tokens_details?.text_tokens ?? Math.min(cachedTotal, inputText);
+    const cachedAudio = input.cached_tokens_details?.audio_tokens ?? Math.min(cachedTotal - cachedText, inputAudio);
+
+    return {
+        text_input: inputText - cachedText,
+        text_cached_input: cachedText,
+        text_output: output.text_tokens || 0,
+        audio_input: inputAudio - cachedAudio,
+        audio_cached_input: cachedAudio,
+        audio_output: output.audio_tokens || 0
+    };
+}
+
+function estimateCost(tokens, prices) {
+    const cost = PRICE_FIELDS.reduce((total, field) => total + tokens[field] * prices[field] / 1e6, 0);
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+function addTotals(totals, tokens, cost, responses = 1) {
+    totals.responses += responses;
+    PRICE_FIELDS.forEach((field) => {
+        totals.tokens[field] += tokens[field];
+    });
+    totals.cost_usd = Math.round((totals.cost_usd + cost) * 1e6) / 1e6;
+}
+
+class UsageMeter {
+    constructor(options = {}) {
+        this.prices = options.prices || loadPriceTable();
+        this.sessions = new Map(); // conversation id -> totals
+        this.users = new Map(); // user id -> totals
+    }
+
+    static emptyTotals() {
+        return { responses: 0, tokens: emptyTokens(), cost_usd: 0 };
+    }
+
+    pricesFor(model) {
+        return this.prices[model] || this.prices.default;
+    }
+
+    // Meter one response.done; returns the response's own figures and the updated totals
+    record({ sessionId, userId, model, usage }) {
+        const tokens = normalizeUsage(usage);
+        const cost = estimateCost(tokens, this.pricesFor(model));
+
+        if (!this.sessions.has(sessionId)) {
+            if (this.sessions.size >= MAX_TRACKED_SESSIONS) {
+                this.sessions.delete(this.sessions.keys().next().value);
+            }
+            this.sessions.set(sessionId, { ...UsageMeter.emptyTotals(), user_id: userId });
+        }
+        if (!this.users.has(userId)) {
+            this.users.set(userId, UsageMeter.emptyTotals());
+        }
+
+        const session = this.sessions.get(sessionId);
+        const user = this.users.get(userId);
+        addTotals(session, tokens, cost);
+        addTotals(user, tokens, cost);
+
+        return { response: { tokens, cost_usd: cost }, session, user };
+    }
+
+    // Totals of one conversation, or null before its first metered response
+    getSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+        const { user_id, ...totals } = session;
+        return totals;
+    }
+
+    getUser(userId) {
+        return this.users.get(userId) || UsageMeter.emptyTotals();
+    }
+
+    sessionsForUser(userId) {
+        return Array.from(this.sessions.entries())
+            .filter(([, totals]) => totals.user_id === userId)
+            .map(([id, totals]) => ({ conversation_id: id, ...totals }));
+    }
+
+    summary() {
+        const totals = UsageMeter.emptyTotals();
+        const users = Array.from(this.users.entries()).map(([id, userTotals]) => {
+            addTotals(totals, userTotals.tokens, userTotals.cost_usd, userTotals.responses);
+            return { user_id: id, ...userTotals };
+        });
+        return { totals, users };
+    }
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    loadPriceTable,
+    normalizeUsage,
+    estimateCost,
+    UsageMeter
+};
@@ -1,6 +1,9 @@
+const { logger } = require('./logger');
+
 class WebRTCSignaling {
-    constructor(websocket) {
+    constructor(websocket, options = {}) {
         this.ws = websocket;
+        this.logger = options.logger || logger;
         this.peerConnection = null;
         this.iceCandidates = [];
         this.isInitialized = false;
@@ -8,7 +11,7 @@ class WebRTCSignaling {
 
     async handleOffer(offer) {
         try {
-            console.log('📡 Handling WebRTC offer');
+            this.logger.debug('Handling WebRTC offer');
             
             // Create peer connection if not exists
             if (!this.peerConnection) {
@@ -27,32 +30,32 @@ class WebRTCSignaling {
                 payload: answer
             });
 
-            console.log('✅ WebRTC answer sent');
+            this.logger.debug('WebRTC answer sent');
         } catch (error) {
-            console.error('❌ Error handling WebRTC offer:', error);
+            this.logger.error('Error handling WebRTC offer', { error });
             this.sendError('Failed to handle WebRTC offer');
         }
     }
 
     async handleAnswer(answer) {
         try {
-            console.log('📡 Handling WebRTC answer');
+            this.logger.debug('Handling WebRTC answer');
             
             if (!this.peerConnection) {
                 throw new Error('Peer connection not initialized');
             }
 
             await this.peerConnection.setRemoteDescription(answer);
-            console.log('✅ WebRTC answer processed');
+            this.logger.debug('WebRTC answer processed');
         } catch (error) {
-            console.error('❌ Error handling WebRTC answer:', error);
+            this.logger.error('Error handling WebRTC answer', { error });
             this.sendError('Failed to handle WebRTC answer');
         }
     }
 
     async handleIceCandidate(candidate) {
         try {
-            console.log('🧊 Handling ICE candidate');
+            this.logger.debug('Handling ICE candidate');
             
             if (!this.peerConnection) {
                 // Store candidates for later if peer connection not ready
@@ -62,18 +65,18 @@ class WebRTCSignaling {
 
             if (this.peerConnection.remoteDescription) {
                 await this.peerConnection.addIceCandidate(candidate);
-                console.log('✅ ICE candidate added');
+                this.logger.debug('ICE candidate added');
             } else {
                 // Store for later
                 this.iceCandidates.push(candidate);
             }
         } catch (error) {
-            console.error('❌ Error handling ICE candidate:', error);
+            this.logger.error('Error handling ICE candidate', { error });
         }
     }
 
     createPeerConnection() {
-        console.log('🔗 Creating WebRTC peer connection');
+        this.logger.debug('Creating WebRTC peer connection');
         
         const config = {
             iceServers: [
@@ -97,7 +100,7 @@ class WebRTCSignaling {
         // Handle ICE candidates
         this.peerConnection.onicecandidate = (event) => {
             if (event.candidate) {
-                console.log('🧊 Sending ICE candidate to client');
+                this.logger.debug('Sending ICE candidate to client');
                 this.sendToClient({
                     type: 'webrtc_ice_candidate',
                     payload: event.candidate
@@ -107,7 +110,7 @@ class WebRTCSignaling {
 
         // Handle connection state changes
         this.peerConnection.onconnectionstatechange = () => {
-            console.log('🔗 Connection state:', this.peerConnection.connectionState);
+            this.logger.info('WebRTC connection state changed', { state: this.peerConnection.connectionState });
             this.sendToClient({
                 type: 'connection_state',
                 payload: {
@@ -118,7 +121,7 @@ class WebRTCSignaling {
 
         // Handle incoming audio streams
         this.peerConnection.ontrack = (event) => {
-            console.log('🎵 Received audio track');
+            this.logger.debug('Received audio track');
             const [stream] = event.streams;
             
             // Here you would typically forward the audio to OpenAI
@@ -134,10 +137,10 @@ class WebRTCSignaling {
         // Handle data channels (for future use)
         this.peerConnection.ondatachannel = (event) => {
             const channel = event.channel;
-            console.log('📡 Data channel received:', channel.label);
+            this.logger.debug('Data channel received', { label: channel.label });
             
             channel.onmessage = (event) => {
-                console.log('📨 Data channel message:', event.data);
+                this.logger.debug('Data channel message', { label: channel.label, bytes: event.data?.length });
             };
         };
 
@@ -146,13 +149,13 @@ class WebRTCSignaling {
             try {
                 await this.peerConnection.addIceCandidate(candidate);
             } catch (error) {
-                console.error('Error adding stored ICE candidate:', error);
+                this.logger.error('Error adding stored ICE candidate', { error });
             }
         });
         this.iceCandidates = [];
 
         this.isInitialized = true;
-        console.log('✅ WebRTC peer connection created');
+        this.logger.info('WebRTC peer connection created');
     }
 
     async createOffer() {
@@ -173,9 +176,9 @@ class WebRTCSignaling {
                 payload: offer
             });
 
-            console.log('✅ WebRTC offer created and sent');
+            this.logger.debug('WebRTC offer created and sent');
         } catch (error) {
-            console.error('❌ Error creating WebRTC offer:', error);
+            this.logger.error('Error creating WebRTC offer', { error });
             this.sendError('Failed to create WebRTC offer');
         }
     }
@@ -184,19 +187,19 @@ class WebRTCSignaling {
         if (this.ws && this.ws.readyState === 1) { // WebSocket.OPEN
             this.ws.send(JSON.stringify(message));
         } else {
-            console.warn('Cannot send to client: WebSocket not ready');
+            this.logger.warn('Cannot send to client: WebSocket not ready', { type: message.type });
         }
     }
 
     sendError(message) {
         this.sendToClient({
             type: 'error',
-            payload: { message }
+            payload: { message, code: 'webrtc_error' }
         });
     }
 
     cleanup() {
-        console.log('🧹 Cleaning up WebRTC signaling');
+        this.logger.debug('Cleaning up WebRTC signaling');
         
         if (this.peerConnection) {
             this.peerConnection.close();
@@ -231,7 +234,7 @@ class WebRTCSignaling {
 
             return statsReport;
         } catch (error) {
-            console.error('Error getting WebRTC stats:', error);
+            this.logger.error('Error getting WebRTC stats', { error });
             return null;
         }
     }
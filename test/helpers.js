@@ -0,0 +1,174 @@
+// Shared helpers for the offline unit tests
+const WebSocket = require('ws');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const RealtimeEventBridge = require('../services/realtime-event-bridge');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const MockRealtimeServer = require('./mock-realtime-server');
+
+// Minimal stand-in for a browser-facing ws connection
+class FakeClientSocket {
+    constructor() {
+        this.readyState = 1; // WebSocket.OPEN
+        this.sent = [];
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    messagesOfType(type) {
+        return this.sent.filter(message => message.type === type);
+    }
+}
+
+// Runs fn with console output suppressed; returns a promise only if fn does
+function silenceConsole(fn) {
+    const { log, warn, error } = console;
+    const restore = () => {
+        console.log = log;
+        console.warn = warn;
+        console.error = error;
+    };
+
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+
+    let result;
+    try {
+        result = fn();
+    } catch (err) {
+        restore();
+        throw err;
+    }
+
+    if (result && typeof result.then === 'function') {
+        return result.finally(restore);
+    }
+    restore();
+    return result;
+}
+
+// Polls until predicate() is truthy
+function waitFor(predicate, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (predicate()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Timed out waiting for condition'));
+            setTimeout(check, 5);
+        };
+        check();
+    });
+}
+
+// Service + bridge + fake browser, wired to a fresh mock upstream and started with `session` config.
+// `mock` and `service` are MockRealtimeServer and OpenAIRealtimeService options
+async function createStack({ session, mock: mockOptions, service: serviceOptions } = {}) {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, vadSilenceMs: 30, ...mockOptions });
+    await mock.start();
+
+    const service = silenceConsole(() => new OpenAIRealtimeService({ baseUrl: mock.url, ...serviceOptions }));
+    const client = new FakeClientSocket();
+    new RealtimeEventBridge(service, client).attach();
+
+    await silenceConsole(() => service.startSession(session));
+
+    const teardown = () => silenceConsole(async () => {
+        await service.endSession();
+        await mock.stop();
+    });
+
+    return { mock, service, client, teardown };
+}
+
+// Boots a VoiceAgentServer on a random port; requires OPENAI_API_KEY to be set
+async function startTestServer(options = {}) {
+    const VoiceAgentServer = require('../server');
+    const agent = silenceConsole(() => new VoiceAgentServer({ port: 0, ...options }));
+    await new Promise(resolve => agent.server.listen(0, resolve));
+    const { port } = agent.server.address();
+
+    return {
+        agent,
+        baseUrl: `http://localhost:${port}`,
+        wsUrl: `ws://localhost:${port}`,
+        close: () => new Promise((resolve) => {
+            agent.wss.clients.forEach(client => client.terminate());
+            agent.wss.close();
+            agent.server.close(() => resolve());
+        })
+    };
+}
+
+// Opens a ws client that collects the server's JSON messages; a refused upgrade rejects with its `status`
+function openSocket(url) {
+    const socket = new WebSocket(url);
+    socket.received = [];
+    socket.on('message', data => socket.received.push(JSON.parse(data.toString())));
+    socket.ofType = type => socket.received.filter(message => message.type === type);
+    socket.sendJSON = message => socket.send(JSON.stringify(message));
+    return new Promise((resolve, reject) => {
+        socket.once('open', () => resolve(socket));
+        socket.once('error', reject);
+        socket.once('unexpected-response', (req, res) => {
+            req.destroy();
+            reject(Object.assign(new Error('Upgrade refused'), { status: res.statusCode }));
+        });
+    });
+}
+
+// A caller socket past the server's `connected` greeting; `send` takes a message object or raw text
+async function connect(wsUrl) {
+    const socket = await openSocket(wsUrl);
+    const client = {
+        socket,
+        received: socket.received,
+        closeCode: null,
+        send: message => socket.send(typeof message === 'string' ? message : JSON.stringify(message)),
+        ofType: socket.ofType
+    };
+    socket.on('close', (code) => { client.closeCode = code; });
+    await waitFor(() => client.ofType('connected').length === 1);
+    return client;
+}
+
+// Runs run({ agent, baseUrl, wsUrl, mock }) against a test server and a fresh mock upstream, then shuts both
+// down. `options.mock` goes to MockRealtimeServer, the rest to startTestServer
+async function withServer(options, run) {
+    const { mock: mockOptions, ...serverOptions } = options;
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, vadSilenceMs: 60000, ...mockOptions });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const server = await startTestServer({ conversationStore: new MemoryConversationStore(), ...serverOptions });
+
+    try {
+        await silenceConsole(() => run({ ...server, mock }));
+    } finally {
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await server.close();
+            await mock.stop();
+        });
+    }
+}
+
+async function runSuite(name, tests) {
+    console.log(`🚀 Running ${name} Tests...\n`);
+
+    let allPassed = true;
+    for (const [testName, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`${testName}: ✅ PASS`);
+        } catch (error) {
+            allPassed = false;
+            console.error(`${testName}: ❌ FAIL\n`, error);
+        }
+    }
+
+    console.log('\nOverall:', allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED');
+    process.exit(allPassed ? 0 : 1);
+}
+
+module.exports = { FakeClientSocket, silenceConsole, waitFor, createStack, startTestServer, openSocket, connect, withServer, runSuite };
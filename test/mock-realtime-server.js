@@ -0,0 +1,412 @@
+const WebSocket = require('ws');
+const fs = require('fs');
+
+/**
+ * Local stand-in for the OpenAI Realtime API, speaking the same event protocol.
+ *
+ * Responses are scripted: each `response.create` takes the next entry from the
+ * queue (or the default reply when the queue is empty). A script entry may be:
+ *   { text: 'Hello' }                                  text (+ audio if the session has audio)
+ *   { text: 'Hello', audioMs: 800 }                    explicit audio duration
+ *   { functionCall: { name: 'create_ticket', arguments: { ... } } }
+ *   { error: { code: 'rate_limit_exceeded', message: 'Slow down' } }
+ * Transcripts returned for committed user audio come from `transcripts`.
+ */
+const SAMPLE_RATE = 24000;
+const CHUNK_MS = 100;
+
+let idCounter = 0;
+function generateId(prefix) {
+    idCounter++;
+    return `${prefix}_mock${Date.now().toString(36)}${idCounter}`;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Quiet 440 Hz tone as little-endian PCM16, so playback is audible in development
+function generateTone(durationMs, offsetSamples = 0) {
+    const samples = Math.round(SAMPLE_RATE * durationMs / 1000);
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        const value = Math.sin(2 * Math.PI * 440 * (offsetSamples + i) / SAMPLE_RATE) * 3000;
+        buffer.writeInt16LE(Math.round(value), i * 2);
+    }
+    return buffer;
+}
+
+class MockRealtimeServer {
+    constructor(options = {}) {
+        this.port = options.port ?? 0;
+        this.responses = [...(options.responses || [])];
+        this.transcripts = [...(options.transcripts || [])];
+        this.defaultResponse = options.defaultResponse || { text: 'This is a mock response from the local Realtime server.' };
+        this.chunkIntervalMs = options.chunkIntervalMs ?? 20;
+        this.vadSilenceMs = options.vadSilenceMs ?? 500;
+        this.server = null;
+        this.sessions = new Set();
+
+        // Every client event received, in order, for assertions
+        this.received = [];
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocket.Server({ port: this.port }, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+            this.server.on('error', reject);
+            this.server.on('connection', (socket, req) => this.handleConnection(socket, req));
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            this.sessions.forEach(session => session.socket.terminate());
+            this.sessions.clear();
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    get url() {
+        return `ws://localhost:${this.port}/v1/realtime`;
+    }
+
+    enqueueResponse(script) {
+        this.responses.push(script);
+        return this;
+    }
+
+    enqueueTranscript(transcript) {
+        this.transcripts.push(transcript);
+        return this;
+    }
+
+    // Drop every open client socket without a close handshake
+    dropConnections() {
+        this.sessions.forEach(session => session.socket.terminate());
+    }
+
+    receivedOfType(type) {
+        return this.received.filter(event => event.type === type);
+    }
+
+    handleConnection(socket, req) {
+        const model = new URL(req.url, 'ws://localhost').searchParams.get('model');
+        const session = {
+            socket,
+            id: generateId('sess'),
+            config: {
+                model,
+                modalities: ['text', 'audio'],
+                voice: 'alloy',
+                input_audio_format: 'pcm16',
+                output_audio_format: 'pcm16',
+                turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500 },
+                tools: []
+            },
+            items: [],
+            audioBytes: 0,
+            speaking: false,
+            vadTimer: null,
+            activeResponse: null
+        };
+        this.sessions.add(session);
+
+        socket.on('message', (data) => {
+            let event;
+            try {
+                event = JSON.parse(data.toString());
+            } catch (error) {
+                this.sendError(session, 'invalid_json', 'Could not parse event as JSON');
+                return;
+            }
+            this.received.push(event);
+            this.handleClientEvent(session, event);
+        });
+
+        socket.on('close', () => {
+            clearTimeout(session.vadTimer);
+            if (session.activeResponse) session.activeResponse.cancelled = true;
+            this.sessions.delete(session);
+        });
+
+        this.send(session, {
+            type: 'session.created',
+            session: { id: session.id, object: 'realtime.session', ...session.config }
+        });
+    }
+
+    handleClientEvent(session, event) {
+        switch (event.type) {
+            case 'session.update':
+                session.config = { ...session.config, ...event.session };
+                this.send(session, {
+                    type: 'session.updated',
+                    session: { id: session.id, object: 'realtime.session', ...session.config }
+                });
+                break;
+
+            case 'input_audio_buffer.append':
+                this.handleAudioAppend(session, event.audio);
+                break;
+
+            case 'input_audio_buffer.commit':
+                this.commitAudio(session);
+                break;
+
+            case 'input_audio_buffer.clear':
+                session.audioBytes = 0;
+                session.speaking = false;
+                clearTimeout(session.vadTimer);
+                this.send(session, { type: 'input_audio_buffer.cleared' });
+                break;
+
+            case 'conversation.item.create': {
+                const item = { id: generateId('item'), object: 'realtime.item', status: 'completed', ...event.item };
+                session.items.push(item);
+                this.send(session, { type: 'conversation.item.created', previous_item_id: null, item });
+                break;
+            }
+
+            case 'conversation.item.truncate':
+                this.send(session, {
+                    type: 'conversation.item.truncated',
+                    item_id: event.item_id,
+                    content_index: event.content_index,
+                    audio_end_ms: event.audio_end_ms
+                });
+                break;
+
+            case 'conversation.item.delete':
+                session.items = session.items.filter(item => item.id !== event.item_id);
+                this.send(session, { type: 'conversation.item.deleted', item_id: event.item_id });
+                break;
+
+            case 'response.create':
+                this.runResponse(session, event.response || {});
+                break;
+
+            case 'response.cancel':
+                if (session.activeResponse) {
+                    session.activeResponse.cancelled = true;
+                }
+                break;
+
+            default:
+                this.sendError(session, 'unknown_event', `Unknown client event type: ${event.type}`, event.event_id);
+        }
+    }
+
+    handleAudioAppend(session, audio) {
+        session.audioBytes += Buffer.from(audio || '', 'base64').length;
+
+        if (!session.config.turn_detection) return;
+
+        // Minimal server VAD: speech starts with the first chunk and stops after a quiet gap
+        if (!session.speaking) {
+            session.speaking = true;
+            this.send(session, { type: 'input_audio_buffer.speech_started', audio_start_ms: 0, item_id: generateId('item') });
+        }
+
+        clearTimeout(session.vadTimer);
+        session.vadTimer = setTimeout(() => {
+            session.speaking = false;
+            this.send(session, { type: 'input_audio_buffer.speech_stopped', audio_end_ms: this.bufferedMs(session) });
+            this.commitAudio(session);
+            this.runResponse(session, {});
+        }, this.vadSilenceMs);
+    }
+
+    bufferedMs(session) {
+        return Math.round(session.audioBytes / 2 / SAMPLE_RATE * 1000);
+    }
+
+    commitAudio(session) {
+        if (session.audioBytes === 0) {
+            this.sendError(session, 'input_audio_buffer_commit_empty', 'Error committing input audio buffer: buffer is empty');
+            return;
+        }
+
+        const item = {
+            id: generateId('item'),
+            object: 'realtime.item',
+            type: 'message',
+            role: 'user',
+            status: 'completed',
+            content: [{ type: 'input_audio', transcript: null }]
+        };
+        session.items.push(item);
+        session.audioBytes = 0;
+
+        this.send(session, { type: 'input_audio_buffer.committed', previous_item_id: null, item_id: item.id });
+        this.send(session, { type: 'conversation.item.created', previous_item_id: null, item });
+
+        if (session.config.input_audio_transcription) {
+            const transcript = this.transcripts.shift();
+            if (transcript === undefined) return;
+            this.send(session, {
+                type: 'conversation.item.input_audio_transcription.completed',
+                item_id: item.id,
+                content_index: 0,
+                transcript
+            });
+        }
+    }
+
+    async runResponse(session, options) {
+        const script = this.responses.length > 0 ? this.responses.shift() : this.defaultResponse;
+        const response = { id: generateId('resp'), object: 'realtime.response', status: 'in_progress', output: [] };
+        const state = { cancelled: false };
+        session.activeResponse = state;
+
+        if (script.error) {
+            this.sendError(session, script.error.code, script.error.message);
+            session.activeResponse = null;
+            return;
+        }
+
+        this.send(session, { type: 'response.created', response });
+
+        if (script.functionCall) {
+            await this.streamFunctionCall(session, response, script.functionCall);
+        } else {
+            const modalities = options.modalities || session.config.modalities || ['text'];
+            await this.streamMessage(session, response, script, modalities.includes('audio'), state);
+        }
+
+        response.status = state.cancelled ? 'cancelled' : 'completed';
+        if (state.cancelled) {
+            response.status_details = { type: 'cancelled', reason: 'client_cancelled' };
+        }
+        response.usage = this.buildUsage(script);
+        session.activeResponse = null;
+
+        this.send(session, { type: 'response.done', response });
+    }
+
+    async streamMessage(session, response, script, withAudio, state) {
+        const text = script.text || '';
+        const item = {
+            id: generateId('item'),
+            object: 'realtime.item',
+            type: 'message',
+            role: 'assistant',
+            status: 'in_progress',
+            content: []
+        };
+        const base = { response_id: response.id, item_id: item.id, output_index: 0, content_index: 0 };
+
+        this.send(session, { type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+
+        if (withAudio) {
+            this.send(session, { type: 'response.content_part.added', ...base, part: { type: 'audio', transcript: '' } });
+
+            const durationMs = script.audioMs ?? Math.max(300, text.length * 60);
+            for (let offset = 0; offset < durationMs && !state.cancelled; offset += CHUNK_MS) {
+                const chunk = generateTone(Math.min(CHUNK_MS, durationMs - offset), offset * SAMPLE_RATE / 1000);
+                this.send(session, { type: 'response.audio.delta', ...base, delta: chunk.toString('base64') });
+                await delay(this.chunkIntervalMs);
+            }
+            this.send(session, { type: 'response.audio.done', ...base });
+
+            if (text && !state.cancelled) {
+                this.send(session, { type: 'response.audio_transcript.delta', ...base, delta: text });
+            }
+            this.send(session, { type: 'response.audio_transcript.done', ...base, transcript: text });
+            item.content.push({ type: 'audio', transcript: text });
+        } else {
+            this.send(session, { type: 'response.content_part.added', ...base, part: { type: 'text', text: '' } });
+
+            const words = text.split(/(?<= )/);
+            for (const word of words) {
+                if (state.cancelled) break;
+                this.send(session, { type: 'response.text.delta', ...base, delta: word });
+                await delay(this.chunkIntervalMs);
+            }
+            this.send(session, { type: 'response.text.done', ...base, text });
+            item.content.push({ type: 'text', text });
+        }
+
+        item.status = state.cancelled ? 'incomplete' : 'completed';
+        session.items.push(item);
+        response.output.push(item);
+
+        this.send(session, { type: 'response.content_part.done', ...base, part: item.content[0] });
+        this.send(session, { type: 'response.output_item.done', response_id: response.id, output_index: 0, item });
+    }
+
+    async streamFunctionCall(session, response, functionCall) {
+        const args = typeof functionCall.arguments === 'string'
+            ? functionCall.arguments
+            : JSON.stringify(functionCall.arguments || {});
+        const item = {
+            id: generateId('item'),
+            object: 'realtime.item',
+            type: 'function_call',
+            status: 'in_progress',
+            name: functionCall.name,
+            call_id: functionCall.call_id || generateId('call'),
+            arguments: ''
+        };
+        const base = { response_id: response.id, item_id: item.id, output_index: 0, call_id: item.call_id };
+
+        this.send(session, { type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+        this.send(session, { type: 'response.function_call_arguments.delta', ...base, delta: args });
+        await delay(this.chunkIntervalMs);
+        this.send(session, { type: 'response.function_call_arguments.done', ...base, name: item.name, arguments: args });
+
+        item.arguments = args;
+        item.status = 'completed';
+        session.items.push(item);
+        response.output.push(item);
+
+        this.send(session, { type: 'response.output_item.done', response_id: response.id, output_index: 0, item });
+    }
+
+    buildUsage(script) {
+        const textTokens = Math.ceil((script.text || '').length / 4);
+        const audioTokens = script.functionCall ? 0 : Math.ceil((script.audioMs ?? 0) / 50);
+        return {
+            total_tokens: 100 + textTokens + audioTokens,
+            input_tokens: 100,
+            output_tokens: textTokens + audioTokens,
+            input_token_details: { cached_tokens: 0, text_tokens: 80, audio_tokens: 20 },
+            output_token_details: { text_tokens: textTokens, audio_tokens: audioTokens }
+        };
+    }
+
+    send(session, event) {
+        if (session.socket.readyState === WebSocket.OPEN) {
+            session.socket.send(JSON.stringify({ event_id: generateId('event'), ...event }));
+        }
+    }
+
+    sendError(session, code, message, eventId = null) {
+        this.send(session, {
+            type: 'error',
+            error: { type: 'invalid_request_error', code, message, param: null, event_id: eventId }
+        });
+    }
+}
+
+// Run standalone for local development: npm run mock:realtime
+if (require.main === module) {
+    const scriptFile = process.env.MOCK_REALTIME_SCRIPT;
+    const script = scriptFile ? JSON.parse(fs.readFileSync(scriptFile, 'utf8')) : {};
+    const mock = new MockRealtimeServer({
+        port: parseInt(process.env.MOCK_REALTIME_PORT || '8081', 10),
+        responses: script.responses,
+        transcripts: script.transcripts,
+        defaultResponse: script.defaultResponse
+    });
+
+    mock.start().then(() => {
+        console.log(`🧪 Mock Realtime API listening on ${mock.url}`);
+        console.log(`   Start the app with OPENAI_REALTIME_URL=${mock.url}`);
+    });
+}
+
+module.exports = MockRealtimeServer;
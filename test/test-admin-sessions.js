@@ -0,0 +1,240 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const SessionActivity = require('../services/session-activity');
+const { AuthService, ApiKeyVerifier } = require('../services/auth');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, startTestServer, openSocket, runSuite } = require('./helpers');
+
+async function testTracksSessionActivity() {
+    let now = 1000;
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    const activity = new SessionActivity(service, { connectionId: 'c1', user: { id: 'alice' }, now: () => now });
+    activity.attach();
+
+    // Nothing is kept outside a session
+    service.emit('user_text', { text: 'Before' });
+    assert.deepStrictEqual(activity.snapshot(), {
+        connection_id: 'c1',
+        user: { id: 'alice' },
+        remote_address: null,
+        connected_at: new Date(1000).toISOString(),
+        state: 'idle',
+        conversation_id: null,
+        openai_session_id: null,
+        persona: null,
+        started_at: null,
+        duration_ms: null,
+        upstream: 'none',
+        recording: false,
+        usage: null,
+        transcript: []
+    });
+
+    activity.sessionStarted({ conversationId: 'conv-1', recording: true });
+    now = 6000;
+    for (let i = 1; i <= 7; i++) {
+        service.emit('user_text', { text: `Line ${i}` });
+    }
+    service.emit('response_complete', {
+        id: 'resp_1',
+        output: [{ id: 'item_1', type: 'message', content: [{ type: 'text', text: 'Reply' }] }]
+    });
+
+    let snapshot = activity.snapshot({ responses: 1, cost_usd: 0.01 });
+    assert.strictEqual(snapshot.state, 'active');
+    assert.strictEqual(snapshot.conversation_id, 'conv-1');
+    assert.strictEqual(snapshot.duration_ms, 5000);
+    assert.strictEqual(snapshot.persona.id, 'default');
+    assert.strictEqual(snapshot.recording, true);
+    assert.strictEqual(snapshot.upstream, 'connecting');
+    assert.deepStrictEqual(snapshot.usage, { responses: 1, cost_usd: 0.01 });
+    // Only the last six lines are kept
+    assert.deepStrictEqual(snapshot.transcript.map(line => line.text), ['Line 3', 'Line 4', 'Line 5', 'Line 6', 'Line 7', 'Reply']);
+    assert.strictEqual(snapshot.transcript[5].speaker, 'assistant');
+
+    service.reconnectAttempts = 2;
+    assert.strictEqual(activity.snapshot().upstream, 'reconnecting');
+    service.emit('upstream_failed', { attempts: 5 });
+    assert.strictEqual(activity.snapshot().upstream, 'failed');
+
+    activity.sessionEnded();
+    snapshot = activity.snapshot();
+    assert.strictEqual(snapshot.state, 'idle');
+    assert.deepStrictEqual(snapshot.transcript, []);
+}
+
+async function testAdminOnly() {
+    const auth = new AuthService({ secret: 'test-secret', verifier: new ApiKeyVerifier('') });
+    const { agent, baseUrl, wsUrl, close } = await startTestServer({ auth, conversationStore: new MemoryConversationStore() });
+    const userToken = auth.tokens.issue({ id: 'alice' }).token;
+    const adminToken = auth.tokens.issue({ id: 'root', role: 'admin' }).token;
+    const list = token => fetch(`${baseUrl}/api/admin/sessions`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+    try {
+        assert.strictEqual((await list()).status, 401);
+        assert.strictEqual((await list(userToken)).status, 403);
+        assert.strictEqual((await fetch(`${baseUrl}/api/admin/sessions/x/end`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${userToken}` }
+        })).status, 403);
+
+        await assert.rejects(openSocket(`${wsUrl}/admin/feed?access_token=${userToken}`), { status: 403 });
+        await assert.rejects(openSocket(`${wsUrl}/admin/feed`), { status: 401 });
+
+        const feed = await silenceConsole(() => openSocket(`${wsUrl}/admin/feed?access_token=${adminToken}`));
+        await waitFor(() => feed.ofType('sessions').length === 1);
+        assert.deepStrictEqual(feed.ofType('sessions')[0].payload, { sessions: [], total: 0 });
+        // The refresh timer stops with the last admin
+        await silenceConsole(async () => {
+            feed.terminate();
+            await waitFor(() => agent.adminFeeds.size === 0);
+        });
+        assert.strictEqual(agent.adminFeedTimer, null);
+
+        const response = await list(adminToken);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), { sessions: [], total: 0 });
+        assert.strictEqual((await (await fetch(`${baseUrl}/admin`)).text()).includes('Live Sessions'), true);
+    } finally {
+        await silenceConsole(close);
+    }
+}
+
+async function testFeedAndForceEnd() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, responses: [{ text: 'How can I help?', audioMs: 100 }] });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const auth = new AuthService({ secret: 'test-secret', verifier: new ApiKeyVerifier('') });
+    const { baseUrl, wsUrl, close } = await startTestServer({
+        auth,
+        conversationStore: new MemoryConversationStore(),
+        adminFeedIntervalMs: 50
+    });
+    const userToken = auth.tokens.issue({ id: 'alice', name: 'Alice' }).token;
+    const adminToken = auth.tokens.issue({ id: 'root', role: 'admin' }).token;
+    const latest = feed => feed.ofType('sessions').at(-1).payload.sessions;
+    let feed;
+    let user;
+
+    try {
+        await silenceConsole(async () => {
+            feed = await openSocket(`${wsUrl}/admin/feed?access_token=${adminToken}`);
+            user = await openSocket(`${wsUrl}/?access_token=${userToken}`);
+            await waitFor(() => feed.ofType('sessions').length > 0 && latest(feed).length === 1);
+
+            user.sendJSON({ type: 'start_session' });
+            await waitFor(() => user.ofType('session_started').length === 1);
+            user.sendJSON({ type: 'send_text', payload: { text: 'My card is blocked' } });
+            await waitFor(() => user.ofType('usage_update').length === 1);
+            // Snapshots are pushed on every interval, so the reply shows up without asking
+            await waitFor(() => latest(feed)[0]?.transcript.length === 2);
+        });
+
+        const [session] = latest(feed);
+        const { conversationId } = user.ofType('session_started')[0].payload;
+        assert.strictEqual(session.user.name, 'Alice');
+        assert.strictEqual(session.state, 'active');
+        assert.strictEqual(session.conversation_id, conversationId);
+        assert.strictEqual(session.persona.id, 'default');
+        assert.strictEqual(session.upstream, 'connected');
+        assert.ok(session.openai_session_id.startsWith('sess_'));
+        assert.ok(session.duration_ms >= 0);
+        assert.strictEqual(session.usage.responses, 1);
+        assert.deepStrictEqual(session.transcript.map(line => [line.speaker, line.text]), [
+            ['user', 'My card is blocked'],
+            ['assistant', 'How can I help?']
+        ]);
+
+        // REST and feed agree
+        const rest = await (await fetch(`${baseUrl}/api/admin/sessions`, { headers: { Authorization: `Bearer ${adminToken}` } })).json();
+        assert.strictEqual(rest.total, 1);
+        assert.strictEqual(rest.sessions[0].connection_id, session.connection_id);
+
+        await silenceConsole(async () => {
+            feed.sendJSON({ type: 'end_session', payload: { connection_id: session.connection_id } });
+            await waitFor(() => feed.ofType('session_force_ended').length === 1 && user.ofType('session_ended').length === 1);
+            await waitFor(() => latest(feed)[0].state === 'idle');
+
+            // Nothing left to end
+            feed.sendJSON({ type: 'end_session', payload: { connection_id: session.connection_id } });
+            await waitFor(() => feed.ofType('error').length === 1);
+        });
+
+        assert.deepStrictEqual(user.ofType('session_ended')[0].payload, { reason: 'ended_by_admin' });
+        assert.strictEqual(feed.ofType('error')[0].payload.code, 'session_not_active');
+        // The user stays connected and may start again
+        assert.strictEqual(user.readyState, WebSocket.OPEN);
+
+        const missing = await fetch(`${baseUrl}/api/admin/sessions/nope/end`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${adminToken}` }
+        });
+        assert.strictEqual(missing.status, 404);
+        assert.strictEqual((await missing.json()).code, 'connection_not_found');
+    } finally {
+        feed?.terminate();
+        user?.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+async function testFeedRejectsMalformedMessages() {
+    const auth = new AuthService({ secret: 'test-secret', verifier: new ApiKeyVerifier('') });
+    const { agent, wsUrl, close } = await startTestServer({ auth, conversationStore: new MemoryConversationStore() });
+    const adminToken = auth.tokens.issue({ id: 'root', role: 'admin' }).token;
+    let feed;
+
+    try {
+        await silenceConsole(async () => {
+            feed = await openSocket(`${wsUrl}/admin/feed?access_token=${adminToken}`);
+            ['null', '42', '"end_session"', '{not json'].forEach(frame => feed.send(frame));
+            feed.sendJSON({ type: 'no_such_message' });
+            feed.sendJSON({ type: 'listen' });
+            feed.sendJSON({ type: 'end_session', payload: { connection_id: 7 } });
+            feed.sendJSON({ type: 'whisper', payload: { connection_id: 'c1', text: 'Hi', extra: true } });
+            await waitFor(() => feed.ofType('error').length === 8);
+
+            // Failures inside a handler are reported rather than crashing the server
+            agent.startListening = () => { throw new Error('monitor exploded'); };
+            feed.sendJSON({ type: 'listen', payload: { connection_id: 'c1' } });
+            await waitFor(() => feed.ofType('error').length === 9);
+
+            feed.sendJSON({ type: 'unlisten' });
+            await waitFor(() => feed.ofType('error').length === 10);
+        });
+
+        assert.deepStrictEqual(feed.ofType('error').map(message => message.payload.code), [
+            'invalid_message', 'invalid_message', 'invalid_message', 'invalid_json', 'unknown_message_type',
+            'invalid_message', 'invalid_message', 'invalid_message', 'internal_error', 'not_listening'
+        ]);
+        assert.deepStrictEqual(feed.ofType('error')[6].payload.details, ['message.payload.connection_id must be string']);
+        assert.strictEqual(feed.readyState, WebSocket.OPEN);
+    } finally {
+        feed?.terminate();
+        await silenceConsole(close);
+    }
+}
+
+if (require.main === module) {
+    runSuite('Admin Sessions', {
+        'Tracks session activity': testTracksSessionActivity,
+        'Admin only': testAdminOnly,
+        'Feed and force end': testFeedAndForceEnd,
+        'Feed rejects malformed messages': testFeedRejectsMalformedMessages
+    });
+}
+
+module.exports = {
+    testTracksSessionActivity,
+    testAdminOnly,
+    testFeedAndForceEnd,
+    testFeedRejectsMalformedMessages
+};
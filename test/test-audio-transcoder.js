@@ -0,0 +1,342 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const OpusScript = require('opusscript');
+const {
+    linearToUlaw,
+    ulawToLinear,
+    linearToAlaw,
+    alawToLinear,
+    pcm16ToSamples,
+    samplesToPcm16,
+    buildWav
+} = require('../services/audio-codecs');
+const { AudioTranscoder, AudioFormatError, negotiateAudioFormats } = require('../services/audio-transcoder');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const { RateLimiter } = require('../services/rate-limiter');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, startTestServer, runSuite } = require('./helpers');
+
+function sine(sampleRate, length, amplitude = 8000, frequency = 440) {
+    return Int16Array.from({ length }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)));
+}
+
+// Feed a byte stream through in awkwardly sized pieces
+function decodeInChunks(transcoder, bytes, chunkSize = 37) {
+    const pieces = [];
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        pieces.push(transcoder.decodeInput(bytes.subarray(offset, offset + chunkSize).toString('base64')));
+    }
+    return Buffer.concat(pieces);
+}
+
+// Ogg page holding one complete packet; CRC is left zero since the demuxer does not check it
+function oggPage(packet, sequence) {
+    const lacing = [];
+    for (let remaining = packet.length; ; remaining -= 255) {
+        lacing.push(Math.min(remaining, 255));
+        if (remaining < 255) break;
+    }
+
+    const header = Buffer.alloc(27);
+    header.write('OggS', 0, 'ascii');
+    header[5] = sequence === 0 ? 0x02 : 0;
+    header.writeUInt32LE(sequence, 18);
+    header[26] = lacing.length;
+    return Buffer.concat([header, Buffer.from(lacing), packet]);
+}
+
+function ebml(id, body, unknownSize = false) {
+    const idHex = id.toString(16);
+    const idBytes = Buffer.from(idHex.length % 2 ? `0${idHex}` : idHex, 'hex');
+    // 4-byte size; all ones marks the unknown size live streams use for Segment and Cluster
+    const size = Buffer.from([0x1f, 0xff, 0xff, 0xff]);
+    if (!unknownSize) {
+        size[0] = 0x10;
+        size.writeUIntBE(body.length, 1, 3);
+    }
+    return Buffer.concat([idBytes, size, body]);
+}
+
+// 20ms Opus packets of a continuous 24 kHz sine
+function opusPackets(count) {
+    const encoder = new OpusScript(24000, 1);
+    const audio = samplesToPcm16(sine(24000, count * 480));
+    const packets = Array.from({ length: count }, (_, i) => Buffer.from(encoder.encode(audio.subarray(i * 960, (i + 1) * 960), 480)));
+    encoder.delete();
+    return packets;
+}
+
+async function testG711() {
+    assert.strictEqual(linearToUlaw(0), 0xff);
+    assert.strictEqual(ulawToLinear(0xff), 0);
+    assert.strictEqual(linearToAlaw(0), 0xd5);
+    assert.strictEqual(alawToLinear(0xd5), 8);
+
+    // Companding error stays within the step size of each segment
+    [-32000, -1000, -10, 10, 1000, 32000].forEach((sample) => {
+        assert.ok(Math.abs(ulawToLinear(linearToUlaw(sample)) - sample) <= Math.abs(sample) / 16 + 8, `μ-law ${sample}`);
+        assert.ok(Math.abs(alawToLinear(linearToAlaw(sample)) - sample) <= Math.abs(sample) / 16 + 16, `A-law ${sample}`);
+    });
+}
+
+async function testNegotiation() {
+    assert.deepStrictEqual(negotiateAudioFormats(), {
+        input: { format: 'pcm16', sample_rate: 24000, channels: 1 },
+        output: { format: 'pcm16', sample_rate: 24000, channels: 1 }
+    });
+    assert.deepStrictEqual(negotiateAudioFormats(null), negotiateAudioFormats());
+    assert.throws(() => negotiateAudioFormats('pcm16'), AudioFormatError);
+    assert.deepStrictEqual(negotiateAudioFormats({ input: 'g711_ulaw', output: { format: 'pcm16', sample_rate: 16000 } }), {
+        input: { format: 'g711_ulaw', sample_rate: 8000, channels: 1 },
+        output: { format: 'pcm16', sample_rate: 16000, channels: 1 }
+    });
+    assert.deepStrictEqual(negotiateAudioFormats({ input: 'webm_opus' }).input, { format: 'webm_opus' });
+
+    assert.throws(() => negotiateAudioFormats({ input: 'mp3', output: 'ogg_opus', codec: 'x' }), (error) => {
+        assert.ok(error instanceof AudioFormatError);
+        assert.strictEqual(error.code, 'unsupported_audio_format');
+        assert.strictEqual(error.details.length, 3);
+        assert.ok(error.details.some(detail => detail.includes('only accepted as input')));
+        return true;
+    });
+    assert.throws(() => negotiateAudioFormats({ input: { format: 'pcm16', sample_rate: 96000 } }), AudioFormatError);
+    assert.throws(() => negotiateAudioFormats({ input: { format: 'g711_alaw', sample_rate: 16000 } }), AudioFormatError);
+    assert.throws(() => negotiateAudioFormats({ input: { format: 'wav', channels: 2 } }), AudioFormatError);
+}
+
+async function testPcm16Passthrough() {
+    const transcoder = new AudioTranscoder({});
+    const base64 = samplesToPcm16(sine(24000, 240)).toString('base64');
+
+    assert.strictEqual(transcoder.decodeInput(base64), base64);
+    assert.strictEqual(transcoder.encodeOutput(base64), base64);
+}
+
+async function testPcm16Resampling() {
+    // One second of 16 kHz stereo becomes one second of 24 kHz mono, however it is chunked
+    const stereo = new Int16Array(16000 * 2);
+    sine(16000, 16000).forEach((sample, i) => {
+        stereo[i * 2] = sample;
+        stereo[i * 2 + 1] = sample;
+    });
+    const bytes = samplesToPcm16(stereo);
+
+    const whole = new AudioTranscoder({ input: { format: 'pcm16', sample_rate: 16000, channels: 2 } }).decodeInput(bytes);
+    const chunked = decodeInChunks(new AudioTranscoder({ input: { format: 'pcm16', sample_rate: 16000, channels: 2 } }), bytes);
+
+    assert.ok(Math.abs(whole.length / 2 - 24000) <= 2, `got ${whole.length / 2} samples`);
+    assert.deepStrictEqual(chunked, whole);
+}
+
+async function testG711Input() {
+    const samples = sine(8000, 800);
+    const ulaw = Buffer.from(Array.from(samples, linearToUlaw));
+
+    const decoded = pcm16ToSamples(new AudioTranscoder({ input: 'g711_ulaw' }).decodeInput(ulaw));
+    assert.ok(Math.abs(decoded.length - 2400) <= 3);
+
+    // Every third output sample lands on an input sample
+    [0, 100, 250].forEach((i) => {
+        assert.ok(Math.abs(decoded[i * 3] - samples[i]) <= 300, `sample ${i}`);
+    });
+}
+
+async function testWavInput() {
+    const samples = sine(44100, 4410);
+    const wav = buildWav(samplesToPcm16(samples), 44100);
+
+    // The 44-byte header arrives split across chunks
+    const decoded = decodeInChunks(new AudioTranscoder({ input: 'wav' }), wav, 30);
+    assert.ok(Math.abs(decoded.length / 2 - 2400) <= 2, `got ${decoded.length / 2} samples`);
+
+    const alawWav = Buffer.from(buildWav(Buffer.alloc(0), 8000));
+    alawWav.writeUInt16LE(6, 20); // format 6: A-law
+    alawWav.writeUInt16LE(8, 34);
+    const alaw = Buffer.concat([alawWav, Buffer.from(Array.from(sine(8000, 80), linearToAlaw))]);
+    assert.strictEqual(new AudioTranscoder({ input: 'wav' }).decodeInput(alaw).length, 2 * 238);
+
+    assert.throws(() => new AudioTranscoder({ input: 'wav' }).decodeInput(Buffer.from('not a wave file')), (error) => {
+        assert.strictEqual(error.code, 'invalid_audio_data');
+        return true;
+    });
+}
+
+async function testOggOpusInput() {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'ascii');
+    head[8] = 1;
+    head[9] = 1;
+    const tags = Buffer.concat([Buffer.from('OpusTags'), Buffer.alloc(8)]);
+    const packets = opusPackets(10);
+
+    const stream = Buffer.concat([head, tags, ...packets].map((packet, i) => oggPage(packet, i)));
+    const transcoder = new AudioTranscoder({ input: 'ogg_opus' });
+    const decoded = decodeInChunks(transcoder, stream, 50);
+    transcoder.close();
+
+    // Ten 20ms packets
+    assert.strictEqual(decoded.length, 10 * 480 * 2);
+    const samples = pcm16ToSamples(decoded);
+    assert.ok(samples.some(sample => Math.abs(sample) > 2000), 'decoded audio should not be silent');
+}
+
+async function testWebmOpusInput() {
+    const packets = opusPackets(5);
+    const block = packet => ebml(0xa3, Buffer.concat([Buffer.from([0x81, 0x00, 0x00, 0x80]), packet]));
+
+    const stream = Buffer.concat([
+        ebml(0x1a45dfa3, Buffer.from([0x42, 0x82, 0x84, 0x77, 0x65, 0x62, 0x6d])),
+        ebml(0x18538067, Buffer.concat([
+            ebml(0x1654ae6b, Buffer.alloc(4)), // Tracks, skipped
+            ebml(0x1f43b675, Buffer.concat([ebml(0xe7, Buffer.from([0])), ...packets.map(block)]), true)
+        ]), true)
+    ]);
+
+    const transcoder = new AudioTranscoder({ input: 'webm_opus' });
+    const decoded = decodeInChunks(transcoder, stream, 64);
+    transcoder.close();
+    assert.strictEqual(decoded.length, 5 * 480 * 2);
+}
+
+async function testOutputFormats() {
+    const delta = samplesToPcm16(sine(24000, 2400)).toString('base64');
+
+    const ulaw = Buffer.from(new AudioTranscoder({ output: 'g711_ulaw' }).encodeOutput(delta), 'base64');
+    assert.ok(Math.abs(ulaw.length - 800) <= 1);
+
+    const pcm16k = Buffer.from(new AudioTranscoder({ output: { format: 'pcm16', sample_rate: 16000 } }).encodeOutput(delta), 'base64');
+    assert.ok(Math.abs(pcm16k.length / 2 - 1600) <= 1);
+
+    const wav = Buffer.from(new AudioTranscoder({ output: 'wav' }).encodeOutput(delta), 'base64');
+    assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.strictEqual(wav.readUInt32LE(24), 24000);
+    assert.strictEqual(wav.readUInt32LE(40), 4800);
+}
+
+async function testServerNegotiatesFormats() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, responses: [{ text: 'Hi', audioMs: 300 }] });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const { wsUrl, close } = await startTestServer({ conversationStore: new MemoryConversationStore() });
+
+    const received = [];
+    const socket = new WebSocket(wsUrl);
+    socket.on('message', data => received.push(JSON.parse(data.toString())));
+    const send = message => socket.send(JSON.stringify(message));
+    const ofType = type => received.filter(message => message.type === type);
+
+    try {
+        await silenceConsole(async () => {
+            await new Promise(resolve => socket.once('open', resolve));
+
+            send({ type: 'start_session', payload: { audio: { output: 'opus' } } });
+            await waitFor(() => ofType('error').length === 1);
+
+            // The schema allows null, which means the default formats
+            send({ type: 'start_session', payload: { audio: null } });
+            await waitFor(() => ofType('session_started').length === 1);
+            send({ type: 'end_session' });
+            await waitFor(() => ofType('session_ended').length === 1);
+
+            send({ type: 'start_session', payload: { audio: { input: 'g711_ulaw', output: 'g711_ulaw' } } });
+            await waitFor(() => ofType('session_started').length === 2);
+
+            // 100ms of μ-law reaches the API as 100ms of 24 kHz PCM16
+            send({ type: 'audio_data', payload: Buffer.alloc(800, 0xff).toString('base64') });
+            await waitFor(() => mock.receivedOfType('input_audio_buffer.append').length === 1);
+            send({ type: 'send_text', payload: { text: 'Hello?' } });
+            await waitFor(() => ofType('response_complete').length === 1);
+        });
+
+        assert.strictEqual(ofType('error')[0].payload.code, 'unsupported_audio_format');
+        assert.strictEqual(ofType('error').length, 1);
+        assert.deepStrictEqual(ofType('session_started')[0].payload.audio, negotiateAudioFormats());
+        assert.deepStrictEqual(ofType('session_started')[1].payload.audio.output, { format: 'g711_ulaw', sample_rate: 8000, channels: 1 });
+
+        const appended = Buffer.from(mock.receivedOfType('input_audio_buffer.append')[0].audio, 'base64');
+        assert.ok(Math.abs(appended.length - 4800) <= 6, `appended ${appended.length} bytes`);
+
+        // 300ms of reply audio arrives as 8 kHz μ-law
+        const replyBytes = ofType('audio_response').reduce((total, message) => total + Buffer.from(message.payload.audio, 'base64').length, 0);
+        assert.ok(Math.abs(replyBytes - 2400) <= 10, `received ${replyBytes} bytes`);
+    } finally {
+        socket.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+async function testFailedStartHoldsNoDecoder() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0 });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const { agent, wsUrl, close } = await startTestServer({
+        conversationStore: new MemoryConversationStore(),
+        rateLimiter: new RateLimiter({ maxConcurrentSessions: 1 })
+    });
+
+    const received = [];
+    const first = new WebSocket(wsUrl);
+    const second = new WebSocket(wsUrl);
+    second.on('message', data => received.push(JSON.parse(data.toString())));
+    const start = (socket, payload) => socket.send(JSON.stringify({ type: 'start_session', payload }));
+
+    try {
+        await silenceConsole(async () => {
+            await Promise.all([first, second].map(socket => new Promise(resolve => socket.once('open', resolve))));
+            start(first, {});
+            await waitFor(() => agent.rateLimiter.concurrentSessions === 1);
+
+            // Refused at the session limit: no Opus decoder may be left behind
+            start(second, { audio: { input: 'ogg_opus' } });
+            await waitFor(() => received.some(message => message.type === 'error'));
+        });
+
+        assert.strictEqual(received.find(message => message.type === 'error').payload.limit, 'concurrent_sessions');
+        const transcoders = Array.from(agent.wss.clients).map(client => client.services.transcoder);
+        assert.strictEqual(transcoders.filter(Boolean).length, 1);
+    } finally {
+        first.terminate();
+        second.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+if (require.main === module) {
+    runSuite('Audio Transcoder', {
+        'G.711 companding': testG711,
+        'Format negotiation': testNegotiation,
+        'PCM16 passthrough': testPcm16Passthrough,
+        'PCM16 resampling': testPcm16Resampling,
+        'G.711 input': testG711Input,
+        'WAV input': testWavInput,
+        'Ogg Opus input': testOggOpusInput,
+        'WebM Opus input': testWebmOpusInput,
+        'Output formats': testOutputFormats,
+        'Server negotiates formats': testServerNegotiatesFormats,
+        'Failed start holds no decoder': testFailedStartHoldsNoDecoder
+    });
+}
+
+module.exports = {
+    testG711,
+    testNegotiation,
+    testPcm16Passthrough,
+    testPcm16Resampling,
+    testG711Input,
+    testWavInput,
+    testOggOpusInput,
+    testWebmOpusInput,
+    testOutputFormats,
+    testServerNegotiatesFormats,
+    testFailedStartHoldsNoDecoder
+};
@@ -0,0 +1,171 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { AuthError, TokenService, ApiKeyVerifier, AuthService } = require('../services/auth');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const { silenceConsole, startTestServer, runSuite } = require('./helpers');
+
+function createAuth() {
+    return new AuthService({ secret: 'test-secret', verifier: new ApiKeyVerifier('key-alice:alice,key-root:root:admin') });
+}
+
+// Resolves with the HTTP status of the upgrade response, or 101 once the socket opens
+function upgradeStatus(url, options) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url, options);
+        socket.once('open', () => {
+            socket.terminate();
+            resolve(101);
+        });
+        socket.once('unexpected-response', (req, res) => {
+            resolve(res.statusCode);
+            req.destroy();
+        });
+        socket.once('error', reject);
+    });
+}
+
+async function testTokenRoundTrip() {
+    const tokens = new TokenService('secret');
+    const { token, expiresIn } = tokens.issue({ id: 'alice', role: 'admin' });
+
+    assert.strictEqual(expiresIn, 3600);
+    assert.deepStrictEqual(tokens.verify(token), { id: 'alice', name: null, role: 'admin' });
+
+    // Wrong secret, tampered claims and garbage are all rejected
+    assert.throws(() => new TokenService('other').verify(token), AuthError);
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'alice', role: 'admin', iss: 'priyo-voice-agent', exp: 9999999999 })).toString('base64url');
+    assert.throws(() => tokens.verify(`${header}.${forged}.${signature}`), /signature/);
+    assert.throws(() => tokens.verify('not-a-token'), /Malformed/);
+}
+
+async function testTokenExpires() {
+    const tokens = new TokenService('secret', { ttlSeconds: 60 });
+    const { token } = tokens.issue({ id: 'alice' });
+
+    const now = Date.now;
+    Date.now = () => now() + 61 * 1000;
+    try {
+        assert.throws(() => tokens.verify(token), /expired/);
+    } finally {
+        Date.now = now;
+    }
+}
+
+async function testApiKeyVerifier() {
+    const verifier = new ApiKeyVerifier('key-alice:alice, key-root:root:admin');
+
+    assert.deepStrictEqual(await verifier.verify({ api_key: 'key-root' }), { id: 'root', name: 'root', role: 'admin' });
+    assert.strictEqual(await verifier.verify({ api_key: 'key-bob' }), null);
+    assert.strictEqual(await verifier.verify({}), null);
+    assert.throws(() => new ApiKeyVerifier('key:carol:superuser'), /Invalid AUTH_API_KEYS/);
+}
+
+async function testDisabledWithoutSecret() {
+    const auth = new AuthService({ secret: '' });
+    assert.strictEqual(auth.enabled, false);
+    assert.strictEqual(auth.authenticate({ headers: {}, url: '/' }).id, 'anonymous');
+}
+
+async function testRestRoutes() {
+    const { baseUrl, close } = await startTestServer({ auth: createAuth(), conversationStore: new MemoryConversationStore() });
+    const issue = body => fetch(`${baseUrl}/api/auth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        assert.strictEqual((await (await fetch(`${baseUrl}/api/status`)).json()).auth, true);
+        assert.strictEqual((await fetch(`${baseUrl}/api/personas`)).status, 401);
+        assert.strictEqual((await issue({ api_key: 'wrong' })).status, 401);
+
+        const issued = await (await issue({ api_key: 'key-alice' })).json();
+        assert.strictEqual(issued.token_type, 'Bearer');
+        assert.deepStrictEqual(issued.user, { id: 'alice', name: 'alice', role: 'user' });
+
+        const personas = await fetch(`${baseUrl}/api/personas`, { headers: { Authorization: `Bearer ${issued.token}` } });
+        assert.strictEqual(personas.status, 200);
+        const tampered = await fetch(`${baseUrl}/api/conversations`, { headers: { Authorization: `Bearer ${issued.token}x` } });
+        assert.strictEqual(tampered.status, 401);
+    } finally {
+        await silenceConsole(close);
+    }
+}
+
+async function testWebSocketUpgrade() {
+    const auth = createAuth();
+    const { wsUrl, close } = await startTestServer({ auth, conversationStore: new MemoryConversationStore() });
+    const { token } = auth.tokens.issue({ id: 'alice' });
+
+    try {
+        await silenceConsole(async () => {
+            assert.strictEqual(await upgradeStatus(wsUrl), 401);
+            assert.strictEqual(await upgradeStatus(`${wsUrl}/?access_token=garbage`), 401);
+            assert.strictEqual(await upgradeStatus(`${wsUrl}/?access_token=${token}`), 101);
+            assert.strictEqual(await upgradeStatus(wsUrl, { headers: { Authorization: `Bearer ${token}` } }), 101);
+        });
+    } finally {
+        await silenceConsole(close);
+    }
+}
+
+async function testIdentityForwardedToN8N() {
+    const received = [];
+    const webhook = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.setHeader('Content-Type', 'application/json');
+            res.end('{"ok":true}');
+        });
+    });
+    await new Promise(resolve => webhook.listen(0, resolve));
+    process.env.N8N_WEBHOOK_URL = `http://localhost:${webhook.address().port}/hook`;
+
+    const auth = createAuth();
+    const { baseUrl, close } = await startTestServer({ auth, conversationStore: new MemoryConversationStore() });
+    const { token } = auth.tokens.issue({ id: 'alice', name: 'Alice' });
+
+    try {
+        const response = await silenceConsole(() => fetch(`${baseUrl}/api/n8n/trigger`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ type: 'notification' })
+        }));
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(received[0].user, { id: 'alice', name: 'Alice', role: 'user' });
+        assert.deepStrictEqual(received[0].data, { type: 'notification' });
+    } finally {
+        delete process.env.N8N_WEBHOOK_URL;
+        await silenceConsole(close);
+        await new Promise(resolve => webhook.close(resolve));
+    }
+}
+
+if (require.main === module) {
+    runSuite('Auth', {
+        'Token round trip': testTokenRoundTrip,
+        'Token expires': testTokenExpires,
+        'API key verifier': testApiKeyVerifier,
+        'Disabled without secret': testDisabledWithoutSecret,
+        'REST routes': testRestRoutes,
+        'WebSocket upgrade': testWebSocketUpgrade,
+        'Identity forwarded to n8n': testIdentityForwardedToN8N
+    });
+}
+
+module.exports = {
+    testTokenRoundTrip,
+    testTokenExpires,
+    testApiKeyVerifier,
+    testDisabledWithoutSecret,
+    testRestRoutes,
+    testWebSocketUpgrade,
+    testIdentityForwardedToN8N
+};
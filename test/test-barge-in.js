@@ -0,0 +1,116 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const RealtimeEventBridge = require('../services/realtime-event-bridge');
+const { FakeClientSocket, silenceConsole, runSuite } = require('./helpers');
+
+// Service wired to an in-memory upstream socket that records what it is sent
+function createConnectedService() {
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    service.ws = {
+        readyState: WebSocket.OPEN,
+        sent: [],
+        send(data) { this.sent.push(JSON.parse(data)); }
+    };
+    service.isConnected = true;
+    service.interruptions = [];
+    service.on('response_interrupted', data => service.interruptions.push(data));
+    return service;
+}
+
+function upstream(service, message) {
+    silenceConsole(() => service.handleOpenAIMessage(message));
+}
+
+// base64 PCM16 at 24 kHz for the given duration
+function audioDelta(ms) {
+    return Buffer.alloc(ms * 48).toString('base64');
+}
+
+function startResponse(service, itemId, generatedMs) {
+    upstream(service, { type: 'response.created', response: { id: 'resp_1' } });
+    upstream(service, { type: 'response.audio.delta', response_id: 'resp_1', item_id: itemId, delta: audioDelta(generatedMs / 2) });
+    upstream(service, { type: 'response.audio.delta', response_id: 'resp_1', item_id: itemId, delta: audioDelta(generatedMs / 2) });
+}
+
+async function testSpeechStartedCancelsActiveResponse() {
+    const service = createConnectedService();
+    startResponse(service, 'item_1', 1000);
+
+    upstream(service, { type: 'input_audio_buffer.speech_started', item_id: 'item_user', audio_start_ms: 1200 });
+    assert.deepStrictEqual(service.ws.sent, [{ type: 'response.cancel', response_id: 'resp_1' }]);
+
+    // Once the response is done there is nothing left to cancel
+    service.ws.sent = [];
+    upstream(service, { type: 'response.done', response: { id: 'resp_1', status: 'cancelled', output: [] } });
+    upstream(service, { type: 'input_audio_buffer.speech_started', item_id: 'item_user_2', audio_start_ms: 3000 });
+    assert.deepStrictEqual(service.ws.sent, []);
+}
+
+async function testInterruptTruncatesToPlayedAudio() {
+    const service = createConnectedService();
+    startResponse(service, 'item_1', 1000);
+
+    const interruption = silenceConsole(() => service.interruptResponse({ item_id: 'item_1', audio_end_ms: 420.7 }));
+
+    assert.deepStrictEqual(service.ws.sent, [
+        { type: 'response.cancel', response_id: 'resp_1' },
+        { type: 'conversation.item.truncate', item_id: 'item_1', content_index: 0, audio_end_ms: 420 }
+    ]);
+    assert.deepStrictEqual(interruption, { item_id: 'item_1', audio_end_ms: 420, generated_ms: 1000 });
+    assert.deepStrictEqual(service.interruptions, [interruption]);
+}
+
+async function testInterruptClampsAndSkipsFullyPlayedItems() {
+    const service = createConnectedService();
+    startResponse(service, 'item_1', 1000);
+    upstream(service, { type: 'response.done', response: { id: 'resp_1', status: 'completed', output: [] } });
+
+    // Client clocks can overshoot; the truncate point never exceeds what was generated
+    const interruption = silenceConsole(() => service.interruptResponse({ item_id: 'item_1', audio_end_ms: 1500 }));
+
+    assert.deepStrictEqual(service.ws.sent, []);
+    assert.strictEqual(interruption.audio_end_ms, 1000);
+}
+
+async function testInterruptIgnoresUnknownItems() {
+    const service = createConnectedService();
+
+    assert.strictEqual(silenceConsole(() => service.interruptResponse({ item_id: 'missing', audio_end_ms: 100 })), null);
+    assert.strictEqual(silenceConsole(() => service.interruptResponse()), null);
+    assert.deepStrictEqual(service.ws.sent, []);
+    assert.deepStrictEqual(service.interruptions, []);
+}
+
+async function testBridgeForwardsInterruption() {
+    const service = createConnectedService();
+    const client = new FakeClientSocket();
+    new RealtimeEventBridge(service, client).attach();
+    startResponse(service, 'item_1', 600);
+
+    silenceConsole(() => service.interruptResponse({ item_id: 'item_1', audio_end_ms: 250 }));
+
+    assert.deepStrictEqual(client.messagesOfType('response_interrupted').map(message => message.payload), [
+        { item_id: 'item_1', audio_end_ms: 250, generated_ms: 600 }
+    ]);
+}
+
+if (require.main === module) {
+    runSuite('Barge-in', {
+        'Speech start cancels the active response': testSpeechStartedCancelsActiveResponse,
+        'Interrupt truncates to played audio': testInterruptTruncatesToPlayedAudio,
+        'Interrupt clamps and skips fully played items': testInterruptClampsAndSkipsFullyPlayedItems,
+        'Interrupt ignores unknown items': testInterruptIgnoresUnknownItems,
+        'Bridge forwards response_interrupted': testBridgeForwardsInterruption
+    });
+}
+
+module.exports = {
+    testSpeechStartedCancelsActiveResponse,
+    testInterruptTruncatesToPlayedAudio,
+    testInterruptClampsAndSkipsFullyPlayedItems,
+    testInterruptIgnoresUnknownItems,
+    testBridgeForwardsInterruption
+};
@@ -0,0 +1,214 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const PersonaLibrary = require('../services/persona-library');
+const { CallRecordingStore } = require('../services/call-recording');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, startTestServer, connect, withServer, runSuite } = require('./helpers');
+
+// PCM16 filled with one sample value
+function pcm(ms, value) {
+    const samples = ms * 24;
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        buffer.writeInt16LE(value, i * 2);
+    }
+    return buffer;
+}
+
+// Left and right sample of one stereo frame
+function frame(wav, index) {
+    return [wav.readInt16LE(44 + index * 4), wav.readInt16LE(44 + index * 4 + 2)];
+}
+
+async function testAlignsBothSides() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    let now = 0;
+    const store = new CallRecordingStore({ directory });
+    const recording = store.create({ now: () => now });
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    recording.attach(service);
+
+    try {
+        // 100ms of user audio arriving at 100ms was spoken from 0 to 100ms
+        now = 100;
+        service.emit('user_audio', { audio: pcm(100, 1000).toString('base64') });
+
+        // Two agent deltas arriving together play back to back from 200ms
+        now = 200;
+        service.emit('audio_response', { audio: pcm(100, 2000).toString('base64'), item_id: 'item_1' });
+        service.emit('audio_response', { audio: pcm(100, 2000).toString('base64'), item_id: 'item_1' });
+
+        // The caller barged in 150ms into the item; the rest was never heard
+        now = 300;
+        service.emit('response_interrupted', { item_id: 'item_1', audio_end_ms: 150, generated_ms: 200 });
+        service.emit('audio_response', { audio: pcm(100, 2000).toString('base64'), item_id: 'item_1' });
+
+        now = 500;
+        const result = await recording.finish();
+        assert.strictEqual(result.durationMs, 500);
+        assert.deepStrictEqual(result.channels, { left: 'user', right: 'assistant' });
+
+        const wav = fs.readFileSync(await store.find(recording.id));
+        assert.strictEqual(result.bytes, wav.length);
+        assert.strictEqual(wav.readUInt16LE(22), 2);
+        assert.strictEqual(wav.readUInt32LE(24), 24000);
+        assert.strictEqual(wav.readUInt32LE(40), 500 * 24 * 4);
+
+        assert.deepStrictEqual(frame(wav, 0), [1000, 0]);
+        assert.deepStrictEqual(frame(wav, 2399), [1000, 0]);
+        assert.deepStrictEqual(frame(wav, 2400), [0, 0]);
+        assert.deepStrictEqual(frame(wav, 4800), [0, 2000]);
+        assert.deepStrictEqual(frame(wav, 8399), [0, 2000]);
+        assert.deepStrictEqual(frame(wav, 8400), [0, 0]);
+        assert.deepStrictEqual(frame(wav, 11999), [0, 0]);
+
+        // Only the WAV is left behind, and later events are ignored
+        assert.deepStrictEqual(fs.readdirSync(directory), [`${recording.id}.wav`]);
+        assert.strictEqual(service.eventHandlers.get('user_audio')?.length || 0, 0);
+        assert.strictEqual(await recording.finish(), result);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+async function testPersonaRecordingOption() {
+    const base = { version: '1', instructions: 'Help.' };
+    assert.strictEqual(PersonaLibrary.validate(base, 'plain').recording, false);
+
+    const recorded = PersonaLibrary.validate({ ...base, recording: true, recording_notice: 'We record calls.' }, 'recorded');
+    assert.strictEqual(recorded.recording, true);
+    assert.strictEqual(recorded.recordingNotice, 'We record calls.');
+    assert.ok(PersonaLibrary.validate({ ...base, recording: true }, 'recorded').recordingNotice.includes('recorded'));
+
+    assert.throws(() => PersonaLibrary.validate({ ...base, recording: 'yes' }, 'bad'), /recording must be true or false/);
+}
+
+async function testServerRecordsSession() {
+    const personaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+    const recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    fs.writeFileSync(path.join(personaDir, 'default.json'), JSON.stringify({
+        version: '1', instructions: 'Help.', greeting: 'Hello!', recording: true, recording_notice: 'This call is recorded.'
+    }));
+    fs.writeFileSync(path.join(personaDir, 'plain.json'), JSON.stringify({ version: '1', instructions: 'Help.' }));
+
+    const mock = new MockRealtimeServer({
+        chunkIntervalMs: 0,
+        vadSilenceMs: 50,
+        responses: [{ text: 'Hello! This call is recorded.', audioMs: 200 }, { text: 'Sure', audioMs: 100 }]
+    });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const { baseUrl, wsUrl, close } = await startTestServer({
+        conversationStore: new MemoryConversationStore(),
+        personaLibrary: silenceConsole(() => new PersonaLibrary({ directory: personaDir }).load()),
+        callRecordings: new CallRecordingStore({ directory: recordingDir })
+    });
+
+    const received = [];
+    const socket = new WebSocket(wsUrl);
+    socket.on('message', data => received.push(JSON.parse(data.toString())));
+    const send = message => socket.send(JSON.stringify(message));
+    const ofType = type => received.filter(message => message.type === type);
+
+    try {
+        await silenceConsole(async () => {
+            await new Promise(resolve => socket.once('open', resolve));
+            send({ type: 'start_session' });
+            await waitFor(() => ofType('session_started').length === 1);
+
+            // The greeting announces the recording
+            await waitFor(() => ofType('response_complete').length === 1);
+            send({ type: 'audio_data', payload: pcm(100, 5000).toString('base64') });
+            await waitFor(() => ofType('response_complete').length === 2);
+            send({ type: 'end_session' });
+            await waitFor(() => ofType('session_ended').length === 1);
+        });
+
+        const { conversationId, recording: announced } = ofType('session_started')[0].payload;
+        assert.deepStrictEqual(announced, { enabled: true, notice: 'This call is recorded.' });
+        const greeting = mock.receivedOfType('response.create')[0].response.instructions;
+        assert.ok(greeting.includes('"Hello!"') && greeting.includes('"This call is recorded."'), greeting);
+
+        const conversation = await (await fetch(`${baseUrl}/api/conversations/${conversationId}`)).json();
+        assert.strictEqual(conversation.recording.url, `/api/conversations/${conversationId}/recording`);
+        assert.strictEqual(conversation.recording.sampleRate, 24000);
+        assert.ok(conversation.recording.durationMs >= 300);
+        const list = await (await fetch(`${baseUrl}/api/conversations`)).json();
+        assert.strictEqual(list.conversations[0].hasRecording, true);
+
+        const download = await fetch(`${baseUrl}${conversation.recording.url}`);
+        assert.strictEqual(download.status, 200);
+        assert.ok(/attachment; filename="conversation-.+\.wav"/.test(download.headers.get('content-disposition')));
+        const wav = Buffer.from(await download.arrayBuffer());
+        assert.strictEqual(wav.length, conversation.recording.bytes);
+        assert.strictEqual(wav.readUInt16LE(22), 2);
+
+        // The caller is on the left only (the mock tone never exceeds 3000)
+        const frames = (wav.length - 44) / 4;
+        const channelHas = (channel, value) => Array.from({ length: frames }, (_, i) => frame(wav, i)[channel]).includes(value);
+        assert.ok(channelHas(0, 5000), 'user audio on the left channel');
+        assert.ok(!channelHas(1, 5000), 'no user audio on the right channel');
+
+        // Deleting the conversation deletes its recording
+        assert.strictEqual((await fetch(`${baseUrl}/api/conversations/${conversationId}`, { method: 'DELETE' })).status, 204);
+        assert.deepStrictEqual(fs.readdirSync(recordingDir), []);
+        assert.strictEqual((await fetch(`${baseUrl}${conversation.recording.url}`)).status, 404);
+
+        // Personas without `recording: true` are not recorded
+        await silenceConsole(async () => {
+            send({ type: 'start_session', payload: { persona: 'plain' } });
+            await waitFor(() => ofType('session_started').length === 2);
+        });
+        assert.deepStrictEqual(ofType('session_started')[1].payload.recording, { enabled: false, notice: null });
+    } finally {
+        socket.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+        fs.rmSync(personaDir, { recursive: true, force: true });
+        fs.rmSync(recordingDir, { recursive: true, force: true });
+    }
+}
+
+async function testCloseLogsFinishFailure() {
+    await withServer({}, async ({ wsUrl, agent }) => {
+        const client = await connect(wsUrl);
+        client.send({ type: 'start_session' });
+        await waitFor(() => client.ofType('session_started').length === 1);
+
+        const [serverSocket] = agent.wss.clients;
+        const logged = [];
+        serverSocket.services.recorder.finish = async () => { throw new Error('disk full'); };
+        serverSocket.logger.error = (msg, fields) => logged.push([msg, fields.error.message]);
+
+        // Closing mid-session finishes the record in the background; a failure is logged, not left unhandled
+        client.socket.close();
+        await waitFor(() => logged.length === 1);
+        assert.deepStrictEqual(logged, [['Conversation finish error', 'disk full']]);
+    });
+}
+
+if (require.main === module) {
+    runSuite('Call Recording', {
+        'Aligns both sides': testAlignsBothSides,
+        'Persona recording option': testPersonaRecordingOption,
+        'Server records session': testServerRecordsSession,
+        'Close logs finish failure': testCloseLogsFinishFailure
+    });
+}
+
+module.exports = {
+    testAlignsBothSides,
+    testPersonaRecordingOption,
+    testServerRecordsSession,
+    testCloseLogsFinishFailure
+};
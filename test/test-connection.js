@@ -10,7 +10,8 @@ async function testOpenAIConnection() {
     }
     
     return new Promise((resolve) => {
-        const ws = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01', {
+        const baseUrl = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime';
+        const ws = new WebSocket(`${baseUrl}?model=gpt-4o-realtime-preview-2024-10-01`, {
             headers: {
                 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
                 'OpenAI-Beta': 'realtime=v1'
@@ -0,0 +1,152 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const ConversationRecorder = require('../services/conversation-recorder');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const { captionCues, toMarkdown, toSRT, toWebVTT } = require('../services/conversation-export');
+const { silenceConsole, startTestServer, runSuite } = require('./helpers');
+
+const RECORD = {
+    id: 'conv-1',
+    sessionId: 'sess_1',
+    persona: { id: 'support', version: '1.0.0' },
+    user: { id: 'user-1', role: 'user' },
+    usage: { responses: 2, tokens: {}, cost_usd: 0.0123 },
+    recording: { id: 'rec-1', url: '/api/conversations/conv-1/recording', format: 'wav' },
+    startedAt: '2026-01-01T00:00:00.000Z',
+    endedAt: '2026-01-01T00:01:05.000Z',
+    events: [
+        { type: 'assistant_text', offsetMs: 2500, audioOffsetMs: 400, audioDurationMs: 2000, text: 'Hi, how can I help?' },
+        { type: 'user_transcript', offsetMs: 6000, speechOffsetMs: 3000, speechEndOffsetMs: 5200, text: 'My card <was> blocked' },
+        { type: 'tool_call', offsetMs: 6100, name: 'create_ticket', arguments: '{"subject":"Card blocked"}' },
+        { type: 'tool_result', offsetMs: 6200, name: 'create_ticket', success: true, output: { ticket_id: 'T-1' } },
+        { type: 'assistant_text', offsetMs: 9000, audioOffsetMs: 6500, audioDurationMs: 1500, interrupted: true, text: 'I opened a ticket.' },
+        { type: 'user_text', offsetMs: 61000, text: 'Thanks' },
+        { type: 'user_transcript', offsetMs: 62000, speechOffsetMs: 61500, failed: true, text: null },
+        { type: 'assistant_text', offsetMs: 63000, audioOffsetMs: null, audioDurationMs: null, text: 'Bye.' }
+    ]
+};
+
+async function testCaptionCues() {
+    const cues = captionCues(RECORD);
+    assert.deepStrictEqual(cues.map(({ speaker, start, end }) => [speaker, start, end]), [
+        ['assistant', 400, 2400],
+        ['user', 3000, 5200],
+        ['assistant', 6500, 8000],
+        // Typed and text-only turns get an estimated duration, one second at least
+        ['user', 61000, 62000],
+        ['assistant', 63000, 64000]
+    ]);
+}
+
+async function testSubtitleFormats() {
+    assert.strictEqual(toSRT(RECORD).split('\n\n')[1], [
+        '2',
+        '00:00:03,000 --> 00:00:05,200',
+        'User: My card <was> blocked'
+    ].join('\n'));
+
+    const vtt = toWebVTT(RECORD).split('\n\n');
+    assert.strictEqual(vtt[0], 'WEBVTT');
+    assert.strictEqual(vtt[2], '00:00:03.000 --> 00:00:05.200\n<v User>My card &lt;was&gt; blocked');
+    assert.strictEqual(vtt[4], '00:01:01.000 --> 00:01:02.000\n<v User>Thanks');
+    assert.strictEqual(vtt.length, 6);
+}
+
+async function testMarkdownTranscript() {
+    const markdown = toMarkdown(RECORD);
+    assert.ok(markdown.startsWith('# Conversation conv-1\n'));
+    assert.ok(markdown.includes('- **Persona:** support v1.0.0'));
+    assert.ok(markdown.includes('- **Estimated cost:** $0.0123'));
+    assert.ok(markdown.includes('- **Recording:** [WAV](/api/conversations/conv-1/recording)'));
+    assert.ok(markdown.includes('`00:03` **User:** My card <was> blocked'));
+    assert.ok(markdown.includes('`00:06` _Tool call `create_ticket`_ `{"subject":"Card blocked"}`'));
+    assert.ok(markdown.includes('`00:06` **Assistant:** I opened a ticket. _(interrupted)_'));
+    assert.ok(markdown.includes('`01:01` **User:** _(inaudible)_'));
+}
+
+async function testRecorderTimesTurns() {
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    const store = new MemoryConversationStore();
+    const recorder = new ConversationRecorder(service, store);
+    recorder.attach();
+    const id = await recorder.start(service.getSessionInfo());
+    // 200ms of 24 kHz PCM16
+    const delta = Buffer.alloc(9600).toString('base64');
+
+    silenceConsole(() => {
+        service.emit('speech_started', { item_id: 'item_user' });
+        service.emit('speech_stopped', { item_id: 'item_user' });
+        service.emit('user_transcript', { item_id: 'item_user', transcript: 'Hello' });
+        service.emit('audio_response', { audio: delta, item_id: 'item_ai' });
+        service.emit('audio_response', { audio: delta, item_id: 'item_ai' });
+        service.emit('response_complete', {
+            id: 'resp_1',
+            output: [{ id: 'item_ai', type: 'message', content: [{ type: 'audio', transcript: 'Hi there' }] }]
+        });
+        // Heard 250ms before the caller talked over it
+        service.emit('response_interrupted', { item_id: 'item_ai', audio_end_ms: 250, generated_ms: 400 });
+    });
+    await recorder.finish();
+
+    const [user, assistant] = (await store.get(id)).events;
+    assert.ok(user.speechOffsetMs <= user.speechEndOffsetMs);
+    assert.ok(assistant.audioOffsetMs >= user.speechEndOffsetMs);
+    assert.strictEqual(assistant.audioDurationMs, 250);
+    assert.strictEqual(assistant.interrupted, true);
+}
+
+async function testExportRoute() {
+    const store = new MemoryConversationStore();
+    // Without auth the caller is the anonymous user, who may only export their own conversations
+    const record = { ...RECORD, user: { id: 'anonymous', role: 'user' } };
+    await store.save(record);
+    const { baseUrl, close } = await startTestServer({ conversationStore: store });
+    const exportAs = format => fetch(`${baseUrl}/api/conversations/conv-1/export${format ? `?format=${format}` : ''}`);
+
+    try {
+        const json = await exportAs();
+        assert.strictEqual(json.status, 200);
+        assert.ok(json.headers.get('content-type').startsWith('application/json'));
+        assert.deepStrictEqual(await json.json(), record);
+
+        const expected = {
+            markdown: ['text/markdown', 'md'],
+            srt: ['application/x-subrip', 'srt'],
+            vtt: ['text/vtt', 'vtt']
+        };
+        for (const [format, [contentType, extension]] of Object.entries(expected)) {
+            const response = await exportAs(format);
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.headers.get('content-type').startsWith(contentType), format);
+            assert.strictEqual(response.headers.get('content-disposition'), `attachment; filename="conversation-conv-1.${extension}"`);
+        }
+        assert.ok((await (await exportAs('vtt')).text()).startsWith('WEBVTT\n\n00:00:00.400 --> 00:00:02.400'));
+
+        const invalid = await exportAs('docx');
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual((await invalid.json()).code, 'invalid_export_format');
+        assert.strictEqual((await fetch(`${baseUrl}/api/conversations/missing/export?format=srt`)).status, 404);
+    } finally {
+        await close();
+    }
+}
+
+if (require.main === module) {
+    runSuite('Conversation Export', {
+        'Caption cues': testCaptionCues,
+        'Subtitle formats': testSubtitleFormats,
+        'Markdown transcript': testMarkdownTranscript,
+        'Recorder times turns': testRecorderTimesTurns,
+        'Export route': testExportRoute
+    });
+}
+
+module.exports = {
+    testCaptionCues,
+    testSubtitleFormats,
+    testMarkdownTranscript,
+    testRecorderTimesTurns,
+    testExportRoute
+};
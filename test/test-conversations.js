@@ -0,0 +1,174 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const ConversationRecorder = require('../services/conversation-recorder');
+const { MemoryConversationStore, FileConversationStore } = require('../services/conversation-store');
+const { ApiKeyVerifier, AuthService } = require('../services/auth');
+const { silenceConsole, startTestServer, runSuite } = require('./helpers');
+
+function createRecorder(store = new MemoryConversationStore()) {
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    const recorder = new ConversationRecorder(service, store);
+    recorder.attach();
+    return { service, recorder, store };
+}
+
+async function testRecordsSessionEvents() {
+    const { service, recorder, store } = createRecorder();
+    const id = await recorder.start(service.getSessionInfo());
+
+    silenceConsole(() => {
+        service.handleOpenAIMessage({ type: 'session.created', session: { id: 'sess_123' } });
+        service.handleOpenAIMessage({ type: 'input_audio_buffer.speech_started', item_id: 'item_user', audio_start_ms: 0 });
+        service.handleOpenAIMessage({
+            type: 'conversation.item.input_audio_transcription.completed',
+            item_id: 'item_user',
+            transcript: 'Send me a receipt'
+        });
+        service.emit('tool_call', { call_id: 'call_1', name: 'send_notification', arguments: '{"channel":"email"}' });
+        service.emit('tool_result', { call_id: 'call_1', name: 'send_notification', success: true, output: { success: true } });
+        service.handleOpenAIMessage({
+            type: 'response.done',
+            response: {
+                id: 'resp_1',
+                status: 'completed',
+                output: [{ id: 'item_ai', type: 'message', content: [{ type: 'audio', transcript: 'Receipt sent.' }] }]
+            }
+        });
+    });
+    recorder.recordN8NResult({ type: 'customer_support' }, { success: false, message: 'N8N not configured' });
+    await recorder.finish();
+
+    const record = await store.get(id);
+    assert.strictEqual(record.sessionId, 'sess_123');
+    assert.deepStrictEqual(record.persona, { id: 'default', version: '1.0.0' });
+    assert.ok(record.startedAt && record.endedAt);
+    assert.deepStrictEqual(record.events.map(event => event.type), [
+        'user_transcript',
+        'tool_call',
+        'tool_result',
+        'assistant_text',
+        'n8n_result'
+    ]);
+    assert.strictEqual(record.events[0].text, 'Send me a receipt');
+    assert.ok(record.events[0].speechOffsetMs >= 0);
+    assert.ok(record.events[0].speechOffsetMs <= record.events[0].offsetMs);
+    assert.strictEqual(record.events[3].text, 'Receipt sent.');
+    record.events.forEach(event => assert.ok(event.offsetMs >= 0));
+    assert.strictEqual(recorder.conversationId, null);
+}
+
+async function testDetachStopsRecording() {
+    const { service, recorder, store } = createRecorder();
+    const id = await recorder.start(service.getSessionInfo());
+    recorder.detach();
+
+    service.emit('user_transcript', { item_id: 'item_1', transcript: 'ignored' });
+    await recorder.finish();
+
+    assert.strictEqual((await store.get(id)).events.length, 0);
+}
+
+async function testFileStoreRoundTrip() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+    const store = new FileConversationStore(directory);
+
+    try {
+        const older = { id: 'a', startedAt: '2026-01-01T00:00:00.000Z', endedAt: null, events: [] };
+        const newer = { id: 'b', startedAt: '2026-01-02T00:00:00.000Z', endedAt: null, events: [{ type: 'user_transcript' }] };
+        await Promise.all([store.save(older), store.save(newer), store.save({ ...newer, endedAt: '2026-01-02T00:05:00.000Z' })]);
+
+        assert.strictEqual((await store.get('b')).endedAt, '2026-01-02T00:05:00.000Z');
+        const { conversations, total } = await store.list({ limit: 1 });
+        assert.strictEqual(total, 2);
+        assert.deepStrictEqual(conversations.map(c => c.id), ['b']);
+        assert.strictEqual(conversations[0].eventCount, 1);
+
+        assert.strictEqual(await store.delete('a'), true);
+        assert.strictEqual(await store.delete('a'), false);
+        assert.strictEqual(await store.get('a'), null);
+        assert.strictEqual(await store.get('../secrets'), null);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+async function testConversationRoutes() {
+    const store = new MemoryConversationStore();
+    // Without auth every caller is the anonymous user
+    await store.save({ id: 'conv-1', user: { id: 'anonymous' }, startedAt: '2026-01-01T00:00:00.000Z', endedAt: null, events: [] });
+    const { baseUrl, close } = await startTestServer({ conversationStore: store });
+
+    try {
+        const list = await (await fetch(`${baseUrl}/api/conversations`)).json();
+        assert.strictEqual(list.total, 1);
+        assert.strictEqual(list.conversations[0].id, 'conv-1');
+
+        const detail = await fetch(`${baseUrl}/api/conversations/conv-1`);
+        assert.strictEqual(detail.status, 200);
+        assert.strictEqual((await detail.json()).id, 'conv-1');
+
+        assert.strictEqual((await fetch(`${baseUrl}/api/conversations/missing`)).status, 404);
+        assert.strictEqual((await fetch(`${baseUrl}/api/conversations/conv-1`, { method: 'DELETE' })).status, 204);
+        assert.strictEqual((await fetch(`${baseUrl}/api/conversations/conv-1`, { method: 'DELETE' })).status, 404);
+    } finally {
+        await close();
+    }
+}
+
+async function testConversationOwnership() {
+    const store = new MemoryConversationStore();
+    const conversation = (id, user) => ({ id, user: { id: user }, startedAt: '2026-01-01T00:00:00.000Z', endedAt: null, events: [] });
+    await Promise.all([store.save(conversation('alice-1', 'alice')), store.save(conversation('bob-1', 'bob'))]);
+
+    const auth = new AuthService({ secret: 'test-secret', verifier: new ApiKeyVerifier('') });
+    const { baseUrl, close } = await startTestServer({ auth, conversationStore: store });
+    const as = (user, role = 'user') => ({ headers: { Authorization: `Bearer ${auth.tokens.issue({ id: user, role }).token}` } });
+    const status = async (url, options) => (await fetch(`${baseUrl}${url}`, options)).status;
+
+    try {
+        const list = await (await fetch(`${baseUrl}/api/conversations`, as('alice'))).json();
+        assert.strictEqual(list.total, 1);
+        assert.deepStrictEqual(list.conversations.map(c => c.id), ['alice-1']);
+        assert.strictEqual(await status('/api/conversations?user=bob', as('alice')), 403);
+
+        // Someone else's conversation looks like a missing one
+        assert.strictEqual(await status('/api/conversations/alice-1', as('alice')), 200);
+        assert.strictEqual(await status('/api/conversations/bob-1', as('alice')), 404);
+        assert.strictEqual(await status('/api/conversations/bob-1/export', as('alice')), 404);
+        assert.strictEqual(await status('/api/conversations/bob-1/recording', as('alice')), 404);
+        assert.strictEqual(await status('/api/conversations/bob-1', { method: 'DELETE', ...as('alice') }), 404);
+        assert.ok(await store.get('bob-1'));
+
+        const all = await (await fetch(`${baseUrl}/api/conversations`, as('root', 'admin'))).json();
+        assert.strictEqual(all.total, 2);
+        const bobs = await (await fetch(`${baseUrl}/api/conversations?user=bob`, as('root', 'admin'))).json();
+        assert.deepStrictEqual(bobs.conversations.map(c => c.id), ['bob-1']);
+        assert.strictEqual(await status('/api/conversations/bob-1', as('root', 'admin')), 200);
+        assert.strictEqual(await status('/api/conversations/bob-1', { method: 'DELETE', ...as('root', 'admin') }), 204);
+    } finally {
+        await silenceConsole(close);
+    }
+}
+
+if (require.main === module) {
+    runSuite('Conversations', {
+        'Records session events': testRecordsSessionEvents,
+        'Detach stops recording': testDetachStopsRecording,
+        'File store round trip': testFileStoreRoundTrip,
+        'Conversation routes': testConversationRoutes,
+        'Conversation ownership': testConversationOwnership
+    });
+}
+
+module.exports = {
+    testRecordsSessionEvents,
+    testDetachStopsRecording,
+    testFileStoreRoundTrip,
+    testConversationRoutes,
+    testConversationOwnership
+};
@@ -0,0 +1,86 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const RealtimeEventBridge = require('../services/realtime-event-bridge');
+const { FakeClientSocket, silenceConsole, runSuite } = require('./helpers');
+
+// Feed raw Realtime API events into the service as if they came from upstream
+function createFakeUpstream() {
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    return {
+        service,
+        receive: (event) => service.handleOpenAIMessage(event)
+    };
+}
+
+async function testRelaysUpstreamEvents() {
+    const upstream = createFakeUpstream();
+    const client = new FakeClientSocket();
+    const bridge = new RealtimeEventBridge(upstream.service, client);
+    bridge.attach();
+
+    await silenceConsole(() => {
+        upstream.receive({ type: 'input_audio_buffer.speech_started', item_id: 'item_0', audio_start_ms: 120 });
+        upstream.receive({ type: 'input_audio_buffer.speech_stopped', item_id: 'item_0', audio_end_ms: 1800 });
+        upstream.receive({ type: 'response.audio.delta', delta: 'AAAA', response_id: 'resp_1', item_id: 'item_1' });
+        upstream.receive({ type: 'response.text.delta', delta: 'Hello', response_id: 'resp_1', item_id: 'item_1' });
+        upstream.receive({ type: 'response.audio.done', response_id: 'resp_1', item_id: 'item_1' });
+        upstream.receive({ type: 'response.done', response: { id: 'resp_1', status: 'completed' } });
+        upstream.receive({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'item_0', transcript: 'Hi there' });
+        upstream.receive({ type: 'conversation.item.input_audio_transcription.failed', item_id: 'item_2', error: { message: 'Audio too short' } });
+        upstream.receive({ type: 'error', error: { message: 'Bad request', code: 'invalid_value' } });
+    });
+
+    assert.deepStrictEqual(client.sent, [
+        { type: 'speech_started', payload: { item_id: 'item_0', audio_start_ms: 120 } },
+        { type: 'speech_stopped', payload: { item_id: 'item_0', audio_end_ms: 1800 } },
+        { type: 'audio_response', payload: { audio: 'AAAA', response_id: 'resp_1', item_id: 'item_1' } },
+        { type: 'text_response', payload: { text: 'Hello', response_id: 'resp_1', item_id: 'item_1' } },
+        { type: 'audio_complete', payload: { response_id: 'resp_1', item_id: 'item_1' } },
+        { type: 'response_complete', payload: { response_id: 'resp_1', status: 'completed', status_details: null } },
+        { type: 'user_transcript', payload: { item_id: 'item_0', status: 'completed', transcript: 'Hi there', error: null } },
+        { type: 'user_transcript', payload: { item_id: 'item_2', status: 'failed', transcript: null, error: 'Audio too short' } },
+        { type: 'error', payload: { message: 'Bad request', code: 'invalid_value', source: 'openai' } }
+    ]);
+}
+
+async function testDetachUnsubscribes() {
+    const upstream = createFakeUpstream();
+    const client = new FakeClientSocket();
+    const bridge = new RealtimeEventBridge(upstream.service, client);
+    bridge.attach();
+    bridge.detach();
+
+    await silenceConsole(() => {
+        upstream.receive({ type: 'response.text.delta', delta: 'ignored' });
+    });
+
+    assert.strictEqual(client.sent.length, 0);
+    RealtimeEventBridge.events.forEach((event) => {
+        assert.ok(!upstream.service.eventHandlers.has(event), `handler for ${event} still registered`);
+    });
+}
+
+async function testSkipsClosedSocket() {
+    const upstream = createFakeUpstream();
+    const client = new FakeClientSocket();
+    client.readyState = 3; // CLOSED
+    new RealtimeEventBridge(upstream.service, client).attach();
+
+    await silenceConsole(() => {
+        upstream.receive({ type: 'input_audio_buffer.speech_started' });
+    });
+
+    assert.strictEqual(client.sent.length, 0);
+}
+
+if (require.main === module) {
+    runSuite('Event Bridge', {
+        'Relays upstream events': testRelaysUpstreamEvents,
+        'Detach unsubscribes': testDetachUnsubscribes,
+        'Skips closed socket': testSkipsClosedSocket
+    });
+}
+
+module.exports = { testRelaysUpstreamEvents, testDetachUnsubscribes, testSkipsClosedSocket };
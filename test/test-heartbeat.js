@@ -0,0 +1,151 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const protocol = require('../services/protocol');
+const { IdleTimer, idleNotice } = require('../services/idle-timer');
+const { waitFor, connect, withServer, runSuite } = require('./helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function startSession(client, mock, payload) {
+    client.send({ type: 'start_session', payload });
+    await waitFor(() => client.ofType('session_started').length === 1);
+}
+
+async function testIdleTimer() {
+    const fired = [];
+    const timer = new IdleTimer({ timeouts: { audio: 100, messages: 0 }, onIdle: (...args) => fired.push(args) });
+
+    // Disabled and unarmed kinds are ignored
+    timer.start();
+    timer.touch('messages');
+    assert.deepStrictEqual(Object.keys(timer.timers), ['audio']);
+
+    await sleep(60);
+    timer.touch('audio');
+    await sleep(60);
+    assert.deepStrictEqual(fired, []);
+
+    await waitFor(() => fired.length === 1);
+    assert.deepStrictEqual(fired, [['audio', 100]]);
+    assert.strictEqual(timer.active, false);
+
+    timer.start(['audio']);
+    timer.stop();
+    await sleep(150);
+    assert.strictEqual(fired.length, 1);
+
+    assert.strictEqual(idleNotice('audio', 5 * 60 * 1000), 'The conversation was ended after 5 minutes without hearing from you.');
+    assert.strictEqual(idleNotice('messages', 60 * 1000), 'The conversation was ended after 1 minute of inactivity.');
+    assert.strictEqual(idleNotice('messages', 1500), 'The conversation was ended after 2 seconds of inactivity.');
+}
+
+async function testPingPong() {
+    await withServer({ heartbeatIntervalMs: 0 }, async ({ wsUrl }) => {
+        const client = await connect(wsUrl);
+        client.send({ type: 'ping', request_id: 'ping-1' });
+        await waitFor(() => client.ofType('pong').length === 1);
+
+        const [pong] = client.ofType('pong');
+        assert.deepStrictEqual(pong, { type: 'pong', request_id: 'ping-1' });
+        assert.strictEqual(protocol.checkServerMessage(pong), null);
+        assert.strictEqual(client.ofType('error').length, 0);
+
+        client.send({ type: 'ping', payload: {} });
+        await waitFor(() => client.ofType('error').length === 1);
+        assert.strictEqual(client.ofType('error')[0].payload.code, 'invalid_message');
+        client.socket.terminate();
+    });
+}
+
+async function testMessageIdleTimeout() {
+    await withServer({ heartbeatIntervalMs: 0, idleTimeouts: { audio: 0, messages: 200 } }, async ({ wsUrl, mock, agent }) => {
+        const client = await connect(wsUrl);
+        await startSession(client, mock);
+
+        // Pings keep the socket open but not the session
+        const pinger = setInterval(() => client.send({ type: 'ping' }), 40);
+        try {
+            await waitFor(() => client.ofType('session_ended').length === 1);
+        } finally {
+            clearInterval(pinger);
+        }
+
+        const [ended] = client.ofType('session_ended');
+        assert.deepStrictEqual(ended.payload, {
+            reason: 'idle_timeout',
+            notice: 'The conversation was ended after 1 second of inactivity.'
+        });
+        assert.strictEqual(protocol.checkServerMessage(ended), null);
+        await waitFor(() => mock.sessions.size === 0);
+        assert.strictEqual(client.socket.readyState, WebSocket.OPEN);
+        assert.match(await agent.metrics.render(), /voice_agent_idle_timeouts_total\{kind="messages"\} 1/);
+        client.socket.terminate();
+    });
+}
+
+async function testAudioIdleTimeout() {
+    await withServer({ heartbeatIntervalMs: 0, idleTimeouts: { audio: 1000, messages: 0 } }, async ({ wsUrl, mock }) => {
+        // A text-only session has no audio to wait for
+        const typist = await connect(wsUrl);
+        await startSession(typist, mock, { modalities: ['text'] });
+
+        const caller = await connect(wsUrl);
+        await startSession(caller, mock);
+        // Audio every 100 ms for longer than the limit; a late timer still has 900 ms of slack
+        const chunk = Buffer.alloc(2400).toString('base64');
+        for (let i = 0; i < 15; i++) {
+            caller.send({ type: 'audio_data', payload: chunk });
+            await sleep(100);
+        }
+        assert.strictEqual(caller.ofType('session_ended').length, 0);
+
+        await waitFor(() => caller.ofType('session_ended').length === 1, 3000);
+        assert.strictEqual(caller.ofType('session_ended')[0].payload.reason, 'idle_timeout');
+        assert.match(caller.ofType('session_ended')[0].payload.notice, /without hearing from you/);
+        assert.strictEqual(typist.ofType('session_ended').length, 0);
+
+        typist.socket.terminate();
+        caller.socket.terminate();
+    });
+}
+
+async function testReapsDeadSockets() {
+    await withServer({ heartbeatIntervalMs: 50 }, async ({ wsUrl, mock, agent }) => {
+        const live = await connect(wsUrl);
+        const dead = await connect(wsUrl);
+        await startSession(dead, mock);
+
+        // Stop reading: the peer is gone without a close frame, so pings go unanswered
+        dead.socket._socket.pause();
+        await waitFor(() => agent.wss.clients.size === 1);
+        await waitFor(() => mock.sessions.size === 0);
+
+        await sleep(150);
+        assert.strictEqual(agent.wss.clients.size, 1);
+        assert.strictEqual(live.socket.readyState, WebSocket.OPEN);
+        assert.match(await agent.metrics.render(), /voice_agent_websocket_connections_reaped_total 1/);
+
+        live.socket.terminate();
+        dead.socket.terminate();
+    });
+}
+
+if (require.main === module) {
+    runSuite('Heartbeat', {
+        'Idle timer': testIdleTimer,
+        'Ping and pong': testPingPong,
+        'Message idle timeout': testMessageIdleTimeout,
+        'Audio idle timeout': testAudioIdleTimeout,
+        'Reaps dead sockets': testReapsDeadSockets
+    });
+}
+
+module.exports = {
+    testIdleTimer,
+    testPingPong,
+    testMessageIdleTimeout,
+    testAudioIdleTimeout,
+    testReapsDeadSockets
+};
@@ -0,0 +1,203 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { Logger, REDACTED } = require('../services/logger');
+const N8NIntegration = require('../services/n8n-integration');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, startTestServer, runSuite } = require('./helpers');
+
+// Runs `fn` with console output captured; resolves to the lines written
+async function captureLines(fn) {
+    const lines = [];
+    const { log, error } = console;
+    console.log = line => lines.push({ stream: 'stdout', line });
+    console.error = line => lines.push({ stream: 'stderr', line });
+    try {
+        await fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+    return lines;
+}
+
+const parse = lines => lines.map(({ line }) => JSON.parse(line));
+
+async function testWritesJsonLines() {
+    const logger = new Logger({ level: 'info', dir: '' });
+    const lines = await captureLines(() => {
+        logger.debug('hidden');
+        logger.info('Hello', { count: 2 });
+        logger.error('Broken', { error: Object.assign(new Error('boom'), { code: 'E_BOOM' }) });
+    });
+
+    assert.deepStrictEqual(lines.map(({ stream }) => stream), ['stdout', 'stderr']);
+    const [info, error] = parse(lines);
+    assert.strictEqual(info.level, 'info');
+    assert.strictEqual(info.msg, 'Hello');
+    assert.strictEqual(info.count, 2);
+    assert.ok(!Number.isNaN(Date.parse(info.time)));
+    assert.strictEqual(error.error.message, 'boom');
+    assert.strictEqual(error.error.code, 'E_BOOM');
+
+    assert.throws(() => new Logger({ level: 'verbose' }), /Unknown LOG_LEVEL/);
+    assert.strictEqual((await captureLines(() => new Logger({ level: 'silent', dir: '' }).error('x'))).length, 0);
+}
+
+async function testContextIsShared() {
+    const root = new Logger({ dir: '' });
+    const connection = root.child({ connection_id: 'c1', session_id: null });
+    const lines = await captureLines(() => {
+        connection.info('before');
+        // Ids learned later tag every subsequent line, from any holder of the logger
+        connection.context({ session_id: 's1' });
+        connection.info('after', { extra: true });
+        root.info('root');
+    });
+
+    const [before, after, rootLine] = parse(lines);
+    assert.strictEqual(before.connection_id, 'c1');
+    assert.strictEqual(before.session_id, null);
+    assert.strictEqual(after.session_id, 's1');
+    assert.strictEqual(after.extra, true);
+    assert.strictEqual(rootLine.connection_id, undefined);
+}
+
+async function testRedactsSensitiveFields() {
+    const logger = new Logger({ dir: '', redact: 'Phone_Number, email' });
+    const [entry] = parse(await captureLines(() => logger.info('Payment', {
+        data: {
+            amount: 500,
+            card: { Card_Number: '4111111111111111', cvv: '123' },
+            payer: { phone_number: '+8801700000000', email: 'a@example.com' },
+            headers: [{ Authorization: 'Bearer abc' }]
+        },
+        audio: Buffer.alloc(4800)
+    })));
+
+    assert.strictEqual(entry.data.amount, 500);
+    assert.strictEqual(entry.data.card.Card_Number, REDACTED);
+    assert.strictEqual(entry.data.card.cvv, REDACTED);
+    assert.strictEqual(entry.data.payer.phone_number, REDACTED);
+    assert.strictEqual(entry.data.payer.email, REDACTED);
+    assert.strictEqual(entry.data.headers[0].Authorization, REDACTED);
+    assert.strictEqual(entry.audio, '[Buffer 4800 bytes]');
+}
+
+async function testWritesLogFiles() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+    try {
+        const logger = new Logger({ dir, format: 'pretty' });
+        const lines = await captureLines(() => {
+            logger.info('Started', { port: 3000 });
+            logger.warn('Slow', { token: 'secret-value' });
+        });
+
+        // The console gets the pretty format, the files always get JSON
+        assert.ok(/^\S+ INFO  Started port=3000$/.test(lines[0].line), lines[0].line);
+        await logger.close();
+        assert.strictEqual((await captureLines(() => logger.info('After close'))).length, 1);
+
+        const read = name => fs.readFileSync(path.join(dir, name), 'utf8').trim().split('\n').map(JSON.parse);
+        assert.deepStrictEqual(read('app.log').map(entry => entry.msg), ['Started', 'Slow']);
+        assert.strictEqual(read('error.log')[0].token, REDACTED);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function testN8NPayloadRedacted() {
+    const webhook = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{}');
+    });
+    await new Promise(resolve => webhook.listen(0, resolve));
+    process.env.N8N_WEBHOOK_URL = `http://localhost:${webhook.address().port}/hook`;
+
+    try {
+        const n8nService = new N8NIntegration({ logger: new Logger({ level: 'debug', dir: '' }) });
+        const entries = parse(await captureLines(() => n8nService.triggerPaymentProcessing({
+            amount: 100,
+            currency: 'BDT',
+            recipient: 'merchant-1',
+            card_number: '4111111111111111'
+        })));
+
+        assert.strictEqual(entries.find(entry => entry.msg === 'Triggering N8N workflow').workflow_type, 'payment_processing');
+        const payload = entries.find(entry => entry.msg === 'N8N workflow payload').data;
+        assert.strictEqual(payload.payment.card_number, REDACTED);
+        assert.strictEqual(payload.payment.amount, 100);
+    } finally {
+        delete process.env.N8N_WEBHOOK_URL;
+        await new Promise(resolve => webhook.close(resolve));
+    }
+}
+
+async function testConnectionLinesAreCorrelated() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, responses: [{ text: 'Hi', audioMs: 100 }] });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const { wsUrl, close } = await startTestServer({
+        conversationStore: new MemoryConversationStore(),
+        logger: new Logger({ level: 'debug', dir: '' })
+    });
+
+    const received = [];
+    const socket = new WebSocket(wsUrl);
+    socket.on('message', data => received.push(JSON.parse(data.toString())));
+    const send = message => socket.send(JSON.stringify(message));
+
+    try {
+        const lines = await captureLines(async () => {
+            await new Promise(resolve => socket.once('open', resolve));
+            send({ type: 'start_session' });
+            await waitFor(() => received.some(message => message.type === 'session_started'));
+            send({ type: 'send_text', payload: { text: 'Hello?' } });
+            await waitFor(() => received.some(message => message.type === 'response_complete'));
+        });
+
+        const entries = parse(lines.filter(({ line }) => line.startsWith('{')));
+        const connected = entries.find(entry => entry.msg === 'WebSocket connection established');
+        const completed = entries.find(entry => entry.msg === 'Response completed');
+        const { conversationId } = received.find(message => message.type === 'session_started').payload;
+
+        assert.ok(connected.connection_id);
+        assert.strictEqual(connected.user_id, 'anonymous');
+        assert.strictEqual(completed.connection_id, connected.connection_id);
+        assert.strictEqual(completed.session_id, conversationId);
+        assert.ok(completed.openai_session_id.startsWith('sess_'));
+    } finally {
+        socket.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+if (require.main === module) {
+    runSuite('Logger', {
+        'Writes JSON lines': testWritesJsonLines,
+        'Context is shared': testContextIsShared,
+        'Redacts sensitive fields': testRedactsSensitiveFields,
+        'Writes log files': testWritesLogFiles,
+        'n8n payload redacted': testN8NPayloadRedacted,
+        'Connection lines are correlated': testConnectionLinesAreCorrelated
+    });
+}
+
+module.exports = {
+    testWritesJsonLines,
+    testContextIsShared,
+    testRedactsSensitiveFields,
+    testWritesLogFiles,
+    testN8NPayloadRedacted,
+    testConnectionLinesAreCorrelated
+};
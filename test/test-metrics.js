@@ -0,0 +1,170 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const http = require('http');
+const WebSocket = require('ws');
+const Metrics = require('../services/metrics');
+const N8NIntegration = require('../services/n8n-integration');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, startTestServer, runSuite } = require('./helpers');
+
+// Value of one sample line in the Prometheus text format, e.g. `name{label="x"}`
+function sample(text, series) {
+    const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+async function testCountsConnectionsAndMessages() {
+    let sessions = 2;
+    const metrics = new Metrics({ defaultMetrics: false, activeSessions: () => sessions });
+
+    metrics.connectionOpened();
+    metrics.connectionOpened();
+    metrics.connectionClosed();
+    metrics.recordMessage('audio_data');
+    metrics.recordMessage('audio_data');
+    metrics.recordMessage('unknown');
+    metrics.recordAudioIn(4800);
+
+    let text = await metrics.render();
+    assert.strictEqual(sample(text, 'voice_agent_websocket_connections_total'), 2);
+    assert.strictEqual(sample(text, 'voice_agent_websocket_connections_active'), 1);
+    assert.strictEqual(sample(text, 'voice_agent_realtime_sessions_active'), 2);
+    assert.strictEqual(sample(text, 'voice_agent_websocket_messages_total{type="audio_data"}'), 2);
+    assert.strictEqual(sample(text, 'voice_agent_websocket_messages_total{type="unknown"}'), 1);
+    assert.strictEqual(sample(text, 'voice_agent_audio_bytes_total{direction="in"}'), 4800);
+
+    // Active sessions are read at scrape time
+    sessions = 0;
+    text = await metrics.render();
+    assert.strictEqual(sample(text, 'voice_agent_realtime_sessions_active'), 0);
+}
+
+async function testInstrumentsSession() {
+    const metrics = new Metrics({ defaultMetrics: false });
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    metrics.instrumentSession(service);
+    const delta = Buffer.alloc(960).toString('base64');
+
+    // Audio before any user speech is not a turn
+    service.emit('audio_response', { audio: delta });
+    service.emit('speech_stopped', { item_id: 'item_1' });
+    service.emit('audio_response', { audio: delta });
+    service.emit('audio_response', { audio: delta });
+    service.emit('error', { type: 'invalid_request_error', code: 'rate_limit_exceeded' });
+    service.emit('error', { type: 'server_error' });
+
+    const text = await metrics.render();
+    assert.strictEqual(sample(text, 'voice_agent_audio_bytes_total{direction="out"}'), 2880);
+    assert.strictEqual(sample(text, 'voice_agent_turn_latency_seconds_count'), 1);
+    assert.strictEqual(sample(text, 'voice_agent_upstream_errors_total{code="rate_limit_exceeded"}'), 1);
+    assert.strictEqual(sample(text, 'voice_agent_upstream_errors_total{code="server_error"}'), 1);
+}
+
+async function testN8NOutcomes() {
+    const webhook = http.createServer((req, res) => {
+        res.statusCode = req.url === '/fail' ? 500 : 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{}');
+    });
+    await new Promise(resolve => webhook.listen(0, resolve));
+    const base = `http://localhost:${webhook.address().port}`;
+    const metrics = new Metrics({ defaultMetrics: false });
+
+    const trigger = async (url) => {
+        process.env.N8N_WEBHOOK_URL = url;
+        return silenceConsole(() => new N8NIntegration({ metrics }).triggerWorkflow({ type: 'notification' }));
+    };
+
+    try {
+        assert.strictEqual((await trigger(`${base}/ok`)).success, true);
+        assert.strictEqual((await trigger(`${base}/fail`)).status, 500);
+        await new Promise(resolve => webhook.close(resolve));
+        assert.strictEqual((await trigger(`${base}/ok`)).error, 'No response from N8N webhook');
+    } finally {
+        delete process.env.N8N_WEBHOOK_URL;
+        if (webhook.listening) webhook.close();
+    }
+
+    const text = await metrics.render();
+    assert.strictEqual(sample(text, 'voice_agent_n8n_trigger_duration_seconds_count{outcome="success"}'), 1);
+    assert.strictEqual(sample(text, 'voice_agent_n8n_trigger_duration_seconds_count{outcome="http_error"}'), 1);
+    assert.strictEqual(sample(text, 'voice_agent_n8n_trigger_duration_seconds_count{outcome="no_response"}'), 1);
+}
+
+async function testServerExposesMetrics() {
+    const mock = new MockRealtimeServer({
+        chunkIntervalMs: 0,
+        vadSilenceMs: 50,
+        responses: [{ text: 'Hi', audioMs: 200 }, { error: { code: 'rate_limit_exceeded', message: 'Slow down' } }]
+    });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    const { baseUrl, wsUrl, close } = await startTestServer({ conversationStore: new MemoryConversationStore() });
+
+    const received = [];
+    const socket = new WebSocket(wsUrl);
+    socket.on('message', data => received.push(JSON.parse(data.toString())));
+    const send = message => socket.send(JSON.stringify(message));
+
+    try {
+        await silenceConsole(async () => {
+            await new Promise(resolve => socket.once('open', resolve));
+            send({ type: 'start_session' });
+            await waitFor(() => received.some(message => message.type === 'session_started'));
+
+            // 100ms of speech; the mock's VAD ends the turn and replies with 200ms of audio
+            send({ type: 'audio_data', payload: Buffer.alloc(4800).toString('base64') });
+            await waitFor(() => received.some(message => message.type === 'response_complete'));
+            send({ type: 'send_text', payload: { text: 'Again' } });
+            await waitFor(() => received.some(message => message.type === 'error'));
+            send({ type: 'no_such_message' });
+            await waitFor(() => received.filter(message => message.type === 'error').length === 2);
+        });
+
+        assert.strictEqual((await fetch(`${baseUrl}/metrics`)).status, 401);
+        const response = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer scrape-secret' } });
+        assert.strictEqual(response.status, 200);
+        assert.ok(response.headers.get('content-type').startsWith('text/plain'));
+        const text = await response.text();
+
+        assert.strictEqual(sample(text, 'voice_agent_websocket_connections_total'), 1);
+        assert.strictEqual(sample(text, 'voice_agent_websocket_connections_active'), 1);
+        assert.strictEqual(sample(text, 'voice_agent_realtime_sessions_active'), 1);
+        assert.strictEqual(sample(text, 'voice_agent_websocket_messages_total{type="start_session"}'), 1);
+        assert.strictEqual(sample(text, 'voice_agent_websocket_messages_total{type="audio_data"}'), 1);
+        assert.strictEqual(sample(text, 'voice_agent_websocket_messages_total{type="unknown"}'), 1);
+        assert.strictEqual(sample(text, 'voice_agent_audio_bytes_total{direction="in"}'), 4800);
+        assert.strictEqual(sample(text, 'voice_agent_audio_bytes_total{direction="out"}'), 9600);
+        assert.strictEqual(sample(text, 'voice_agent_turn_latency_seconds_count'), 1);
+        assert.strictEqual(sample(text, 'voice_agent_upstream_errors_total{code="rate_limit_exceeded"}'), 1);
+        assert.ok(sample(text, 'voice_agent_process_resident_memory_bytes') > 0);
+    } finally {
+        socket.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        delete process.env.METRICS_TOKEN;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+if (require.main === module) {
+    runSuite('Metrics', {
+        'Counts connections and messages': testCountsConnectionsAndMessages,
+        'Instruments session': testInstrumentsSession,
+        'n8n outcomes': testN8NOutcomes,
+        'Server exposes metrics': testServerExposesMetrics
+    });
+}
+
+module.exports = {
+    testCountsConnectionsAndMessages,
+    testInstrumentsSession,
+    testN8NOutcomes,
+    testServerExposesMetrics
+};
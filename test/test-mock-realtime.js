@@ -0,0 +1,137 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const { createDefaultToolRegistry } = require('../services/tool-registry');
+const { silenceConsole, waitFor, createStack, runSuite } = require('./helpers');
+
+async function testScriptedTextResponse() {
+    const { mock, service, client, teardown } = await createStack({ mock: { responses: [{ text: 'Hello there friend' }] } });
+
+    try {
+        await silenceConsole(async () => {
+            service.sendToOpenAI({ type: 'response.create', response: { modalities: ['text'] } });
+            await waitFor(() => client.messagesOfType('response_complete').length === 1);
+        });
+
+        const text = client.messagesOfType('text_response').map(message => message.payload.text).join('');
+        assert.strictEqual(text, 'Hello there friend');
+        assert.strictEqual(client.messagesOfType('response_complete')[0].payload.status, 'completed');
+        assert.strictEqual(mock.receivedOfType('response.create').length, 1);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testAudioResponseDeltas() {
+    const { client, service, teardown } = await createStack({ mock: { responses: [{ text: 'Hi', audioMs: 250 }] } });
+
+    try {
+        await silenceConsole(async () => {
+            service.createResponse();
+            await waitFor(() => client.messagesOfType('response_complete').length === 1);
+        });
+
+        const deltas = client.messagesOfType('audio_response');
+        assert.strictEqual(deltas.length, 3);
+        const bytes = deltas.reduce((total, message) => total + Buffer.from(message.payload.audio, 'base64').length, 0);
+        assert.strictEqual(bytes, 24000 * 0.25 * 2);
+        assert.strictEqual(client.messagesOfType('audio_complete').length, 1);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testServerVadTurn() {
+    const { mock, client, service, teardown } = await createStack({ mock: { transcripts: ['I need help'], responses: [{ text: 'Sure', audioMs: 100 }] } });
+
+    try {
+        await silenceConsole(async () => {
+            await service.sendAudioData(Buffer.alloc(4800));
+            await service.sendAudioData(Buffer.alloc(4800));
+            await waitFor(() => client.messagesOfType('response_complete').length === 1);
+        });
+
+        assert.deepStrictEqual(
+            client.sent.map(message => message.type).filter(type => type.startsWith('speech_')),
+            ['speech_started', 'speech_stopped']
+        );
+        assert.strictEqual(mock.receivedOfType('input_audio_buffer.append').length, 2);
+        assert.deepStrictEqual(service.conversationItems, [
+            { role: 'user', text: 'I need help' },
+            { role: 'assistant', text: 'Sure' }
+        ]);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testFunctionCallAgainstMock() {
+    const calls = [];
+    const n8n = {
+        triggerTicketCreation: async (data) => {
+            calls.push(data);
+            return { success: true, data: { ticket: 42 } };
+        }
+    };
+    const { mock, client, service, teardown } = await createStack({
+        mock: {
+            responses: [
+                { functionCall: { name: 'create_ticket', call_id: 'call_9', arguments: { subject: 'Login', description: 'Cannot log in' } } },
+                { text: 'Ticket 42 created' }
+            ]
+        },
+        service: { toolRegistry: createDefaultToolRegistry(n8n) }
+    });
+
+    try {
+        await silenceConsole(async () => {
+            service.sendToOpenAI({ type: 'response.create', response: { modalities: ['text'] } });
+            await waitFor(() => client.messagesOfType('response_complete').length === 2);
+        });
+
+        assert.deepStrictEqual(calls, [{ subject: 'Login', description: 'Cannot log in' }]);
+        const [output] = mock.receivedOfType('conversation.item.create');
+        assert.strictEqual(output.item.type, 'function_call_output');
+        assert.strictEqual(output.item.call_id, 'call_9');
+        assert.strictEqual(client.messagesOfType('tool_result')[0].payload.success, true);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testScriptedError() {
+    const { client, service, teardown } = await createStack({ mock: { responses: [{ error: { code: 'rate_limit_exceeded', message: 'Slow down' } }] } });
+
+    try {
+        await silenceConsole(async () => {
+            service.createResponse();
+            await waitFor(() => client.messagesOfType('error').length === 1);
+        });
+
+        assert.deepStrictEqual(client.messagesOfType('error')[0].payload, {
+            message: 'Slow down',
+            code: 'rate_limit_exceeded',
+            source: 'openai'
+        });
+    } finally {
+        await teardown();
+    }
+}
+
+if (require.main === module) {
+    runSuite('Mock Realtime', {
+        'Scripted text response': testScriptedTextResponse,
+        'Audio response deltas': testAudioResponseDeltas,
+        'Server VAD turn': testServerVadTurn,
+        'Function call against mock': testFunctionCallAgainstMock,
+        'Scripted error': testScriptedError
+    });
+}
+
+module.exports = {
+    testScriptedTextResponse,
+    testAudioResponseDeltas,
+    testServerVadTurn,
+    testFunctionCallAgainstMock,
+    testScriptedError
+};
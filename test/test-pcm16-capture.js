@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { runSuite } = require('./helpers');
+
+// Browser script; outside a worklet it only defines the encoder on globalThis
+require('../public/js/pcm16-capture');
+const { Pcm16Encoder } = globalThis;
+
+function samplesOf(frames) {
+    return frames.flatMap(frame => {
+        const view = new DataView(frame);
+        return Array.from({ length: frame.byteLength / 2 }, (_, i) => view.getInt16(i * 2, true));
+    });
+}
+
+function sine(sampleRate, length, frequency = 440) {
+    return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+async function testFixedSizeFrames() {
+    const encoder = new Pcm16Encoder(24000, { frameSamples: 480 });
+
+    assert.deepStrictEqual(encoder.push(new Float32Array(400)), []);
+    const frames = encoder.push(new Float32Array(1000));
+
+    assert.strictEqual(frames.length, 2);
+    frames.forEach(frame => assert.strictEqual(frame.byteLength, 960));
+}
+
+async function testLittleEndianAndClamping() {
+    const encoder = new Pcm16Encoder(24000, { frameSamples: 4 });
+    const frames = encoder.push(Float32Array.from([0, 1, -1, 2, -2]));
+
+    assert.deepStrictEqual(samplesOf(frames), [0, 32767, -32768, 32767]);
+    assert.deepStrictEqual(Array.from(new Uint8Array(frames[0], 2, 2)), [0xff, 0x7f]);
+}
+
+async function testResamplesTo24k() {
+    [48000, 44100, 16000].forEach((rate) => {
+        const encoder = new Pcm16Encoder(rate, { frameSamples: 240 });
+        const samples = samplesOf(encoder.push(sine(rate, rate)));
+
+        // One second of input becomes one second at 24 kHz, less the incomplete last frame
+        assert.ok(samples.length >= 24000 - 2 * 240 && samples.length <= 24000, `${rate} Hz gave ${samples.length} samples`);
+    });
+}
+
+async function testBlockBoundariesAreSeamless() {
+    const input = sine(44100, 4410 * 3);
+    const whole = samplesOf(new Pcm16Encoder(44100, { frameSamples: 120 }).push(input));
+
+    // Render quantum sized blocks, as the worklet receives them
+    const chunked = new Pcm16Encoder(44100, { frameSamples: 120 });
+    const frames = [];
+    for (let offset = 0; offset < input.length; offset += 128) {
+        frames.push(...chunked.push(input.subarray(offset, offset + 128)));
+    }
+
+    assert.deepStrictEqual(samplesOf(frames), whole);
+}
+
+async function testMixDown() {
+    const mono = Pcm16Encoder.mixDown([Float32Array.from([1, 0.5]), Float32Array.from([0, -0.5])]);
+    assert.deepStrictEqual(Array.from(mono), [0.5, 0]);
+}
+
+if (require.main === module) {
+    runSuite('PCM16 Capture', {
+        'Fixed size frames': testFixedSizeFrames,
+        'Little-endian and clamping': testLittleEndianAndClamping,
+        'Resamples to 24 kHz': testResamplesTo24k,
+        'Block boundaries are seamless': testBlockBoundariesAreSeamless,
+        'Mix down': testMixDown
+    });
+}
+
+module.exports = {
+    testFixedSizeFrames,
+    testLittleEndianAndClamping,
+    testResamplesTo24k,
+    testBlockBoundariesAreSeamless,
+    testMixDown
+};
@@ -0,0 +1,182 @@
+const assert = require('assert');
+const { runSuite } = require('./helpers');
+
+// Browser script; defines Pcm16Player on globalThis
+require('../public/js/pcm16-player');
+const { Pcm16Player } = globalThis;
+
+// Just enough of the Web Audio API to observe scheduling; time only moves when a test advances it
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = {};
+        this.sources = [];
+    }
+
+    createGain() {
+        return { gain: { value: 1 }, connect() {}, disconnect() {} };
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = new Float32Array(length);
+        return { length, sampleRate, getChannelData: () => data };
+    }
+
+    createBufferSource() {
+        const context = this;
+        const source = {
+            playbackRate: { value: 1 },
+            stopped: false,
+            connect() {},
+            disconnect() {},
+            start(when, offset = 0) {
+                source.when = when;
+                source.offset = offset;
+            },
+            stop() {
+                source.stopped = true;
+            }
+        };
+        this.sources.push(source);
+        return source;
+    }
+
+    // Move the clock, firing onended for sources that finished playing
+    advance(seconds) {
+        this.currentTime += seconds;
+        this.sources.forEach(source => {
+            const playSeconds = (source.buffer.length / source.buffer.sampleRate - source.offset) / source.playbackRate.value;
+            if (!source.stopped && !source.ended && source.when + playSeconds <= this.currentTime + 1e-9) {
+                source.ended = true;
+                source.onended?.();
+            }
+        });
+    }
+
+    async suspend() { this.state = 'suspended'; }
+    async resume() { this.state = 'running'; }
+    async close() { this.state = 'closed'; }
+}
+
+// base64 PCM16 at 24 kHz for the given duration
+function delta(ms, value = 0) {
+    const buffer = Buffer.alloc(ms * 48);
+    for (let i = 0; i < buffer.length; i += 2) {
+        buffer.writeInt16LE(value, i);
+    }
+    return buffer.toString('base64');
+}
+
+function createPlayer() {
+    const context = new FakeAudioContext();
+    return { context, player: new Pcm16Player(context) };
+}
+
+async function testDecodesLittleEndianPcm16() {
+    const samples = Pcm16Player.decode(Buffer.from([0x00, 0x40, 0x00, 0xc0, 0xff, 0x7f]).toString('base64'));
+    assert.deepStrictEqual(Array.from(samples), [0.5, -0.5, 32767 / 32768]);
+}
+
+async function testSchedulesBackToBack() {
+    const { context, player } = createPlayer();
+
+    player.enqueue(delta(100), 'item_1');
+    player.enqueue(delta(50), 'item_1');
+    player.enqueue(delta(200), 'item_2');
+
+    const starts = context.sources.map(source => source.when);
+    assert.strictEqual(starts[0], 0.05);
+    assert.ok(Math.abs(starts[1] - 0.15) < 1e-9);
+    assert.ok(Math.abs(starts[2] - 0.2) < 1e-9);
+    assert.strictEqual(player.isPlaying, true);
+
+    // After an underrun the next delta starts fresh instead of in the past
+    context.advance(1);
+    assert.strictEqual(player.isPlaying, false);
+    player.enqueue(delta(100), 'item_3');
+    assert.ok(Math.abs(context.sources[3].when - 1.05) < 1e-9);
+}
+
+async function testTracksPlayedMsPerItem() {
+    const { context, player } = createPlayer();
+    player.enqueue(delta(100), 'item_1');
+    player.enqueue(delta(100), 'item_1');
+    player.enqueue(delta(100), 'item_2');
+
+    context.advance(0.05 + 0.13);
+    assert.ok(Math.abs(player.playedMs('item_1') - 130) < 1e-6);
+    assert.strictEqual(player.playedMs('item_2'), 0);
+
+    context.advance(0.1);
+    assert.ok(Math.abs(player.playedMs('item_1') - 200) < 1e-6);
+    assert.ok(Math.abs(player.playedMs('item_2') - 30) < 1e-6);
+}
+
+async function testFlushReportsAudibleItem() {
+    const { context, player } = createPlayer();
+    player.enqueue(delta(100), 'item_1');
+    player.enqueue(delta(100), 'item_2');
+    player.enqueue(delta(100), 'item_2');
+
+    context.advance(0.05 + 0.14);
+    const interruption = player.flush();
+
+    assert.deepStrictEqual(interruption, { itemId: 'item_2', playedMs: 40 });
+    assert.ok(context.sources.every(source => source.stopped || source.ended));
+    assert.strictEqual(player.isPlaying, false);
+    assert.strictEqual(player.flush(), null);
+}
+
+async function testPauseAndResume() {
+    const { context, player } = createPlayer();
+    player.enqueue(delta(100), 'item_1');
+
+    await player.pause();
+    assert.strictEqual(context.state, 'suspended');
+    assert.strictEqual(player.isPaused, true);
+
+    await player.resume();
+    assert.strictEqual(context.state, 'running');
+    assert.strictEqual(player.isPaused, false);
+}
+
+async function testPlaybackRateReschedules() {
+    const { context, player } = createPlayer();
+    player.enqueue(delta(100), 'item_1');
+    player.enqueue(delta(100), 'item_1');
+
+    context.advance(0.05 + 0.04);
+    assert.strictEqual(player.setPlaybackRate(2), 2);
+
+    // The first chunk resumes 40ms in; both now play at double speed
+    const [resumed, next] = context.sources.slice(2);
+    assert.ok(Math.abs(resumed.offset - 0.04) < 1e-9);
+    assert.strictEqual(resumed.playbackRate.value, 2);
+    assert.ok(Math.abs(next.when - (resumed.when + 0.03)) < 1e-9);
+    assert.ok(Math.abs(player.playedMs('item_1') - 40) < 1e-6);
+
+    context.advance(0.05 + 0.02);
+    assert.ok(Math.abs(player.playedMs('item_1') - 80) < 1e-6);
+    assert.strictEqual(player.setPlaybackRate(10), 2);
+}
+
+if (require.main === module) {
+    runSuite('PCM16 Player', {
+        'Decodes little-endian PCM16': testDecodesLittleEndianPcm16,
+        'Schedules back to back': testSchedulesBackToBack,
+        'Tracks played ms per item': testTracksPlayedMsPerItem,
+        'Flush reports audible item': testFlushReportsAudibleItem,
+        'Pause and resume': testPauseAndResume,
+        'Playback rate reschedules': testPlaybackRateReschedules
+    });
+}
+
+module.exports = {
+    testDecodesLittleEndianPcm16,
+    testSchedulesBackToBack,
+    testTracksPlayedMsPerItem,
+    testFlushReportsAudibleItem,
+    testPauseAndResume,
+    testPlaybackRateReschedules
+};
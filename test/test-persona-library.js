@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PersonaLibrary = require('../services/persona-library');
+const { silenceConsole, runSuite } = require('./helpers');
+
+function createPersonaDir(files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.writeFileSync(path.join(directory, name), content);
+    });
+    return directory;
+}
+
+function loadLibrary(files, options = {}) {
+    const directory = createPersonaDir(files);
+    try {
+        return silenceConsole(() => new PersonaLibrary({ directory, ...options }).load());
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+async function testLoadsJsonAndYaml() {
+    const library = loadLibrary({
+        'default.json': JSON.stringify({ version: 3, instructions: 'Be helpful.' }),
+        'support.yaml': [
+            'id: support',
+            'version: 2.1.0',
+            'name: Support Desk',
+            'voice: coral',
+            'language: Bangla',
+            'greeting: Hello!',
+            'tools: [create_ticket]',
+            'instructions: |',
+            '  Help customers.'
+        ].join('\n'),
+        'README.md': '# not a persona'
+    });
+
+    assert.deepStrictEqual(library.ids(), ['default', 'support']);
+    assert.strictEqual(library.get('default').version, '3');
+    assert.strictEqual(library.get('default').voice, 'alloy');
+
+    const support = library.get('support');
+    assert.strictEqual(support.version, '2.1.0');
+    assert.strictEqual(support.voice, 'coral');
+    assert.strictEqual(support.language, 'Bangla');
+    assert.strictEqual(support.greeting, 'Hello!');
+    assert.deepStrictEqual(support.tools, ['create_ticket']);
+    assert.strictEqual(support.instructions, 'Help customers.\n');
+}
+
+async function testSkipsInvalidFiles() {
+    const library = loadLibrary({
+        'good.json': JSON.stringify({ version: '1', instructions: 'Fine.' }),
+        'no-version.json': JSON.stringify({ instructions: 'Missing version.' }),
+        'bad-voice.yaml': 'version: 1\nvoice: robot\ninstructions: Hi',
+        'broken.json': '{ not json'
+    });
+
+    assert.deepStrictEqual(library.ids(), ['good']);
+}
+
+async function testDefaultFallsBackToFirstPersona() {
+    const library = loadLibrary({
+        'b.json': JSON.stringify({ version: '1', instructions: 'B' }),
+        'a.json': JSON.stringify({ version: '1', instructions: 'A' })
+    });
+
+    assert.strictEqual(library.defaultId, 'a');
+    assert.strictEqual(library.getDefault().id, 'a');
+}
+
+async function testListHidesInstructions() {
+    const library = loadLibrary({
+        'default.json': JSON.stringify({ version: '1', name: 'General', instructions: 'Secret prompt' })
+    });
+
+    const [summary] = library.list();
+    assert.strictEqual(summary.id, 'default');
+    assert.strictEqual(summary.name, 'General');
+    assert.strictEqual(summary.isDefault, true);
+    assert.ok(!('instructions' in summary));
+}
+
+async function testThrowsWhenNothingLoads() {
+    assert.throws(
+        () => loadLibrary({ 'bad.json': '{}' }),
+        /No valid personas found/
+    );
+}
+
+async function testBundledPersonas() {
+    const library = silenceConsole(() => new PersonaLibrary().load());
+
+    ['default', 'support', 'sales', 'onboarding'].forEach((id) => {
+        assert.ok(library.has(id), `missing bundled persona ${id}`);
+        assert.ok(library.get(id).version);
+    });
+}
+
+if (require.main === module) {
+    runSuite('Persona Library', {
+        'Loads JSON and YAML personas': testLoadsJsonAndYaml,
+        'Skips invalid files': testSkipsInvalidFiles,
+        'Default falls back to first persona': testDefaultFallsBackToFirstPersona,
+        'List hides instructions': testListHidesInstructions,
+        'Throws when nothing loads': testThrowsWhenNothingLoads,
+        'Bundled personas are valid': testBundledPersonas
+    });
+}
+
+module.exports = {
+    testLoadsJsonAndYaml,
+    testSkipsInvalidFiles,
+    testDefaultFallsBackToFirstPersona,
+    testListHidesInstructions,
+    testThrowsWhenNothingLoads,
+    testBundledPersonas
+};
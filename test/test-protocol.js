@@ -0,0 +1,150 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const protocol = require('../services/protocol');
+const { waitFor, connect, withServer, runSuite } = require('./helpers');
+
+async function testValidatesClientMessages() {
+    assert.strictEqual(protocol.checkClientMessage({ type: 'send_text', payload: { text: 'Hi' }, request_id: 'r1' }), null);
+    assert.strictEqual(protocol.checkClientMessage({ type: 'start_session' }), null);
+    assert.strictEqual(protocol.checkClientMessage({ type: 'end_session', request_id: 7 }), null);
+
+    assert.strictEqual(protocol.checkClientMessage('ping').code, 'invalid_message');
+    assert.strictEqual(protocol.checkClientMessage({ type: 'no_such_message' }).code, 'unknown_message_type');
+
+    const tooLong = protocol.checkClientMessage({ type: 'send_text', payload: { text: 'x'.repeat(protocol.MAX_TEXT_LENGTH + 1) } });
+    assert.strictEqual(tooLong.code, 'invalid_message');
+    assert.deepStrictEqual(tooLong.details, [`message.payload.text must be at most ${protocol.MAX_TEXT_LENGTH} characters`]);
+
+    assert.deepStrictEqual(protocol.checkClientMessage({ type: 'ptt_start', payload: {} }).details, ['message.payload is not allowed']);
+    assert.deepStrictEqual(protocol.checkClientMessage({ type: 'send_text', payload: { text: 'Hi', extra: 1 } }).details, ['message.payload.extra is not allowed']);
+    assert.deepStrictEqual(protocol.checkClientMessage({ type: 'audio_data' }).details, ['message.payload is required']);
+    assert.deepStrictEqual(protocol.checkClientMessage({ type: 'hello', payload: { protocol_version: '1' } }).details, ['message.payload.protocol_version must be integer']);
+    assert.deepStrictEqual(protocol.checkClientMessage({ type: 'end_session', request_id: '' }).details, ['message.request_id must be at least 1 characters']);
+
+    // Server-only fields are refused from clients
+    assert.strictEqual(protocol.checkClientMessage({ type: 'end_session', message: 'bye' }).code, 'invalid_message');
+    assert.strictEqual(protocol.checkServerMessage({ type: 'session_ended', message: 'Bye', payload: { reason: 'ended_by_user' } }), null);
+    assert.strictEqual(protocol.checkServerMessage({ type: 'session_ended', payload: { reason: 'timeout' } }).code, 'invalid_message');
+}
+
+async function testHandshake() {
+    await withServer({}, async ({ wsUrl }) => {
+        const client = await connect(wsUrl);
+        assert.deepStrictEqual(client.ofType('connected')[0].payload, {
+            protocol_version: protocol.PROTOCOL_VERSION,
+            supported_versions: protocol.SUPPORTED_VERSIONS
+        });
+
+        client.send({ type: 'hello', payload: { protocol_version: 1, client: { name: 'test' } }, request_id: 'h1' });
+        await waitFor(() => client.ofType('welcome').length === 1);
+        const welcome = client.ofType('welcome')[0];
+        assert.strictEqual(welcome.request_id, 'h1');
+        assert.strictEqual(welcome.payload.protocol_version, 1);
+        assert.ok(welcome.payload.connection_id);
+
+        client.send({ type: 'hello', payload: { protocol_version: 1 } });
+        await waitFor(() => client.ofType('error').length === 1);
+        assert.strictEqual(client.ofType('error')[0].payload.code, 'unexpected_hello');
+        client.socket.terminate();
+
+        // A version the server does not speak is refused and the socket closed
+        const future = await connect(wsUrl);
+        future.send({ type: 'hello', payload: { protocol_version: 99 }, request_id: 2 });
+        await waitFor(() => future.closeCode !== null);
+        const [refusal] = future.ofType('error');
+        assert.strictEqual(refusal.payload.code, 'unsupported_protocol_version');
+        assert.strictEqual(refusal.request_id, 2);
+        assert.deepStrictEqual(refusal.payload.details, ['supported versions: 1']);
+        assert.strictEqual(future.closeCode, 1002);
+    });
+}
+
+async function testRejectsInvalidMessages() {
+    await withServer({}, async ({ wsUrl }) => {
+        const client = await connect(wsUrl);
+        const errors = () => client.ofType('error');
+
+        client.send('{not json');
+        client.send({ type: 'no_such_message', request_id: 'a' });
+        client.send({ type: 'send_text', payload: { text: 42 }, request_id: 'b' });
+        // A malformed request_id is not echoed
+        client.send({ type: 'end_session', request_id: { id: 1 } });
+        await waitFor(() => errors().length === 4);
+
+        assert.deepStrictEqual(errors().map(message => message.payload.code), ['invalid_json', 'unknown_message_type', 'invalid_message', 'invalid_message']);
+        assert.deepStrictEqual(errors().map(message => message.request_id), [undefined, 'a', 'b', undefined]);
+        assert.deepStrictEqual(errors()[2].payload.details, ['message.payload.text must be string']);
+
+        // Rejected messages don't settle the version, but once a valid one is handled hello is too late
+        client.send({ type: 'send_text', payload: { text: 'Too early' } });
+        client.send({ type: 'hello', payload: { protocol_version: 1 } });
+        await waitFor(() => errors().length === 6);
+        assert.deepStrictEqual(errors().slice(4).map(message => message.payload.code), ['session_not_active', 'unexpected_hello']);
+        assert.strictEqual(client.closeCode, null);
+        client.socket.terminate();
+    });
+}
+
+async function testInternalError() {
+    await withServer({}, async ({ wsUrl, agent }) => {
+        const client = await connect(wsUrl);
+        const [serverSocket] = agent.wss.clients;
+        serverSocket.services.n8nService.triggerWorkflow = async () => { throw new Error('database exploded'); };
+
+        client.send({ type: 'trigger_n8n', payload: { action: 'lookup' }, request_id: 'n1' });
+        await waitFor(() => client.ofType('error').length === 1);
+
+        const [error] = client.ofType('error');
+        assert.deepStrictEqual(error.payload, { message: 'Internal server error', code: 'internal_error' });
+        assert.strictEqual(error.request_id, 'n1');
+        client.socket.terminate();
+    });
+}
+
+async function testSessionFlowMatchesSchemas() {
+    await withServer({ mock: { responses: [{ text: 'Typed reply' }] } }, async ({ wsUrl }) => {
+        const client = await connect(wsUrl);
+        client.send({ type: 'hello', payload: { protocol_version: 1 }, request_id: 1 });
+        client.send({ type: 'start_session', payload: { modalities: ['text'] }, request_id: 2 });
+        await waitFor(() => client.ofType('session_started').length === 1);
+
+        client.send({ type: 'update_session', payload: { temperature: 0.6 }, request_id: 3 });
+        client.send({ type: 'send_text', payload: { text: 'Hello?' }, request_id: 4 });
+        await waitFor(() => client.ofType('response_complete').length === 1 && client.ofType('session_updated').length === 1);
+        client.send({ type: 'trigger_n8n', payload: { action: 'lookup' }, request_id: 5 });
+        client.send({ type: 'end_session', request_id: 6 });
+        await waitFor(() => client.ofType('session_ended').length === 1 && client.ofType('n8n_response').length === 1);
+
+        assert.strictEqual(client.ofType('session_started')[0].request_id, 2);
+        assert.strictEqual(client.ofType('session_updated')[0].request_id, 3);
+        assert.strictEqual(client.ofType('n8n_response')[0].request_id, 5);
+        assert.strictEqual(client.ofType('n8n_response')[0].payload.success, false);
+        assert.strictEqual(client.ofType('session_ended')[0].request_id, 6);
+        // Streamed events answer no single message
+        assert.strictEqual(client.ofType('text_response')[0].request_id, undefined);
+
+        client.received.forEach((message) => {
+            assert.strictEqual(protocol.checkServerMessage(message), null, `${message.type} does not match its schema`);
+        });
+        client.socket.terminate();
+    });
+}
+
+if (require.main === module) {
+    runSuite('Protocol', {
+        'Validates client messages': testValidatesClientMessages,
+        'Hello handshake': testHandshake,
+        'Rejects invalid messages': testRejectsInvalidMessages,
+        'Internal error': testInternalError,
+        'Session flow matches schemas': testSessionFlowMatchesSchemas
+    });
+}
+
+module.exports = {
+    testValidatesClientMessages,
+    testHandshake,
+    testRejectsInvalidMessages,
+    testInternalError,
+    testSessionFlowMatchesSchemas
+};
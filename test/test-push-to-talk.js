@@ -0,0 +1,102 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const {
+    DEFAULT_SESSION_CONFIG,
+    validateSessionConfig,
+    mergeSessionConfig
+} = require('../services/session-config');
+const { silenceConsole, waitFor, createStack, runSuite } = require('./helpers');
+
+async function testTurnDetectionNullMerges() {
+    const pushToTalk = mergeSessionConfig(DEFAULT_SESSION_CONFIG, validateSessionConfig({ turn_detection: null }));
+    assert.strictEqual(pushToTalk.turn_detection, null);
+
+    // Leaving push-to-talk falls back to the VAD defaults
+    const vad = mergeSessionConfig(pushToTalk, validateSessionConfig({ turn_detection: { silence_duration_ms: 800 } }));
+    assert.deepStrictEqual(vad.turn_detection, { ...DEFAULT_SESSION_CONFIG.turn_detection, silence_duration_ms: 800 });
+}
+
+async function testPushToTalkTurn() {
+    const { mock, service, client, teardown } = await createStack({
+        session: { turn_detection: null },
+        mock: { transcripts: ['Book a table'], responses: [{ text: 'Done', audioMs: 100 }] }
+    });
+
+    try {
+        await silenceConsole(async () => {
+            // Audio outside a held turn never reaches the API
+            await service.sendAudioData(Buffer.alloc(4800));
+            assert.strictEqual(service.startUserTurn(), true);
+            await service.sendAudioData(Buffer.alloc(4800));
+            await service.sendAudioData(Buffer.alloc(4800));
+            assert.strictEqual(service.endUserTurn(), true);
+
+            await waitFor(() => client.messagesOfType('response_complete').length === 1);
+        });
+
+        assert.strictEqual(mock.receivedOfType('session.update')[0].session.turn_detection, null);
+        assert.strictEqual(mock.receivedOfType('input_audio_buffer.append').length, 2);
+        assert.strictEqual(mock.receivedOfType('input_audio_buffer.clear').length, 1);
+        assert.strictEqual(mock.receivedOfType('input_audio_buffer.commit').length, 1);
+        assert.strictEqual(mock.receivedOfType('response.create').length, 1);
+
+        const [committed] = client.messagesOfType('ptt_committed');
+        assert.strictEqual(committed.payload.audio_ms, 200);
+        const [transcript] = client.messagesOfType('user_transcript');
+        assert.strictEqual(transcript.payload.item_id, committed.payload.item_id);
+        assert.strictEqual(transcript.payload.transcript, 'Book a table');
+        assert.strictEqual(client.messagesOfType('speech_started').length, 0);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testShortTapDiscarded() {
+    const { mock, service, client, teardown } = await createStack({ session: { turn_detection: null } });
+
+    try {
+        await silenceConsole(async () => {
+            service.startUserTurn();
+            await service.sendAudioData(Buffer.alloc(960));
+            assert.strictEqual(service.endUserTurn(), false);
+            await waitFor(() => mock.receivedOfType('input_audio_buffer.clear').length === 2);
+        });
+
+        assert.deepStrictEqual(client.messagesOfType('ptt_discarded').map(message => message.payload), [{ audio_ms: 20 }]);
+        assert.strictEqual(mock.receivedOfType('input_audio_buffer.commit').length, 0);
+        assert.strictEqual(mock.receivedOfType('response.create').length, 0);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testRequiresPushToTalkSession() {
+    const { service, teardown } = await createStack();
+
+    try {
+        assert.strictEqual(service.startUserTurn(), false);
+        assert.strictEqual(service.endUserTurn(), false);
+
+        silenceConsole(() => service.updateSession({ turn_detection: null }));
+        assert.strictEqual(silenceConsole(() => service.startUserTurn()), true);
+    } finally {
+        await teardown();
+    }
+}
+
+if (require.main === module) {
+    runSuite('Push-to-talk', {
+        'Turn detection null merges': testTurnDetectionNullMerges,
+        'Push-to-talk turn': testPushToTalkTurn,
+        'Short tap discarded': testShortTapDiscarded,
+        'Requires push-to-talk session': testRequiresPushToTalkSession
+    });
+}
+
+module.exports = {
+    testTurnDetectionNullMerges,
+    testPushToTalkTurn,
+    testShortTapDiscarded,
+    testRequiresPushToTalkSession
+};
@@ -0,0 +1,231 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const { RateLimitError, TokenBucket, RateLimiter } = require('../services/rate-limiter');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { SessionStateError } = require('../services/session-config');
+const { silenceConsole, waitFor, startTestServer, connect, withServer, runSuite } = require('./helpers');
+
+const UNLIMITED = { messagesPerSecond: 0, audioBytesPerMinute: 0, n8nPerMinute: 0, sessionsPerDay: 0, maxConcurrentSessions: 0 };
+
+function assertLimited(fn, limit) {
+    assert.throws(fn, (error) => {
+        assert.ok(error instanceof RateLimitError);
+        assert.strictEqual(error.code, 'rate_limited');
+        assert.strictEqual(error.limit, limit);
+        assert.ok(error.retryAfterMs > 0);
+        return true;
+    });
+}
+
+async function testTokenBucket() {
+    const bucket = new TokenBucket(2, 1000);
+    const now = bucket.updatedAt;
+
+    assert.strictEqual(bucket.take(1, now), 0);
+    assert.strictEqual(bucket.take(1, now), 0);
+    assert.strictEqual(bucket.take(1, now), 500);
+
+    // Half a second refills one token
+    assert.strictEqual(bucket.take(1, now + 500), 0);
+    // Oversized requests wait for a full bucket rather than forever
+    assert.strictEqual(bucket.take(10, now + 500), 1000);
+}
+
+async function testOversizedRequest() {
+    const bucket = new TokenBucket(2, 1000);
+    const now = bucket.updatedAt;
+
+    // Let through on a full bucket, but charged in full: 8 tokens of debt take 4 s to repay
+    assert.strictEqual(bucket.take(10, now), 0);
+    assert.strictEqual(bucket.take(1, now), 4500);
+    assert.strictEqual(bucket.take(1, now + 4000), 500);
+    assert.strictEqual(bucket.take(1, now + 4500), 0);
+
+    // One oversized audio chunk costs the user more than a minute of audio
+    const limiter = new RateLimiter({ ...UNLIMITED, audioBytesPerMinute: 96000 });
+    limiter.checkAudio('user:alice', 192000);
+    assert.throws(() => limiter.checkAudio('user:alice', 4800), (error) => {
+        assert.strictEqual(error.limit, 'audio_bytes_per_minute');
+        assert.ok(error.retryAfterMs > 60 * 1000);
+        return true;
+    });
+}
+
+async function testMessagesPerSocket() {
+    const limiter = new RateLimiter({ ...UNLIMITED, messagesPerSecond: 3 });
+    const first = limiter.createMessageBucket();
+    const second = limiter.createMessageBucket();
+
+    for (let i = 0; i < 3; i++) limiter.checkMessage(first);
+    assertLimited(() => limiter.checkMessage(first), 'messages_per_second');
+    limiter.checkMessage(second);
+
+    assert.strictEqual(new RateLimiter(UNLIMITED).createMessageBucket(), null);
+}
+
+async function testPerUserQuotas() {
+    const limiter = new RateLimiter({ ...UNLIMITED, audioBytesPerMinute: 96000, n8nPerMinute: 1 });
+    const alice = RateLimiter.userKey({ id: 'alice' }, '10.0.0.1');
+    assert.strictEqual(alice, 'user:alice');
+    assert.strictEqual(RateLimiter.userKey({ id: 'anonymous' }, '10.0.0.1'), 'ip:10.0.0.1');
+
+    // Audio is shared by all of a user's sockets
+    limiter.checkAudio(alice, 48000);
+    limiter.checkAudio(alice, 48000);
+    assertLimited(() => limiter.checkAudio(alice, 4800), 'audio_bytes_per_minute');
+    limiter.checkAudio('user:bob', 48000);
+
+    limiter.checkN8N(alice);
+    assertLimited(() => limiter.checkN8N(alice), 'n8n_per_minute');
+}
+
+async function testSessionQuotas() {
+    const limiter = new RateLimiter({ ...UNLIMITED, sessionsPerDay: 2, maxConcurrentSessions: 2 });
+    const [a, b, c] = [{}, {}, {}];
+
+    limiter.acquireSession(a, 'user:alice');
+    limiter.acquireSession(b, 'user:bob');
+    assertLimited(() => limiter.acquireSession(c, 'user:carol'), 'concurrent_sessions');
+
+    // Restarting on the same socket keeps its slot but still counts toward the day
+    limiter.acquireSession(a, 'user:alice');
+    assert.strictEqual(limiter.concurrentSessions, 2);
+    limiter.releaseSession(a);
+    assertLimited(() => limiter.acquireSession(a, 'user:alice'), 'sessions_per_day');
+    limiter.acquireSession(c, 'user:carol');
+
+    // A session that never started gives its slot and its daily count back
+    limiter.cancelSession(c, 'user:carol');
+    assert.strictEqual(limiter.concurrentSessions, 1);
+    limiter.acquireSession(c, 'user:carol');
+    limiter.acquireSession(c, 'user:carol');
+    assertLimited(() => limiter.acquireSession(c, 'user:carol'), 'sessions_per_day');
+
+    // The daily count resets at midnight UTC
+    const now = Date.now;
+    Date.now = () => now() + 24 * 60 * 60 * 1000;
+    try {
+        limiter.releaseSession(c);
+        limiter.acquireSession(a, 'user:alice');
+    } finally {
+        Date.now = now;
+    }
+}
+
+async function testServerEnforcesLimits() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0 });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const rateLimiter = new RateLimiter({ ...UNLIMITED, messagesPerSecond: 5, maxConcurrentSessions: 1, n8nPerMinute: 1 });
+    const { baseUrl, wsUrl, close } = await startTestServer({ rateLimiter, conversationStore: new MemoryConversationStore() });
+
+    const connect = async () => {
+        const socket = new WebSocket(wsUrl);
+        socket.received = [];
+        socket.on('message', data => socket.received.push(JSON.parse(data.toString())));
+        await new Promise(resolve => socket.once('open', resolve));
+        return socket;
+    };
+    const send = (socket, message) => socket.send(JSON.stringify(message));
+    const limitsHit = socket => socket.received
+        .filter(message => message.payload?.code === 'rate_limited')
+        .map(message => message.payload.limit);
+
+    const sockets = [];
+    try {
+        await silenceConsole(async () => {
+            const [first, second] = [await connect(), await connect()];
+            sockets.push(first, second);
+
+            send(first, { type: 'start_session' });
+            await waitFor(() => first.received.some(message => message.type === 'session_started'));
+            send(second, { type: 'start_session' });
+            await waitFor(() => limitsHit(second).length === 1);
+
+            // A burst past the per-second limit is answered with a single notice
+            for (let i = 0; i < 20; i++) send(first, { type: 'ptt_end' });
+            await waitFor(() => limitsHit(first).length === 1);
+            // Let the bucket refill so end_session gets through
+            await new Promise(resolve => setTimeout(resolve, 400));
+
+            // Ending the first session frees the slot
+            send(first, { type: 'end_session' });
+            await waitFor(() => rateLimiter.concurrentSessions === 0, 3000);
+            send(second, { type: 'start_session' });
+            await waitFor(() => second.received.some(message => message.type === 'session_started'));
+            assert.strictEqual(rateLimiter.concurrentSessions, 1);
+        });
+
+        assert.deepStrictEqual(limitsHit(sockets[0]), ['messages_per_second']);
+        assert.deepStrictEqual(limitsHit(sockets[1]), ['concurrent_sessions']);
+        assert.ok(sockets[1].received.find(message => message.payload?.limit === 'concurrent_sessions').payload.retry_after_ms > 0);
+
+        const trigger = () => silenceConsole(() => fetch(`${baseUrl}/api/n8n/trigger`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'notification' })
+        }));
+        assert.strictEqual((await trigger()).status, 200);
+        const limited = await trigger();
+        assert.strictEqual(limited.status, 429);
+        assert.ok(parseInt(limited.headers.get('retry-after'), 10) > 0);
+        assert.strictEqual((await limited.json()).limit, 'n8n_per_minute');
+    } finally {
+        sockets.forEach(socket => socket.terminate());
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+async function testFailedStartKeepsDailyQuota() {
+    const rateLimiter = new RateLimiter({ ...UNLIMITED, sessionsPerDay: 1, maxConcurrentSessions: 1 });
+    await withServer({ rateLimiter }, async ({ wsUrl, agent }) => {
+        const client = await connect(wsUrl);
+        const [serverSocket] = agent.wss.clients;
+        const { openaiService } = serverSocket.services;
+        const startSession = openaiService.startSession;
+        openaiService.startSession = async () => {
+            throw new SessionStateError('upstream_unavailable', 'Could not connect to the OpenAI Realtime API');
+        };
+
+        client.send({ type: 'start_session' });
+        await waitFor(() => client.ofType('error').length === 1);
+        assert.strictEqual(client.ofType('error')[0].payload.code, 'upstream_unavailable');
+        assert.strictEqual(rateLimiter.concurrentSessions, 0);
+
+        // The only session of the day is still available
+        openaiService.startSession = startSession;
+        client.send({ type: 'start_session' });
+        await waitFor(() => client.ofType('session_started').length === 1);
+        assert.strictEqual(rateLimiter.dailySessions.get(serverSocket.userKey).count, 1);
+        client.socket.terminate();
+    });
+}
+
+if (require.main === module) {
+    runSuite('Rate Limiter', {
+        'Token bucket': testTokenBucket,
+        'Oversized request': testOversizedRequest,
+        'Messages per socket': testMessagesPerSocket,
+        'Per-user quotas': testPerUserQuotas,
+        'Session quotas': testSessionQuotas,
+        'Server enforces limits': testServerEnforcesLimits,
+        'Failed start keeps daily quota': testFailedStartKeepsDailyQuota
+    });
+}
+
+module.exports = {
+    testTokenBucket,
+    testOversizedRequest,
+    testMessagesPerSocket,
+    testPerUserQuotas,
+    testSessionQuotas,
+    testServerEnforcesLimits,
+    testFailedStartKeepsDailyQuota
+};
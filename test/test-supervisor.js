@@ -0,0 +1,275 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const LiveMonitor = require('../services/live-monitor');
+const { AuthService, ApiKeyVerifier } = require('../services/auth');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const { toMarkdown } = require('../services/conversation-export');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, startTestServer, openSocket, runSuite } = require('./helpers');
+
+// Stands in for an admin socket
+function fakeListener() {
+    const listener = { readyState: WebSocket.OPEN, received: [] };
+    listener.send = data => listener.received.push(JSON.parse(data));
+    listener.ofType = type => listener.received.filter(message => message.type === type);
+    return listener;
+}
+
+// PCM16 with every sample set to `value`
+function tone(ms, value) {
+    const pcm = Buffer.alloc(ms * 48);
+    for (let i = 0; i < pcm.length; i += 2) {
+        pcm.writeInt16LE(value, i);
+    }
+    return pcm.toString('base64');
+}
+
+function samples(base64) {
+    const pcm = Buffer.from(base64, 'base64');
+    return Array.from({ length: pcm.length / 2 }, (_, i) => pcm.readInt16LE(i * 2));
+}
+
+async function testMixesBothSides() {
+    let now = 0;
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    const monitor = new LiveMonitor({ connectionId: 'c1', delayMs: 0, now: () => now });
+    const listener = fakeListener();
+    monitor.attach(service);
+    monitor.addListener(listener);
+    assert.deepStrictEqual(listener.ofType('listen_started')[0].payload, { connection_id: 'c1', sample_rate: 24000, format: 'pcm16' });
+
+    // 100ms of caller audio that just arrived, then the agent starts talking over the next 50ms
+    now = 100;
+    service.emit('user_audio', { audio: tone(100, 1000) });
+    service.emit('audio_response', { audio: tone(50, 2000), item_id: 'item_1' });
+    monitor.flush();
+    now = 200;
+    monitor.flush();
+
+    const chunks = listener.ofType('listen_audio').map(message => samples(message.payload.audio));
+    assert.strictEqual(chunks.length, 2);
+    assert.ok(chunks[0].length === 2400 && chunks[0].every(sample => sample === 1000));
+    assert.ok(chunks[1].slice(0, 1200).every(sample => sample === 2000));
+    assert.ok(chunks[1].slice(1200).every(sample => sample === 0));
+
+    // Overlapping speech is summed and clipped
+    service.emit('audio_response', { audio: tone(10, 30000), item_id: 'item_2' });
+    now = 210;
+    service.emit('user_audio', { audio: tone(10, 30000) });
+    monitor.flush();
+    assert.ok(samples(listener.ofType('listen_audio')[2].payload.audio).every(sample => sample === 32767));
+
+    // What the caller never heard after a barge-in is silent
+    service.emit('audio_response', { audio: tone(100, 500), item_id: 'item_3' });
+    service.emit('response_interrupted', { item_id: 'item_3', audio_end_ms: 20 });
+    now = 310;
+    monitor.flush();
+    const cut = samples(listener.ofType('listen_audio')[3].payload.audio);
+    assert.ok(cut.slice(0, 480).every(sample => sample === 500));
+    assert.ok(cut.slice(480).every(sample => sample === 0));
+
+    service.emit('user_text', { text: 'Is anyone there?' });
+    service.emit('supervisor_whisper', { text: 'Offer a callback' });
+    assert.deepStrictEqual(listener.ofType('listen_transcript').map(({ payload }) => [payload.speaker, payload.text]), [
+        ['user', 'Is anyone there?'],
+        ['supervisor', 'Offer a callback']
+    ]);
+
+    monitor.stop('session_ended');
+    assert.deepStrictEqual(listener.ofType('listen_stopped')[0].payload, { connection_id: 'c1', reason: 'session_ended' });
+    assert.strictEqual(monitor.handlers.size, 0);
+    assert.strictEqual(monitor.listeners.size, 0);
+}
+
+async function testWhisperIsSilent() {
+    const service = silenceConsole(() => new OpenAIRealtimeService());
+    const sent = [];
+    const whispers = [];
+    service.sendToOpenAI = message => sent.push(message);
+    service.on('supervisor_whisper', data => whispers.push(data));
+
+    assert.strictEqual(service.whisper('Offer a refund'), false);
+    service.isConnected = true;
+    assert.strictEqual(service.whisper('Offer a refund', { id: 'lead' }), true);
+
+    // One system item and no response, so nothing is spoken
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].type, 'conversation.item.create');
+    assert.strictEqual(sent[0].item.role, 'system');
+    assert.strictEqual(sent[0].item.content[0].type, 'input_text');
+    assert.ok(sent[0].item.content[0].text.endsWith('Offer a refund'));
+    assert.deepStrictEqual(whispers, [{ text: 'Offer a refund', supervisor: { id: 'lead' } }]);
+
+    // Replayed on a fresh upstream session like the rest of the conversation
+    sent.length = 0;
+    assert.strictEqual(service.replayConversation(), 1);
+    assert.strictEqual(sent[0].item.role, 'system');
+    assert.strictEqual(sent[0].item.content[0].type, 'input_text');
+}
+
+async function testListenAndWhisper() {
+    // VAD never ends the caller's turn, so only the typed message gets a reply
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, vadSilenceMs: 60000, responses: [{ text: 'How can I help?', audioMs: 100 }] });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const auth = new AuthService({ secret: 'test-secret', verifier: new ApiKeyVerifier('') });
+    const store = new MemoryConversationStore();
+    const { agent, baseUrl, wsUrl, close } = await startTestServer({ auth, conversationStore: store });
+    const userToken = auth.tokens.issue({ id: 'alice' }).token;
+    const adminToken = auth.tokens.issue({ id: 'lead', role: 'admin' }).token;
+    const whisper = (connectionId, body, token = adminToken) => fetch(`${baseUrl}/api/admin/sessions/${connectionId}/whisper`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    let feed;
+    let user;
+
+    try {
+        let connectionId;
+        await silenceConsole(async () => {
+            feed = await openSocket(`${wsUrl}/admin/feed?access_token=${adminToken}`);
+            user = await openSocket(`${wsUrl}/?access_token=${userToken}`);
+            await waitFor(() => feed.ofType('sessions').at(-1)?.payload.total === 1);
+            connectionId = feed.ofType('sessions').at(-1).payload.sessions[0].connection_id;
+
+            // Nothing to listen to before a session starts
+            feed.sendJSON({ type: 'listen', payload: { connection_id: connectionId } });
+            await waitFor(() => feed.ofType('error').length === 1);
+
+            user.sendJSON({ type: 'start_session' });
+            await waitFor(() => user.ofType('session_started').length === 1);
+            feed.sendJSON({ type: 'listen', payload: { connection_id: connectionId } });
+            await waitFor(() => feed.ofType('listen_started').length === 1);
+
+            user.sendJSON({ type: 'audio_data', payload: tone(100, 1000) });
+            user.sendJSON({ type: 'send_text', payload: { text: 'My card is blocked' } });
+            await waitFor(() => feed.ofType('listen_transcript').length === 2);
+            await waitFor(() => feed.ofType('listen_audio').some(({ payload }) => samples(payload.audio).includes(1000)));
+
+            feed.sendJSON({ type: 'whisper', payload: { connection_id: connectionId, text: 'Offer to reissue the card' } });
+            await waitFor(() => feed.ofType('whisper_sent').length === 1);
+        });
+        assert.strictEqual(feed.ofType('error')[0].payload.code, 'session_not_active');
+        assert.deepStrictEqual(feed.ofType('listen_transcript').map(({ payload }) => [payload.speaker, payload.text]), [
+            ['user', 'My card is blocked'],
+            ['assistant', 'How can I help?'],
+            ['supervisor', 'Offer to reissue the card']
+        ]);
+
+        // The model got a system item and was not asked to reply
+        const responsesBefore = mock.receivedOfType('response.create').length;
+        const restWhisper = await silenceConsole(() => whisper(connectionId, { text: 'Keep it short' }));
+        assert.strictEqual(restWhisper.status, 200);
+        await waitFor(() => feed.ofType('listen_transcript').length === 4);
+        const items = mock.receivedOfType('conversation.item.create').filter(event => event.item.role === 'system');
+        assert.strictEqual(items.length, 2);
+        assert.ok(items[0].item.content[0].text.endsWith('Offer to reissue the card'));
+        assert.strictEqual(mock.receivedOfType('response.create').length, responsesBefore);
+        assert.strictEqual(feed.ofType('listen_transcript')[3].payload.text, 'Keep it short');
+        // The caller's client hears and sees nothing of it
+        assert.strictEqual(JSON.stringify(user.received).includes('reissue'), false);
+
+        assert.strictEqual((await whisper(connectionId, { text: ' ' })).status, 400);
+        assert.strictEqual((await whisper('nope', { text: 'Hi' })).status, 404);
+        assert.strictEqual((await whisper(connectionId, { text: 'Hi' }, userToken)).status, 403);
+
+        await silenceConsole(async () => {
+            user.sendJSON({ type: 'end_session' });
+            await waitFor(() => feed.ofType('listen_stopped').length === 1);
+        });
+        assert.deepStrictEqual(feed.ofType('listen_stopped')[0].payload, { connection_id: connectionId, reason: 'session_ended' });
+        assert.strictEqual(agent.findConnection(connectionId).services.monitor, null);
+
+        const { conversationId } = user.ofType('session_started')[0].payload;
+        const record = await store.get(conversationId);
+        const whispers = record.events.filter(event => event.type === 'supervisor_whisper');
+        assert.deepStrictEqual(whispers.map(({ supervisorId, text }) => [supervisorId, text]), [
+            ['lead', 'Offer to reissue the card'],
+            ['lead', 'Keep it short']
+        ]);
+        assert.ok(toMarkdown(record).includes('_Supervisor whisper (not heard by the caller):_ Keep it short'));
+    } finally {
+        feed?.terminate();
+        user?.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+async function testFeedStopsListening() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0 });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const auth = new AuthService({ secret: 'test-secret', verifier: new ApiKeyVerifier('') });
+    const { agent, wsUrl, close } = await startTestServer({ auth, conversationStore: new MemoryConversationStore() });
+    const feedUrl = `${wsUrl}/admin/feed?access_token=${auth.tokens.issue({ id: 'lead', role: 'admin' }).token}`;
+    let feeds = [];
+    let user;
+
+    try {
+        await silenceConsole(async () => {
+            user = await openSocket(`${wsUrl}/?access_token=${auth.tokens.issue({ id: 'alice' }).token}`);
+            user.sendJSON({ type: 'start_session' });
+            await waitFor(() => user.ofType('session_started').length === 1);
+        });
+        const [ws] = Array.from(agent.wss.clients).filter(client => client.services);
+
+        // Two supervisors share one monitor; it goes away with the last of them
+        feeds = await silenceConsole(() => Promise.all([openSocket(feedUrl), openSocket(feedUrl)]));
+        const [first, second] = feeds;
+        await silenceConsole(async () => {
+            [first, second].forEach(feed => feed.sendJSON({ type: 'listen', payload: { connection_id: ws.connectionId } }));
+            await waitFor(() => first.ofType('listen_started').length === 1 && second.ofType('listen_started').length === 1);
+        });
+        const { monitor } = ws.services;
+        assert.strictEqual(monitor.listeners.size, 2);
+
+        await silenceConsole(async () => {
+            first.sendJSON({ type: 'unlisten' });
+            await waitFor(() => first.ofType('listen_stopped').length === 1);
+            first.sendJSON({ type: 'unlisten' });
+            await waitFor(() => first.ofType('error').length === 1);
+        });
+        assert.strictEqual(first.ofType('listen_stopped')[0].payload.reason, 'stopped');
+        assert.strictEqual(first.ofType('error')[0].payload.code, 'not_listening');
+        assert.strictEqual(ws.services.monitor, monitor);
+
+        await silenceConsole(async () => {
+            second.terminate();
+            await waitFor(() => ws.services.monitor === null);
+        });
+        assert.strictEqual(monitor.timer, null);
+        assert.strictEqual(monitor.handlers.size, 0);
+    } finally {
+        feeds.forEach(feed => feed.terminate());
+        user?.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+if (require.main === module) {
+    runSuite('Supervisor', {
+        'Mixes both sides': testMixesBothSides,
+        'Whisper is silent': testWhisperIsSilent,
+        'Listen and whisper': testListenAndWhisper,
+        'Feed stops listening': testFeedStopsListening
+    });
+}
+
+module.exports = {
+    testMixesBothSides,
+    testWhisperIsSilent,
+    testListenAndWhisper,
+    testFeedStopsListening
+};
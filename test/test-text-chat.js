@@ -0,0 +1,149 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const PersonaLibrary = require('../services/persona-library');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const {
+    DEFAULT_SESSION_CONFIG,
+    SessionConfigError,
+    validateSessionConfig,
+    buildSessionPayload
+} = require('../services/session-config');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, createStack, startTestServer, runSuite } = require('./helpers');
+
+function joinedText(client) {
+    return client.messagesOfType('text_response').map(message => message.payload.text).join('');
+}
+
+async function testValidatesModalities() {
+    assert.deepStrictEqual(validateSessionConfig({ modalities: ['audio', 'text'] }).modalities, ['text', 'audio']);
+    assert.deepStrictEqual(validateSessionConfig({ modalities: ['audio'] }).modalities, ['audio']);
+
+    [[], ['video'], 'text'].forEach((modalities) => {
+        assert.throws(() => validateSessionConfig({ modalities }), SessionConfigError);
+    });
+}
+
+async function testUpstreamModalities() {
+    const persona = silenceConsole(() => new PersonaLibrary().load()).getDefault();
+    const payload = config => buildSessionPayload({ ...DEFAULT_SESSION_CONFIG, ...config }, persona);
+
+    assert.deepStrictEqual(payload({}).modalities, ['text', 'audio']);
+    assert.deepStrictEqual(payload({ modalities: ['text'] }).modalities, ['text']);
+    assert.deepStrictEqual(payload({ modalities: ['audio'] }).modalities, ['text', 'audio']);
+}
+
+async function testSendTextInTextOnlySession() {
+    const { mock, service, client, teardown } = await createStack({ session: { modalities: ['text'] }, mock: { responses: [{ text: 'Your order has shipped' }] } });
+
+    try {
+        await silenceConsole(async () => {
+            assert.strictEqual(service.sendText('Where is my order?'), true);
+            await waitFor(() => client.messagesOfType('response_complete').length === 1);
+        });
+
+        const [item] = mock.receivedOfType('conversation.item.create');
+        assert.deepStrictEqual(item.item.content, [{ type: 'input_text', text: 'Where is my order?' }]);
+        assert.strictEqual(joinedText(client), 'Your order has shipped');
+        assert.strictEqual(client.messagesOfType('audio_response').length, 0);
+        assert.deepStrictEqual(service.conversationItems, [
+            { role: 'user', text: 'Where is my order?' },
+            { role: 'assistant', text: 'Your order has shipped' }
+        ]);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testAudioOnlyHidesTranscript() {
+    const { service, client, teardown } = await createStack({ session: { modalities: ['audio'] }, mock: { responses: [{ text: 'Hello', audioMs: 100 }] } });
+
+    try {
+        await silenceConsole(async () => {
+            service.sendText('Hi');
+            await waitFor(() => client.messagesOfType('response_complete').length === 1);
+        });
+
+        assert.ok(client.messagesOfType('audio_response').length > 0);
+        assert.strictEqual(client.messagesOfType('text_response').length, 0);
+    } finally {
+        await teardown();
+    }
+}
+
+async function testMixedShowsTranscript() {
+    const { service, client, teardown } = await createStack({ mock: { responses: [{ text: 'Hello', audioMs: 100 }] } });
+
+    try {
+        await silenceConsole(async () => {
+            service.sendText('Hi');
+            await waitFor(() => client.messagesOfType('response_complete').length === 1);
+        });
+
+        assert.ok(client.messagesOfType('audio_response').length > 0);
+        assert.strictEqual(joinedText(client), 'Hello');
+    } finally {
+        await teardown();
+    }
+}
+
+async function testServerSendText() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, responses: [{ text: 'Typed reply' }] });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const { wsUrl, close } = await startTestServer({ conversationStore: new MemoryConversationStore() });
+
+    const received = [];
+    const socket = new WebSocket(wsUrl);
+    socket.on('message', data => received.push(JSON.parse(data.toString())));
+    const send = message => socket.send(JSON.stringify(message));
+    const errors = () => received.filter(message => message.type === 'error').map(message => message.payload.code);
+
+    try {
+        await silenceConsole(async () => {
+            await new Promise(resolve => socket.once('open', resolve));
+
+            send({ type: 'send_text', payload: { text: 'Too early' } });
+            send({ type: 'send_text', payload: { text: '   ' } });
+            await waitFor(() => errors().length === 2);
+
+            send({ type: 'start_session', payload: { modalities: ['text'] } });
+            await waitFor(() => received.some(message => message.type === 'session_started'));
+            send({ type: 'send_text', payload: { text: 'Hello?' } });
+            await waitFor(() => received.some(message => message.type === 'response_complete'));
+        });
+
+        assert.deepStrictEqual(errors(), ['session_not_active', 'invalid_text']);
+        const text = received.filter(message => message.type === 'text_response').map(message => message.payload.text).join('');
+        assert.strictEqual(text, 'Typed reply');
+    } finally {
+        socket.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+if (require.main === module) {
+    runSuite('Text Chat', {
+        'Validates modalities': testValidatesModalities,
+        'Upstream modalities': testUpstreamModalities,
+        'Send text in text-only session': testSendTextInTextOnlySession,
+        'Audio-only hides transcript': testAudioOnlyHidesTranscript,
+        'Mixed shows transcript': testMixedShowsTranscript,
+        'Server send_text': testServerSendText
+    });
+}
+
+module.exports = {
+    testValidatesModalities,
+    testUpstreamModalities,
+    testSendTextInTextOnlySession,
+    testAudioOnlyHidesTranscript,
+    testMixedShowsTranscript,
+    testServerSendText
+};
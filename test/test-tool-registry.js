@@ -0,0 +1,136 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const { ToolRegistry, createDefaultToolRegistry } = require('../services/tool-registry');
+const { silenceConsole, runSuite } = require('./helpers');
+
+// Records trigger calls instead of posting to an n8n webhook
+function createFakeN8N() {
+    const calls = [];
+    const trigger = (type) => async (data) => {
+        calls.push({ type, data });
+        return { success: true, data: { id: `${type}-1` }, status: 200 };
+    };
+
+    return {
+        calls,
+        triggerTicketCreation: trigger('create_ticket'),
+        triggerUserAuthentication: trigger('user_authentication'),
+        triggerPaymentProcessing: trigger('payment_processing'),
+        triggerNotification: trigger('notification')
+    };
+}
+
+function createServiceWithTools(registry) {
+    const service = silenceConsole(() => new OpenAIRealtimeService({ toolRegistry: registry }));
+    service.sent = [];
+    service.sendToOpenAI = (message) => service.sent.push(message);
+    return service;
+}
+
+async function testDefaultDefinitions() {
+    const registry = createDefaultToolRegistry(createFakeN8N());
+    const definitions = registry.getDefinitions();
+
+    assert.deepStrictEqual(
+        definitions.map(tool => tool.name),
+        ['create_ticket', 'authenticate_user', 'process_payment', 'send_notification']
+    );
+    definitions.forEach((tool) => {
+        assert.strictEqual(tool.type, 'function');
+        assert.strictEqual(tool.parameters.type, 'object');
+        assert.ok(tool.description);
+    });
+    assert.deepStrictEqual(registry.getDefinitions(['create_ticket']).map(tool => tool.name), ['create_ticket']);
+}
+
+async function testSessionAdvertisesTools() {
+    const service = createServiceWithTools(createDefaultToolRegistry(createFakeN8N()));
+    service.initializeSession();
+
+    const [update] = service.sent;
+    assert.strictEqual(update.type, 'session.update');
+    assert.strictEqual(update.session.tools.length, 4);
+}
+
+async function testFunctionCallRoundTrip() {
+    const n8n = createFakeN8N();
+    const service = createServiceWithTools(createDefaultToolRegistry(n8n));
+    const events = [];
+    service.on('tool_call', data => events.push(['tool_call', data]));
+    service.on('tool_result', data => events.push(['tool_result', data]));
+
+    await silenceConsole(() => service.handleFunctionCall({
+        type: 'response.function_call_arguments.done',
+        call_id: 'call_1',
+        name: 'create_ticket',
+        arguments: JSON.stringify({ subject: 'Refund', description: 'Card charged twice' })
+    }));
+
+    assert.deepStrictEqual(n8n.calls, [{
+        type: 'create_ticket',
+        data: { subject: 'Refund', description: 'Card charged twice' }
+    }]);
+    assert.deepStrictEqual(events.map(([name]) => name), ['tool_call', 'tool_result']);
+    assert.strictEqual(events[1][1].success, true);
+
+    assert.deepStrictEqual(service.sent, [
+        {
+            type: 'conversation.item.create',
+            item: {
+                type: 'function_call_output',
+                call_id: 'call_1',
+                output: JSON.stringify({ success: true, data: { id: 'create_ticket-1' }, status: 200 })
+            }
+        },
+        { type: 'response.create' }
+    ]);
+}
+
+async function testUnknownToolAndBadArguments() {
+    const registry = new ToolRegistry();
+    registry.register('echo', { description: 'Echo', handler: args => ({ success: true, args }) });
+
+    const unknown = await registry.execute('missing', '{}');
+    assert.strictEqual(unknown.success, false);
+
+    const invalid = await registry.execute('echo', '{not json');
+    assert.strictEqual(invalid.success, false);
+    assert.ok(invalid.error.includes('Invalid arguments'));
+
+    const echoed = await registry.execute('echo', '{"a":1}');
+    assert.deepStrictEqual(echoed, { success: true, args: { a: 1 } });
+}
+
+async function testHandlerErrorIsReported() {
+    const registry = new ToolRegistry();
+    registry.register('boom', { handler: () => { throw new Error('n8n down'); } });
+    const service = createServiceWithTools(registry);
+    const results = [];
+    service.on('tool_result', data => results.push(data));
+
+    await silenceConsole(() => service.handleFunctionCall({ call_id: 'call_2', name: 'boom', arguments: '{}' }));
+
+    assert.strictEqual(results[0].success, false);
+    assert.strictEqual(JSON.parse(service.sent[0].item.output).error, 'n8n down');
+    assert.strictEqual(service.sent[1].type, 'response.create');
+}
+
+if (require.main === module) {
+    runSuite('Tool Registry', {
+        'Default tool definitions': testDefaultDefinitions,
+        'Session advertises tools': testSessionAdvertisesTools,
+        'Function call round trip': testFunctionCallRoundTrip,
+        'Unknown tool and bad arguments': testUnknownToolAndBadArguments,
+        'Handler error is reported': testHandlerErrorIsReported
+    });
+}
+
+module.exports = {
+    testDefaultDefinitions,
+    testSessionAdvertisesTools,
+    testFunctionCallRoundTrip,
+    testUnknownToolAndBadArguments,
+    testHandlerErrorIsReported
+};
@@ -0,0 +1,175 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const OpenAIRealtimeService = require('../services/openai-realtime');
+const { silenceConsole, waitFor, runSuite } = require('./helpers');
+
+// Local stand-in for the Realtime API that records every connection
+function startFakeUpstream() {
+    return new Promise((resolve) => {
+        const server = new WebSocket.Server({ port: 0 }, () => {
+            const connections = [];
+            server.on('connection', (socket) => {
+                const connection = { socket, received: [] };
+                socket.on('message', data => connection.received.push(JSON.parse(data.toString())));
+                connections.push(connection);
+            });
+            resolve({ server, connections, port: server.address().port });
+        });
+    });
+}
+
+function createService(port, options = {}) {
+    const service = silenceConsole(() => new OpenAIRealtimeService({ reconnectDelay: 10, ...options }));
+    service.createSocket = () => new WebSocket(`ws://localhost:${port}`);
+    service.events = [];
+    ['upstream_reconnecting', 'upstream_restored', 'upstream_failed'].forEach((event) => {
+        service.on(event, data => service.events.push([event, data]));
+    });
+    return service;
+}
+
+function send(connection, message) {
+    connection.socket.send(JSON.stringify(message));
+}
+
+async function testReconnectsAndReplays() {
+    const upstream = await startFakeUpstream();
+    const service = createService(upstream.port);
+
+    try {
+        await silenceConsole(async () => {
+            await service.startSession({ persona: 'default' });
+            await waitFor(() => upstream.connections.length === 1 && upstream.connections[0].received.length > 0);
+
+            const [first] = upstream.connections;
+            send(first, { type: 'conversation.item.input_audio_transcription.completed', transcript: 'What is my balance?' });
+            send(first, {
+                type: 'response.done',
+                response: {
+                    id: 'resp_1',
+                    status: 'completed',
+                    output: [{ type: 'message', content: [{ type: 'audio', transcript: 'Your balance is 500 taka.' }] }]
+                }
+            });
+            await waitFor(() => service.conversationItems.length === 2);
+
+            first.socket.terminate();
+            await waitFor(() => upstream.connections.length === 2 && upstream.connections[1].received.length >= 3);
+        });
+
+        const second = upstream.connections[1].received;
+        assert.strictEqual(second[0].type, 'session.update');
+        assert.deepStrictEqual(second.slice(1), [
+            {
+                type: 'conversation.item.create',
+                item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'What is my balance?' }] }
+            },
+            {
+                type: 'conversation.item.create',
+                item: { type: 'message', role: 'assistant', content: [{ type: 'text', text: 'Your balance is 500 taka.' }] }
+            }
+        ]);
+
+        assert.deepStrictEqual(service.events, [
+            ['upstream_reconnecting', { attempt: 1, max_attempts: 5, delay_ms: 10 }],
+            ['upstream_restored', { attempts: 1, replayed_items: 2 }]
+        ]);
+        assert.strictEqual(service.isConnected, true);
+        assert.strictEqual(service.reconnectAttempts, 0);
+    } finally {
+        await silenceConsole(() => service.endSession());
+        upstream.server.close();
+    }
+}
+
+async function testGivesUpAfterMaxAttempts() {
+    const upstream = await startFakeUpstream();
+    const service = createService(upstream.port, { maxReconnectAttempts: 2 });
+
+    try {
+        await silenceConsole(async () => {
+            await service.startSession();
+            await waitFor(() => upstream.connections.length === 1);
+
+            // Stop listening so every reconnect attempt is refused
+            upstream.server.close();
+            upstream.connections[0].socket.terminate();
+
+            await waitFor(() => service.events.some(([event]) => event === 'upstream_failed'));
+        });
+
+        assert.deepStrictEqual(service.events.map(([event]) => event), [
+            'upstream_reconnecting',
+            'upstream_reconnecting',
+            'upstream_failed'
+        ]);
+        assert.strictEqual(service.events[1][1].delay_ms, 20);
+        assert.strictEqual(service.isSessionActive, false);
+    } finally {
+        await silenceConsole(() => service.endSession());
+        upstream.server.close();
+    }
+}
+
+async function testStartWaitsForUpstream() {
+    const upstream = await startFakeUpstream();
+    const service = createService(upstream.port);
+
+    try {
+        await silenceConsole(() => service.startSession());
+        // Resolved only once the socket is open and configured
+        assert.strictEqual(service.isConnected, true);
+        await waitFor(() => upstream.connections.length === 1 && upstream.connections[0].received.length === 1);
+        assert.strictEqual(upstream.connections[0].received[0].type, 'session.update');
+    } finally {
+        await silenceConsole(() => service.endSession());
+        upstream.server.close();
+    }
+
+    // Nothing listening: the start fails once the retries run out
+    const unreachable = createService(upstream.port, { maxReconnectAttempts: 1 });
+    await silenceConsole(() => assert.rejects(() => unreachable.startSession(), { code: 'upstream_unavailable' }));
+    assert.strictEqual(unreachable.isSessionActive, false);
+
+    // Ending a session that hasn't connected yet settles the start too
+    const abandoned = createService(upstream.port, { reconnectDelay: 60000 });
+    await silenceConsole(async () => {
+        const starting = abandoned.startSession();
+        await abandoned.endSession();
+        await assert.rejects(() => starting, { code: 'session_not_active' });
+        // Let the aborted socket report its error while the console is still quiet
+        await new Promise(resolve => setTimeout(resolve, 20));
+    });
+}
+
+async function testEndSessionDoesNotReconnect() {
+    const upstream = await startFakeUpstream();
+    const service = createService(upstream.port);
+
+    try {
+        await silenceConsole(async () => {
+            await service.startSession();
+            await waitFor(() => service.isConnected);
+            await service.endSession();
+            await new Promise(resolve => setTimeout(resolve, 50));
+        });
+
+        assert.strictEqual(upstream.connections.length, 1);
+        assert.deepStrictEqual(service.events, []);
+    } finally {
+        upstream.server.close();
+    }
+}
+
+if (require.main === module) {
+    runSuite('Upstream Reconnect', {
+        'Reconnects and replays conversation': testReconnectsAndReplays,
+        'Gives up after max attempts': testGivesUpAfterMaxAttempts,
+        'Start waits for upstream': testStartWaitsForUpstream,
+        'End session does not reconnect': testEndSessionDoesNotReconnect
+    });
+}
+
+module.exports = { testReconnectsAndReplays, testGivesUpAfterMaxAttempts, testStartWaitsForUpstream, testEndSessionDoesNotReconnect };
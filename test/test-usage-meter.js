@@ -0,0 +1,159 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { DEFAULT_PRICES, loadPriceTable, normalizeUsage, estimateCost, UsageMeter } = require('../services/usage-meter');
+const { MemoryConversationStore } = require('../services/conversation-store');
+const MockRealtimeServer = require('./mock-realtime-server');
+const { silenceConsole, waitFor, startTestServer, runSuite } = require('./helpers');
+
+const PRICES = {
+    default: { text_input: 5, text_cached_input: 2.5, text_output: 20, audio_input: 100, audio_cached_input: 20, audio_output: 200 }
+};
+
+function usage({ text = 0, audio = 0, cached = 0, cachedDetails, outText = 0, outAudio = 0 }) {
+    return {
+        input_token_details: { text_tokens: text, audio_tokens: audio, cached_tokens: cached, cached_tokens_details: cachedDetails },
+        output_token_details: { text_tokens: outText, audio_tokens: outAudio }
+    };
+}
+
+async function testNormalizesUsage() {
+    assert.deepStrictEqual(normalizeUsage(usage({ text: 1000, audio: 500, cached: 600, cachedDetails: { text_tokens: 400, audio_tokens: 200 }, outText: 30, outAudio: 90 })), {
+        text_input: 600,
+        text_cached_input: 400,
+        text_output: 30,
+        audio_input: 300,
+        audio_cached_input: 200,
+        audio_output: 90
+    });
+
+    // Without the breakdown, cached tokens are attributed to text first
+    const legacy = normalizeUsage(usage({ text: 100, audio: 500, cached: 300 }));
+    assert.strictEqual(legacy.text_cached_input, 100);
+    assert.strictEqual(legacy.audio_cached_input, 200);
+    assert.strictEqual(legacy.audio_input, 300);
+
+    assert.deepStrictEqual(Object.values(normalizeUsage()), [0, 0, 0, 0, 0, 0]);
+}
+
+async function testEstimatesCost() {
+    const tokens = normalizeUsage(usage({ text: 1000000, audio: 10000, outAudio: 5000 }));
+    // $5 of text in, $1 of audio in, $1 of audio out
+    assert.strictEqual(estimateCost(tokens, PRICES.default), 7);
+    assert.ok(DEFAULT_PRICES['gpt-4o-realtime-preview-2024-10-01']);
+}
+
+async function testAggregatesPerSessionAndUser() {
+    const meter = new UsageMeter({ prices: PRICES });
+    const response = usage({ audio: 10000, outAudio: 5000 });
+
+    meter.record({ sessionId: 'conv-1', userId: 'alice', model: 'unknown-model', usage: response });
+    const second = meter.record({ sessionId: 'conv-1', userId: 'alice', model: 'unknown-model', usage: response });
+    meter.record({ sessionId: 'conv-2', userId: 'alice', model: 'unknown-model', usage: response });
+    meter.record({ sessionId: 'conv-3', userId: 'bob', model: 'unknown-model', usage: response });
+
+    assert.strictEqual(second.response.cost_usd, 2);
+    assert.strictEqual(second.session.responses, 2);
+    assert.strictEqual(second.session.cost_usd, 4);
+    assert.strictEqual(meter.getUser('alice').cost_usd, 6);
+    assert.strictEqual(meter.getUser('alice').tokens.audio_output, 15000);
+    assert.deepStrictEqual(meter.sessionsForUser('alice').map(session => session.conversation_id), ['conv-1', 'conv-2']);
+    assert.strictEqual(meter.getUser('nobody').responses, 0);
+
+    const { totals, users } = meter.summary();
+    assert.strictEqual(totals.responses, 4);
+    assert.strictEqual(totals.cost_usd, 8);
+    assert.deepStrictEqual(users.map(user => user.user_id), ['alice', 'bob']);
+}
+
+async function testLoadsPriceTable() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+    const file = path.join(dir, 'prices.json');
+
+    try {
+        fs.writeFileSync(file, JSON.stringify(PRICES));
+        assert.deepStrictEqual(loadPriceTable(file), PRICES);
+        assert.strictEqual(loadPriceTable(''), DEFAULT_PRICES);
+
+        fs.writeFileSync(file, JSON.stringify({ 'some-model': PRICES.default }));
+        assert.throws(() => loadPriceTable(file), /"default" price entry/);
+
+        fs.writeFileSync(file, JSON.stringify({ default: { ...PRICES.default, audio_output: 'free' } }));
+        assert.throws(() => loadPriceTable(file), /default\.audio_output/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function testServerReportsUsage() {
+    const mock = new MockRealtimeServer({ chunkIntervalMs: 0, responses: [{ text: 'Twelve chars', audioMs: 1000 }] });
+    await mock.start();
+    process.env.OPENAI_REALTIME_URL = mock.url;
+    const store = new MemoryConversationStore();
+    const { baseUrl, wsUrl, close } = await startTestServer({ conversationStore: store, usageMeter: new UsageMeter({ prices: PRICES }) });
+
+    const received = [];
+    const socket = new WebSocket(wsUrl);
+    socket.on('message', data => received.push(JSON.parse(data.toString())));
+    const send = message => socket.send(JSON.stringify(message));
+
+    try {
+        await silenceConsole(async () => {
+            await new Promise(resolve => socket.once('open', resolve));
+            send({ type: 'start_session' });
+            await waitFor(() => received.some(message => message.type === 'session_started'));
+            send({ type: 'send_text', payload: { text: 'Hi' } });
+            await waitFor(() => received.some(message => message.type === 'usage_update'));
+            send({ type: 'end_session' });
+            await waitFor(() => received.some(message => message.type === 'session_ended'));
+        });
+
+        // Mock usage: 80 text + 20 audio tokens in, 3 text + 20 audio tokens out
+        const { payload } = received.find(message => message.type === 'usage_update');
+        assert.deepStrictEqual(payload.response.tokens, {
+            text_input: 80, text_cached_input: 0, text_output: 3, audio_input: 20, audio_cached_input: 0, audio_output: 20
+        });
+        assert.strictEqual(payload.response.cost_usd, 0.00646);
+        assert.strictEqual(payload.session.responses, 1);
+        assert.strictEqual(payload.session.user_id, undefined);
+
+        const conversationId = received.find(message => message.type === 'session_started').payload.conversationId;
+        assert.strictEqual((await store.get(conversationId)).usage.cost_usd, 0.00646);
+
+        const own = await (await fetch(`${baseUrl}/api/usage`)).json();
+        assert.strictEqual(own.user_id, 'anonymous');
+        assert.strictEqual(own.totals.cost_usd, 0.00646);
+        assert.strictEqual(own.sessions[0].conversation_id, conversationId);
+        assert.strictEqual((await fetch(`${baseUrl}/api/usage/users`)).status, 403);
+        assert.strictEqual((await fetch(`${baseUrl}/api/usage?user=bob`)).status, 403);
+    } finally {
+        socket.terminate();
+        delete process.env.OPENAI_REALTIME_URL;
+        await silenceConsole(async () => {
+            await close();
+            await mock.stop();
+        });
+    }
+}
+
+if (require.main === module) {
+    runSuite('Usage Meter', {
+        'Normalizes usage': testNormalizesUsage,
+        'Estimates cost': testEstimatesCost,
+        'Aggregates per session and user': testAggregatesPerSessionAndUser,
+        'Loads price table': testLoadsPriceTable,
+        'Server reports usage': testServerReportsUsage
+    });
+}
+
+module.exports = {
+    testNormalizesUsage,
+    testEstimatesCost,
+    testAggregatesPerSessionAndUser,
+    testLoadsPriceTable,
+    testServerReportsUsage
+};